@@ -21,6 +21,10 @@ module.exports = {
     enabled: true,
     workingDirectory: process.cwd(),
 
+    // Whether the agent starts when the module is required. Otherwise it is
+    // started by calling start() on the module.
+    autoStart: true,
+
     // An identifier for the current code deployment.
     description: undefined,
 
@@ -29,9 +33,65 @@ module.exports = {
     // if your deployed application appears as a subdirectory of your repository.
     appPathRelativeToRepository: undefined,
 
+    // How the agent talks to the debug controller: 'http' for the Cloud Debug
+    // API or controllerUrl, 'filesystem' to exchange breakpoints and
+    // snapshots as JSON files in transportDirectory, or 'inprocess'.
+    // Alternatively an object implementing register, listBreakpoints and
+    // updateBreakpoint, e.g. an InProcessTransport (lib/inprocesstransport.js)
+    // the application keeps a reference to.
+    transport: 'http',
+
+    // The url of the debug controller API used by the 'http' transport, e.g.
+    // 'http://localhost:8080/v2/controller'. By default the agent uses the
+    // Cloud Debug API. Requests to any other controller, such as the stand-in
+    // server in lib/controllerserver.js, are not authenticated.
+    controllerUrl: undefined,
+
+    // The directory used by the 'filesystem' transport.
+    transportDirectory: undefined,
+
     // Log levels: 0-disabled,1-error,2-warn,3-info,4-debug.
     logLevel: 1,
 
+    // Compilers for the conditions and watch expressions of breakpoints in
+    // sources that aren't JavaScript, by file extension, e.g.
+    // { ls: function(expression, options) {...} }. A compiler returns the
+    // JavaScript code, or { code, map } where map is a source map from the
+    // code to the expression used to locate errors in the expression, and
+    // throws errors describing invalid expressions. Options carry the
+    // extension and the workingDirectory. CoffeeScript and TypeScript have
+    // built-in compilers, which null disables.
+    compilers: {},
+
+    logpoint: {
+      // Where the output of logpoints goes: 'stdout' or 'stderr' for a line
+      // of text per hit, 'file' to append JSON lines to logpoint.file, a
+      // function called with each record, or the application's logger, e.g.
+      // a winston or bunyan logger. Records carry the breakpoint id and
+      // location, its log level as severity, a timestamp and the message.
+      sink: 'stdout',
+
+      // The file used by the 'file' sink.
+      file: undefined,
+
+      // Logpoint messages are rate limited for each logpoint and for all of
+      // them together, allowing bursts of up to 'burst' messages. A rate of
+      // 0 disables the limit.
+      rateLimit: {
+        perLogpoint: { messagesPerSec: 5, burst: 10 },
+        global: { messagesPerSec: 50, burst: 100 },
+
+        // How often the number of suppressed messages of each logpoint is
+        // written to the sink.
+        summaryIntervalSec: 60,
+
+        // A logpoint whose messages were suppressed this many intervals in a
+        // row gets a status message saying it is exceeding its quota. 0
+        // disables the status message.
+        quotaExceededIntervals: 3
+      }
+    },
+
     // How frequently should the list of breakpoints be refreshed from the
     // cloud debug server.
     breakpointUpdateIntervalSec: 10,
@@ -39,6 +99,22 @@ module.exports = {
     // We expire stale breakpoints on the server.
     breakpointExpirationSec: 60 * 60 * 24, // 24 hours
 
+    // Breakpoints in scripts that aren't loaded yet, e.g. modules required
+    // lazily or JavaScript files created after the agent started, stay
+    // pending until a matching script is loaded, for up to this long. A
+    // value of 0 rejects breakpoints in unknown files right away.
+    pendingBreakpointTimeoutSec: 60 * 10,
+
+    // Whether the agent watches the working directory for changes to the
+    // JavaScript files and source maps once it started. Changed files are
+    // scanned again after no change happened for delayMs, the active
+    // breakpoints are checked against the new line counts, and the agent
+    // registers again as a new debuggee if the hash of the code changed.
+    watch: {
+      enabled: false,
+      delayMs: 1000
+    },
+
     capture: {
       // Whether to include details about stack frames belonging to node-core.
       includeNodeModules: false,
@@ -63,9 +139,111 @@ module.exports = {
       // limit.
       maxDataSize: 20000,
 
+      // The variables of the scopes enclosing the function of a frame, e.g.
+      // closures and the module, are captured as groups of locals named
+      // after the scope, e.g. '[closure]'. Each scope has its own limits on
+      // the number of variables and on the 'size' of their data, including
+      // the objects first referenced from the scope, so that large scopes
+      // don't use up maxDataSize. A value of 0 disables a limit. The global
+      // scope is only captured if includeGlobal is set.
+      scopes: {
+        enabled: true,
+        includeGlobal: false,
+        maxVariables: 20,
+        maxDataSize: 5000
+      },
+
+      // Properties with getters are captured as placeholders, as calling a
+      // getter may have side effects. With getters enabled, the getters known
+      // to be free of side effects are called instead, including those of
+      // the prototypes of an object: built-in ones such as Map.size or
+      // Buffer.length, and those listed in safeGetters by the class name of
+      // the object and the property, e.g. 'User.fullName'. Errors thrown by a
+      // getter are captured as its status, and a getter taking longer than
+      // maxMsPerGetter is no longer called. A value of 0 disables the limit.
+      getters: {
+        enabled: false,
+        safeGetters: [],
+        maxMsPerGetter: 5
+      },
+
       // To limit the size of the buffer, we truncate long strings.
       // A value of 0 disables truncation.
-      maxStringLength: 100
+      maxStringLength: 100,
+
+      // Snapshots may override maxFrames, maxExpandFrames, maxProperties,
+      // maxDataSize and maxStringLength with labels, e.g.
+      // 'capture.maxDataSize': '100000', or a '$capture maxDataSize=100000'
+      // watch expression. Overrides are lowered to these ceilings. A value of
+      // 0 disables a ceiling.
+      ceilings: {
+        maxFrames: 100,
+        maxExpandFrames: 20,
+        maxProperties: 100,
+        maxDataSize: 200000,
+        maxStringLength: 10000
+      }
+    },
+
+    // Values that may be sensitive are redacted from snapshots and logpoint
+    // messages before they leave the process: those of variables and
+    // properties whose name matches one of the names patterns, those whose
+    // text matches one of the values patterns, or one of the built-in
+    // 'creditCard', 'jwt' and 'email' rules, and those found at one of the
+    // paths from a local or a watch expression, where '*' matches any name.
+    // Patterns given as strings are case insensitive. The rules given here
+    // add to the default ones, e.g. names matching
+    // /pass(word)?|secret|token|authorization/i, unless includeDefaults is
+    // unset. Snapshots report the number of redacted values in their
+    // 'redactions' label.
+    redaction: {
+      enabled: true,
+      includeDefaults: true,
+      names: [],
+      values: [],
+      paths: []
+    },
+
+    // Capturing breakpoint data pauses the application. The time spent doing
+    // so is limited over a rolling window: once the budget for all
+    // breakpoints is used up, captures are deferred until it is available
+    // again, and a breakpoint using up its own budget, e.g. a busy logpoint,
+    // is cancelled with an error status. A value of 0 disables a limit.
+    captureBudget: {
+      windowSec: 60,
+      maxMs: 2000,
+      maxMsPerBreakpoint: 500
+    },
+
+    // Breakpoint updates that can't be sent to the server are retried with
+    // exponential backoff.
+    updateQueue: {
+      // Maximum number of updates waiting to be sent. When it is exceeded
+      // the oldest update is dropped. Updates spilled by an earlier process
+      // are reloaded up to this limit, the others stay in the spill
+      // directory. A value of 0 disables the limit.
+      maxSize: 100,
+
+      // Updates are dropped after this many failed attempts. A value of 0
+      // disables the limit.
+      maxAttempts: 10,
+
+      // The delay before the first retry, doubled with every failed attempt
+      // up to the maximum. Each delay is randomly shortened by up to half.
+      initialRetryDelaySec: 1,
+      maxRetryDelaySec: 5 * 60,
+
+      // A directory where updates are kept until they are sent, so that they
+      // survive a restart of the application.
+      spillDirectory: undefined
+    },
+
+    // The agent's own metrics, e.g. breakpoint hits and capture latencies,
+    // are available through getMetrics. When a port is set they are also
+    // served in the Prometheus text format at http://host:port/metrics.
+    metrics: {
+      port: undefined,
+      host: '127.0.0.1'
     },
 
     // These configuration options are for internal experimentation only.
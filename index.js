@@ -22,10 +22,18 @@
 var logger = require('@google/cloud-diagnostics-common').logger;
 var Debuglet = require('./lib/debuglet.js');
 var path = require('path');
+var EventEmitter = require('events').EventEmitter;
 var _ = require('lodash');
 
-var initConfig = function() {
+/** @const {Array<string>} Debuglet events re-emitted by the agent */
+var EVENTS = ['started', 'registered', 'breakpointPending', 'breakpointSet',
+  'breakpointHit', 'snapshotCaptured', 'breakpointError'];
+
+var initConfig = function(options) {
   var config = {};
+  if (options) {
+    _.defaultsDeep(config, options);
+  }
   if (process.env.hasOwnProperty('GCLOUD_DIAGNOSTICS_CONFIG')) {
     var c = require(path.resolve(process.env.GCLOUD_DIAGNOSTICS_CONFIG));
     if (c && c.debug) {
@@ -40,21 +48,150 @@ var initConfig = function() {
   if (process.env.hasOwnProperty('GCLOUD_DEBUG_DISABLE')) {
     config.enabled = false;
   }
+  if (process.env.hasOwnProperty('GCLOUD_DEBUG_NO_AUTOSTART')) {
+    config.autoStart = false;
+  }
   if (process.env.hasOwnProperty('GCLOUD_DEBUG_REPO_APP_PATH')) {
     config.appPathRelativeToRepository =
       process.env.GCLOUD_DEBUG_REPO_APP_PATH;
   }
+  if (process.env.hasOwnProperty('GCLOUD_DEBUG_CONTROLLER_URL')) {
+    config.controllerUrl = process.env.GCLOUD_DEBUG_CONTROLLER_URL;
+  }
   return config;
 };
 
-// exports is populated by the agent
-module.exports = {};
-var config = initConfig();
+/**
+ * The agent. It emits the events of the running Debuglet listed in EVENTS.
+ * The private_ property holding the Debuglet is populated once started.
+ */
+var agent = module.exports = new EventEmitter();
 
-var log = logger.create(config.logLevel, '@google/cloud-debug');
+/**
+ * Starts the agent, unless it is started already or disabled. Options take
+ * precedence over the GCLOUD_DIAGNOSTICS_CONFIG file and the defaults in
+ * config.js; the environment variables override both.
+ * @param {Object=} options debug agent configuration, see config.js
+ * @return {Object} the agent
+ */
+agent.start = function(options) {
+  // The agent may still be starting up, e.g. when started automatically.
+  if (agent.private_ && !agent.private_.stopped_) {
+    agent.private_.logger_.warn('The debug agent has already been started');
+    return agent;
+  }
+  var config = initConfig(options);
+  if (!config.enabled) {
+    return agent;
+  }
 
-if (config.enabled) {
+  var log = logger.create(config.logLevel, '@google/cloud-debug');
   var debuglet = new Debuglet(config, log);
+  EVENTS.forEach(function(event) {
+    debuglet.on(event, function() {
+      agent.emit.apply(agent, [event].concat(_.toArray(arguments)));
+    });
+  });
   debuglet.start();
-  module.exports.private_ = debuglet;
+  agent.private_ = debuglet;
+  return agent;
+};
+
+/**
+ * Stops the agent: clears its breakpoints, detaches it from the debugger and
+ * waits for the breakpoint updates already sent to the server.
+ * @param {function(?Error)=} callback called once done, with an error if any
+ *     of the pending updates failed
+ * @return {Promise|undefined} a promise for the same, when no callback is
+ *     given and promises are available
+ */
+agent.stop = function(callback) {
+  if (agent.private_) {
+    return agent.private_.stop(callback);
+  }
+  if (callback) {
+    setImmediate(callback);
+  } else if (typeof Promise !== 'undefined') {
+    return Promise.resolve();
+  }
+};
+
+/**
+ * @return {Object} a summary of the agent state: whether it is running, the
+ *     debuggee id once registered, the number of active and completed
+ *     breakpoints, and the state of the update queue and of the capture
+ *     budget once started
+ */
+agent.getStatus = function() {
+  if (!agent.private_) {
+    return {
+      running: false,
+      debuggeeId: null,
+      activeBreakpoints: 0,
+      completedBreakpoints: 0,
+      updateQueue: null,
+      captureBudget: null
+    };
+  }
+  return agent.private_.getStatus();
+};
+
+/**
+ * Sets a breakpoint locally, without the debug controller. Its data is only
+ * reported through the breakpoint events. The agent has to be started, see
+ * the 'started' event.
+ * @param {Breakpoint} breakpoint e.g.
+ *     { location: { path: 'app.js', line: 10 }, expressions: ['x'] }
+ * @param {function(?Error, Breakpoint=)=} callback
+ */
+agent.setBreakpoint = function(breakpoint, callback) {
+  if (!agent.private_) {
+    return setImmediate(function() {
+      (callback || _.noop)(new Error('The debug agent is not running'));
+    });
+  }
+  agent.private_.setBreakpoint(breakpoint, callback);
+};
+
+/**
+ * Clears a breakpoint set through setBreakpoint.
+ * @param {string} id
+ * @return {boolean} whether the breakpoint was active
+ */
+agent.clearBreakpoint = function(id) {
+  return !!agent.private_ && agent.private_.clearBreakpoint(id);
+};
+
+/**
+ * @return {Array<Breakpoint>} the active breakpoints
+ */
+agent.listBreakpoints = function() {
+  return agent.private_ ? agent.private_.listBreakpoints() : [];
+};
+
+/**
+ * @param {string=} format 'prometheus' for the Prometheus text format
+ * @return {Object|string} the agent's own metrics, e.g. registrations,
+ *     breakpoint hits and capture durations, by name with their type, help
+ *     and series; or their text. Empty until the agent is started.
+ */
+agent.getMetrics = function(format) {
+  if (!agent.private_) {
+    return format === 'prometheus' ? '' : {};
+  }
+  return agent.private_.getMetrics(format);
+};
+
+/**
+ * For debugging the agent itself.
+ * @return {Array<Object>} the state of the breakpoints known to the agent,
+ *     including recently completed ones: their id, lifecycle state, final
+ *     outcome, last transitions and pending timers
+ */
+agent.inspectBreakpoints = function() {
+  return agent.private_ ? agent.private_.inspectBreakpoints() : [];
+};
+
+if (initConfig().autoStart) {
+  agent.start();
 }
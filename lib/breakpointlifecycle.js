@@ -0,0 +1,323 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Breakpoint states. A breakpoint is pending while it is being set or while
+ * its script isn't loaded yet, set once active in the debugger, hit and
+ * capturing while its data is processed, and completing while its final
+ * state is sent to the server. Logpoints go back to set after each hit. The
+ * last four states are final.
+ * @enum {string}
+ */
+var State = {
+  PENDING: 'pending',
+  SET: 'set',
+  HIT: 'hit',
+  CAPTURING: 'capturing',
+  COMPLETING: 'completing',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  CLEARED: 'cleared'
+};
+
+/** @const {Object.<string, Array<string>>} allowed transitions by state */
+var TRANSITIONS = {
+  pending: [State.SET, State.COMPLETING, State.CLEARED],
+  set: [State.HIT, State.COMPLETING, State.CLEARED],
+  hit: [State.CAPTURING, State.COMPLETING, State.CLEARED],
+  capturing: [State.SET, State.COMPLETING, State.CLEARED],
+  completing: [State.COMPLETED, State.REJECTED, State.EXPIRED, State.CLEARED],
+  completed: [],
+  rejected: [],
+  expired: [],
+  cleared: []
+};
+
+/** @const {number} transitions kept per breakpoint */
+var MAX_HISTORY = 10;
+
+/** @const {number} default number of local breakpoints kept in a final state */
+var DEFAULT_MAX_FINISHED = 1000;
+
+/**
+ * The state of one breakpoint.
+ * @param {Breakpoint} breakpoint
+ * @param {boolean} local whether it was set through the agent API rather
+ *     than by the debug controller
+ * @constructor
+ */
+function BreakpointRecord(breakpoint, local) {
+  /** @type {string} */
+  this.id = breakpoint.id;
+
+  /** @type {?Breakpoint} released once the breakpoint is final */
+  this.breakpoint = breakpoint;
+
+  /** @type {boolean} */
+  this.local = local;
+
+  /** @type {State} */
+  this.state = State.PENDING;
+
+  /** @type {?State} the final state to reach once completing is done */
+  this.outcome = null;
+
+  /** @type {Array<Object>} the last transitions, with their time */
+  this.history = [{ state: State.PENDING, time: Date.now() }];
+
+  /** @private {Object.<string, Timer>} timers by name */
+  this.timers_ = {};
+}
+
+/**
+ * @return {boolean} whether the breakpoint reached a final state
+ */
+BreakpointRecord.prototype.isFinished = function() {
+  return TRANSITIONS[this.state].length === 0;
+};
+
+/**
+ * @return {boolean} whether the breakpoint is active in the debugger
+ */
+BreakpointRecord.prototype.isActive = function() {
+  return this.state === State.SET || this.state === State.HIT ||
+    this.state === State.CAPTURING;
+};
+
+/**
+ * Keeps track of the breakpoints of an agent and of the timers attached to
+ * them. Timers are cancelled as soon as the breakpoint is completing or
+ * final, and final breakpoints only keep their state and history: the
+ * breakpoint data is released. The final records of the breakpoints of the
+ * debug controller are kept until it no longer lists them, as the agent would
+ * otherwise set them again when they are listed next. Only the most recent
+ * final records of local breakpoints are kept.
+ *
+ * @param {Logger} logger
+ * @param {number=} maxFinished the number of final local breakpoints kept
+ *     around
+ * @constructor
+ */
+function BreakpointLifecycle(logger, maxFinished) {
+  /** @private {Logger} */
+  this.logger_ = logger;
+
+  /** @private {number} */
+  this.maxFinished_ = maxFinished || DEFAULT_MAX_FINISHED;
+
+  /** @private {Object.<string, BreakpointRecord>} */
+  this.records_ = {};
+
+  /**
+   * @private {Array<string>} ids of the final local breakpoints, oldest
+   *     first
+   */
+  this.finished_ = [];
+}
+
+BreakpointLifecycle.State = State;
+
+/**
+ * Starts tracking a breakpoint, replacing a final record with the same id.
+ * @param {Breakpoint} breakpoint
+ * @param {boolean} local
+ * @return {BreakpointRecord} the pending record
+ */
+BreakpointLifecycle.prototype.add = function(breakpoint, local) {
+  var previous = this.records_[breakpoint.id];
+  if (previous && !previous.isFinished()) {
+    throw new Error('Breakpoint ' + breakpoint.id + ' is already tracked');
+  }
+  this.forget(breakpoint.id);
+  var record = new BreakpointRecord(breakpoint, local);
+  this.records_[record.id] = record;
+  return record;
+};
+
+/**
+ * @param {string} id
+ * @return {BreakpointRecord|undefined}
+ */
+BreakpointLifecycle.prototype.get = function(id) {
+  return this.records_[id];
+};
+
+/**
+ * @param {BreakpointRecord} record
+ * @return {boolean} whether the record is still the one tracked for its id,
+ *     i.e. it hasn't been forgotten or replaced
+ */
+BreakpointLifecycle.prototype.isCurrent = function(record) {
+  return this.records_[record.id] === record;
+};
+
+/**
+ * Moves a breakpoint to a new state. Records that are no longer current and
+ * transitions that aren't allowed from the current state are ignored, e.g. a
+ * hit reported after the breakpoint has been cleared.
+ * @param {BreakpointRecord} record
+ * @param {State} state
+ * @return {boolean} whether the transition happened
+ */
+BreakpointLifecycle.prototype.transition = function(record, state) {
+  if (!this.isCurrent(record) ||
+      TRANSITIONS[record.state].indexOf(state) === -1) {
+    this.logger_.debug('Ignoring breakpoint ' + record.id + ' transition ' +
+      record.state + ' -> ' + state);
+    return false;
+  }
+
+  record.state = state;
+  record.history.push({ state: state, time: Date.now() });
+  if (record.history.length > MAX_HISTORY) {
+    record.history.shift();
+  }
+
+  if (state === State.COMPLETING || record.isFinished()) {
+    this.clearTimers_(record);
+  }
+  if (record.isFinished()) {
+    record.breakpoint = null;
+  }
+  if (record.isFinished() && record.local) {
+    this.finished_.push(record.id);
+    while (this.finished_.length > this.maxFinished_) {
+      delete this.records_[this.finished_.shift()];
+    }
+  }
+  return true;
+};
+
+/**
+ * Moves a breakpoint to completing. It becomes final with the given outcome
+ * once finish is called.
+ * @param {BreakpointRecord} record
+ * @param {State} outcome COMPLETED, REJECTED or EXPIRED
+ * @return {boolean} whether the transition happened
+ */
+BreakpointLifecycle.prototype.complete = function(record, outcome) {
+  if (!this.transition(record, State.COMPLETING)) {
+    return false;
+  }
+  record.outcome = outcome;
+  return true;
+};
+
+/**
+ * Moves a completing breakpoint to its final state.
+ * @param {BreakpointRecord} record
+ * @return {boolean} whether the transition happened
+ */
+BreakpointLifecycle.prototype.finish = function(record) {
+  return this.transition(record, record.outcome);
+};
+
+/**
+ * Attaches a timer to a breakpoint, replacing the timer with the same name.
+ * It is cancelled once the breakpoint is completing, final or forgotten, and
+ * doesn't keep the process alive.
+ * @param {BreakpointRecord} record
+ * @param {string} name
+ * @param {function()} fn
+ * @param {number} delay milliseconds
+ */
+BreakpointLifecycle.prototype.setTimer = function(record, name, fn, delay) {
+  clearTimeout(record.timers_[name]);
+  record.timers_[name] = setTimeout(function() {
+    delete record.timers_[name];
+    fn();
+  }, delay);
+  record.timers_[name].unref();
+};
+
+/**
+ * @param {BreakpointRecord} record
+ * @param {string} name
+ * @return {boolean} whether the timer is pending
+ */
+BreakpointLifecycle.prototype.hasTimer = function(record, name) {
+  return !!record.timers_[name];
+};
+
+/**
+ * Stops tracking a breakpoint, cancelling its timers.
+ * @param {string} id
+ */
+BreakpointLifecycle.prototype.forget = function(id) {
+  var record = this.records_[id];
+  if (!record) {
+    return;
+  }
+  this.clearTimers_(record);
+  delete this.records_[id];
+  var index = this.finished_.indexOf(id);
+  if (index !== -1) {
+    this.finished_.splice(index, 1);
+  }
+};
+
+/**
+ * Stops tracking all breakpoints, cancelling their timers.
+ */
+BreakpointLifecycle.prototype.reset = function() {
+  Object.keys(this.records_).forEach(this.forget, this);
+};
+
+/**
+ * @param {function(BreakpointRecord):boolean=} predicate
+ * @return {Array<BreakpointRecord>} the tracked breakpoints, optionally
+ *     filtered
+ */
+BreakpointLifecycle.prototype.records = function(predicate) {
+  var that = this;
+  return Object.keys(that.records_).map(function(id) {
+    return that.records_[id];
+  }).filter(predicate || function() { return true; });
+};
+
+/**
+ * @return {Array<Object>} a description of the tracked breakpoints: their id,
+ *     state, whether they are local, their outcome and their last
+ *     transitions
+ */
+BreakpointLifecycle.prototype.inspect = function() {
+  return this.records().map(function(record) {
+    return {
+      id: record.id,
+      state: record.state,
+      local: record.local,
+      outcome: record.outcome,
+      history: record.history.slice(),
+      timers: Object.keys(record.timers_)
+    };
+  });
+};
+
+/**
+ * @param {BreakpointRecord} record
+ * @private
+ */
+BreakpointLifecycle.prototype.clearTimers_ = function(record) {
+  Object.keys(record.timers_).forEach(function(name) {
+    clearTimeout(record.timers_[name]);
+  });
+  record.timers_ = {};
+};
+
+module.exports = BreakpointLifecycle;
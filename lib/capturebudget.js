@@ -0,0 +1,172 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/** @const {number} */
+var DEFAULT_WINDOW_SEC = 60;
+
+/**
+ * Sum of the values added during the last window, with a resolution of a
+ * second.
+ * @param {number} windowMs
+ * @constructor
+ */
+function RollingSum(windowMs) {
+  /** @private {number} */
+  this.windowMs_ = windowMs;
+
+  /** @private {Array<Object>} { second, value }, oldest first */
+  this.entries_ = [];
+}
+
+/**
+ * @param {number} value
+ * @param {number} now
+ */
+RollingSum.prototype.add = function(value, now) {
+  var second = Math.floor(now / 1000);
+  var last = this.entries_[this.entries_.length - 1];
+  if (last && last.second === second) {
+    last.value += value;
+  } else {
+    this.entries_.push({ second: second, value: value });
+  }
+};
+
+/**
+ * @param {number} now
+ * @return {number}
+ */
+RollingSum.prototype.sum = function(now) {
+  var oldest = Math.floor((now - this.windowMs_) / 1000);
+  while (this.entries_.length && this.entries_[0].second <= oldest) {
+    this.entries_.shift();
+  }
+  return this.entries_.reduce(function(sum, entry) {
+    return sum + entry.value;
+  }, 0);
+};
+
+/**
+ * A rolling budget for the time spent capturing breakpoint data, during
+ * which the application is paused. Once the time spent by all breakpoints
+ * during the window reaches the budget, captures are deferred until it is
+ * available again. A breakpoint that reaches its own budget is exhausted,
+ * and should be completed.
+ *
+ * @param {Object} options the captureBudget section of the configuration:
+ *   - windowSec: the length of the rolling window
+ *   - maxMs: the capture time allowed during the window, 0 for no limit
+ *   - maxMsPerBreakpoint: the capture time allowed for a breakpoint during
+ *     the window, 0 for no limit
+ * @constructor
+ */
+function CaptureBudget(options) {
+  /** @private {number} */
+  this.windowSec_ = options.windowSec || DEFAULT_WINDOW_SEC;
+
+  /** @private {number} */
+  this.maxMs_ = options.maxMs || 0;
+
+  /** @private {number} */
+  this.maxMsPerBreakpoint_ = options.maxMsPerBreakpoint || 0;
+
+  /** @private {RollingSum} */
+  this.total_ = new RollingSum(this.windowSec_ * 1000);
+
+  /** @private {Object.<string, RollingSum>} by breakpoint id */
+  this.breakpoints_ = {};
+
+  /** @private {Object.<string, boolean>} */
+  this.exhaustedIds_ = {};
+
+  /** @private {number} hits deferred because of the budget */
+  this.deferred_ = 0;
+
+  /** @private {number} breakpoints that exhausted their budget */
+  this.exhausted_ = 0;
+}
+
+/** @const {string} */ CaptureBudget.OK = 'ok';
+/** @const {string} */ CaptureBudget.DEFER = 'defer';
+/** @const {string} */ CaptureBudget.EXHAUSTED = 'exhausted';
+
+/**
+ * Decides whether a breakpoint hit may be captured.
+ * @param {string} id the breakpoint id
+ * @return {string} OK, DEFER when the overall budget is used up, or
+ *     EXHAUSTED when the breakpoint used up its own budget
+ */
+CaptureBudget.prototype.check = function(id) {
+  var now = Date.now();
+  var breakpoint = this.breakpoints_[id];
+  if (this.maxMsPerBreakpoint_ && breakpoint &&
+      breakpoint.sum(now) >= this.maxMsPerBreakpoint_) {
+    // Hits may be reported until the breakpoint is cleared.
+    if (!this.exhaustedIds_[id]) {
+      this.exhaustedIds_[id] = true;
+      this.exhausted_++;
+    }
+    return CaptureBudget.EXHAUSTED;
+  }
+  if (this.maxMs_ && this.total_.sum(now) >= this.maxMs_) {
+    this.deferred_++;
+    return CaptureBudget.DEFER;
+  }
+  return CaptureBudget.OK;
+};
+
+/**
+ * Records the time spent capturing a hit.
+ * @param {string} id the breakpoint id
+ * @param {number} ms
+ */
+CaptureBudget.prototype.record = function(id, ms) {
+  var now = Date.now();
+  this.total_.add(ms, now);
+  if (!this.breakpoints_[id]) {
+    this.breakpoints_[id] = new RollingSum(this.windowSec_ * 1000);
+  }
+  this.breakpoints_[id].add(ms, now);
+};
+
+/**
+ * Forgets a breakpoint, e.g. once cleared. Its capture time still counts
+ * towards the overall budget.
+ * @param {string} id
+ */
+CaptureBudget.prototype.remove = function(id) {
+  delete this.breakpoints_[id];
+  delete this.exhaustedIds_[id];
+};
+
+/**
+ * @return {Object} the budget, the capture time used during the current
+ *     window, the number of deferred hits and of exhausted breakpoints
+ */
+CaptureBudget.prototype.getStats = function() {
+  return {
+    windowSec: this.windowSec_,
+    maxMs: this.maxMs_,
+    maxMsPerBreakpoint: this.maxMsPerBreakpoint_,
+    usedMs: Math.round(this.total_.sum(Date.now())),
+    deferred: this.deferred_,
+    exhausted: this.exhausted_
+  };
+};
+
+module.exports = CaptureBudget;
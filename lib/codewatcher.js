@@ -0,0 +1,240 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/** @const */ var fs = require('fs');
+/** @const */ var path = require('path');
+/** @const */ var findit = require('findit');
+
+/** @const */ var scanner = require('./scanner.js');
+
+/**
+ * Watches the directories scanned by the scanner for changes to JavaScript
+ * files and source maps. Changes are batched until none happened for a
+ * while, and then the statistics of the changed files are computed again and
+ * replace the old ones at once, see scanner.update.
+ *
+ * @param {!string} baseDir the top-level directory of the application
+ * @param {!Object} fileStats the statistics produced by scanner.scan
+ * @param {!Object} options delayMs: how long to wait for more changes
+ * @param {Boolean} shouldHash whether a hash should be computed
+ * @param {!function(?Error, Array<string>, ?string)} onChange called with the
+ *     changed files and the new hash-code, once the statistics are updated
+ * @constructor
+ */
+function CodeWatcher(baseDir, fileStats, options, shouldHash, onChange) {
+  /** @private {string} */
+  this.baseDir_ = baseDir;
+
+  /** @private {!Object} */
+  this.fileStats_ = fileStats;
+
+  /** @private {number} */
+  this.delayMs_ = options.delayMs === undefined ? 1000 : options.delayMs;
+
+  /** @private {Boolean} */
+  this.shouldHash_ = shouldHash;
+
+  /** @private {function(?Error, Array<string>, ?string)} */
+  this.onChange_ = onChange;
+
+  /** @private {Object.<string, fs.FSWatcher>} by directory */
+  this.watchers_ = {};
+
+  /** @private {Object.<string, boolean>} files changed since the last update */
+  this.changes_ = {};
+
+  /** @private {?Timer} */
+  this.timer_ = null;
+
+  /** @private {boolean} whether the statistics are being updated */
+  this.updating_ = false;
+
+  /** @private {boolean} */
+  this.stopped_ = false;
+}
+
+/**
+ * Starts watching the directories under the base directory. .git and
+ * node_modules subdirectories are ignored, as by the scanner.
+ */
+CodeWatcher.prototype.start = function() {
+  this.watchTree_(this.baseDir_, false);
+};
+
+/**
+ * Stops watching. An update in progress completes without notification.
+ */
+CodeWatcher.prototype.stop = function() {
+  var that = this;
+  that.stopped_ = true;
+  clearTimeout(that.timer_);
+  Object.keys(that.watchers_).forEach(function(dir) {
+    that.watchers_[dir].close();
+  });
+  that.watchers_ = {};
+};
+
+/**
+ * Watches a directory and its subdirectories.
+ *
+ * @param {string} baseDir
+ * @param {boolean} isNew whether the directory was created after start, in
+ *     which case the files found in it are changes
+ * @private
+ */
+CodeWatcher.prototype.watchTree_ = function(baseDir, isNew) {
+  var that = this;
+  var find = findit(baseDir);
+  find.on('error', function() {
+    // The directory was removed in the meantime.
+  });
+  find.on('directory', function(dir, stat, stop) {
+    var base = path.basename(dir);
+    if (base === '.git' || base === 'node_modules') {
+      stop(); // do not descend
+      return;
+    }
+    that.watchDirectory_(dir);
+  });
+  find.on('file', function(file) {
+    if (isNew) {
+      that.addChange_(file);
+    }
+  });
+  that.watchDirectory_(baseDir);
+};
+
+/**
+ * @param {string} dir
+ * @private
+ */
+CodeWatcher.prototype.watchDirectory_ = function(dir) {
+  var that = this;
+  if (that.stopped_ || that.watchers_[dir]) {
+    return;
+  }
+  var watcher;
+  try {
+    watcher = fs.watch(dir, { persistent: false }, function(event, filename) {
+      if (filename) {
+        that.onEvent_(path.join(dir, filename));
+      }
+    });
+  } catch (e) {
+    return;
+  }
+  watcher.on('error', function() {
+    // The directory was removed.
+    that.unwatch_(dir);
+  });
+  that.watchers_[dir] = watcher;
+};
+
+/**
+ * Stops watching a removed directory, and takes the files it contained as
+ * changed.
+ *
+ * @param {string} dir
+ * @private
+ */
+CodeWatcher.prototype.unwatch_ = function(dir) {
+  var that = this;
+  var prefix = dir + path.sep;
+  Object.keys(that.watchers_).forEach(function(watched) {
+    if (watched === dir || watched.indexOf(prefix) === 0) {
+      that.watchers_[watched].close();
+      delete that.watchers_[watched];
+    }
+  });
+  Object.keys(that.fileStats_).forEach(function(file) {
+    if (file.indexOf(prefix) === 0) {
+      that.addChange_(file);
+    }
+  });
+};
+
+/**
+ * @param {string} file the path of a changed entry of a watched directory
+ * @private
+ */
+CodeWatcher.prototype.onEvent_ = function(file) {
+  var that = this;
+  if (/\.(js|map)$/.test(file)) {
+    that.addChange_(file);
+    return;
+  }
+  var base = path.basename(file);
+  if (base === '.git' || base === 'node_modules') {
+    return;
+  }
+  fs.stat(file, function(err, stat) {
+    if (err) {
+      if (that.watchers_[file]) {
+        that.unwatch_(file);
+      }
+    } else if (stat.isDirectory() && !that.watchers_[file]) {
+      that.watchTree_(file, true);
+    }
+  });
+};
+
+/**
+ * Records a changed file, and schedules the update of the statistics.
+ *
+ * @param {string} file
+ * @private
+ */
+CodeWatcher.prototype.addChange_ = function(file) {
+  if (!/\.(js|map)$/.test(file) || this.stopped_) {
+    return;
+  }
+  this.changes_[file] = true;
+  this.schedule_();
+};
+
+/**
+ * Updates the statistics once no change happened for delayMs.
+ * @private
+ */
+CodeWatcher.prototype.schedule_ = function() {
+  var that = this;
+  clearTimeout(that.timer_);
+  that.timer_ = setTimeout(function() {
+    if (that.updating_) {
+      // Changes made during the update are handled after it.
+      return;
+    }
+    var files = Object.keys(that.changes_);
+    that.changes_ = {};
+    that.updating_ = true;
+    scanner.update(that.fileStats_, files, that.shouldHash_, that.baseDir_,
+      function(err, hash) {
+        that.updating_ = false;
+        if (that.stopped_) {
+          return;
+        }
+        that.onChange_(err, files, hash);
+        if (Object.keys(that.changes_).length) {
+          that.schedule_();
+        }
+      });
+  }, that.delayMs_);
+  that.timer_.unref();
+};
+
+module.exports = CodeWatcher;
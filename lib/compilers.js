@@ -0,0 +1,256 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Compilers for the conditions and watch expressions of breakpoints set in
+// sources written in other languages than JavaScript. A compiler is a
+// function(expression, options) returning the compiled JavaScript, either as
+// a string or as { code, map } where map is a version 3 source map from the
+// code to the expression. Options carry the extension of the source and the
+// working directory of the application. Compilers throw errors describing
+// invalid expressions.
+
+/** @const */ var path = require('path');
+/** @const */ var acorn = require('acorn');
+/** @const */ var sourceMap = require('source-map');
+
+/** @const {string} */ var COFFEE_PREFIX = '0 || (';
+
+/**
+ * Compiles CoffeeScript. The expression is compiled as the operand of an
+ * expression so that CoffeeScript doesn't turn it into statements, e.g.
+ * `if a then b else c`.
+ *
+ * @param {string} expression
+ * @return {{code: string, map: Object}}
+ */
+function compileCoffee(expression) {
+  var compiled;
+  try {
+    compiled = require('coffee-script').compile(
+      COFFEE_PREFIX + expression + ')', { bare: true, sourceMap: true });
+  } catch (e) {
+    var column = e.location && e.location.first_line === 0 ?
+      e.location.first_column - COFFEE_PREFIX.length : -1;
+    if (column >= 0 && column < expression.length) {
+      throw new Error(e.message + ' at column ' + (column + 1));
+    }
+    throw new Error(e.message);
+  }
+
+  var program = acorn.parse(compiled.js, { sourceType: 'script' });
+  var statement = program.body[program.body.length - 1];
+  if (program.body.length !== 1) {
+    // CoffeeScript declares the variables the expression assigns to.
+    throw new Error('The expression must not declare variables');
+  }
+  var operand = statement.expression.right;
+  return {
+    code: compiled.js.slice(operand.start, operand.end),
+    map: shiftMap(compiled.v3SourceMap, compiled.js, operand.start)
+  };
+}
+
+/**
+ * Maps a slice of compiled code to the expression that was compiled with the
+ * CoffeeScript prefix.
+ *
+ * @param {string} map the source map of the whole compiled code
+ * @param {string} code the whole compiled code
+ * @param {number} start the offset of the slice in the code
+ * @return {Object} the source map of the slice
+ */
+function shiftMap(map, code, start) {
+  var before = code.slice(0, start).split('\n');
+  var lines = before.length - 1;
+  var columns = before[lines].length;
+  var generator = new sourceMap.SourceMapGenerator();
+  new sourceMap.SourceMapConsumer(map).eachMapping(function(mapping) {
+    var line = mapping.generatedLine - lines;
+    var column = mapping.generatedColumn - (line === 1 ? columns : 0);
+    var originalColumn = mapping.originalColumn -
+      (mapping.originalLine === 1 ? COFFEE_PREFIX.length : 0);
+    if (line < 1 || column < 0 || originalColumn < 0) {
+      return;
+    }
+    generator.addMapping({
+      generated: { line: line, column: column },
+      original: { line: mapping.originalLine, column: originalColumn },
+      source: 'expression'
+    });
+  });
+  return generator.toJSON();
+}
+
+/**
+ * Compiles TypeScript, e.g. `x as Foo` or `x!`, with the typescript module of
+ * the application.
+ *
+ * @param {string} expression
+ * @param {Object} options
+ * @return {string}
+ */
+function compileTypeScript(expression, options) {
+  var ts = loadTypeScript(options.workingDirectory);
+  if (!ts) {
+    // Expressions are taken as JavaScript.
+    return expression;
+  }
+  var output = ts.transpileModule('(' + expression + ');', {
+    compilerOptions: {
+      target: ts.ScriptTarget.ES5,
+      removeComments: true
+    },
+    fileName: 'expression.' + options.extension,
+    reportDiagnostics: true
+  });
+  if (output.diagnostics && output.diagnostics.length) {
+    var diagnostic = output.diagnostics[0];
+    var message = ts.flattenDiagnosticMessageText(diagnostic.messageText,
+      '\n');
+    if (diagnostic.start >= 1) {
+      message += ' at column ' + diagnostic.start;
+    }
+    throw new Error(message);
+  }
+  var code = output.outputText.trim().replace(/;$/, '');
+  if (code.indexOf('\n') !== -1) {
+    // The expression needs helpers, e.g. for object spread.
+    throw new Error('The expression needs TypeScript helpers');
+  }
+  return code;
+}
+
+/** @const {Object.<string, function(string, Object)>} by extension */
+var BUILT_IN = {
+  coffee: compileCoffee,
+  ts: compileTypeScript,
+  tsx: compileTypeScript
+};
+
+/**
+ * @type {Object.<string, Object>} the typescript modules of the
+ *     applications, by their directory
+ */
+var typescriptByDir = {};
+
+/**
+ * Loads the typescript module of the application, if it has one, or else the
+ * one next to the agent. The agent doesn't depend on it. Only the modules
+ * found in the application directory are kept, so that a typescript module
+ * installed later is still picked up.
+ *
+ * @param {string=} baseDir the application directory
+ * @return {?Object} the typescript module, or null
+ */
+function loadTypeScript(baseDir) {
+  if (baseDir && typescriptByDir[baseDir]) {
+    return typescriptByDir[baseDir];
+  }
+  var Module = require('module');
+  if (baseDir) {
+    // Resolve from the application, in case the agent is installed elsewhere.
+    try {
+      typescriptByDir[baseDir] = require(Module._resolveFilename('typescript', {
+        id: baseDir,
+        filename: path.join(baseDir, 'index.js'),
+        paths: Module._nodeModulePaths(baseDir)
+      }));
+      return typescriptByDir[baseDir];
+    } catch (e) {}
+  }
+  try {
+    return require('typescript');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks that compiled code is a single JavaScript expression. Syntax errors
+ * are reported at their position in the original expression when the
+ * compiler provided a source map.
+ *
+ * @param {string} code
+ * @param {Object|string|undefined} map
+ * @throws {Error} if the code isn't an expression
+ */
+function checkCompiled(code, map) {
+  var program;
+  try {
+    program = acorn.parse(code, { sourceType: 'script' });
+  } catch (e) {
+    var message = e.message.replace(/ \(\d+:\d+\)$/, '');
+    var original = map && e.loc ? new sourceMap.SourceMapConsumer(map)
+      .originalPositionFor({ line: e.loc.line, column: e.loc.column }) : null;
+    if (original && original.line !== null) {
+      message += ' at column ' + (original.column + 1) +
+        (original.line > 1 ? ' of line ' + original.line : '');
+    } else {
+      message += ' in the compiled expression: ' + code;
+    }
+    throw new Error(message);
+  }
+  if (program.body.length !== 1 ||
+      program.body[0].type !== 'ExpressionStatement') {
+    throw new Error('The expression compiles to statements: ' + code);
+  }
+}
+
+/**
+ * Looks up the compiler of a source file, in config.compilers first, then in
+ * the built-in compilers for CoffeeScript and TypeScript. Applications may
+ * disable a built-in compiler by registering null for its extension.
+ *
+ * @param {string} sourcePath
+ * @param {!Object} config
+ * @return {?function(string): string} compiles an expression, throwing an
+ *     error with the compiler's message if it fails, or null if expressions
+ *     are taken as JavaScript
+ */
+function forPath(sourcePath, config) {
+  var extension = path.extname(sourcePath).slice(1);
+  var registered = config.compilers || {};
+  var compiler = registered.hasOwnProperty(extension) ?
+    registered[extension] : BUILT_IN[extension];
+  if (!extension || !compiler) {
+    return null;
+  }
+  if (typeof compiler !== 'function') {
+    throw new Error('The compiler for .' + extension + ' is not a function');
+  }
+  var options = {
+    extension: extension,
+    workingDirectory: config.workingDirectory
+  };
+  return function(expression) {
+    var compiled = compiler(expression, options);
+    if (typeof compiled === 'string') {
+      compiled = { code: compiled };
+    }
+    if (!compiled || typeof compiled.code !== 'string') {
+      throw new Error('The compiler for .' + extension + ' returned no code');
+    }
+    var code = compiled.code.replace(/[\s;]+$/, '');
+    checkCompiled(code, compiled.map);
+    return code;
+  };
+}
+
+module.exports = {
+  forPath: forPath
+};
@@ -0,0 +1,585 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// A stand-in for the Cloud Debug controller API. It implements the v2
+// controller routes used by the agent, so that the register, set, capture,
+// update loop can run without access to Google Cloud, e.g. on-premises or in
+// integration tests. A small admin API is provided to add and remove
+// breakpoints and to read back completed snapshots:
+//
+//   GET    /admin/debuggees
+//   GET    /admin/debuggees/:debuggeeId/breakpoints
+//   POST   /admin/debuggees/:debuggeeId/breakpoints
+//   GET    /admin/debuggees/:debuggeeId/breakpoints/:breakpointId
+//   DELETE /admin/debuggees/:debuggeeId/breakpoints/:breakpointId
+//   GET    /admin/debuggees/:debuggeeId/snapshots
+//
+// It can also be run from the command line:
+//
+//   node lib/controllerserver.js [port] [stateDirectory]
+
+var http = require('http');
+var url = require('url');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+
+/** @const {string} file holding the server state in the state directory */
+var STATE_FILE = 'controller-state.json';
+
+/** @const {number} default long poll duration for breakpoint lists */
+var DEFAULT_WAIT_TIMEOUT_SEC = 40;
+
+/** @const {number} port used when run from the command line */
+var DEFAULT_PORT = 8080;
+
+/**
+ * Routes are matched in order against the request method and path. Captured
+ * path segments are passed to the handler as arguments.
+ * @const {Array<Array>}
+ */
+var ROUTES = [
+  ['POST', /^\/v2\/controller\/debuggees\/register$/, 'register_'],
+  ['GET', /^\/v2\/controller\/debuggees\/([^\/]+)\/breakpoints$/,
+    'listBreakpoints_'],
+  ['PUT', /^\/v2\/controller\/debuggees\/([^\/]+)\/breakpoints\/([^\/]+)$/,
+    'updateBreakpoint_'],
+  ['GET', /^\/admin\/debuggees$/, 'adminListDebuggees_'],
+  ['GET', /^\/admin\/debuggees\/([^\/]+)\/breakpoints$/,
+    'adminListBreakpoints_'],
+  ['POST', /^\/admin\/debuggees\/([^\/]+)\/breakpoints$/,
+    'adminAddBreakpoint_'],
+  ['GET', /^\/admin\/debuggees\/([^\/]+)\/breakpoints\/([^\/]+)$/,
+    'adminGetBreakpoint_'],
+  ['DELETE', /^\/admin\/debuggees\/([^\/]+)\/breakpoints\/([^\/]+)$/,
+    'adminDeleteBreakpoint_'],
+  ['GET', /^\/admin\/debuggees\/([^\/]+)\/snapshots$/, 'adminListSnapshots_']
+];
+
+/**
+ * @param {Object=} options
+ *   - stateDirectory {string} when set, the state is kept in this directory
+ *     and restored from it on construction. Otherwise it is only kept in
+ *     memory.
+ *   - waitTimeoutSec {number} how long a breakpoint list request carrying
+ *     the current wait token is held before it expires.
+ * @event 'registered' (debuggee) when a debuggee registers
+ * @event 'breakpointAdded' (debuggeeId, breakpoint) through the admin API
+ * @event 'breakpointUpdated' (debuggeeId, breakpoint) when a debuggee reports
+ *     a breakpoint in its final state
+ * @event 'breakpointStatus' (debuggeeId, breakpoint) when a debuggee reports
+ *     the status of an active breakpoint
+ * @constructor
+ */
+function ControllerServer(options) {
+  options = options || {};
+
+  /** @private {?string} */
+  this.stateDirectory_ = options.stateDirectory || null;
+
+  /** @private {number} */
+  this.waitTimeoutSec_ = typeof options.waitTimeoutSec === 'number' ?
+    options.waitTimeoutSec : DEFAULT_WAIT_TIMEOUT_SEC;
+
+  /**
+   * @private {Object.<string, Object>} per debuggee id: the registered
+   *     debuggee, a version bumped on every change to the active breakpoints,
+   *     the active and the completed breakpoints by id.
+   */
+  this.debuggees_ = {};
+
+  /** @private {number} */
+  this.nextBreakpointId_ = 1;
+
+  /** @private {Object.<string, Array<Object>>} held list requests */
+  this.waiters_ = {};
+
+  /** @private {http.Server} */
+  this.server_ = http.createServer(this.handleRequest_.bind(this));
+
+  EventEmitter.call(this);
+
+  this.loadState_();
+}
+
+util.inherits(ControllerServer, EventEmitter);
+
+/**
+ * @param {number} port port to listen on, 0 picks a free one
+ * @param {function()=} callback called once listening
+ */
+ControllerServer.prototype.listen = function(port, callback) {
+  this.server_.listen(port, callback);
+};
+
+/**
+ * @return {string} the controller url for the agent's controllerUrl config
+ */
+ControllerServer.prototype.controllerUrl = function() {
+  return 'http://localhost:' + this.server_.address().port + '/v2/controller';
+};
+
+/**
+ * Stops accepting connections. Held breakpoint list requests are expired.
+ * @param {function()=} callback called once the server is closed
+ */
+ControllerServer.prototype.close = function(callback) {
+  var that = this;
+  Object.keys(that.waiters_).forEach(function(id) {
+    that.waiters_[id].forEach(function(waiter) {
+      clearTimeout(waiter.timer);
+      waiter.expire();
+    });
+  });
+  that.waiters_ = {};
+  that.server_.close(callback);
+};
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @private
+ */
+ControllerServer.prototype.handleRequest_ = function(req, res) {
+  var that = this;
+  var parsed = url.parse(req.url, true);
+  var data = '';
+
+  function respond(statusCode, body) {
+    var payload = JSON.stringify(body || {});
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  req.setEncoding('utf8');
+  req.on('data', function(chunk) { data += chunk; });
+  req.on('end', function() {
+    var body = {};
+    if (data) {
+      try {
+        body = JSON.parse(data);
+      } catch (e) {
+        return respond(400, error(400, 'malformed request body'));
+      }
+      if (!isObject(body) && (req.method === 'POST' || req.method === 'PUT')) {
+        return respond(400, error(400, 'the request body must be an object'));
+      }
+    }
+
+    for (var i = 0; i < ROUTES.length; i++) {
+      var match = ROUTES[i][1].exec(parsed.pathname);
+      if (match && ROUTES[i][0] === req.method) {
+        var request = { query: parsed.query, body: body, res: res };
+        var args = [request, respond].concat(
+          match.slice(1).map(decodeURIComponent));
+        try {
+          return that[ROUTES[i][2]].apply(that, args);
+        } catch (e) {
+          // E.g. the state can't be saved. The server keeps running.
+          if (!res.headersSent) {
+            respond(500, error(500, e.message));
+          }
+          return;
+        }
+      }
+    }
+    respond(404, error(404, 'no route for ' + req.method + ' ' +
+      parsed.pathname));
+  });
+};
+
+/**
+ * POST /v2/controller/debuggees/register
+ * Debuggees registering with the same project and uniquifier get the same
+ * id, and keep their breakpoints.
+ * @private
+ */
+ControllerServer.prototype.register_ = function(request, respond) {
+  var debuggee = request.body.debuggee;
+  if (!isObject(debuggee) || !debuggee.uniquifier) {
+    return respond(400, error(400, 'debuggee.uniquifier is required'));
+  }
+
+  var id = 'debuggee-' + crypto.createHash('sha1')
+    .update(debuggee.project + ':' + debuggee.uniquifier)
+    .digest('hex').slice(0, 16);
+  debuggee.id = id;
+
+  if (!this.debuggees_[id]) {
+    this.debuggees_[id] = {
+      debuggee: null,
+      version: 1,
+      active: {},
+      completed: {}
+    };
+  }
+  this.debuggees_[id].debuggee = debuggee;
+  this.saveState_();
+
+  this.emit('registered', debuggee);
+  respond(200, { debuggee: debuggee });
+};
+
+/**
+ * GET /v2/controller/debuggees/:debuggeeId/breakpoints
+ * Answers immediately unless the request carries the current wait token, in
+ * which case it is held until the active breakpoints change or the wait
+ * times out.
+ * @private
+ */
+ControllerServer.prototype.listBreakpoints_ = function(request, respond, id) {
+  var that = this;
+  var state = that.debuggees_[id];
+  if (!state) {
+    // This is how the API tells an agent that it needs to re-register.
+    return respond(404, error(404, 'debuggee ' + id + ' is not registered'));
+  }
+
+  function list() {
+    respond(200, {
+      breakpoints: values(that.debuggees_[id].active),
+      nextWaitToken: String(that.debuggees_[id].version)
+    });
+  }
+
+  if (request.query.waitToken !== String(state.version) ||
+      that.waitTimeoutSec_ <= 0) {
+    return list();
+  }
+
+  var waiter = {
+    list: list,
+    expire: function() {
+      if (request.query.success_on_timeout === 'true') {
+        respond(200, { waitExpired: true });
+      } else {
+        respond(409, error(409, 'wait expired'));
+      }
+    },
+    timer: null
+  };
+  waiter.timer = setTimeout(function() {
+    that.removeWaiter_(id, waiter);
+    waiter.expire();
+  }, that.waitTimeoutSec_ * 1000);
+  // The agent may give up on the request before it is answered.
+  request.res.on('close', function() {
+    clearTimeout(waiter.timer);
+    that.removeWaiter_(id, waiter);
+  });
+
+  that.waiters_[id] = that.waiters_[id] || [];
+  that.waiters_[id].push(waiter);
+};
+
+/**
+ * PUT /v2/controller/debuggees/:debuggeeId/breakpoints/:breakpointId
+ * Breakpoints in their final state are moved from the active to the
+ * completed breakpoints. Other updates only set the status of the active
+ * breakpoint.
+ * @private
+ */
+ControllerServer.prototype.updateBreakpoint_ = function(request, respond, id,
+    breakpointId) {
+  var state = this.debuggees_[id];
+  if (!state) {
+    return respond(404, error(404, 'debuggee ' + id + ' is not registered'));
+  }
+  if (!state.active[breakpointId]) {
+    return respond(404, error(404, 'breakpoint ' + breakpointId +
+      ' is not active'));
+  }
+  var breakpoint = request.body.breakpoint;
+  if (!isObject(breakpoint) || breakpoint.id !== breakpointId) {
+    return respond(400, error(400, 'breakpoint id mismatch'));
+  }
+
+  if (breakpoint.isFinalState === false) {
+    var active = state.active[breakpointId];
+    if (breakpoint.status) {
+      active.status = breakpoint.status;
+    } else {
+      delete active.status;
+    }
+    this.saveState_();
+    this.emit('breakpointStatus', id, active);
+    return respond(200, {});
+  }
+
+  breakpoint.isFinalState = true;
+  breakpoint.finalTime = timestamp();
+  breakpoint.createdTime = state.active[breakpointId].createdTime;
+  delete state.active[breakpointId];
+  state.completed[breakpointId] = breakpoint;
+  this.activeBreakpointsChanged_(id);
+
+  this.emit('breakpointUpdated', id, breakpoint);
+  respond(200, {});
+};
+
+/**
+ * GET /admin/debuggees
+ * @private
+ */
+ControllerServer.prototype.adminListDebuggees_ = function(request, respond) {
+  var that = this;
+  respond(200, {
+    debuggees: Object.keys(that.debuggees_).map(function(id) {
+      return that.debuggees_[id].debuggee;
+    })
+  });
+};
+
+/**
+ * GET /admin/debuggees/:debuggeeId/breakpoints
+ * @private
+ */
+ControllerServer.prototype.adminListBreakpoints_ = function(request, respond,
+    id) {
+  var state = this.debuggees_[id];
+  if (!state) {
+    return respond(404, error(404, 'debuggee ' + id + ' is not registered'));
+  }
+  respond(200, { breakpoints: values(state.active) });
+};
+
+/**
+ * POST /admin/debuggees/:debuggeeId/breakpoints
+ * The body is a breakpoint, e.g.
+ *   { location: { path: 'app.js', line: 10 }, expressions: ['x'] }
+ * An id is assigned unless one is given.
+ * @private
+ */
+ControllerServer.prototype.adminAddBreakpoint_ = function(request, respond,
+    id) {
+  var state = this.debuggees_[id];
+  if (!state) {
+    return respond(404, error(404, 'debuggee ' + id + ' is not registered'));
+  }
+  var breakpoint = request.body;
+  if (!isObject(breakpoint.location) || !breakpoint.location.path ||
+      !breakpoint.location.line) {
+    return respond(400, error(400, 'location.path and location.line are ' +
+      'required'));
+  }
+
+  if (breakpoint.id === undefined) {
+    while (this.findBreakpoint_(state, String(this.nextBreakpointId_))) {
+      this.nextBreakpointId_++;
+    }
+    breakpoint.id = String(this.nextBreakpointId_++);
+  }
+  breakpoint.id = String(breakpoint.id);
+  if (this.findBreakpoint_(state, breakpoint.id)) {
+    return respond(409, error(409, 'breakpoint ' + breakpoint.id +
+      ' already exists'));
+  }
+  breakpoint.action = breakpoint.action || 'CAPTURE';
+  breakpoint.createdTime = timestamp();
+  state.active[breakpoint.id] = breakpoint;
+  this.activeBreakpointsChanged_(id);
+
+  this.emit('breakpointAdded', id, breakpoint);
+  respond(200, { breakpoint: breakpoint });
+};
+
+/**
+ * GET /admin/debuggees/:debuggeeId/breakpoints/:breakpointId
+ * Returns active as well as completed breakpoints.
+ * @private
+ */
+ControllerServer.prototype.adminGetBreakpoint_ = function(request, respond,
+    id, breakpointId) {
+  var state = this.debuggees_[id];
+  var breakpoint = state && this.findBreakpoint_(state, breakpointId);
+  if (!breakpoint) {
+    return respond(404, error(404, 'breakpoint ' + breakpointId +
+      ' not found'));
+  }
+  respond(200, { breakpoint: breakpoint });
+};
+
+/**
+ * DELETE /admin/debuggees/:debuggeeId/breakpoints/:breakpointId
+ * @private
+ */
+ControllerServer.prototype.adminDeleteBreakpoint_ = function(request,
+    respond, id, breakpointId) {
+  var state = this.debuggees_[id];
+  if (!state || !this.findBreakpoint_(state, breakpointId)) {
+    return respond(404, error(404, 'breakpoint ' + breakpointId +
+      ' not found'));
+  }
+  delete state.completed[breakpointId];
+  if (state.active[breakpointId]) {
+    delete state.active[breakpointId];
+    this.activeBreakpointsChanged_(id);
+  } else {
+    this.saveState_();
+  }
+  respond(200, {});
+};
+
+/**
+ * GET /admin/debuggees/:debuggeeId/snapshots
+ * Returns the breakpoints the debuggee has reported in their final state.
+ * @private
+ */
+ControllerServer.prototype.adminListSnapshots_ = function(request, respond,
+    id) {
+  var state = this.debuggees_[id];
+  if (!state) {
+    return respond(404, error(404, 'debuggee ' + id + ' is not registered'));
+  }
+  respond(200, { breakpoints: values(state.completed) });
+};
+
+/**
+ * @param {Object} state debuggee state
+ * @param {string} breakpointId
+ * @return {?Object} the active or completed breakpoint
+ * @private
+ */
+ControllerServer.prototype.findBreakpoint_ = function(state, breakpointId) {
+  return state.active[breakpointId] || state.completed[breakpointId] || null;
+};
+
+/**
+ * Bumps the wait token of the debuggee, answers held list requests and
+ * persists the state.
+ * @param {string} id debuggee id
+ * @private
+ */
+ControllerServer.prototype.activeBreakpointsChanged_ = function(id) {
+  this.debuggees_[id].version++;
+
+  var waiters = this.waiters_[id] || [];
+  delete this.waiters_[id];
+  waiters.forEach(function(waiter) {
+    clearTimeout(waiter.timer);
+    waiter.list();
+  });
+  this.saveState_();
+};
+
+/**
+ * @param {string} id debuggee id
+ * @param {Object} waiter
+ * @private
+ */
+ControllerServer.prototype.removeWaiter_ = function(id, waiter) {
+  var waiters = this.waiters_[id] || [];
+  var index = waiters.indexOf(waiter);
+  if (index !== -1) {
+    waiters.splice(index, 1);
+  }
+};
+
+/**
+ * @private
+ */
+ControllerServer.prototype.loadState_ = function() {
+  if (!this.stateDirectory_) {
+    return;
+  }
+  var data;
+  try {
+    data = fs.readFileSync(path.join(this.stateDirectory_, STATE_FILE), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return; // Nothing saved yet.
+    }
+    throw e;
+  }
+  var saved = JSON.parse(data);
+  this.debuggees_ = saved.debuggees || {};
+  this.nextBreakpointId_ = saved.nextBreakpointId || 1;
+};
+
+/**
+ * The state is written to a temporary file first, so that a crash while
+ * writing doesn't lose the previous state.
+ * @throws {Error} if the state can't be written, e.g. the state directory
+ *     doesn't exist. Requests are then answered with 500.
+ * @private
+ */
+ControllerServer.prototype.saveState_ = function() {
+  if (!this.stateDirectory_) {
+    return;
+  }
+  var file = path.join(this.stateDirectory_, STATE_FILE);
+  fs.writeFileSync(file + '.tmp', JSON.stringify({
+    debuggees: this.debuggees_,
+    nextBreakpointId: this.nextBreakpointId_
+  }));
+  fs.renameSync(file + '.tmp', file);
+};
+
+/**
+ * @param {number} code http status code
+ * @param {string} message
+ * @return {Object} an error body in the format of the Google APIs
+ */
+function error(code, message) {
+  return { error: { code: code, message: message } };
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} whether the value is a JSON object, rather than null, an
+ *     array or a primitive
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @return {Object} the current time as a google.protobuf.Timestamp
+ */
+function timestamp() {
+  var now = Date.now();
+  return {
+    seconds: String(Math.floor(now / 1000)),
+    nanos: (now % 1000) * 1e6
+  };
+}
+
+/**
+ * @param {Object} map
+ * @return {Array} the values of the map
+ */
+function values(map) {
+  return Object.keys(map).map(function(key) { return map[key]; });
+}
+
+module.exports = ControllerServer;
+
+if (require.main === module) {
+  var port = process.argv[2] ? parseInt(process.argv[2], 10) : DEFAULT_PORT;
+  var controller = new ControllerServer({
+    stateDirectory: process.argv[3]
+  });
+  controller.listen(port, function() {
+    console.log('Debug controller listening on ' + controller.controllerUrl());
+  });
+}
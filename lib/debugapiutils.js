@@ -0,0 +1,703 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Helpers shared by the debug api backends (v8debugapi.js and
+// inspectordebugapi.js). Everything here is independent of the way the
+// breakpoint ends up being installed in V8.
+
+/** @const */ var fs = require('fs');
+/** @const */ var path = require('path');
+
+/** @const */ var StatusMessage = require('./apiclasses.js').StatusMessage;
+/** @const */ var compilers = require('./compilers.js');
+/** @const */ var sourcemaps = require('./sourcemaps.js');
+
+/** @const */ var messages = {
+  INVALID_BREAKPOINT: 'invalid snapshot - id or location missing',
+  BREAKPOINT_ONLY_SUPPORTS_JAVASCRIPT:
+    'Only files with .js extensions or source maps are supported',
+  SOURCE_FILE_NOT_FOUND:
+    'A script matching the source file was not found loaded on the debuggee',
+  SOURCE_FILE_AMBIGUOUS: 'Multiple files match the path specified',
+  BREAKPOINT_PENDING:
+    'Waiting for a script matching the source file to be loaded',
+  PENDING_BREAKPOINT_TIMEOUT:
+    'No script matching the source file was loaded within ',
+  V8_BREAKPOINT_ERROR: 'Unable to set breakpoint in v8',
+  NO_BREAK_LOCATION: 'No code to break on was found at the breakpoint line',
+  SYNTAX_ERROR_IN_CONDITION: 'Syntax error in condition: ',
+  ERROR_EVALUATING_CONDITION: 'Error evaluating condition: ',
+  ERROR_COMPILING_CONDITION: 'Error compiling condition: ',
+  ERROR_COMPILING_EXPRESSION: 'Error compiling expression: ',
+  INVALID_HIT_CONDITION: 'Invalid hit count condition: ',
+  INVALID_CAPTURE_LIMITS: 'Invalid capture limits: ',
+  DISALLOWED_EXPRESSION: 'Expression not allowed',
+  SOURCE_MAP_URL_NOT_FOUND: 'The source map url could not be found in the compiled file',
+  SOURCE_MAP_READ_ERROR: 'The source map could not be read or was incorrectly formatted',
+  V8_BREAKPOINT_MISSING: 'Internal error: V8 breakpoint missing',
+  V8_BREAKPOINT_DISABLED: 'Internal error: V8 breakpoint externally disabled',
+  CAPTURE_BREAKPOINT_DATA: 'Error trying to capture snapshot data: ',
+  CAPTURE_BUDGET_EXHAUSTED: 'The breakpoint was cancelled because capturing ' +
+    'its data took longer than its time budget',
+  INVALID_LINE_NUMBER: 'Invalid snapshot position: '
+};
+
+/**
+ * The limits of `config.capture` a breakpoint may override.
+ * @const
+ */
+var CAPTURE_LIMITS = ['maxFrames', 'maxExpandFrames', 'maxProperties',
+  'maxDataSize', 'maxStringLength'];
+
+/** @const */ var CAPTURE_DIRECTIVE = /^\s*\$capture\b/;
+
+/** @const */ var MODULE_WRAP_PREFIX_LENGTH = require('module').wrap('☃')
+                                                               .indexOf('☃');
+
+module.exports = {
+  messages: messages,
+  MODULE_WRAP_PREFIX_LENGTH: MODULE_WRAP_PREFIX_LENGTH,
+  prepareBreakpoint: prepareBreakpoint,
+  compileExpressions: compileExpressions,
+  compileLogExpressions: compileLogExpressions,
+  hitConditionMet: hitConditionMet,
+  isCaptureDirective: isCaptureDirective,
+  captureConfig: captureConfig,
+  captureLimitsText: captureLimitsText,
+  pathToRegExp: pathToRegExp,
+  setErrorStatusAndCallback: setErrorStatusAndCallback,
+  createMetrics: createMetrics,
+  toSeconds: toSeconds
+};
+
+/**
+ * Validates the breakpoint, maps it through a source map if needed, and
+ * locates the loaded script the breakpoint refers to. On error the status of
+ * the breakpoint is set and the callback is invoked with the error.
+ *
+ * @param {!Breakpoint} breakpoint Debug API Breakpoint object
+ * @param {!Object} config
+ * @param {!Object} fileStats file statistics produced by the scanner
+ * @param {!Logger} logger
+ * @param {function(?Error, Object=)} cb callback receiving an object with the
+ *    matching script path, the line and column to break at, the parsed
+ *    condition and its compiled source, the optional compile function and
+ *    the source map the location was mapped through, if any, and the hit
+ *    count condition, see parseHitCondition, and the capture limits of the
+ *    breakpoint, see parseCaptureLimits. The breakpoint keeps its condition
+ *    as given, so that it can be prepared again.
+ */
+function prepareBreakpoint(breakpoint, config, fileStats, logger, cb) {
+  if (!breakpoint ||
+      typeof breakpoint.id === 'undefined' || // 0 is a valid id
+      !breakpoint.location ||
+      !breakpoint.location.path ||
+      !breakpoint.location.line) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.UNSPECIFIED, messages.INVALID_BREAKPOINT);
+  }
+
+  var hits;
+  try {
+    hits = parseHitCondition(breakpoint);
+  } catch (e) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_CONDITION,
+      messages.INVALID_HIT_CONDITION + e.message);
+  }
+  var captureLimits;
+  try {
+    captureLimits = parseCaptureLimits(breakpoint, config);
+  } catch (e) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_EXPRESSION,
+      messages.INVALID_CAPTURE_LIMITS + e.message);
+  }
+  var callback = cb;
+  cb = function(err, resolved) {
+    if (resolved) {
+      resolved.hitCondition = hits.hitCondition;
+      resolved.captureLimits = captureLimits;
+    }
+    callback(err, resolved);
+  };
+
+  var scriptPath = path.normalize(breakpoint.location.path);
+  var sourcePath = scriptPath;
+  var indexed = findSourceMaps(scriptPath, config, fileStats);
+
+  if (!indexed && endsWith(scriptPath, '.js')) {
+    return resolveScript(breakpoint, scriptPath, null, null, null,
+      hits.condition, config, fileStats, cb);
+  }
+
+  var compile;
+  try {
+    compile = compilers.forPath(scriptPath, config);
+  } catch (e) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_CONDITION, messages.ERROR_COMPILING_CONDITION +
+        e.message);
+  }
+  var condition = hits.condition;
+  if (condition && compile) {
+    try {
+      condition = compile(condition);
+    } catch (e) {
+      logger.info('Unable to compile condition >> ' +
+        breakpoint.condition + ' <<');
+      return setErrorStatusAndCallback(cb, breakpoint,
+          StatusMessage.BREAKPOINT_CONDITION,
+          messages.ERROR_COMPILING_CONDITION + e.message);
+    }
+  }
+
+  // The breakpoint keeps its location in the source; it is set at the
+  // generated location instead.
+  function onSourceMap(script, err, data, mapPath) {
+    if (err) {
+      return setErrorStatusAndCallback(cb, breakpoint,
+        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+        err.code === 'ENOURL' ? messages.SOURCE_MAP_URL_NOT_FOUND :
+          messages.SOURCE_MAP_READ_ERROR + err);
+    }
+    var generated;
+    try {
+      generated = toGenerated(data, mapPath, sourcePath,
+        breakpoint.location.line);
+    } catch (err) {
+      return setErrorStatusAndCallback(cb, breakpoint,
+        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+        messages.SOURCE_MAP_READ_ERROR + err);
+    }
+    if (!generated) {
+      return setErrorStatusAndCallback(cb, breakpoint,
+        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+        messages.INVALID_LINE_NUMBER + breakpoint.location.path + ':' +
+          breakpoint.location.line + '. The source map of ' + script +
+          ' has no code for this line.');
+    }
+    resolveScript(breakpoint, script, generated.line, generated.sourceMap,
+      compile, condition, config, fileStats, cb);
+  }
+
+  if (indexed) {
+    if (indexed.sourceMaps.length > 1) {
+      return setErrorStatusAndCallback(cb, breakpoint,
+        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+        messages.SOURCE_FILE_AMBIGUOUS);
+    }
+    // Matching against the resolved path tells apart sources with the same
+    // name in a bundle.
+    sourcePath = indexed.source;
+    var found = indexed.sourceMaps[0];
+    fs.readFile(found.map, 'utf8', function(err, data) {
+      onSourceMap(found.script, err, data, found.map);
+    });
+    return;
+  }
+
+  // Without a source map naming the source, the generated script is expected
+  // next to it.
+  scriptPath = scriptPath.substr(0, scriptPath.lastIndexOf('.')) + '.js';
+  var scripts = findScripts(scriptPath, config, fileStats, true);
+  if (scripts.length === 0) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+      messages.BREAKPOINT_ONLY_SUPPORTS_JAVASCRIPT);
+  } else if (scripts.length > 1) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+      messages.SOURCE_FILE_AMBIGUOUS);
+  }
+  sourcemaps.load(scripts[0], onSourceMap.bind(null, scriptPath));
+}
+
+/**
+ * Extracts the hit count condition of a breakpoint. It is given either by a
+ * `hitCondition` label, or as a prefix of the condition joined to the rest
+ * by `&&`, e.g. `$hits >= 100 && n > 3`. Hit count conditions are `== N`
+ * (only the Nth hit), `>= N` (the Nth hit and the ones after it) or `% N`
+ * (every Nth hit); a plain number means `== N`. Only the hits meeting the
+ * rest of the condition are counted.
+ *
+ * @param {!Breakpoint} breakpoint
+ * @return {{condition: (string|undefined), hitCondition: ?Object}} the
+ *     condition without the prefix, and the hit count condition, if any, as
+ *     { operator, count }
+ * @throws {Error} if the hit count condition is invalid
+ */
+function parseHitCondition(breakpoint) {
+  var condition = breakpoint.condition;
+  var spec = breakpoint.labels && breakpoint.labels.hitCondition;
+  var prefix = condition &&
+    /^\s*\$hits\s*(==|>=|%)\s*([^\s&]*)\s*(?:&&([\s\S]*))?$/.exec(condition);
+  if (prefix) {
+    if (spec) {
+      throw new Error('given both as a label and in the condition');
+    }
+    spec = prefix[1] + prefix[2];
+    condition = prefix[3] && prefix[3].trim() ? prefix[3] : undefined;
+  }
+  if (condition && /\$hits\b/.test(condition)) {
+    throw new Error('$hits must be compared to a number with ==, >= or % ' +
+      'at the start of the condition, e.g. $hits >= 100 && n > 3');
+  }
+  if (!spec) {
+    return { condition: condition, hitCondition: null };
+  }
+  var parsed = /^\s*(==|>=|%)?\s*(\d+)\s*$/.exec(spec);
+  var count = parsed && parseInt(parsed[2], 10);
+  if (!count) {
+    throw new Error(spec + '. Expected ==N, >=N or %N with N a positive ' +
+      'integer');
+  }
+  return {
+    condition: condition,
+    hitCondition: { operator: parsed[1] || '==', count: count }
+  };
+}
+
+/**
+ * @param {?Object} hitCondition see parseHitCondition
+ * @param {number} hitCount the hits counted so far, including this one
+ * @return {boolean} whether this hit is captured
+ */
+function hitConditionMet(hitCondition, hitCount) {
+  if (!hitCondition) {
+    return true;
+  }
+  switch (hitCondition.operator) {
+    case '>=':
+      return hitCount >= hitCondition.count;
+    case '%':
+      return hitCount % hitCondition.count === 0;
+    default:
+      return hitCount === hitCondition.count;
+  }
+}
+
+/**
+ * @param {string} expression a watch expression
+ * @return {boolean} whether the expression is a `$capture` directive setting
+ *     capture limits rather than an expression to evaluate
+ */
+function isCaptureDirective(expression) {
+  return CAPTURE_DIRECTIVE.test(expression);
+}
+
+/**
+ * Extracts the capture limits a snapshot overrides. They are given either by
+ * labels named after the limit, e.g. `capture.maxDataSize`, or by a watch
+ * expression directive, e.g. `$capture maxDataSize=100000 maxFrames=50`.
+ * Limits are positive integers, lowered to `config.capture.ceilings`.
+ *
+ * @param {!Breakpoint} breakpoint
+ * @param {!Object} config
+ * @return {?Object} the effective value of each limit of CAPTURE_LIMITS, or
+ *     null if the breakpoint overrides none
+ * @throws {Error} if a limit is invalid
+ */
+function parseCaptureLimits(breakpoint, config) {
+  var specs = {};
+  function add(name, value) {
+    if (CAPTURE_LIMITS.indexOf(name) === -1) {
+      throw new Error('unknown limit ' + name + '. Expected one of ' +
+        CAPTURE_LIMITS.join(', '));
+    }
+    if (specs.hasOwnProperty(name)) {
+      throw new Error(name + ' is given more than once');
+    }
+    specs[name] = value;
+  }
+  Object.keys(breakpoint.labels || {}).forEach(function(label) {
+    if (label.indexOf('capture.') === 0) {
+      add(label.substr('capture.'.length), breakpoint.labels[label]);
+    }
+  });
+  (breakpoint.expressions || []).filter(isCaptureDirective).forEach(
+    function(directive) {
+      directive.replace(CAPTURE_DIRECTIVE, '').split(/[\s,]+/).filter(
+        Boolean).forEach(function(setting) {
+          var parts = setting.split('=');
+          if (parts.length !== 2) {
+            throw new Error(setting + '. Expected name=value');
+          }
+          add(parts[0], parts[1]);
+        });
+    });
+  var names = Object.keys(specs);
+  if (!names.length) {
+    return null;
+  }
+  if (breakpoint.action === 'LOG') {
+    throw new Error('only snapshots capture data');
+  }
+  var ceilings = config.capture.ceilings || {};
+  var limits = {};
+  CAPTURE_LIMITS.forEach(function(name) {
+    limits[name] = config.capture[name];
+  });
+  names.forEach(function(name) {
+    var value = /^\s*\d+\s*$/.test(specs[name]) && parseInt(specs[name], 10);
+    if (!value) {
+      throw new Error(name + '=' + specs[name] + '. Expected a positive ' +
+        'integer');
+    }
+    limits[name] = ceilings[name] ? Math.min(value, ceilings[name]) : value;
+  });
+  return limits;
+}
+
+/**
+ * @param {!Object} config
+ * @param {?Object} captureLimits see parseCaptureLimits
+ * @return {!Object} the configuration to capture the data of a snapshot with
+ */
+function captureConfig(config, captureLimits) {
+  if (!captureLimits) {
+    return config;
+  }
+  var result = Object.create(config);
+  result.capture = Object.create(config.capture);
+  CAPTURE_LIMITS.forEach(function(name) {
+    result.capture[name] = captureLimits[name];
+  });
+  return result;
+}
+
+/**
+ * @param {!Object} captureLimits see parseCaptureLimits
+ * @return {string} the limits as given to a `$capture` directive, reported
+ *     in the `captureLimits` label of snapshots
+ */
+function captureLimitsText(captureLimits) {
+  return CAPTURE_LIMITS.map(function(name) {
+    return name + '=' + captureLimits[name];
+  }).join(' ');
+}
+
+/**
+ * Looks up the source map index built by the scanner for the source a
+ * breakpoint is set in. JavaScript files found by the scanner are taken to be
+ * loaded as they are, even if a source map names them.
+ *
+ * @param {!string} scriptPath the path of the breakpoint
+ * @param {!Object} config
+ * @param {!Object} fileStats
+ * @return {?Object} the path of the source and its sourceMaps entries, see
+ *     scanner.scan, or null if no source map names the source
+ */
+function findSourceMaps(scriptPath, config, fileStats) {
+  var matches = findScripts(scriptPath, config, fileStats);
+  var stats = matches.length === 1 && fileStats[matches[0]];
+  if (!stats || !stats.sourceMaps || stats.lines !== undefined) {
+    return null;
+  }
+  return { source: matches[0], sourceMaps: stats.sourceMaps };
+}
+
+/**
+ * @param {string} data a source map
+ * @param {string} mapPath where the source map was found
+ * @param {string} sourcePath the path of one of its sources
+ * @param {number} line a line of the source
+ * @return {?Object} the first generated line for the source line, and the
+ *     source map, see SourceMapper.add; or null when the source or the line
+ *     has no mapping
+ * @throws {Error} if the source map is invalid
+ */
+function toGenerated(data, mapPath, sourcePath, line) {
+  var sm = require('source-map');
+  var consumer = new sm.SourceMapConsumer(data);
+  var source = sourcemaps.matchSource(consumer.sources, sourcePath);
+  if (!source) {
+    return null;
+  }
+  var lines = consumer.allGeneratedPositionsFor({
+    source: source,
+    line: line
+  }).map(function(position) { return position.line; });
+  if (!lines.length) {
+    return null;
+  }
+  return {
+    line: Math.min.apply(Math, lines),
+    sourceMap: { consumer: consumer, path: mapPath }
+  };
+}
+
+/**
+ * At this point we have looked up source maps (if necessary), and scriptPath
+ * happens to be a JavaScript path.
+ *
+ * @param {!Breakpoint} breakpoint Debug API Breakpoint object
+ * @param {!string} scriptPath path to JavaScript source file
+ * @param {?number} line the line in the script, when mapped from the
+ *    location of the breakpoint
+ * @param {?Object} sourceMap the source map the line was mapped through
+ * @param {function(string)=} compile optional compile function that can be
+ *    be used to compile source expressions to JavaScript
+ * @param {string=} condition the condition of the breakpoint, compiled to
+ *    JavaScript
+ * @param {!Object} config
+ * @param {!Object} fileStats
+ * @param {function(?Error, Object=)} cb error-back style callback
+ */
+function resolveScript(breakpoint, scriptPath, line, sourceMap, compile,
+    condition, config, fileStats, cb) {
+  line = line || breakpoint.location.line;
+
+  // Parse and validate conditions and watch expressions for correctness and
+  // immutability
+  var ast = null;
+  if (condition) {
+    var acorn = require('acorn');
+    try {
+      ast = acorn.parse(condition, { sourceType: 'script'});
+      var validator = require('./validator.js');
+      if (!validator.isValid(ast)) {
+        return setErrorStatusAndCallback(cb, breakpoint,
+          StatusMessage.BREAKPOINT_CONDITION,
+          messages.DISALLOWED_EXPRESSION);
+      }
+    } catch (err) {
+      var message = messages.SYNTAX_ERROR_IN_CONDITION + err.message;
+      return setErrorStatusAndCallback(cb, breakpoint,
+        StatusMessage.BREAKPOINT_CONDITION, message);
+    }
+  }
+
+  // Presently it is not possible to precisely disambiguate the script
+  // path from the path provided by the debug server. The issue is that we
+  // don't know the repository root relative to the root filesystem or relative
+  // to the working-directory of the process. We want to make sure that we are
+  // setting the breakpoint that the user intended instead of a breakpoint
+  // in a file that happens to have the same name but is in a different
+  // directory. Until this is addressed between the server and the debuglet,
+  // we are going to assume that repository root === the starting working
+  // directory.
+  var matchingScript;
+  var scripts = findScripts(scriptPath, config, fileStats, true);
+  if (scripts.length === 0) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+      messages.SOURCE_FILE_NOT_FOUND);
+  } else if (scripts.length === 1) {
+    // Found the script
+    matchingScript = scripts[0];
+  } else {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+      messages.SOURCE_FILE_AMBIGUOUS);
+  }
+
+  if (line >= fileStats[matchingScript].lines) {
+    return setErrorStatusAndCallback(cb, breakpoint,
+      StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+      messages.INVALID_LINE_NUMBER + matchingScript + ':' +
+        line + '. Loaded script contained ' +
+        fileStats[matchingScript].lines + ' lines. Please ensure' +
+        ' that the snapshot was set in the same code version as the' +
+        ' deployed source.');
+  }
+
+  cb(null, {
+    scriptPath: matchingScript,
+    line: line,
+    // The breakpoint protobuf message presently doesn't have a column
+    // property but it may have one in the future.
+    column: breakpoint.location.column || 1,
+    ast: ast,
+    condition: condition,
+    compile: compile,
+    sourceMap: sourceMap
+  });
+}
+
+/**
+ * Compiles the watch expressions of the breakpoint in place. Expressions that
+ * fail to compile are removed from the breakpoint.
+ *
+ * @param {!Breakpoint} breakpoint
+ * @param {function(string)=} compile
+ * @param {!Logger} logger
+ * @return {Array<Object>} evaluated expressions for the expressions that
+ *     could not be compiled
+ */
+function compileExpressions(breakpoint, compile, logger) {
+  var expressionErrors = [];
+  if (breakpoint.expressions && compile) {
+    var compiled = [];
+    breakpoint.expressions.forEach(function(expr) {
+      if (isCaptureDirective(expr)) {
+        compiled.push(expr);
+        return;
+      }
+      try {
+        compiled.push(compile(expr));
+      } catch (e) {
+        expressionErrors.push(compileError(expr, e, logger));
+      }
+    });
+    breakpoint.expressions = compiled;
+  }
+  return expressionErrors;
+}
+
+/**
+ * Compiles the expressions of a logpoint, once when it is set. The
+ * breakpoint is left as it is, and the results keep the positions of the
+ * expressions that the log message format refers to.
+ *
+ * @param {!Breakpoint} breakpoint
+ * @param {function(string)=} compile
+ * @param {!Logger} logger
+ * @return {Array<string|Object>} the compiled expressions, or the evaluated
+ *     expressions for those that could not be compiled
+ */
+function compileLogExpressions(breakpoint, compile, logger) {
+  return (breakpoint.expressions || []).map(function(expr) {
+    if (!compile || isCaptureDirective(expr)) {
+      return expr;
+    }
+    try {
+      return compile(expr);
+    } catch (e) {
+      return compileError(expr, e, logger);
+    }
+  });
+}
+
+/**
+ * @param {string} expr
+ * @param {Error} e the error compiling the expression
+ * @param {!Logger} logger
+ * @return {Object} the evaluated expression reporting the error
+ */
+function compileError(expr, e, logger) {
+  logger.info('Unable to compile watch expression >> ' + expr + ' <<');
+  return {
+    name: expr,
+    status: new StatusMessage(StatusMessage.BREAKPOINT_EXPRESSION,
+      messages.ERROR_COMPILING_EXPRESSION + e.message, true)
+  };
+}
+
+function endsWith(str, suffix) {
+  if (typeof String.prototype.endsWith === 'function') {
+    return str.endsWith(suffix);
+  } else {
+    return str.indexOf(suffix, str.length - suffix.length) !== -1;
+  }
+}
+
+/**
+ * @param {!string} scriptPath path of a script
+ */
+function pathToRegExp(scriptPath) {
+  // make sure the script path starts with a slash. This makes sure our
+  // regexp doesn't match monkey.js when the user asks to set a breakpoint
+  // in key.js
+  if (path.sep === '/' || scriptPath.indexOf(':') === -1) {
+    scriptPath = path.join(path.sep, scriptPath);
+  }
+  if (path.sep !== '/') {
+    scriptPath = scriptPath.replace(new RegExp('\\\\', 'g'), '\\\\');
+  }
+  return new RegExp(scriptPath + '$');
+}
+
+/**
+ * @param {!string} scriptPath the path of a breakpoint
+ * @param {!Object} config
+ * @param {!Object} fileStats
+ * @param {boolean=} scriptsOnly whether to leave out the sources only known
+ *     from source maps, which would make the matching scripts ambiguous
+ * @return {Array<string>} the matching files of the statistics
+ */
+function findScripts(scriptPath, config, fileStats, scriptsOnly) {
+  var files = Object.keys(fileStats).filter(function(file) {
+    return !scriptsOnly || fileStats[file].lines !== undefined;
+  });
+  // Use repository relative mapping if present.
+  if (config.appPathRelativeToRepository) {
+    var candidate = scriptPath.replace(config.appPathRelativeToRepository,
+      config.workingDirectory);
+    // There should be no ambiguity resolution if project root is provided.
+    return files.indexOf(candidate) !== -1 ? [ candidate ] : [];
+  }
+  var regexp = pathToRegExp(scriptPath);
+  // Next try to match path.
+  var matches = files.filter(regexp.test.bind(regexp));
+  // Finally look for files with the same name regardless of path.
+  if (matches.length !== 1) {
+    matches = files;
+    var components = scriptPath.split(path.sep);
+    for (var i = components.length - 1;
+         i >= 0 && matches.length > 1; i--) {
+      regexp = pathToRegExp(components.slice(i).join(path.sep));
+      matches = matches.filter(regexp.test.bind(regexp));
+    }
+  }
+  return matches;
+}
+
+/**
+ * The metrics recorded by the backends.
+ * @param {MetricsRegistry} registry
+ * @return {Object.<string, Counter|Histogram>}
+ */
+function createMetrics(registry) {
+  return {
+    hits: registry.counter('cloud_debug_breakpoint_hits_total',
+      'Breakpoint hits reported by V8'),
+    conditionEvaluations: registry.counter(
+      'cloud_debug_condition_evaluations_total',
+      'Breakpoint condition evaluations, by result'),
+    conditionDuration: registry.histogram(
+      'cloud_debug_condition_duration_seconds',
+      'Time spent evaluating breakpoint conditions'),
+    captureDuration: registry.histogram('cloud_debug_capture_duration_seconds',
+      'Time spent capturing breakpoint data'),
+    captureErrors: registry.counter('cloud_debug_capture_errors_total',
+      'Breakpoint hits whose data could not be captured'),
+    variableTableSize: registry.histogram('cloud_debug_variable_table_size',
+      'Entries in the variable table of captured snapshots',
+      [10, 50, 100, 500, 1000, 5000])
+  };
+}
+
+/**
+ * @param {Array<number>} hrtime a process.hrtime duration
+ * @return {number} the duration in seconds
+ */
+function toSeconds(hrtime) {
+  return hrtime[0] + hrtime[1] / 1e9;
+}
+
+function setErrorStatusAndCallback(fn, breakpoint, refersTo, message) {
+  return setImmediate(function() {
+    // Informational statuses, e.g. a logpoint exceeding its quota, give
+    // way to the error.
+    if (breakpoint && (!breakpoint.status || !breakpoint.status.isError)) {
+      breakpoint.status = new StatusMessage(refersTo, message, true);
+    }
+    fn(new Error(message));
+  });
+}
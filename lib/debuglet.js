@@ -24,9 +24,18 @@ var semver = require('semver');
 
 var v8debugapi = require('./v8debugapi.js');
 var DebugletApi = require('./debugletapi.js');
+var UpdateQueue = require('./updatequeue.js');
+var BreakpointLifecycle = require('./breakpointlifecycle.js');
+var CodeWatcher = require('./codewatcher.js');
+var logpointSink = require('./logpointsink.js');
+var LogpointLimiter = require('./logpointlimiter.js');
+var Redactor = require('./redactor.js');
+var metrics = require('./metrics.js');
 var scanner = require('./scanner.js');
 var Logger = require('@google/cloud-diagnostics-common').logger;
 var StatusMessage = require('./apiclasses.js').StatusMessage;
+var utils = require('./debugapiutils.js');
+var State = BreakpointLifecycle.State;
 
 var assert = require('assert');
 
@@ -42,10 +51,23 @@ module.exports = Debuglet;
  * @event 'error' on startup errors
  * @event 'started' once the startup tasks are completed
  * @event 'registered' once successfully registered to the debug api
- * @event 'stopped' if the agent stops due to a fatal error after starting
+ * @event 'stopped' once stop is called
+ * @event 'breakpointPending' (breakpoint) when a breakpoint waits for its
+ *     script to be loaded. Its status says so, and it isn't active yet.
+ * @event 'breakpointSet' (breakpoint) once a breakpoint is active
+ * @event 'breakpointHit' (breakpoint) each time a breakpoint is hit and its
+ *     data captured
+ * @event 'snapshotCaptured' (breakpoint) when a snapshot breakpoint has
+ *     captured its data, before it is reported to the server
+ * @event 'breakpointError' (breakpoint, err) when a breakpoint can't be set
+ *     or fails when hit. The breakpoint status describes the error.
+ * @event 'codeChanged' (files) once the changed files are scanned again,
+ *     when watch.enabled is set
  * @constructor
  */
 function Debuglet(config, logger) {
+  var that = this;
+
   /** @private {object} */
   this.config_ = config || {};
 
@@ -58,20 +80,93 @@ function Debuglet(config, logger) {
   /** @private {boolean} */
   this.running_ = false;
 
+  /** @private {boolean} whether stop was called, possibly during startup */
+  this.stopped_ = false;
+
   /** @private {boolean} */
   this.fetcherActive_ = false;
 
   /** @private {Logger} */
   this.logger_ = logger;
 
-  /** @private {DebugletApi} */
-  this.debugletApi_ = new DebugletApi(config.description);
+  /** @private {MetricsRegistry} the agent's own telemetry */
+  this.metrics_ = new metrics.MetricsRegistry();
+
+  /** @private {Object.<string, Counter>} */
+  this.stats_ = {
+    registrations: this.metrics_.counter('cloud_debug_registrations_total',
+      'Debuggee registration attempts, by result'),
+    fetches: this.metrics_.counter('cloud_debug_breakpoint_fetches_total',
+      'Breakpoint fetches, by HTTP status code'),
+    breakpointsSet: this.metrics_.counter('cloud_debug_breakpoints_set_total',
+      'Attempts to set breakpoints in V8, by result'),
+    updates: this.metrics_.counter('cloud_debug_breakpoint_updates_total',
+      'Attempts to send breakpoint updates to the server, by result'),
+    redactions: this.metrics_.counter('cloud_debug_redactions_total',
+      'Values redacted from snapshots and logpoint messages')
+  };
+  this.metrics_.gauge('cloud_debug_active_breakpoints',
+    'Breakpoints currently set in the application', function() {
+      return that.listBreakpoints().length;
+    });
+
+  /** @private {?http.Server} serves the metrics when metrics.port is set */
+  this.metricsServer_ = null;
+
+  /** @private {Object} the file statistics of the scanner, set on start */
+  this.fileStats_ = null;
+
+  /** @private {?CodeWatcher} created on start when watch.enabled is set */
+  this.codeWatcher_ = null;
+
+  /** @private {DebugletApi} created on start with the configured transport */
+  this.debugletApi_ = null;
+
+  /** @private {Object} where logpoint output goes, created on start */
+  this.logpointSink_ = null;
+
+  /** @private {LogpointLimiter} */
+  this.logpointLimiter_ = new LogpointLimiter(
+    (this.config_.logpoint && this.config_.logpoint.rateLimit) || {},
+    function(breakpoint, summary) {
+      that.logpointSink_.write(logpointSink.createRecord(breakpoint, summary));
+    },
+    function(breakpoint) {
+      var record = that.lifecycle_.get(breakpoint.id);
+      if (record) {
+        that.reportStatus_(record);
+      }
+    });
+
+  /** @private {Redactor} */
+  this.redactor_ = new Redactor(this.config_.redaction || {});
+
+  /**
+   * @private {BreakpointLifecycle} the state of the breakpoints, whether set
+   *     by the debug controller or through setBreakpoint
+   */
+  this.lifecycle_ = new BreakpointLifecycle(logger);
+
+  /** @private {number} */
+  this.nextLocalBreakpointId_ = 1;
+
+  /** @private {?Timer} */
+  this.registrationTimer_ = null;
 
-  /** @private {Object.<string, Breakpoint>} */
-  this.activeBreakpointMap_ = {};
+  /** @private {?Timer} */
+  this.fetchTimer_ = null;
 
-  /** @private {Object.<string, Boolean>} */
-  this.completedBreakpointMap_ = {};
+  /**
+   * @private {UpdateQueue} breakpoint updates waiting to be sent to the
+   *     server. It is resumed once registered.
+   */
+  this.updateQueue_ = new UpdateQueue(this.config_.updateQueue || {}, logger,
+    function(breakpoint, callback) {
+      that.debugletApi_.updateBreakpoint(breakpoint, function(err/*, body*/) {
+        that.stats_.updates.inc({ result: err ? 'error' : 'success' });
+        callback(err);
+      });
+    });
 
   EventEmitter.call(this);
 }
@@ -85,12 +180,29 @@ util.inherits(Debuglet, EventEmitter);
  */
 Debuglet.prototype.start = function() {
   var that = this;
+  that.stopped_ = false;
   fs.stat(path.join(that.config_.workingDirectory, 'package.json'), function(err) {
     if (err && err.code === 'ENOENT') {
       that.logger_.error('No package.json located in working directory.');
       that.emit('initError', new Error('No package.json found.'));
       return;
     }
+    try {
+      that.debugletApi_ = new DebugletApi(that.config_.description,
+        DebugletApi.createTransport(that.config_));
+    } catch (err) {
+      that.logger_.error('Unable to create the controller transport', err);
+      that.emit('initError', err);
+      return;
+    }
+    try {
+      that.logpointSink_ = logpointSink.create(that.config_.logpoint || {},
+        that.logger_);
+    } catch (err) {
+      that.logger_.error('Unable to create the logpoint sink', err);
+      that.emit('initError', err);
+      return;
+    }
     var id;
     if (process.env.GAE_MINOR_VERSION) {
       id = 'GAE-' + process.env.GAE_MINOR_VERSION;
@@ -102,7 +214,16 @@ Debuglet.prototype.start = function() {
         that.emit('initError', err);
         return;
       }
-      that.v8debug_ = v8debugapi.create(that.logger_, that.config_, fileStats);
+      if (that.stopped_) {
+        return;
+      }
+      that.fileStats_ = fileStats;
+      that.v8debug_ = v8debugapi.create(that.logger_, that.config_, fileStats,
+        that.metrics_);
+      // Logpoint hits over quota are dropped before anything is captured.
+      that.v8debug_.setLogpointFilter(function(breakpoint) {
+        return that.logpointLimiter_.allow(breakpoint);
+      });
 
       id = id || hash;
 
@@ -115,6 +236,9 @@ Debuglet.prototype.start = function() {
           that.emit('initError', err);
           return;
         }
+        if (that.stopped_) {
+          return;
+        }
 
         if (semver.satisfies(process.version, '5.2 || <0.12')) {
           // Using an unsupported version. We report an error message about the
@@ -124,6 +248,9 @@ Debuglet.prototype.start = function() {
           that.logger_.error(NODE_VERSION_MESSAGE);
         }
 
+        that.startMetricsServer_();
+        that.startCodeWatcher_(!process.env.GAE_MINOR_VERSION);
+
         // We can register as a debuggee now.
         that.running_ = true;
         that.scheduleRegistration_(0 /* immediately */);
@@ -133,6 +260,104 @@ Debuglet.prototype.start = function() {
   });
 };
 
+/**
+ * Serves the metrics on the configured local port, if any. The agent keeps
+ * running when the port is not available.
+ * @private
+ */
+Debuglet.prototype.startMetricsServer_ = function() {
+  var that = this;
+  var options = that.config_.metrics || {};
+  if (!options.port) {
+    return;
+  }
+  that.metricsServer_ = metrics.listen(that.metrics_, options.port,
+    options.host || '127.0.0.1', function(err) {
+      if (err) {
+        that.logger_.error('Unable to serve the metrics on port ' +
+          options.port, err);
+        that.metricsServer_ = null;
+        return;
+      }
+      that.logger_.info('Serving the metrics on port ' + options.port);
+    });
+};
+
+/**
+ * Watches the working directory for code changes, if enabled.
+ * @param {boolean} shouldHash whether the hash of the code identifies the
+ *     debuggee
+ * @private
+ */
+Debuglet.prototype.startCodeWatcher_ = function(shouldHash) {
+  var that = this;
+  var options = that.config_.watch || {};
+  if (!options.enabled) {
+    return;
+  }
+  that.codeWatcher_ = new CodeWatcher(that.config_.workingDirectory,
+    that.fileStats_, options, shouldHash, function(err, files, hash) {
+      if (err) {
+        that.logger_.error('Error scanning the changed files.', err);
+        return;
+      }
+      that.onCodeChange_(files, hash);
+    });
+  that.codeWatcher_.start();
+};
+
+/**
+ * Checks the active breakpoints against the updated file statistics, and
+ * registers again as a new debuggee if the code changed.
+ * @param {Array<string>} files the changed files
+ * @param {?string} hash the hash-code of the code, unless it isn't hashed
+ * @private
+ */
+Debuglet.prototype.onCodeChange_ = function(files, hash) {
+  var that = this;
+  that.logger_.info('Code changed: ' + files.join(', '));
+  that.lifecycle_.records(function(record) {
+    return record.state === State.SET;
+  }).forEach(that.revalidateBreakpoint_, that);
+  if (hash && that.debugletApi_.setUid(hash)) {
+    that.logger_.info('Unique ID for this Application: ' + hash);
+    that.scheduleRegistration_(0 /* immediately */);
+  }
+  that.emit('codeChanged', files);
+};
+
+/**
+ * Rejects an active breakpoint whose line no longer exists in its file. The
+ * code loaded in the application doesn't change, but the breakpoint was set
+ * in another version than the code on disk. Other errors, e.g. a removed
+ * file, leave the breakpoint as it is.
+ * @param {BreakpointRecord} record
+ * @private
+ */
+Debuglet.prototype.revalidateBreakpoint_ = function(record) {
+  var that = this;
+  var breakpoint = record.breakpoint;
+  var status = breakpoint.status;
+  utils.prepareBreakpoint(breakpoint, that.config_, that.fileStats_,
+    that.logger_, function(err) {
+      if (!err) {
+        return;
+      }
+      if (err.message.indexOf(utils.messages.INVALID_LINE_NUMBER) !== 0 ||
+          record.state !== State.SET) {
+        breakpoint.status = status;
+        if (!status) {
+          delete breakpoint.status;
+        }
+        return;
+      }
+      that.logger_.info('\tbreakpoint ' + breakpoint.id +
+        ' is no longer valid');
+      that.emit('breakpointError', breakpoint, err);
+      that.completeBreakpoint_(record, State.REJECTED);
+    });
+};
+
 /**
  * @param {number} seconds
  * @private
@@ -146,27 +371,34 @@ Debuglet.prototype.scheduleRegistration_ = function(seconds) {
       that.config_.internal.maxRegistrationRetryDelay));
   }
 
-  setTimeout(function() {
+  clearTimeout(that.registrationTimer_);
+  that.registrationTimer_ = setTimeout(function() {
     if (!that.running_) {
-      onError(new Error('Debuglet not running'));
       return;
     }
 
     that.debugletApi_.register(function(err, result) {
+      if (!that.running_) {
+        return;
+      }
       if (err) {
+        that.stats_.registrations.inc({ result: 'error' });
         onError(err);
         return;
       }
 
       if (result.debuggee.isDisabled) {
         // Server has disabled this debuggee / debug agent.
+        that.stats_.registrations.inc({ result: 'disabled' });
         onError(new Error('Disabled by the server'));
         return;
       }
 
+      that.stats_.registrations.inc({ result: 'success' });
       that.logger_.info('Registered as debuggee:', result.debuggee.id);
 
       that.emit('registered', result.debuggee.id);
+      that.updateQueue_.resume();
       if (!that.fetcherActive_) {
         that.scheduleBreakpointFetch_(0);
       }
@@ -182,7 +414,8 @@ Debuglet.prototype.scheduleBreakpointFetch_ = function(seconds) {
   var that = this;
 
   that.fetcherActive_ = true;
-  setTimeout(function() {
+  clearTimeout(that.fetchTimer_);
+  that.fetchTimer_ = setTimeout(function() {
     if (!that.running_) {
       return;
     }
@@ -190,6 +423,10 @@ Debuglet.prototype.scheduleBreakpointFetch_ = function(seconds) {
 
     that.logger_.info('Fetching breakpoints');
     that.debugletApi_.listBreakpoints(function(err, response, body) {
+      if (!that.running_) {
+        return;
+      }
+      that.stats_.fetches.inc({ status: err ? 'error' : response.statusCode });
       if (err) {
         that.logger_.error('Unable to fetch breakpoints – stopping fetcher',
           err);
@@ -212,26 +449,16 @@ Debuglet.prototype.scheduleBreakpointFetch_ = function(seconds) {
 
         default:
           that.logger_.info('\t' + response.statusCode + ' completed.');
-          if (body.wait_expired) {
+          if (body.waitExpired || body.wait_expired) {
             that.logger_.info('\tLong poll completed.');
             that.scheduleBreakpointFetch_(0/*immediately*/);
             return;
           }
-          var bps = (body.breakpoints || []).filter(function(bp) {
-            var action = bp.action || 'CAPTURE';
-            if (action !== 'CAPTURE' && action !== 'LOG') {
-              that.logger_.warn('Found breakpoint with invalid action:', action);
-              bp.status = new StatusMessage(StatusMessage.UNSPECIFIED,
-                BREAKPOINT_ACTION_MESSAGE, true);
-              that.rejectBreakpoint_(bp);
-              return false;
-            }
-            return true;
-          });
-          that.updateActiveBreakpoints_(bps);
-          if (Object.keys(that.activeBreakpointMap_).length) {
+          that.updateActiveBreakpoints_(body.breakpoints || []);
+          var active = that.listBreakpoints();
+          if (active.length) {
             that.logger_.breakpoints(Logger.INFO, 'Active Breakpoints:',
-              that.activeBreakpointMap_);
+              that.convertBreakpointListToMap_(active));
           }
           that.scheduleBreakpointFetch_(that.config_.breakpointUpdateIntervalSec);
           return;
@@ -254,31 +481,38 @@ Debuglet.prototype.updateActiveBreakpoints_ = function(breakpoints) {
   }
 
   breakpoints.forEach(function(breakpoint) {
-
-    if (!that.completedBreakpointMap_[breakpoint.id] &&
-        !that.activeBreakpointMap_[breakpoint.id]) {
-
-      // New breakpoint
-      that.addBreakpoint_(breakpoint, function(err) {
-        if (err) {
-          that.completeBreakpoint_(breakpoint);
-        }
-      });
+    if (that.lifecycle_.get(breakpoint.id)) {
+      return;
     }
 
-    // Schedule the expiry of server breakpoints.
-    that.scheduleBreakpointExpiry_(breakpoint);
+    // New breakpoint
+    var record = that.lifecycle_.add(breakpoint, false);
+    var action = breakpoint.action || 'CAPTURE';
+    if (action !== 'CAPTURE' && action !== 'LOG') {
+      that.logger_.warn('Found breakpoint with invalid action:', action);
+      breakpoint.status = new StatusMessage(StatusMessage.UNSPECIFIED,
+        BREAKPOINT_ACTION_MESSAGE, true);
+      that.rejectBreakpoint_(record);
+      return;
+    }
+    that.scheduleBreakpointExpiry_(record);
+    that.addBreakpoint_(record, function(err) {
+      if (err) {
+        that.completeBreakpoint_(record, State.REJECTED);
+      }
+    });
   });
 
-  // Remove completed breakpoints that the server no longer cares about.
-  Debuglet.mapSubtract(this.completedBreakpointMap_, updatedBreakpointMap)
-    .forEach(function(breakpoint){
-      delete this.completedBreakpointMap_[breakpoint.id];
-    }, this);
-
-  // Remove active breakpoints that the server no longer care about.
-  Debuglet.mapSubtract(this.activeBreakpointMap_, updatedBreakpointMap)
-    .forEach(this.removeBreakpoint_, this);
+  // Forget the breakpoints that the server no longer cares about, removing
+  // the ones still active.
+  that.lifecycle_.records(function(record) {
+    return !record.local && !updatedBreakpointMap[record.id];
+  }).forEach(function(record) {
+    if (!record.isFinished()) {
+      that.removeBreakpoint_(record);
+    }
+    that.lifecycle_.forget(record.id);
+  });
 };
 
 /**
@@ -296,119 +530,212 @@ Debuglet.prototype.convertBreakpointListToMap_ = function(breakpointList) {
 };
 
 /**
- * @param {Breakpoint} breakpoint
+ * Clears a breakpoint that hasn't been completed.
+ * @param {BreakpointRecord} record
  * @private
  */
-Debuglet.prototype.removeBreakpoint_ = function(breakpoint) {
-  this.logger_.info('\tdeleted breakpoint', breakpoint.id);
-  delete this.activeBreakpointMap_[breakpoint.id];
+Debuglet.prototype.removeBreakpoint_ = function(record) {
+  var breakpoint = record.breakpoint;
+  if (!this.lifecycle_.transition(record, State.CLEARED)) {
+    return;
+  }
+  this.logger_.info('\tdeleted breakpoint', record.id);
+  this.logpointLimiter_.remove(record.id);
   if (this.v8debug_) {
     this.v8debug_.clear(breakpoint);
   }
 };
 
 /**
- * @param {Breakpoint} breakpoint
- * @return {boolean} false on error
+ * @param {BreakpointRecord} record a pending breakpoint
+ * @param {function(?Error)} cb called on error
+ * @param {function()=} onSet called once the breakpoint is active, or
+ *     pending until its script is loaded
  * @private
  */
-Debuglet.prototype.addBreakpoint_ = function(breakpoint, cb) {
+Debuglet.prototype.addBreakpoint_ = function(record, cb, onSet) {
   var that = this;
+  var breakpoint = record.breakpoint;
+
+  function onError(err) {
+    that.emit('breakpointError', breakpoint, err);
+    cb(err);
+  }
 
   if (semver.satisfies(process.version, '5.2 || <0.12')) {
     var message = NODE_VERSION_MESSAGE;
     that.logger_.error(message);
     breakpoint.status = new StatusMessage(StatusMessage.UNSPECIFIED,
       message, true);
-    setImmediate(function() { cb(message); });
+    setImmediate(function() { onError(message); });
     return;
   }
 
-  that.v8debug_.set(breakpoint, function(err) {
+  // Whether the breakpoint waits for its script to be loaded.
+  var deferred = false;
+
+  function activate() {
+    that.lifecycle_.transition(record, State.SET);
+    that.emit('breakpointSet', breakpoint);
+  }
+
+  that.v8debug_.set(breakpoint, function(err, pending) {
+    if (!that.running_) {
+      // Stopped in the meantime, which cleared the breakpoint.
+      cb(new Error('The debug agent has stopped'));
+      return;
+    }
+    if (record.state !== State.PENDING) {
+      // Removed or expired in the meantime.
+      if (!err) {
+        that.v8debug_.clear(breakpoint);
+      }
+      cb(new Error('Breakpoint ' + record.id + ' was removed'));
+      return;
+    }
+    that.stats_.breakpointsSet.inc({ result: err ? 'error' : 'success' });
     if (err) {
-      cb(err);
+      onError(err);
       return;
     }
 
-    that.logger_.info('\tsuccessfully added breakpoint  ' + breakpoint.id);
-    that.activeBreakpointMap_[breakpoint.id] = breakpoint;
-
     that.v8debug_.wait(breakpoint, function waitHandler(err) {
       if (err) {
         that.logger_.error(err);
-        cb(err);
+        onError(err);
+        return;
+      }
+      if (!that.lifecycle_.transition(record, State.HIT)) {
         return;
       }
 
       that.logger_.info('Breakpoint hit!: ' + breakpoint.id);
+      // Sensitive values never reach listeners, the sink or the server.
+      var redactions = breakpoint.action === 'LOG' ?
+        that.redactor_.redactLogpoint(breakpoint) :
+        that.redactor_.redactSnapshot(breakpoint);
+      that.stats_.redactions.inc({}, redactions);
+      that.emit('breakpointHit', breakpoint);
+      that.lifecycle_.transition(record, State.CAPTURING);
       if (breakpoint.action === 'LOG') {
         var message = Debuglet.format(breakpoint.logMessageFormat,
           breakpoint.evaluatedExpressions.map(JSON.stringify));
-        console.log(message);
-        if (!that.completedBreakpointMap_[breakpoint.id]) {
-          setTimeout(function() {
-            that.v8debug_.wait(breakpoint, waitHandler);
-          }, 500);
+        that.logpointSink_.write(logpointSink.createRecord(breakpoint, message));
+        // Unless cleared by a breakpointHit listener.
+        if (that.lifecycle_.transition(record, State.SET)) {
+          that.v8debug_.wait(breakpoint, waitHandler);
         }
       } else {
-        that.completeBreakpoint_(breakpoint);
+        that.emit('snapshotCaptured', breakpoint);
+        that.completeBreakpoint_(record, State.COMPLETED);
       }
     });
+
+    if (pending) {
+      that.logger_.info('\tbreakpoint ' + breakpoint.id +
+        ' waits for its script to be loaded');
+      deferred = true;
+      that.reportStatus_(record);
+      that.emit('breakpointPending', breakpoint);
+    } else {
+      that.logger_.info('\tsuccessfully added breakpoint  ' + breakpoint.id);
+      activate();
+    }
+
+    if (onSet) {
+      onSet();
+    }
+  }, function() {
+    if (deferred && record.state === State.PENDING) {
+      that.logger_.info('\tsuccessfully added pending breakpoint  ' +
+        breakpoint.id);
+      activate();
+      // Clears the pending status.
+      that.reportStatus_(record);
+    }
   });
 };
 
 /**
- * Update the server that the breakpoint has been completed (captured, or
- * expired).
- * @param {Breakpoint} breakpoint
+ * Clears the breakpoint and updates the server that it has been completed
+ * (captured, rejected or expired). It is final once the server has the
+ * update.
+ * @param {BreakpointRecord} record
+ * @param {State} outcome
  * @private
  */
-Debuglet.prototype.completeBreakpoint_ = function(breakpoint) {
+Debuglet.prototype.completeBreakpoint_ = function(record, outcome) {
   var that = this;
+  var breakpoint = record.breakpoint;
+
+  if (!that.lifecycle_.complete(record, outcome)) {
+    return;
+  }
+  if (that.v8debug_) {
+    that.v8debug_.clear(breakpoint);
+  }
+  that.logpointLimiter_.remove(record.id);
+
+  if (record.local) {
+    // The server doesn't know about local breakpoints.
+    that.lifecycle_.finish(record);
+    return;
+  }
 
   that.logger_.info('\tupdating breakpoint data on server', breakpoint.id);
-  that.debugletApi_.updateBreakpoint(breakpoint, function(err/*, body*/) {
-    if (err) {
-      that.logger_.error('Unable to complete breakpoint on server', err);
-    } else {
-      that.completedBreakpointMap_[breakpoint.id] = true;
-      that.removeBreakpoint_(breakpoint);
-    }
+  that.updateQueue_.add(breakpoint, function() {
+    that.lifecycle_.finish(record);
   });
 };
 
 /**
- * Update the server that the breakpoint cannot be handled.
- * @param {Breakpoint} breakpoint
+ * Updates the server about the status of a breakpoint that stays active. The
+ * update isn't retried, a later status or the final update supersedes it.
+ * @param {BreakpointRecord} record
  * @private
  */
-Debuglet.prototype.rejectBreakpoint_ = function(breakpoint) {
+Debuglet.prototype.reportStatus_ = function(record) {
   var that = this;
-
-  that.debugletApi_.updateBreakpoint(breakpoint, function(err/*, body*/) {
+  if (record.local || record.state === State.COMPLETING ||
+      record.isFinished() || !that.running_) {
+    return;
+  }
+  that.debugletApi_.reportStatus(record.breakpoint, function(err) {
     if (err) {
-      that.logger_.error('Unable to complete breakpoint on server', err);
+      that.logger_.warn('Unable to report the status of breakpoint ' +
+        record.id, err);
     }
   });
 };
 
+/**
+ * Update the server that the breakpoint cannot be handled.
+ * @param {BreakpointRecord} record
+ * @private
+ */
+Debuglet.prototype.rejectBreakpoint_ = function(record) {
+  this.emit('breakpointError', record.breakpoint,
+    new Error(record.breakpoint.status.description.format));
+  this.completeBreakpoint_(record, State.REJECTED);
+};
+
 /**
  * This schedules a delayed operation that will delete the breakpoint from the
- * server after the expiry period.
- * FIXME: we should cancel the timer when the breakpoint completes. Otherwise
- * we hold onto the closure memory until the breapointExpirateion timeout.
- * @param {Breakpoint} breakpoint Server breakpoint object
+ * server after the expiry period. The timer is cancelled once the breakpoint
+ * is completing or removed.
+ * @param {BreakpointRecord} record Server breakpoint
  * @private
  */
-Debuglet.prototype.scheduleBreakpointExpiry_ = function(breakpoint) {
+Debuglet.prototype.scheduleBreakpointExpiry_ = function(record) {
   var that = this;
+  var breakpoint = record.breakpoint;
 
   var now = Date.now() / 1000;
   var createdTime = breakpoint.createdTime ?
     parseInt(breakpoint.createdTime.seconds) : now;
   var expiryTime = createdTime + that.config_.breakpointExpirationSec;
 
-  setTimeout(function() {
+  that.lifecycle_.setTimer(record, 'expiry', function() {
     that.logger_.info('Expiring breakpoint ' + breakpoint.id);
     breakpoint.status = {
       description: {
@@ -417,16 +744,181 @@ Debuglet.prototype.scheduleBreakpointExpiry_ = function(breakpoint) {
       isError: true,
       refersTo: 'unspecified'
     };
-    that.completeBreakpoint_(breakpoint);
-  }, (expiryTime - now) * 1000).unref();
+    that.completeBreakpoint_(record, State.EXPIRED);
+  }, (expiryTime - now) * 1000);
 };
 
 /**
- * Stops the Debuglet
+ * Sets a breakpoint that isn't managed by the debug controller. Its data is
+ * only reported through the breakpoint events, and it stays active until it
+ * is hit (snapshots), or until it is cleared (logpoints). The agent has to be
+ * running.
+ * @param {Breakpoint} breakpoint An id is assigned unless one is given.
+ * @param {function(?Error, Breakpoint=)=} callback called once the breakpoint
+ *     is active or pending, or with the error that prevented it
  */
-Debuglet.prototype.stop = function() {
-  this.running_ = false;
-  this.emit('stopped');
+Debuglet.prototype.setBreakpoint = function(breakpoint, callback) {
+  var that = this;
+  callback = callback || function() {};
+
+  if (!that.running_) {
+    return setImmediate(function() {
+      callback(new Error('The debug agent is not running'));
+    });
+  }
+
+  if (breakpoint.id === undefined) {
+    breakpoint.id = 'local-' + that.nextLocalBreakpointId_++;
+  }
+  breakpoint.id = String(breakpoint.id);
+  var existing = that.lifecycle_.get(breakpoint.id);
+  if (existing && !existing.isFinished()) {
+    return setImmediate(function() {
+      callback(new Error('Breakpoint ' + breakpoint.id + ' already exists'));
+    });
+  }
+
+  breakpoint.action = breakpoint.action || 'CAPTURE';
+  if (breakpoint.action !== 'CAPTURE' && breakpoint.action !== 'LOG') {
+    breakpoint.status = new StatusMessage(StatusMessage.UNSPECIFIED,
+      BREAKPOINT_ACTION_MESSAGE, true);
+    that.emit('breakpointError', breakpoint,
+      new Error(BREAKPOINT_ACTION_MESSAGE));
+    return setImmediate(function() {
+      callback(new Error(BREAKPOINT_ACTION_MESSAGE));
+    });
+  }
+
+  var record = that.lifecycle_.add(breakpoint, true);
+  var isSet = false;
+  that.addBreakpoint_(record, function(err) {
+    that.completeBreakpoint_(record, State.REJECTED);
+    if (!isSet) {
+      callback(err);
+    }
+  }, function() {
+    isSet = true;
+    callback(null, breakpoint);
+  });
+};
+
+/**
+ * Clears a breakpoint set through setBreakpoint.
+ * @param {string} id
+ * @return {boolean} whether the breakpoint was active
+ */
+Debuglet.prototype.clearBreakpoint = function(id) {
+  var record = this.lifecycle_.get(id);
+  if (!record || !record.local || record.isFinished()) {
+    return false;
+  }
+  var active = record.isActive();
+  this.removeBreakpoint_(record);
+  return active;
+};
+
+/**
+ * @return {Array.<Breakpoint>} the active breakpoints, whether set by the
+ *     debug controller or through setBreakpoint
+ */
+Debuglet.prototype.listBreakpoints = function() {
+  return this.lifecycle_.records(function(record) {
+    return record.isActive();
+  }).map(function(record) {
+    return record.breakpoint;
+  });
+};
+
+/**
+ * @return {Array<Object>} the state of the breakpoints known to the agent,
+ *     including recently completed ones, see BreakpointLifecycle.inspect
+ */
+Debuglet.prototype.inspectBreakpoints = function() {
+  return this.lifecycle_.inspect();
+};
+
+/**
+ * @param {string=} format 'prometheus' for the Prometheus text format
+ * @return {Object|string} the agent's own metrics, see
+ *     MetricsRegistry.snapshot, or their text
+ */
+Debuglet.prototype.getMetrics = function(format) {
+  return format === 'prometheus' ? this.metrics_.toPrometheus() :
+    this.metrics_.snapshot();
+};
+
+/**
+ * @return {Object} a summary of the agent state
+ */
+Debuglet.prototype.getStatus = function() {
+  return {
+    running: this.running_,
+    debuggeeId: (this.debugletApi_ && this.debugletApi_.debuggeeId_) || null,
+    activeBreakpoints: this.listBreakpoints().length,
+    completedBreakpoints: this.lifecycle_.records(function(record) {
+      return record.isFinished() && record.state !== State.CLEARED;
+    }).length,
+    updateQueue: this.updateQueue_.getStats(),
+    captureBudget: this.v8debug_ ? this.v8debug_.getCaptureBudget() : null
+  };
+};
+
+/**
+ * Stops the Debuglet. The breakpoints are cleared, the debugger is detached
+ * and the timers are cancelled. The breakpoint update being sent to the
+ * server, if any, is waited for.
+ * @param {function(?Error)=} callback called once the update being sent is
+ *     done, with an error naming the updates that could not be sent, unless
+ *     they are kept in the spill directory
+ * @return {Promise|undefined} a promise for the same, when no callback is
+ *     given and promises are available
+ */
+Debuglet.prototype.stop = function(callback) {
+  var that = this;
+  var promise;
+  if (!callback && typeof Promise !== 'undefined') {
+    promise = new Promise(function(resolve, reject) {
+      callback = function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
+    });
+  }
+
+  that.running_ = false;
+  that.stopped_ = true;
+  that.fetcherActive_ = false;
+  clearTimeout(that.registrationTimer_);
+  clearTimeout(that.fetchTimer_);
+
+  if (that.codeWatcher_) {
+    that.codeWatcher_.stop();
+    that.codeWatcher_ = null;
+  }
+  if (that.v8debug_) {
+    that.listBreakpoints().forEach(function(breakpoint) {
+      that.v8debug_.clear(breakpoint);
+    });
+    v8debugapi.destroy();
+    that.v8debug_ = null;
+  }
+  if (that.logpointSink_) {
+    that.logpointSink_.close();
+    that.logpointSink_ = null;
+  }
+  if (that.metricsServer_) {
+    that.metricsServer_.close();
+    that.metricsServer_ = null;
+  }
+  that.lifecycle_.reset();
+  that.logpointLimiter_.stop();
+
+  that.emit('stopped');
+  that.updateQueue_.stop(callback || function() {});
+  return promise;
 };
 
 
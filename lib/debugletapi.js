@@ -20,9 +20,13 @@ var fs = require('fs');
 var path = require('path');
 var assert = require('assert');
 var crypto = require('crypto');
+var request = require('request');
 var pjson = require('../package.json');
 var utils = require('@google/cloud-diagnostics-common').utils;
 var StatusMessage = require('./apiclasses.js').StatusMessage;
+var HttpTransport = require('./httptransport.js');
+var FileSystemTransport = require('./filesystemtransport.js');
+var InProcessTransport = require('./inprocesstransport.js');
 
 /** @const {string} Cloud Debug API endpoint */
 var API = 'https://clouddebugger.googleapis.com/v2/controller';
@@ -39,11 +43,15 @@ var SCOPES = [
 ];
 
 /**
+ * @param {string=} descriptor a descriptor of the current code version
+ * @param {Object=} transport the controller transport to use, see
+ *     DebugletApi.createTransport. Defaults to the Cloud Debug API.
  * @constructor
  */
-function DebugletApi(descriptor) {
-  /** @private {Object} request style request object */
-  this.request_ = utils.authorizedRequestFactory(SCOPES);
+function DebugletApi(descriptor, transport) {
+  /** @private {Object} controller transport */
+  this.transport_ = transport ||
+    new HttpTransport(API, utils.authorizedRequestFactory(SCOPES));
 
   /** @private {string} numeric project id */
   this.project_ = null;
@@ -97,6 +105,22 @@ DebugletApi.prototype.init = function(uid, logger, callback) {
   });
 };
 
+/**
+ * Changes the unique-id of the source loaded in the client, e.g. after the
+ * code changed on disk. The debuggee has to register again.
+ * @param {!string} uid unique identifier for the version of source loaded
+ *     in the client
+ * @return {boolean} whether the unique-id changed
+ */
+DebugletApi.prototype.setUid = function(uid) {
+  if (uid === this.uid_) {
+    return false;
+  }
+  this.uid_ = uid;
+  this.nextWaitToken_ = null;
+  return true;
+};
+
 /**
  * Register to the API
  * @param {!function(?Error,Object=)} callback
@@ -180,14 +204,7 @@ DebugletApi.prototype.register_ = function(errorMessage, callback) {
                                         true);
   }
 
-  var options = {
-    url: API + '/debuggees/register',
-    method: 'POST',
-    json: true,
-    body: { debuggee: debuggee }
-  };
-
-  that.request_(options, function(err, response, body) {
+  that.transport_.register(debuggee, function(err, response, body) {
     if (err) {
       callback(err);
     } else if (response.statusCode !== 200) {
@@ -211,13 +228,8 @@ DebugletApi.prototype.register_ = function(errorMessage, callback) {
 DebugletApi.prototype.listBreakpoints = function(callback) {
   var that = this;
   assert(that.debuggeeId_, 'should register first');
-  var url = API + '/debuggees/' + encodeURIComponent(that.debuggeeId_) +
-      '/breakpoints';
-  if (that.nextWaitToken_) {
-    url += '?waitToken=' + encodeURIComponent(that.nextWaitToken_);
-  }
-  url += '?success_on_timeout=' + encodeURIComponent(true);
-  that.request_({url: url, json: true}, function(err, response, body) {
+  that.transport_.listBreakpoints(that.debuggeeId_, that.nextWaitToken_,
+      function(err, response, body) {
     if (!response) {
       callback(err || new Error('unknown error - request response missing'));
       return;
@@ -249,28 +261,90 @@ DebugletApi.prototype.updateBreakpoint =
 
     breakpoint.action = 'capture';
     breakpoint.isFinalState = true;
-    var options = {
-      url: API + '/debuggees/' + encodeURIComponent(this.debuggeeId_) +
-        '/breakpoints/' + encodeURIComponent(breakpoint.id),
-      json: true,
-      method: 'PUT',
-      body: {
-        debuggeeId: this.debuggeeId_,
-        breakpoint: breakpoint
-      }
-    };
-
-    // We need to have a try/catch here because a JSON.stringify will be done
-    // by request. Some V8 debug mirror objects get a throw when we attempt to
-    // stringify them. The try-catch keeps it resilient and avoids crashing the
-    // user's app.
-    try {
-      this.request_(options, function(err, response, body) {
+    this.sendUpdate_(breakpoint, callback);
+  };
+
+/**
+ * Update the server about the status of a breakpoint that stays active, e.g.
+ * a logpoint exceeding its quota or a breakpoint waiting for its script.
+ * @param {!Breakpoint} breakpoint
+ * @param {!Function} callback accepting (err, body)
+ */
+DebugletApi.prototype.reportStatus = function(breakpoint, callback) {
+  assert(this.debuggeeId_, 'should register first');
+
+  var update = {};
+  Object.keys(breakpoint).forEach(function(key) {
+    update[key] = breakpoint[key];
+  });
+  update.isFinalState = false;
+  this.sendUpdate_(update, callback);
+};
+
+/**
+ * @param {!Breakpoint} breakpoint
+ * @param {!Function} callback accepting (err, body)
+ * @private
+ */
+DebugletApi.prototype.sendUpdate_ = function(breakpoint, callback) {
+  // We need to have a try/catch here because a JSON.stringify will be done
+  // by the transport. Some V8 debug mirror objects get a throw when we
+  // attempt to stringify them. The try-catch keeps it resilient and avoids
+  // crashing the user's app.
+  try {
+    this.transport_.updateBreakpoint(this.debuggeeId_, breakpoint,
+      function(err, response, body) {
+        if (!err && response && response.statusCode !== 200) {
+          err = new Error('unable to update breakpoint, status code ' +
+            response.statusCode);
+        }
         callback(err, body);
       });
-    } catch (error) {
-      callback(error);
-    }
-  };
+  } catch (error) {
+    callback(error);
+  }
+};
+
+/**
+ * Creates the controller transport selected by the configuration:
+ *   - 'http' talks to the Cloud Debug API, or to config.controllerUrl
+ *     without authentication when that is set.
+ *   - 'filesystem' exchanges breakpoints and snapshots as JSON files in
+ *     config.transportDirectory.
+ *   - 'inprocess' keeps them in memory, see InProcessTransport.
+ * Any object is taken to implement the transport interface itself.
+ * @param {Object} config debug agent configuration
+ * @return {Object} transport
+ * @throws {Error} if the configuration is invalid
+ */
+DebugletApi.createTransport = function(config) {
+  var transport = config.transport || 'http';
+  if (typeof transport === 'object') {
+    ['register', 'listBreakpoints', 'updateBreakpoint'].forEach(
+      function(method) {
+        if (typeof transport[method] !== 'function') {
+          throw new Error('transport does not implement ' + method);
+        }
+      });
+    return transport;
+  }
+
+  switch (transport) {
+    case 'http':
+      if (config.controllerUrl) {
+        return new HttpTransport(config.controllerUrl, request);
+      }
+      return new HttpTransport(API, utils.authorizedRequestFactory(SCOPES));
+    case 'filesystem':
+      if (!config.transportDirectory) {
+        throw new Error('the filesystem transport needs a transportDirectory');
+      }
+      return new FileSystemTransport(config.transportDirectory);
+    case 'inprocess':
+      return new InProcessTransport();
+    default:
+      throw new Error('unknown transport ' + transport);
+  }
+};
 
 module.exports = DebugletApi;
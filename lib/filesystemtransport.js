@@ -0,0 +1,227 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+/** @const {string} */ var DEBUGGEES_DIR = 'debuggees';
+/** @const {string} */ var BREAKPOINTS_DIR = 'breakpoints';
+/** @const {string} */ var SNAPSHOTS_DIR = 'snapshots';
+/** @const {string} */ var STATUS_DIR = 'status';
+
+/**
+ * A controller transport exchanging JSON files in a directory, so that
+ * breakpoints can be managed by other tools or by hand:
+ *
+ *   debuggees/<debuggee id>.json    written by the agent on registration
+ *   breakpoints/<breakpoint id>.json  active breakpoints, the file name is
+ *                                     the breakpoint id
+ *   snapshots/<breakpoint id>.json    written by the agent when a breakpoint
+ *                                     reaches its final state. The file in
+ *                                     breakpoints/ is removed then.
+ *   status/<breakpoint id>.json       written by the agent when the status of
+ *                                     an active breakpoint changes, e.g. a
+ *                                     logpoint exceeding its quota. It is
+ *                                     removed with the breakpoint file.
+ *
+ * There is no long polling; the agent picks up changes every
+ * breakpointUpdateIntervalSec. See HttpTransport for the transport interface.
+ *
+ * @param {string} directory
+ * @constructor
+ */
+function FileSystemTransport(directory) {
+  /** @private {string} */
+  this.directory_ = directory;
+}
+
+/**
+ * @param {!Debuggee} debuggee
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+FileSystemTransport.prototype.register = function(debuggee, callback) {
+  var that = this;
+  debuggee.id = debuggee.uniquifier;
+  makeDirectories(that.directory_,
+    [DEBUGGEES_DIR, BREAKPOINTS_DIR, SNAPSHOTS_DIR, STATUS_DIR],
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+      writeJson(that.debuggeeFile_(debuggee.id), debuggee, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, { statusCode: 200 }, { debuggee: debuggee });
+      });
+    });
+};
+
+/**
+ * Breakpoint files that don't parse are skipped, they may be in the middle of
+ * being written.
+ * @param {!string} debuggeeId
+ * @param {?string} waitToken unused
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+FileSystemTransport.prototype.listBreakpoints = function(debuggeeId, waitToken,
+    callback) {
+  var that = this;
+  fs.stat(that.debuggeeFile_(debuggeeId), function(err) {
+    if (err && err.code === 'ENOENT') {
+      // Registration removed, the agent should register again.
+      return callback(null, { statusCode: 404 }, {});
+    } else if (err) {
+      return callback(err);
+    }
+
+    var directory = path.join(that.directory_, BREAKPOINTS_DIR);
+    fs.readdir(directory, function(err, files) {
+      if (err) {
+        return callback(err);
+      }
+      files = files.filter(function(file) {
+        return path.extname(file) === '.json';
+      });
+      var breakpoints = [];
+      var pending = files.length + 1;
+      function done() {
+        if (--pending === 0) {
+          callback(null, { statusCode: 200 }, { breakpoints: breakpoints });
+        }
+      }
+      files.forEach(function(file) {
+        fs.readFile(path.join(directory, file), 'utf8', function(err, data) {
+          if (!err) {
+            try {
+              var breakpoint = JSON.parse(data);
+              breakpoint.id = decodeURIComponent(path.basename(file, '.json'));
+              breakpoints.push(breakpoint);
+            } catch (e) {}
+          }
+          done();
+        });
+      });
+      done();
+    });
+  });
+};
+
+/**
+ * @param {!string} debuggeeId
+ * @param {!Breakpoint} breakpoint
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+FileSystemTransport.prototype.updateBreakpoint = function(debuggeeId,
+    breakpoint, callback) {
+  var that = this;
+  var file = encodeURIComponent(breakpoint.id) + '.json';
+  if (breakpoint.isFinalState === false) {
+    writeJson(path.join(that.directory_, STATUS_DIR, file), breakpoint,
+      function(err) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, { statusCode: 200 }, {});
+      });
+    return;
+  }
+  writeJson(path.join(that.directory_, SNAPSHOTS_DIR, file), breakpoint,
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+      removeFiles([path.join(that.directory_, BREAKPOINTS_DIR, file),
+          path.join(that.directory_, STATUS_DIR, file)], function(err) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, { statusCode: 200 }, {});
+      });
+    });
+};
+
+/**
+ * @param {string} debuggeeId
+ * @return {string}
+ * @private
+ */
+FileSystemTransport.prototype.debuggeeFile_ = function(debuggeeId) {
+  return path.join(this.directory_, DEBUGGEES_DIR,
+    encodeURIComponent(debuggeeId) + '.json');
+};
+
+/**
+ * Creates the directory and the given subdirectories unless they exist.
+ * @param {string} directory
+ * @param {Array<string>} subdirectories
+ * @param {function(?Error)} callback
+ */
+function makeDirectories(directory, subdirectories, callback) {
+  var directories = [directory].concat(subdirectories.map(function(name) {
+    return path.join(directory, name);
+  }));
+  (function next(i) {
+    if (i === directories.length) {
+      return callback(null);
+    }
+    fs.mkdir(directories[i], function(err) {
+      if (err && err.code !== 'EEXIST') {
+        return callback(err);
+      }
+      next(i + 1);
+    });
+  })(0);
+}
+
+/**
+ * Removes the files, one after the other. Missing files are fine.
+ * @param {Array<string>} files
+ * @param {function(?Error)} callback
+ */
+function removeFiles(files, callback) {
+  (function next(i) {
+    if (i === files.length) {
+      return callback(null);
+    }
+    fs.unlink(files[i], function(err) {
+      if (err && err.code !== 'ENOENT') {
+        return callback(err);
+      }
+      next(i + 1);
+    });
+  })(0);
+}
+
+/**
+ * Writes through a temporary file so that readers never see a partial file.
+ * @param {string} file
+ * @param {Object} value
+ * @param {function(?Error)} callback
+ */
+function writeJson(file, value, callback) {
+  var data = JSON.stringify(value, null, 2);
+  fs.writeFile(file + '.tmp', data, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    fs.rename(file + '.tmp', file, callback);
+  });
+}
+
+module.exports = FileSystemTransport;
@@ -0,0 +1,90 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * A controller transport speaking the v2 controller REST API, i.e. the Cloud
+ * Debug API or a server implementing the same routes.
+ *
+ * Transports implement register, listBreakpoints and updateBreakpoint. Each
+ * calls back with (err, response, body) where response carries the statusCode
+ * the v2 API would answer with, and body the response message. Breakpoint
+ * updates complete the breakpoint, unless isFinalState is false: those only
+ * report the status of a breakpoint that stays active.
+ *
+ * @param {string} api base url of the controller API
+ * @param {function(Object, function(?Error, Object=, Object=))} request a
+ *     request style request function, e.g. one that authenticates
+ * @constructor
+ */
+function HttpTransport(api, request) {
+  /** @private {string} */
+  this.api_ = api.replace(/\/+$/, '');
+
+  /** @private {Object} request style request object */
+  this.request_ = request;
+}
+
+/**
+ * @param {!Debuggee} debuggee
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+HttpTransport.prototype.register = function(debuggee, callback) {
+  this.request_({
+    url: this.api_ + '/debuggees/register',
+    method: 'POST',
+    json: true,
+    body: { debuggee: debuggee }
+  }, callback);
+};
+
+/**
+ * @param {!string} debuggeeId
+ * @param {?string} waitToken token from the previous list response, if any.
+ *     The server may hold the request until the breakpoints change.
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+HttpTransport.prototype.listBreakpoints = function(debuggeeId, waitToken,
+    callback) {
+  var url = this.api_ + '/debuggees/' + encodeURIComponent(debuggeeId) +
+      '/breakpoints?success_on_timeout=' + encodeURIComponent(true);
+  if (waitToken) {
+    url += '&waitToken=' + encodeURIComponent(waitToken);
+  }
+  this.request_({url: url, json: true}, callback);
+};
+
+/**
+ * @param {!string} debuggeeId
+ * @param {!Breakpoint} breakpoint
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+HttpTransport.prototype.updateBreakpoint = function(debuggeeId, breakpoint,
+    callback) {
+  this.request_({
+    url: this.api_ + '/debuggees/' + encodeURIComponent(debuggeeId) +
+      '/breakpoints/' + encodeURIComponent(breakpoint.id),
+    json: true,
+    method: 'PUT',
+    body: {
+      debuggeeId: debuggeeId,
+      breakpoint: breakpoint
+    }
+  }, callback);
+};
+
+module.exports = HttpTransport;
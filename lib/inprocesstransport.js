@@ -0,0 +1,203 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+/** @const {number} default long poll duration for breakpoint lists */
+var DEFAULT_WAIT_TIMEOUT_SEC = 40;
+
+/**
+ * A controller transport keeping the breakpoints in memory. The application
+ * adds and removes breakpoints itself and receives the completed ones as
+ * events, e.g. to route snapshots through its own backend. See HttpTransport
+ * for the transport interface.
+ *
+ * @param {Object=} options
+ *   - waitTimeoutSec {number} how long a breakpoint list request carrying
+ *     the current wait token is held before it expires.
+ * @event 'registered' (debuggee) when the agent registers
+ * @event 'breakpointUpdated' (breakpoint) when the agent reports a breakpoint
+ *     in its final state. It is no longer active then.
+ * @event 'breakpointStatus' (breakpoint) when the agent reports the status of
+ *     a breakpoint that stays active. The status is set on the active
+ *     breakpoint as well.
+ * @constructor
+ */
+function InProcessTransport(options) {
+  options = options || {};
+
+  /** @private {number} */
+  this.waitTimeoutSec_ = typeof options.waitTimeoutSec === 'number' ?
+    options.waitTimeoutSec : DEFAULT_WAIT_TIMEOUT_SEC;
+
+  /** @private {?Debuggee} */
+  this.debuggee_ = null;
+
+  /** @private {Object.<string, Breakpoint>} active breakpoints by id */
+  this.breakpoints_ = {};
+
+  /** @private {number} bumped whenever the active breakpoints change */
+  this.version_ = 1;
+
+  /** @private {number} */
+  this.nextBreakpointId_ = 1;
+
+  /** @private {Array<Object>} held list requests */
+  this.waiters_ = [];
+
+  EventEmitter.call(this);
+}
+
+util.inherits(InProcessTransport, EventEmitter);
+
+/**
+ * @param {!Object} breakpoint an API breakpoint, e.g.
+ *     { location: { path: 'app.js', line: 10 }, expressions: ['x'] }. An id
+ *     is assigned unless one is given.
+ * @return {!Object} the breakpoint
+ */
+InProcessTransport.prototype.addBreakpoint = function(breakpoint) {
+  if (breakpoint.id === undefined) {
+    while (this.breakpoints_[String(this.nextBreakpointId_)]) {
+      this.nextBreakpointId_++;
+    }
+    breakpoint.id = this.nextBreakpointId_++;
+  }
+  breakpoint.id = String(breakpoint.id);
+  this.breakpoints_[breakpoint.id] = breakpoint;
+  this.breakpointsChanged_();
+  return breakpoint;
+};
+
+/**
+ * @param {string} id
+ * @return {boolean} whether the breakpoint was active
+ */
+InProcessTransport.prototype.removeBreakpoint = function(id) {
+  if (!this.breakpoints_[id]) {
+    return false;
+  }
+  delete this.breakpoints_[id];
+  this.breakpointsChanged_();
+  return true;
+};
+
+/**
+ * @param {!Debuggee} debuggee
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+InProcessTransport.prototype.register = function(debuggee, callback) {
+  var that = this;
+  debuggee.id = debuggee.uniquifier;
+  that.debuggee_ = debuggee;
+  setImmediate(function() {
+    that.emit('registered', debuggee);
+    callback(null, { statusCode: 200 }, { debuggee: debuggee });
+  });
+};
+
+/**
+ * @param {!string} debuggeeId
+ * @param {?string} waitToken
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+InProcessTransport.prototype.listBreakpoints = function(debuggeeId, waitToken,
+    callback) {
+  var that = this;
+  if (!that.debuggee_ || that.debuggee_.id !== debuggeeId) {
+    return setImmediate(function() {
+      callback(null, { statusCode: 404 }, {});
+    });
+  }
+
+  function list() {
+    var breakpoints = Object.keys(that.breakpoints_).map(function(id) {
+      return that.breakpoints_[id];
+    });
+    callback(null, { statusCode: 200 }, {
+      breakpoints: breakpoints,
+      nextWaitToken: String(that.version_)
+    });
+  }
+
+  if (waitToken !== String(that.version_) || that.waitTimeoutSec_ <= 0) {
+    return setImmediate(list);
+  }
+
+  var waiter = { list: list, timer: null };
+  waiter.timer = setTimeout(function() {
+    that.waiters_.splice(that.waiters_.indexOf(waiter), 1);
+    callback(null, { statusCode: 200 }, { waitExpired: true });
+  }, that.waitTimeoutSec_ * 1000);
+  // The held request should not keep the application alive.
+  waiter.timer.unref();
+  that.waiters_.push(waiter);
+};
+
+/**
+ * @param {!string} debuggeeId
+ * @param {!Breakpoint} breakpoint
+ * @param {!function(?Error,Object=,Object=)} callback
+ */
+InProcessTransport.prototype.updateBreakpoint = function(debuggeeId,
+    breakpoint, callback) {
+  var that = this;
+  // Hand out a copy, like a remote controller would get, so that the agent
+  // doesn't hold on to objects the application may modify.
+  var copy = JSON.parse(JSON.stringify(breakpoint));
+  if (copy.isFinalState === false) {
+    var active = that.breakpoints_[copy.id];
+    if (active) {
+      if (copy.status) {
+        active.status = copy.status;
+      } else {
+        delete active.status;
+      }
+    }
+    setImmediate(function() {
+      that.emit('breakpointStatus', copy);
+      callback(null, { statusCode: 200 }, {});
+    });
+    return;
+  }
+  if (that.breakpoints_[copy.id]) {
+    delete that.breakpoints_[copy.id];
+    that.breakpointsChanged_();
+  }
+  setImmediate(function() {
+    that.emit('breakpointUpdated', copy);
+    callback(null, { statusCode: 200 }, {});
+  });
+};
+
+/**
+ * Bumps the wait token and answers held list requests.
+ * @private
+ */
+InProcessTransport.prototype.breakpointsChanged_ = function() {
+  this.version_++;
+  var waiters = this.waiters_;
+  this.waiters_ = [];
+  waiters.forEach(function(waiter) {
+    clearTimeout(waiter.timer);
+    setImmediate(waiter.list);
+  });
+};
+
+module.exports = InProcessTransport;
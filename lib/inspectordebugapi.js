@@ -0,0 +1,691 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Implementation of the v8debugapi interface on top of the inspector protocol
+// (the built-in `inspector` module). Used on Node.js versions where the V8
+// debug context is deprecated or gone.
+
+/** @const */ var path = require('path');
+/** @const */ var url = require('url');
+
+/** @const */ var inspectorState = require('./inspectorstate.js');
+/** @const */ var logModule = require('@google/cloud-diagnostics-common').logger;
+/** @const */ var StatusMessage = require('./apiclasses.js').StatusMessage;
+/** @const */ var utils = require('./debugapiutils.js');
+/** @const */ var messages = utils.messages;
+/** @const */ var setErrorStatusAndCallback = utils.setErrorStatusAndCallback;
+/** @const */ var CaptureBudget = require('./capturebudget.js');
+/** @const */ var PendingBreakpoints = require('./pendingbreakpoints.js');
+/** @const */ var MetricsRegistry = require('./metrics.js').MetricsRegistry;
+/** @const */ var SourceMapper = require('./sourcemaps.js').SourceMapper;
+
+module.exports.create = function(logger_, config_, fileStats_, metrics_) {
+  var inspector = require('inspector');
+  var session = new inspector.Session();
+  var logger = logger_;
+  var config = config_;
+  var fileStats = fileStats_;
+  // API breakpoint id -> BreakpointData
+  var breakpoints = {};
+  // API breakpoint id -> callback of the breakpoint waiting for a hit
+  var listeners = {};
+  // Inspector breakpoints, keyed by location and by inspector breakpoint id.
+  // The API breakpoints set at the same location share an inspector
+  // breakpoint, which also lets them share the data captured on a hit.
+  var v8BreakpointsByLocation = {};
+  var v8BreakpointsById = {};
+  // script id -> path of the script
+  var scripts = {};
+  // path of a script -> true, for the scripts loaded so far
+  var loadedPaths = {};
+  var pending = new PendingBreakpoints(fileStats,
+    config.pendingBreakpointTimeoutSec || 0);
+  var budget = new CaptureBudget(config.captureBudget || {});
+  // Decides whether the hits of logpoints are captured, see setLogpointFilter.
+  var logpointFilter = function() { return true; };
+  var stats = utils.createMetrics(metrics_ || new MetricsRegistry());
+  var sourceMapper = new SourceMapper(fileStats, config.workingDirectory);
+
+  session.connect();
+  session.on('Debugger.scriptParsed', onScriptParsed);
+  session.on('Debugger.paused', onPaused);
+  // Enabling the debugger reports all of the scripts loaded so far through
+  // Debugger.scriptParsed.
+  post('Debugger.enable');
+
+  var lineOneColumnOffset = computeLineOneColumnOffset();
+
+  /* -- Public Interface -- */
+
+  var api = {
+    /**
+     * Breakpoints in scripts that aren't loaded yet are kept pending, see
+     * PendingBreakpoints.
+     *
+     * @param {!Breakpoint} breakpoint Debug API Breakpoint object
+     * @param {function(?Error, boolean=)} cb callback with an options error
+     *            string 1st argument, and whether the breakpoint is pending
+     * @param {function()=} onSet called once a pending breakpoint is set in
+     *            its script
+     */
+    set: function(breakpoint, cb, onSet) {
+      utils.prepareBreakpoint(breakpoint, config, fileStats, logger,
+        function(err, resolved) {
+          var scriptPath = resolved ? resolved.scriptPath :
+            breakpoint && breakpoint.location && breakpoint.location.path;
+          if (pending.canDefer(breakpoint, err) &&
+              (err || !loadedPaths[scriptPath])) {
+            // Set once a matching script is loaded, see onScriptParsed.
+            pending.add(breakpoint, scriptPath, onSet);
+            return setImmediate(function() {
+              // Unless set in the meantime.
+              cb(null, pending.has(breakpoint.id));
+            });
+          }
+          if (err) {
+            return cb(err);
+          }
+          if (resolved.sourceMap) {
+            sourceMapper.add(resolved.scriptPath, resolved.sourceMap);
+          }
+          setInternal(breakpoint, resolved, cb);
+        });
+    },
+
+    clear: function(breakpoint) {
+      if (typeof breakpoint.id === 'undefined') {
+        return false;
+      }
+      if (pending.has(breakpoint.id)) {
+        pending.remove(breakpoint.id);
+        return true;
+      }
+      var breakpointData = breakpoints[breakpoint.id];
+      if (!breakpointData) {
+        return false;
+      }
+      var v8bp = breakpointData.v8Breakpoint;
+
+      delete breakpoints[breakpoint.id];
+      delete listeners[breakpoint.id];
+      budget.remove(breakpoint.id);
+      v8bp.apiBreakpointIds.splice(
+        v8bp.apiBreakpointIds.indexOf(breakpoint.id), 1);
+      if (v8bp.apiBreakpointIds.length === 0) {
+        post('Debugger.removeBreakpoint', { breakpointId: v8bp.id });
+        delete v8BreakpointsByLocation[v8bp.location];
+        delete v8BreakpointsById[v8bp.id];
+      }
+      return true;
+    },
+
+    /**
+     * @param {Breakpoint} breakpoint
+     * @param {Function} callback
+     */
+    wait: function(breakpoint, callback) {
+      var id = breakpoint.id;
+      if (pending.has(id)) {
+        pending.wait(id, callback);
+        return;
+      }
+      listeners[id] = function(err) {
+        delete listeners[id];
+        // This method is called from the Debugger.paused handler, which
+        // runs while the debuggee is paused. We defer the callback to make
+        // sure the user code runs after the debuggee has resumed and that
+        // errors aren't silenced.
+        setImmediate(function() {
+          callback(err);
+        });
+      };
+    },
+
+    /**
+     * Clears the remaining breakpoints and disconnects from the inspector.
+     * The instance can't be used afterwards.
+     */
+    detach: function() {
+      pending.stop();
+      Object.keys(breakpoints).forEach(function(id) {
+        api.clear(breakpoints[id].apiBreakpoint);
+      });
+      post('Debugger.disable');
+      session.disconnect();
+    },
+
+    /**
+     * @return {Object} the state of the capture budget
+     */
+    getCaptureBudget: function() {
+      return budget.getStats();
+    },
+
+    /**
+     * @param {function(Breakpoint): boolean} filter called for the hits of
+     *     logpoints meeting their conditions, before their expressions are
+     *     evaluated. The hits it rejects, e.g. of logpoints over their rate
+     *     limit, are skipped.
+     */
+    setLogpointFilter: function(filter) {
+      logpointFilter = filter;
+    },
+
+    // The following are for testing:
+    messages: messages,
+    numBreakpoints_: function() { return Object.keys(breakpoints).length; },
+    numListeners_: function()   { return Object.keys(listeners).length; }
+  };
+
+  /* -- Private Functions -- */
+
+  function post(method, params) {
+    return inspectorState.post(session, method, params);
+  }
+
+  /**
+   * Node.js versions that wrap modules with a function expression put the
+   * wrapper on the first line of the module. Detect that by looking at the
+   * source of this file.
+   * @return {number} the column adjustment for breakpoints on the first line.
+   */
+  function computeLineOneColumnOffset() {
+    var wrapper = require('module').wrap('');
+    var prefix = wrapper.substr(0, utils.MODULE_WRAP_PREFIX_LENGTH);
+    for (var scriptId in scripts) {
+      if (scripts[scriptId] === __filename) {
+        var response = post('Debugger.getScriptSource', { scriptId: scriptId });
+        if (!response.error &&
+            response.result.scriptSource.indexOf(prefix) === 0) {
+          return utils.MODULE_WRAP_PREFIX_LENGTH - 1;
+        }
+        return 0;
+      }
+    }
+    return 0;
+  }
+
+  function onScriptParsed(message) {
+    var scriptPath = urlToPath(message.params.url);
+    if (scriptPath) {
+      scripts[message.params.scriptId] = scriptPath;
+      loadedPaths[scriptPath] = true;
+      // The script doesn't run before the handler returns, so pending
+      // breakpoints set synchronously apply to its top-level code too.
+      pending.loaded(scriptPath).forEach(function(breakpoint) {
+        api.set(breakpoint, function(err) {
+          if (err) {
+            pending.fail(breakpoint.id, err);
+          }
+        });
+      });
+    }
+  }
+
+  function scriptPathById(scriptId) {
+    return scripts[scriptId];
+  }
+
+  /**
+   * Internal breakpoint set function. At this point the breakpoint has been
+   * validated and resolved to a loaded script.
+   *
+   * @param {!Breakpoint} breakpoint Debug API Breakpoint object
+   * @param {!Object} resolved the script path, position, parsed condition and
+   *    optional compile function produced by utils.prepareBreakpoint
+   * @param {function(?Error)} cb error-back style callback
+   */
+  function setInternal(breakpoint, resolved, cb) {
+    var column = resolved.column;
+    var line = resolved.line;
+
+    // We need to special case breakpoints on the first line on versions of
+    // Node.js that wrap modules with a function expression.
+    if (line === 1) {
+      column += lineOneColumnOffset;
+    }
+
+    var result = setByUrlRegExp(resolved.scriptPath, line, column);
+    if (result.error) {
+      return setErrorStatusAndCallback(cb, breakpoint,
+        StatusMessage.BREAKPOINT_SOURCE_LOCATION, result.error);
+    }
+    var v8bp = result.v8bp;
+
+    v8bp.apiBreakpointIds.push(breakpoint.id);
+    breakpoints[breakpoint.id] = new BreakpointData(breakpoint, v8bp,
+      resolved.ast, resolved.condition, resolved.compile,
+      resolved.hitCondition, resolved.captureLimits);
+    // A pending breakpoint already waits for hits.
+    var waiting = pending.resolve(breakpoint.id);
+    if (waiting) {
+      api.wait(breakpoint, waiting);
+    }
+
+    setImmediate(function() { cb(null); }); // success.
+  }
+
+  /**
+   * Sets an inspector breakpoint, or shares the one already set at the same
+   * location. Older versions of V8 don't move breakpoints off the lines
+   * without code to break on, e.g. the closing brace of a function ending
+   * with a return statement, and would never hit them: those are set again
+   * at the location that findBreakLocation finds.
+   *
+   * @param {string} scriptPath
+   * @param {number} line 1-based
+   * @param {number} column 1-based
+   * @param {boolean=} moved whether the location was found already
+   * @return {{v8bp: V8Breakpoint}|{error: string}} the inspector breakpoint,
+   *     or the message of the error setting it
+   */
+  function setByUrlRegExp(scriptPath, line, column, moved) {
+    var urlRegex = scriptPathToUrlRegExp(scriptPath);
+    var location = [urlRegex, line, column].join(':');
+    if (v8BreakpointsByLocation[location]) {
+      return { v8bp: v8BreakpointsByLocation[location] };
+    }
+
+    var response = post('Debugger.setBreakpointByUrl', {
+      urlRegex: urlRegex,
+      lineNumber: line - 1,
+      columnNumber: column - 1
+    });
+    if (response.error || !response.result.breakpointId) {
+      logger.warn('Unable to set breakpoint', response.error);
+      return { error: messages.V8_BREAKPOINT_ERROR };
+    }
+
+    if (response.result.locations.length === 0) {
+      post('Debugger.removeBreakpoint', {
+        breakpointId: response.result.breakpointId
+      });
+      var found = !moved && findBreakLocation(scriptPath, line, column);
+      if (!found) {
+        return { error: messages.NO_BREAK_LOCATION };
+      }
+      logger.info('Moving breakpoint at ' + scriptPath + ':' + line + ':' +
+        column + ' to ' + found.line + ':' + found.column);
+      return setByUrlRegExp(scriptPath, found.line, found.column, true);
+    }
+
+    var v8bp = new V8Breakpoint(response.result.breakpointId, location);
+    v8BreakpointsByLocation[location] = v8bp;
+    v8BreakpointsById[v8bp.id] = v8bp;
+    return { v8bp: v8bp };
+  }
+
+  /**
+   * Finds where the code of a line can be broken on: at the column, or at
+   * the nearest location of the line, or else at the return statement that
+   * ends the previous line, as newer versions of V8 do.
+   *
+   * @param {string} scriptPath
+   * @param {number} line 1-based
+   * @param {number} column 1-based
+   * @return {?{line: number, column: number}} the 1-based location, or null
+   *     if the line has no code to break on
+   */
+  function findBreakLocation(scriptPath, line, column) {
+    var scriptId = Object.keys(scripts).filter(function(id) {
+      return scripts[id] === scriptPath;
+    }).pop();
+    if (!scriptId) {
+      return null;
+    }
+    var response = post('Debugger.getPossibleBreakpoints', {
+      start: {
+        scriptId: scriptId,
+        lineNumber: Math.max(line - 2, 0),
+        columnNumber: 0
+      },
+      end: { scriptId: scriptId, lineNumber: line, columnNumber: 0 }
+    });
+    if (response.error) {
+      logger.warn('Unable to find break locations', response.error);
+      return null;
+    }
+    var locations = response.result.locations;
+    var onLine = locations.filter(function(location) {
+      return location.lineNumber === line - 1;
+    });
+    var found = onLine.filter(function(location) {
+      return location.columnNumber >= column - 1;
+    })[0] || onLine[onLine.length - 1];
+    if (!found && locations.length &&
+        locations[locations.length - 1].type === 'return') {
+      found = locations[locations.length - 1];
+    }
+    return found ?
+      { line: found.lineNumber + 1, column: found.columnNumber + 1 } : null;
+  }
+
+  function onPaused(message) {
+    var params = message.params;
+    try {
+      (params.hitBreakpoints || []).forEach(function(id) {
+        var v8bp = v8BreakpointsById[id];
+        if (!v8bp) {
+          return;
+        }
+        logger.info('>>>V8 breakpoint hit<<< id: ' + id);
+        onV8BreakpointHit(v8bp, params.callFrames);
+      });
+    } catch (err) {
+      logger.error('Internal error while handling a breakpoint hit', err);
+    } finally {
+      post('Runtime.releaseObjectGroup', {
+        objectGroup: inspectorState.OBJECT_GROUP
+      });
+    }
+  }
+
+  /**
+   * Checks the conditions of the API breakpoints waiting at the location of
+   * an inspector breakpoint, and captures the data of those that are met.
+   *
+   * @param {!V8Breakpoint} v8bp
+   * @param {Array<Object>} callFrames
+   */
+  function onV8BreakpointHit(v8bp, callFrames) {
+    var hits = v8bp.apiBreakpointIds.filter(function(id) {
+      return listeners[id] && shouldCapture(breakpoints[id].apiBreakpoint,
+        listeners[id], callFrames);
+    }).map(function(id) {
+      return { breakpoint: breakpoints[id].apiBreakpoint,
+               callback: listeners[id] };
+    });
+
+    // Logpoints only evaluate their expressions in the top frame, snapshots
+    // share a single capture of the stack.
+    hits.forEach(function(hit) {
+      if (hit.breakpoint.action === 'LOG') {
+        capture([hit], function() {
+          evaluateLogExpressions(hit.breakpoint, callFrames);
+        });
+      }
+    });
+    var snapshots = hits.filter(function(hit) {
+      return hit.breakpoint.action !== 'LOG';
+    });
+    if (snapshots.length) {
+      capture(snapshots, function() {
+        captureSnapshots(snapshots.map(function(hit) {
+          return hit.breakpoint;
+        }), callFrames);
+      });
+    }
+  }
+
+  /**
+   * Evaluates the condition of a breakpoint and checks the capture budget.
+   * The callback is called with the error if either fails.
+   *
+   * @param {!Breakpoint} breakpoint
+   * @param {function(?Error)} callback
+   * @param {Array<Object>} callFrames
+   * @return {boolean} whether the data of the breakpoint should be captured
+   */
+  function shouldCapture(breakpoint, callback, callFrames) {
+    var data = breakpoints[breakpoint.id];
+    stats.hits.inc();
+    var conditionStart = process.hrtime();
+    var result = checkCondition(breakpoint, callFrames);
+    if (data.condition) {
+      stats.conditionDuration.observe(
+        utils.toSeconds(process.hrtime(conditionStart)));
+      stats.conditionEvaluations.inc({
+        result: result.error ? 'error' : String(!!result.value)
+      });
+    }
+    if (result.error) {
+      setErrorStatusAndCallback(callback, breakpoint,
+        StatusMessage.BREAKPOINT_CONDITION,
+        messages.ERROR_EVALUATING_CONDITION + result.error);
+      return false;
+    } else if (!result.value) {
+      // Check again next time
+      logger.info('\tthe breakpoint condition wasn\'t met');
+      return false;
+    }
+    data.hitCount++;
+    if (!utils.hitConditionMet(data.hitCondition, data.hitCount)) {
+      logger.info('\tthe hit count condition wasn\'t met');
+      return false;
+    }
+    if (breakpoint.action === 'LOG' && !logpointFilter(breakpoint)) {
+      logger.info('\tthe logpoint hit was filtered out');
+      return false;
+    }
+
+    // Breakpoint Hit
+    var verdict = budget.check(breakpoint.id);
+    if (verdict === CaptureBudget.DEFER) {
+      // Check again next time
+      logger.info('\tthe capture budget is used up, deferring the capture');
+      return false;
+    } else if (verdict === CaptureBudget.EXHAUSTED) {
+      setErrorStatusAndCallback(callback, breakpoint,
+        StatusMessage.UNSPECIFIED, messages.CAPTURE_BUDGET_EXHAUSTED);
+      return false;
+    }
+    // The hit count is reported with the captured data.
+    breakpoint.labels = breakpoint.labels || {};
+    breakpoint.labels.hitCount = String(data.hitCount);
+    if (data.captureLimits) {
+      breakpoint.labels.captureLimits =
+        utils.captureLimitsText(data.captureLimits);
+    }
+    return true;
+  }
+
+  /**
+   * Runs a capture shared by breakpoints hits, charging each breakpoint an
+   * equal part of its time, and calls back the breakpoints.
+   *
+   * @param {Array<{breakpoint: Breakpoint, callback: function(?Error)}>} hits
+   * @param {function()} fn captures the data of the breakpoints
+   */
+  function capture(hits, fn) {
+    var start = process.hrtime();
+    try {
+      fn();
+    } catch (err) {
+      hits.forEach(function(hit) {
+        stats.captureErrors.inc();
+        setErrorStatusAndCallback(hit.callback, hit.breakpoint,
+          StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+          messages.CAPTURE_BREAKPOINT_DATA + err);
+      });
+      return;
+    }
+    var end = process.hrtime(start);
+    logger.interval(logModule.INFO, 'capture time', end);
+    stats.captureDuration.observe(utils.toSeconds(end));
+    hits.forEach(function(hit) {
+      budget.record(hit.breakpoint.id,
+        utils.toSeconds(end) * 1e3 / hits.length);
+      if (hit.breakpoint.variableTable) {
+        stats.variableTableSize.observe(hit.breakpoint.variableTable.length);
+      }
+      hit.callback(null);
+    });
+  }
+
+  function evaluateLogExpressions(breakpoint, callFrames) {
+    var frame = callFrames[0];
+    breakpoint.evaluatedExpressions =
+      breakpoints[breakpoint.id].logExpressions.map(function(exp) {
+        if (typeof exp !== 'string') {
+          return exp; // The error compiling the expression.
+        }
+        var result = inspectorState.evaluate(exp, frame, session, true);
+        return result.error ? result.error :
+          inspectorState.valueOf(result.object);
+      });
+  }
+
+
+  /**
+   * Captures the stack and the variables once for snapshots hit together
+   * with the same capture limits.
+   *
+   * @param {Array<Breakpoint>} snapshots
+   * @param {Array<Object>} callFrames
+   */
+  function captureSnapshots(snapshots, callFrames) {
+    var groups = {};
+    snapshots.forEach(function(breakpoint) {
+      var limits = breakpoints[breakpoint.id].captureLimits;
+      var key = limits ? utils.captureLimitsText(limits) : '';
+      groups[key] = (groups[key] || []).concat(breakpoint);
+    });
+    Object.keys(groups).forEach(function(key) {
+      captureWithLimits(groups[key], callFrames);
+    });
+  }
+
+  /**
+   * Captures the data of snapshots with the same capture limits. Their watch
+   * expressions are evaluated in the same capture, and share its variable
+   * table. `$capture` directives evaluate to the limits.
+   *
+   * @param {Array<Breakpoint>} snapshots
+   * @param {Array<Object>} callFrames
+   */
+  function captureWithLimits(snapshots, callFrames) {
+    var captureConfig = utils.captureConfig(config,
+      breakpoints[snapshots[0].id].captureLimits);
+    var limitsText = utils.captureLimitsText(captureConfig.capture);
+    var expressions = [];
+    var expressionErrors = snapshots.map(function(breakpoint) {
+      var errors = utils.compileExpressions(breakpoint,
+        breakpoints[breakpoint.id].compile, logger);
+      (breakpoint.expressions || []).forEach(function(expression) {
+        if (!utils.isCaptureDirective(expression) &&
+            expressions.indexOf(expression) === -1) {
+          expressions.push(expression);
+        }
+      });
+      return errors;
+    });
+    var captured = inspectorState.capture(callFrames,
+      expressions.length ? expressions : null, captureConfig, session,
+      scriptPathById, sourceMapper);
+    snapshots.forEach(function(breakpoint, index) {
+      breakpoint.stackFrames = captured.stackFrames;
+      breakpoint.variableTable = captured.variableTable;
+      breakpoint.evaluatedExpressions = expressionErrors[index].concat(
+        (breakpoint.expressions || []).map(function(expression) {
+          if (utils.isCaptureDirective(expression)) {
+            return { name: expression, value: limitsText };
+          }
+          return captured.evaluatedExpressions[
+            expressions.indexOf(expression)];
+        }));
+    });
+  }
+
+  /**
+   * Evaluates the breakpoint condition, if present.
+   * @return object with either a boolean value or an error property
+   */
+  function checkCondition(breakpoint, callFrames) {
+    var condition = breakpoints[breakpoint.id].condition;
+    if (!condition) {
+      return { value: true };
+    }
+
+    var result = inspectorState.evaluate(condition, callFrames[0], session);
+
+    if (result.error) {
+      return { error: result.error };
+    }
+    return { value: inspectorState.isTruthy(result.object) };
+  }
+
+  /**
+   * @constructor
+   */
+  function BreakpointData(apiBreakpoint, v8Breakpoint, parsedCondition,
+      condition, compile, hitCondition, captureLimits) {
+    this.apiBreakpoint = apiBreakpoint;
+    this.v8Breakpoint = v8Breakpoint;
+    this.parsedCondition = parsedCondition;
+    this.condition = condition;
+    this.compile = compile;
+    this.hitCondition = hitCondition;
+    // The limits overriding config.capture, if any.
+    this.captureLimits = captureLimits;
+    // The hits meeting the condition so far.
+    this.hitCount = 0;
+    // The compiled expressions of a logpoint, evaluated at each hit.
+    this.logExpressions = apiBreakpoint.action === 'LOG' ?
+      utils.compileLogExpressions(apiBreakpoint, compile, logger) : null;
+  }
+
+  /**
+   * An inspector breakpoint and the API breakpoints set at its location.
+   * @constructor
+   */
+  function V8Breakpoint(id, location) {
+    this.id = id;
+    this.location = location;
+    this.apiBreakpointIds = [];
+  }
+
+  return api;
+};
+
+/**
+ * Script urls are file urls on recent versions of Node.js, plain paths on
+ * older ones.
+ * @param {string} scriptUrl
+ * @return {?string} the path of the script, or null for scripts that don't
+ *     come from a file (e.g. Node.js internals).
+ */
+function urlToPath(scriptUrl) {
+  if (scriptUrl.indexOf('file://') === 0) {
+    if (typeof url.fileURLToPath === 'function') {
+      return url.fileURLToPath(scriptUrl);
+    }
+    return decodeURIComponent(scriptUrl.substr('file://'.length));
+  }
+  return scriptUrl.indexOf('/') === 0 || /^[a-zA-Z]:\\/.test(scriptUrl) ?
+    scriptUrl : null;
+}
+
+/**
+ * @param {string} scriptPath absolute path of a script
+ * @return {string} a regular expression source matching the url of the
+ *     script, be it a plain path or a file url.
+ */
+function scriptPathToUrlRegExp(scriptPath) {
+  if (!path.isAbsolute(scriptPath)) {
+    return utils.pathToRegExp(scriptPath).source;
+  }
+  var candidates = [scriptPath];
+  if (typeof url.pathToFileURL === 'function') {
+    candidates.push(url.pathToFileURL(scriptPath).href);
+  }
+  return '^(' + candidates.map(escapeRegExp).join('|') + ')$';
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
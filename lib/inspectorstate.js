@@ -0,0 +1,1151 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The equivalent of state.js for the inspector protocol. Instead of V8 debug
+// mirrors, this works on the call frames of a Debugger.paused event and on
+// Runtime.RemoteObject values.
+//
+// NOTE: all of the inspector calls below are made while the debuggee is
+// paused. The in-process inspector session dispatches those synchronously,
+// which is what allows this code to be written in a synchronous style.
+
+module.exports = {
+  capture: capture,
+  evaluate: evaluate,
+  isTruthy: isTruthy,
+  valueOf: valueOf,
+  post: post,
+  OBJECT_GROUP: 'cloud-debug-capture'
+};
+
+var assert = require('assert');
+var util = require('util');
+
+var state = require('./state.js');
+var StatusMessage = require('./apiclasses.js').StatusMessage;
+
+var MESSAGE_TABLE = state.MESSAGE_TABLE;
+
+// Remembers objects seen during a capture, so that the same object always
+// maps to the same variable table entry. Remote object ids are not stable
+// across inspector calls so we can't use those. Older versions of V8 (Node.js
+// 10) evaluate the global object on a call frame to the object itself rather
+// than to its proxy, which is what its properties refer to.
+var IDENTITY_FUNCTION = 'function(value) {' +
+  '  if (value !== global &&' +
+  '      Object.prototype.toString.call(value) === "[object global]" &&' +
+  '      value.global === global) {' +
+  '    value = global;' +
+  '  }' +
+  '  var index = this.indexOf(value);' +
+  '  if (index === -1) {' +
+  '    index = this.push(value) - 1;' +
+  '  }' +
+  '  return index;' +
+  '}';
+
+// Copies the first bytes of a Buffer or typed array, up to the given maximum
+// or all of them for 0.
+var BYTES_FUNCTION = 'function(max) {' +
+  '  var length = max ? Math.min(this.byteLength, max) : this.byteLength;' +
+  '  var bytes = new Uint8Array(this.buffer, this.byteOffset, length);' +
+  '  return {' +
+  '    byteLength: this.byteLength,' +
+  '    bytes: Array.prototype.slice.call(bytes)' +
+  '  };' +
+  '}';
+
+// Parameter names per function location. These never change for a script
+// so they are kept across captures.
+var MAX_PARAMETER_CACHE_SIZE = 1000;
+var parameterCache = {};
+var parameterCacheSize = 0;
+
+/**
+ * Captures the stack and current execution state.
+ *
+ * @param {Array<Object>} callFrames call frames from a Debugger.paused event
+ * @param {Array<string>} expressions watch expressions
+ * @param {!Object} config
+ * @param {!Session} session inspector session
+ * @param {function(string): string} scriptPath maps a script id to the path
+ *     of the script
+ * @param {SourceMapper=} sourceMapper maps the frames of generated scripts
+ *     back to their sources
+ * @return an object with stackFrames, variableTable, and
+ *         evaluatedExpressions fields
+ */
+function capture(callFrames, expressions, config, session, scriptPath,
+    sourceMapper) {
+  return (new StateResolver(callFrames, expressions, config, session,
+    scriptPath, sourceMapper)).capture_();
+}
+
+
+/**
+ * Checks that the provided expressions will not have side effects and
+ * then evaluates the expression on the given call frame.
+ *
+ * @param {string} expression
+ * @param {!Object} callFrame
+ * @param {!Session} session
+ * @param {boolean=} returnByValue whether a JSON value is preferred over a
+ *     remote object reference
+ * @return an object with error and object fields.
+ */
+function evaluate(expression, callFrame, session, returnByValue) {
+  // First validate the expression to make sure it doesn't mutate state
+  var error = state.checkExpression(expression);
+  if (error) {
+    return { error: error };
+  }
+
+  var params = {
+    callFrameId: callFrame.callFrameId,
+    expression: expression,
+    objectGroup: module.exports.OBJECT_GROUP,
+    returnByValue: !!returnByValue
+  };
+  var response = post(session, 'Debugger.evaluateOnCallFrame', params);
+  if (response.error && returnByValue) {
+    // Values that cannot be serialized (e.g. cyclic objects) are sent back
+    // by reference instead.
+    params.returnByValue = false;
+    response = post(session, 'Debugger.evaluateOnCallFrame', params);
+  }
+  if (response.error) {
+    return { error: response.error.message };
+  }
+  if (response.result.exceptionDetails) {
+    return { error: exceptionMessage(response.result.exceptionDetails) };
+  }
+  return {
+    error: null,
+    object: response.result.result
+  };
+}
+
+/**
+ * @param {!Object} object a Runtime.RemoteObject
+ * @return {boolean} the truthiness of the remote value
+ */
+function isTruthy(object) {
+  switch (object.type) {
+    case 'undefined':
+      return false;
+    case 'object':
+      return object.subtype !== 'null';
+  }
+  if (object.hasOwnProperty('value')) {
+    return !!object.value;
+  }
+  if (object.unserializableValue) {
+    return ['NaN', '-0', '0n'].indexOf(object.unserializableValue) === -1;
+  }
+  return true;
+}
+
+/**
+ * @param {!Object} object a Runtime.RemoteObject
+ * @return the JSON value of the remote object where available, otherwise its
+ *     description
+ */
+function valueOf(object) {
+  if (object.hasOwnProperty('value')) {
+    return object.value;
+  }
+  if (object.type === 'undefined') {
+    return undefined;
+  }
+  return object.unserializableValue || object.description;
+}
+
+/**
+ * Posts a message on the session and returns the response. This relies on the
+ * session dispatching synchronously, which is the case while paused.
+ *
+ * @return an object with error and result fields.
+ */
+function post(session, method, params) {
+  var response = null;
+  session.post(method, params || {}, function(err, result) {
+    response = { error: err, result: result };
+  });
+  assert(response, method + ' was not dispatched synchronously');
+  return response;
+}
+
+function exceptionMessage(exceptionDetails) {
+  var exception = exceptionDetails.exception;
+  if (exception && exception.description) {
+    // Only the first line, the rest is the stack trace of the evaluation.
+    return exception.description.split('\n')[0];
+  }
+  if (exception && exception.hasOwnProperty('value')) {
+    return String(exception.value);
+  }
+  return exceptionDetails.text;
+}
+
+
+/**
+ * @param {Array<Object>} callFrames
+ * @param {Array<string>} expressions
+ * @param {!Object} config
+ * @param {!Session} session
+ * @param {function(string): string} scriptPath
+ * @param {SourceMapper=} sourceMapper
+ * @constructor
+ */
+function StateResolver(callFrames, expressions, config, session, scriptPath,
+    sourceMapper) {
+  this.callFrames_ = callFrames;
+  this.expressions_ = expressions;
+  this.config_ = config;
+  this.session_ = session;
+  this.scriptPath_ = scriptPath;
+  this.sourceMapper_ = sourceMapper;
+
+  this.evaluatedExpressions_ = [];
+
+  // The data size budget that variables are charged to. The frames and the
+  // watch expressions share `config.capture.maxDataSize`, while each outer
+  // scope has its own `config.capture.scopes.maxDataSize`. Objects are
+  // charged to the budget in use when they were first referenced.
+  this.budget_ = { size: 0, max: config.capture.maxDataSize };
+
+  this.resolvedVariableTable_ = util._extend([], MESSAGE_TABLE);
+  this.rawVariableTable_ = MESSAGE_TABLE.map(function() { return null; });
+  this.budgets_ = MESSAGE_TABLE.map(function() { return null; });
+
+  // Variables referring to each variable table entry, and whether the entry
+  // was truncated by `config.capture.maxProperties`.
+  this.references_ = MESSAGE_TABLE.map(function() { return []; });
+  this.truncated_ = [];
+
+  // Remote array used to track object identity, and the mapping from its
+  // indices to the variable table.
+  this.identityTracker_ = null;
+  this.trackedIndices_ = [];
+}
+
+
+/**
+ * Captures the stack and current execution state.
+ *
+ * @return an object with stackFrames, variableTable, and
+ *         evaluatedExpressions fields
+ */
+StateResolver.prototype.capture_ = function() {
+  var that = this;
+  var response = that.post_('Runtime.evaluate', {
+    expression: '[]',
+    objectGroup: module.exports.OBJECT_GROUP
+  });
+  if (!response.error) {
+    that.identityTracker_ = response.result.result.objectId;
+  }
+
+  // Gather the stack frames first
+  var frames = that.resolveFrames_();
+
+  // Evaluate the watch expressions
+  if (that.expressions_) {
+    that.expressions_.forEach(function(expression, index) {
+      var result = evaluate(expression, that.callFrames_[0], that.session_);
+      var evaluated;
+
+      if (result.error) {
+        evaluated = {
+          name: expression,
+          status: new StatusMessage(StatusMessage.VARIABLE_VALUE,
+                                    result.error, true)
+        };
+      } else {
+        evaluated = that.resolveVariable_(expression, result.object);
+      }
+      that.evaluatedExpressions_[index] = evaluated;
+    });
+  }
+
+  // Now resolve the variables, skipping those whose budget is used up
+  var budget = that.budget_;
+  var skipped = [];
+  // NOTE: length changes in loop
+  for (var index = MESSAGE_TABLE.length; // skip the sentinel values
+       index < that.rawVariableTable_.length; index++) {
+    assert(!that.resolvedVariableTable_[index]); // shouldn't have it resolved yet
+    that.budget_ = that.budgets_[index];
+    if (state.isBudgetUsedUp(that.budget_)) {
+      skipped.push(index);
+    } else {
+      that.resolvedVariableTable_[index] = that.resolveRemoteObject_(index);
+    }
+  }
+  that.budget_ = budget;
+
+  // If we filled up a buffer, we need to remove the skipped entries
+  if (skipped.length) {
+    that.trimVariableTable_(skipped, frames);
+  }
+
+  return {
+    stackFrames: frames,
+    variableTable: that.resolvedVariableTable_,
+    evaluatedExpressions: that.evaluatedExpressions_
+  };
+};
+
+StateResolver.prototype.post_ = function(method, params) {
+  return post(this.session_, method, params);
+};
+
+/**
+ * Removes the skipped entries from the variable table. It marks all
+ * variables referring to them with a message indicating that the table
+ * filled, and renumbers the references to the entries after them.
+ *
+ * @param {Array<number>} skipped The indices of the entries to remove.
+ * @param {Object} frames The resolved stack frames.
+ */
+StateResolver.prototype.trimVariableTable_ = function(skipped, frames) {
+  var indices = state.trimVariableTable(this.resolvedVariableTable_,
+    this.rawVariableTable_.length, skipped);
+  state.renumberVariables(frames, this.evaluatedExpressions_,
+    this.resolvedVariableTable_, indices);
+};
+
+StateResolver.prototype.resolveFrames_ = function() {
+  var frames = [];
+  var frameCount = Math.min(this.callFrames_.length,
+    this.config_.capture.maxFrames);
+  for (var i = 0; i < frameCount; i++) {
+    var frame = this.callFrames_[i];
+    if (this.shouldFrameBeResolved_(frame)) {
+      var resolveVars = i < this.config_.capture.maxExpandFrames;
+      frames.push(this.resolveFrame_(frame, resolveVars));
+    }
+  }
+  return frames;
+};
+
+StateResolver.prototype.shouldFrameBeResolved_ = function(frame) {
+  // Only capture data from the frames for which we can link the data back
+  // to the source files.
+
+  var fullPath = this.resolveFullPath_(frame);
+
+  if (!this.isPathInCurrentWorkingDirectory_(fullPath)) {
+    return false;
+  }
+
+  var relativePath = this.resolveRelativePath_(frame);
+  if (!this.config_.capture.includeNodeModules &&
+      this.isPathInNodeModulesDirectory_(relativePath)) {
+    return false;
+  }
+
+  return true;
+};
+
+StateResolver.prototype.resolveFullPath_ = function(frame) {
+  return this.scriptPath_(frame.location.scriptId) || '';
+};
+
+StateResolver.prototype.resolveRelativePath_ = function(frame) {
+  var fullPath = this.resolveFullPath_(frame);
+  return this.stripCurrentWorkingDirectory_(fullPath);
+};
+
+StateResolver.prototype.stripCurrentWorkingDirectory_ = function(path) {
+  // Strip 1 extra character to remove the slash.
+  return path.substr(this.config_.workingDirectory.length + 1);
+};
+
+StateResolver.prototype.isPathInCurrentWorkingDirectory_ = function(path) {
+  return path.indexOf(this.config_.workingDirectory) === 0;
+};
+
+StateResolver.prototype.isPathInNodeModulesDirectory_ = function(path) {
+  return path.indexOf('node_modules') === 0;
+};
+
+StateResolver.prototype.resolveFrame_ = function(frame, resolveVars) {
+  var args = [{
+    name: 'arguments_not_available',
+    varTableIndex: state.ARG_LOCAL_LIMIT_MESSAGE_INDEX
+  }];
+  var locals = [{
+    name: 'locals_not_available',
+    varTableIndex: state.ARG_LOCAL_LIMIT_MESSAGE_INDEX
+  }];
+  if (resolveVars) {
+    var parameterNames = this.resolveParameterNames_(frame);
+    var seen = {};
+    var variables = this.resolveLocalVariables_(frame, seen);
+    if (parameterNames) {
+      args = variables.filter(function(variable) {
+        return parameterNames.indexOf(variable.name) !== -1;
+      });
+      locals = variables.filter(function(variable) {
+        return parameterNames.indexOf(variable.name) === -1;
+      });
+    } else {
+      args = [{
+        name: 'arguments_not_available',
+        status: state.UNKNOWN_PARAMETERS_STATUS
+      }];
+      locals = variables;
+    }
+    locals = locals.concat(this.resolveScopes_(frame, seen));
+  }
+  var original = this.resolveOriginal_(frame);
+  return {
+    function: (original && original.name) || frame.functionName ||
+      '(anonymous function)',
+    location: original ? original.location : this.resolveLocation_(frame),
+    arguments: args,
+    locals: locals
+  };
+};
+
+/**
+ * @return {?Object} the location and function name of the frame in its
+ *     source, for generated scripts with a source map
+ */
+StateResolver.prototype.resolveOriginal_ = function(frame) {
+  if (!this.sourceMapper_) {
+    return null;
+  }
+  var functionLocation = frame.functionLocation;
+  return this.sourceMapper_.mapFrame(this.resolveFullPath_(frame),
+    frame.location.lineNumber + 1, frame.location.columnNumber || 0,
+    functionLocation ? {
+      line: functionLocation.lineNumber + 1,
+      column: functionLocation.columnNumber || 0
+    } : undefined);
+};
+
+StateResolver.prototype.resolveLocation_ = function(frame) {
+  return {
+    path: this.resolveRelativePath_(frame),
+    // The inspector uses 0-based line numbers but Debuglet API uses 1-based
+    // numbers.
+    line: frame.location.lineNumber + 1
+  };
+};
+
+/**
+ * The inspector reports arguments and locals together as properties of the
+ * local scope. Block scopes nested in the function are reported as separate
+ * scopes before the local one. We collect all of them, innermost first.
+ *
+ * @param {!Object} frame
+ * @param {!Object.<string, boolean>} seen the names of the variables
+ *     collected, which shadow those of outer scopes
+ */
+StateResolver.prototype.resolveLocalVariables_ = function(frame, seen) {
+  var that = this;
+  var variables = [];
+  var count = localScopeCount(frame);
+  for (var i = 0; i < count; i++) {
+    var response = that.post_('Runtime.getProperties', {
+      objectId: frame.scopeChain[i].object.objectId,
+      ownProperties: true
+    });
+    if (!response.error) {
+      that.collectScopeVariables_(response.result.result, variables, seen);
+    }
+  }
+  return variables;
+};
+
+/**
+ * The scopes enclosing the function of the frame, e.g. closures and the
+ * module, are captured as groups of variables, see `config.capture.scopes`.
+ *
+ * @param {!Object} frame
+ * @param {!Object.<string, boolean>} seen the names of the variables of inner
+ *     scopes
+ * @return {Array<Object>} a variable with the variables of the scope as
+ *     members, for each scope
+ */
+StateResolver.prototype.resolveScopes_ = function(frame, seen) {
+  var options = this.config_.capture.scopes;
+  var groups = [];
+  if (!options || !options.enabled) {
+    return groups;
+  }
+  for (var i = localScopeCount(frame); i < frame.scopeChain.length; i++) {
+    var scope = frame.scopeChain[i];
+    if (scope.type !== 'global' || options.includeGlobal) {
+      var group = this.resolveScope_(scope, seen, options);
+      if (group) {
+        groups.push(group);
+      }
+    }
+  }
+  return groups;
+};
+
+/**
+ * Resolves the variables of a scope with its own limits.
+ *
+ * @param {!Object} scope a Debugger.Scope
+ * @param {!Object.<string, boolean>} seen the names of the variables of inner
+ *     scopes, to which those of this scope are added
+ * @param {!Object} options `config.capture.scopes`
+ * @return {?Object} the group of variables, or null if the scope could not be
+ *     inspected
+ */
+StateResolver.prototype.resolveScope_ = function(scope, seen, options) {
+  var response = this.post_('Runtime.getProperties', {
+    objectId: scope.object.objectId,
+    ownProperties: true
+  });
+  if (response.error) {
+    return null;
+  }
+  var properties = response.result.result.filter(function(property) {
+    // The global object has many non-enumerable built-ins.
+    return property.value && !seen.hasOwnProperty(property.name) &&
+      (scope.type !== 'global' || property.enumerable);
+  });
+
+  var group = { name: state.scopeName(scope.type, scope.name), members: [] };
+  var budget = this.budget_;
+  this.budget_ = { size: 0, max: options.maxDataSize };
+  for (var i = 0; i < properties.length; i++) {
+    var status = state.scopeLimitStatus(group.members, this.budget_, options);
+    if (status) {
+      group.status = status;
+      break;
+    }
+    group.members.push(
+      this.resolveVariable_(properties[i].name, properties[i].value));
+  }
+  this.budget_ = budget;
+
+  properties.forEach(function(property) {
+    seen[property.name] = true;
+  });
+  return group;
+};
+
+StateResolver.prototype.collectScopeVariables_ = function(properties,
+    variables, seen) {
+  var that = this;
+  properties.forEach(function(property) {
+    // Inner scopes shadow outer ones.
+    if (!property.value || seen.hasOwnProperty(property.name)) {
+      return;
+    }
+    seen[property.name] = true;
+    variables.push(that.resolveVariable_(property.name, property.value));
+  });
+};
+
+/**
+ * The inspector doesn't tell arguments apart from locals. We recover the
+ * names of the parameters from the source of the function.
+ *
+ * @return {?Array<string>} the names, or null if the parameter list could not
+ *     be parsed
+ */
+StateResolver.prototype.resolveParameterNames_ = function(frame) {
+  var location = frame.functionLocation;
+  if (!location) {
+    return [];
+  }
+  var key = location.scriptId + ':' + location.lineNumber + ':' +
+    location.columnNumber;
+  if (parameterCache.hasOwnProperty(key)) {
+    return parameterCache[key];
+  }
+
+  var names = [];
+  var response = this.post_('Debugger.getScriptSource', {
+    scriptId: location.scriptId
+  });
+  if (!response.error) {
+    var source = response.result.scriptSource;
+    var offset = 0;
+    for (var line = 0; line < location.lineNumber && offset !== -1; line++) {
+      offset = source.indexOf('\n', offset);
+      offset = offset === -1 ? -1 : offset + 1;
+    }
+    if (offset !== -1) {
+      names = parseParameterNames(source.substr(offset + location.columnNumber));
+    }
+  }
+
+  if (parameterCacheSize >= MAX_PARAMETER_CACHE_SIZE) {
+    parameterCache = {};
+    parameterCacheSize = 0;
+  }
+  parameterCache[key] = names;
+  parameterCacheSize++;
+  return names;
+};
+
+/**
+ * Computes a text representation of the provided value based on its type.
+ * If the value is a recursive data type, it will be represented as an index
+ * into the variable table.
+ *
+ * @param {String} name The name of the variable.
+ * @param {Object} value A Runtime.RemoteObject.
+ */
+StateResolver.prototype.resolveVariable_ = function(name, value) {
+  var size = name.length;
+
+  var data = {
+    name: name
+  };
+
+  if (isPrimitive(value)) {
+    // primitives: undefined, null, boolean, number, string, symbol, bigint
+    data.value = primitiveText(value);
+    var maxLength = this.config_.capture.maxStringLength;
+    if (maxLength && maxLength < data.value.length) {
+      data.value = data.value.substring(0, maxLength) + '...';
+      data.status = MESSAGE_TABLE[state.STRING_LIMIT_MESSAGE_INDEX].status;
+    }
+
+  } else if (value.type === 'function') {
+    data.value = 'function ' + functionName(value) + '()';
+
+  } else if (value.subtype === 'date') {
+    data.value = this.resolveDate_(value);
+
+  } else if (value.type === 'object') {
+    data.varTableIndex = this.getVariableIndex_(value);
+    if (this.truncated_[data.varTableIndex]) {
+      data.status = MESSAGE_TABLE[state.OBJECT_LIMIT_MESSAGE_INDEX].status;
+    } else if (this.references_[data.varTableIndex]) {
+      // The number of properties is only known once the object is resolved.
+      this.references_[data.varTableIndex].push(data);
+    }
+
+  } else {
+    data.value = 'unknown value type';
+  }
+
+  if (data.value) {
+    size += data.value.length;
+  } else {
+    size += 8; // fudge-it
+  }
+
+  this.budget_.size += size;
+
+  return data;
+};
+
+StateResolver.prototype.getVariableIndex_ = function(value) {
+  var tracked = this.trackObject_(value);
+  if (tracked !== -1 && this.trackedIndices_[tracked] !== undefined) {
+    return this.trackedIndices_[tracked];
+  }
+  var idx = this.storeObjectToVariableTable_(value);
+  if (tracked !== -1) {
+    this.trackedIndices_[tracked] = idx;
+  }
+  return idx;
+};
+
+/**
+ * @return {number} a stable index for the object, or -1 if the identity of
+ *     the object could not be established.
+ */
+StateResolver.prototype.trackObject_ = function(value) {
+  if (!this.identityTracker_) {
+    return -1;
+  }
+  var response = this.post_('Runtime.callFunctionOn', {
+    objectId: this.identityTracker_,
+    functionDeclaration: IDENTITY_FUNCTION,
+    arguments: [{ objectId: value.objectId }],
+    returnByValue: true
+  });
+  if (response.error || response.result.exceptionDetails) {
+    return -1;
+  }
+  return response.result.result.value;
+};
+
+StateResolver.prototype.storeObjectToVariableTable_ = function(obj) {
+  var idx = this.rawVariableTable_.length;
+  this.rawVariableTable_[idx] = obj;
+  this.budgets_[idx] = this.budget_;
+  this.references_[idx] = [];
+  return idx;
+};
+
+/**
+ * Responsible for resolving the properties of the object stored at the given
+ * index of the variable table. Objects of some built-in types are summarized
+ * instead, e.g. the entries of a Map or the state of a Promise.
+ */
+StateResolver.prototype.resolveRemoteObject_ = function(index) {
+  var that = this;
+  var object = that.rawVariableTable_[index];
+  if (object.subtype === 'typedarray') {
+    // Don't list the elements of large buffers.
+    return that.resolveBytes_(index, object);
+  }
+  var response = that.post_('Runtime.getProperties', {
+    objectId: object.objectId,
+    ownProperties: true
+  });
+  if (response.error) {
+    return {
+      value: object.description,
+      members: []
+    };
+  }
+
+  switch (object.subtype) {
+    case 'map':
+    case 'set':
+      return that.resolveEntries_(index, object,
+        response.result.internalProperties || []);
+    case 'promise':
+      return that.resolvePromise_(index, object,
+        response.result.internalProperties || []);
+    case 'error':
+      return that.resolveError_(index, object, response.result.result);
+  }
+
+  // Similar to Object.keys, only the enumerable properties are captured.
+  var properties = that.limitProperties_(index,
+    response.result.result.filter(function(property) {
+      return property.enumerable;
+    }).concat(that.resolveInheritedGetters_(object, response.result.result)));
+
+  return {
+    value: object.description,
+    members: properties.map(function(property) {
+      return that.resolveProperty_(object, property);
+    })
+  };
+};
+
+/**
+ * Limits the members of the object at the given index of the variable table
+ * to `config.capture.maxProperties`.
+ *
+ * @param {number} index
+ * @param {Array} properties
+ * @return {Array} the properties to capture
+ */
+StateResolver.prototype.limitProperties_ = function(index, properties) {
+  var maxProps = this.config_.capture.maxProperties;
+  if (maxProps && maxProps < properties.length) {
+    properties = properties.slice(0, maxProps);
+    this.truncated_[index] = true;
+    this.references_[index].forEach(function(data) {
+      data.status = MESSAGE_TABLE[state.OBJECT_LIMIT_MESSAGE_INDEX].status;
+    });
+  }
+  this.references_[index] = null;
+  return properties;
+};
+
+/**
+ * Summarizes a Map or a Set by its entries. Entries with primitive keys are
+ * named after their key, the others after their position.
+ *
+ * @param {number} index
+ * @param {!Object} object
+ * @param {Array<Object>} internalProperties
+ */
+StateResolver.prototype.resolveEntries_ = function(index, object,
+    internalProperties) {
+  var that = this;
+  var entries = [];
+  internalProperties.forEach(function(property) {
+    if (property.name !== '[[Entries]]' || !property.value) {
+      return;
+    }
+    var response = that.post_('Runtime.getProperties', {
+      objectId: property.value.objectId,
+      ownProperties: true
+    });
+    if (!response.error) {
+      entries = response.result.result.filter(function(entry) {
+        return entry.value && entry.value.subtype === 'internal#entry';
+      });
+    }
+  });
+
+  var properties = that.limitProperties_(index,
+    entries.concat(that.resolveInheritedGetters_(object, [])));
+  return {
+    value: object.description,
+    members: properties.map(function(property, i) {
+      return i < entries.length ?
+        that.resolveEntry_('[' + i + ']', property.value) :
+        that.resolveProperty_(object, property);
+    })
+  };
+};
+
+StateResolver.prototype.resolveEntry_ = function(name, entry) {
+  var response = this.post_('Runtime.getProperties', {
+    objectId: entry.objectId,
+    ownProperties: true
+  });
+  if (response.error) {
+    return this.resolveText_(name, entry.description);
+  }
+  var fields = {};
+  response.result.result.forEach(function(property) {
+    fields[property.name] = property.value;
+  });
+  if (!fields.key) {
+    // An entry of a Set.
+    return this.resolveVariable_(name, fields.value);
+  }
+  if (isPrimitive(fields.key)) {
+    return this.resolveVariable_(primitiveText(fields.key), fields.value);
+  }
+  return {
+    name: name,
+    members: [
+      this.resolveVariable_('key', fields.key),
+      this.resolveVariable_('value', fields.value)
+    ]
+  };
+};
+
+/**
+ * Summarizes a Promise by its state and its value or reason.
+ *
+ * @param {number} index
+ * @param {!Object} object
+ * @param {Array<Object>} internalProperties
+ */
+StateResolver.prototype.resolvePromise_ = function(index, object,
+    internalProperties) {
+  var internal = {};
+  internalProperties.forEach(function(property) {
+    internal[property.name] = property.value;
+  });
+  var status = internal['[[PromiseState]]'] || internal['[[PromiseStatus]]'];
+  var result = internal['[[PromiseResult]]'] || internal['[[PromiseValue]]'];
+  var members = [];
+  if (status) {
+    var promiseState = state.promiseState(status.value);
+    members.push(this.resolveText_('state', promiseState));
+    if (promiseState !== 'pending' && result) {
+      members.push(this.resolveVariable_(
+        promiseState === 'rejected' ? 'reason' : 'value', result));
+    }
+  }
+  return {
+    value: object.description,
+    members: this.limitProperties_(index, members)
+  };
+};
+
+/**
+ * Summarizes a Buffer or typed array by its first bytes, as hex and as utf8
+ * text.
+ *
+ * @param {number} index
+ * @param {!Object} object
+ */
+StateResolver.prototype.resolveBytes_ = function(index, object) {
+  var that = this;
+  var getters = that.limitProperties_(index,
+    that.resolveInheritedGetters_(object, []));
+  var response = that.post_('Runtime.callFunctionOn', {
+    objectId: object.objectId,
+    functionDeclaration: BYTES_FUNCTION,
+    arguments: [{ value: that.config_.capture.maxStringLength }],
+    returnByValue: true
+  });
+  if (response.error || response.result.exceptionDetails) {
+    return {
+      value: object.description,
+      members: []
+    };
+  }
+  var result = response.result.result.value;
+  var preview = state.bytesPreview(result.bytes);
+  var truncated = result.bytes.length < result.byteLength;
+  return {
+    value: object.description,
+    members: [
+      that.resolveText_('hex', preview.hex, truncated),
+      that.resolveText_('utf8', preview.utf8, truncated)
+    ].concat(getters.map(function(property) {
+      return that.resolveProperty_(object, property);
+    }))
+  };
+};
+
+/**
+ * Summarizes an Error by its message and stack, and its enumerable
+ * properties.
+ *
+ * @param {number} index
+ * @param {!Object} object
+ * @param {Array<Object>} properties the own properties of the error
+ */
+StateResolver.prototype.resolveError_ = function(index, object, properties) {
+  var that = this;
+  var named = function(name) {
+    return properties.filter(function(property) {
+      return property.name === name && property.value;
+    });
+  };
+  properties = that.limitProperties_(index,
+    named('message').concat(named('stack'), properties.filter(
+      function(property) {
+        return property.enumerable && property.name !== 'message' &&
+          property.name !== 'stack';
+      })));
+  return {
+    value: object.description.split('\n')[0],
+    members: properties.map(function(property) {
+      return that.resolveProperty_(object, property);
+    })
+  };
+};
+
+/**
+ * @param {string} name
+ * @param {string} text
+ * @param {boolean=} truncated whether the text is already incomplete
+ * @return {!Object} a variable with the text as value, limited to
+ *     `config.capture.maxStringLength`
+ */
+StateResolver.prototype.resolveText_ = function(name, text, truncated) {
+  var data = state.textVariable(name, text,
+    this.config_.capture.maxStringLength, truncated);
+  this.budget_.size += name.length + data.value.length;
+  return data;
+};
+
+/**
+ * @param {!Object} value a Runtime.RemoteObject of a Date
+ * @return {string} the date as an ISO string, or its description if it is
+ *     invalid
+ */
+StateResolver.prototype.resolveDate_ = function(value) {
+  var response = this.post_('Runtime.callFunctionOn', {
+    objectId: value.objectId,
+    functionDeclaration:
+      'function() { return Date.prototype.toISOString.call(this); }',
+    returnByValue: true
+  });
+  if (response.error || response.result.exceptionDetails) {
+    return value.description;
+  }
+  return response.result.result.value;
+};
+
+/**
+ * @param {!Object} object a Runtime.RemoteObject
+ * @param {Array<Object>} ownProperties the own properties of the object
+ * @return {Array<Object>} the safe getters of the prototypes of the object,
+ *     e.g. Map.prototype.size, see `config.capture.getters`
+ */
+StateResolver.prototype.resolveInheritedGetters_ = function(object,
+    ownProperties) {
+  var that = this;
+  if (!that.config_.capture.getters || !that.config_.capture.getters.enabled) {
+    return [];
+  }
+  var response = that.post_('Runtime.getProperties', {
+    objectId: object.objectId,
+    ownProperties: false,
+    accessorPropertiesOnly: true
+  });
+  if (response.error) {
+    return [];
+  }
+  var names = ownProperties.map(function(property) {
+    return property.name;
+  });
+  return response.result.result.filter(function(property) {
+    if (names.indexOf(property.name) !== -1) {
+      return false; // shadowed
+    }
+    names.push(property.name);
+    if (property.value) {
+      // V8 reports the values of built-in accessors it knows to be free of
+      // side effects itself.
+      return state.isSafeGetter(object.className, String(property.name), true,
+        that.config_.capture.getters);
+    }
+    return property.get && that.isSafeGetter_(object, property);
+  });
+};
+
+StateResolver.prototype.isSafeGetter_ = function(object, property) {
+  return state.isSafeGetter(object.className, String(property.name),
+    property.get.type === 'function' &&
+      /\[native code\]/.test(property.get.description),
+    this.config_.capture.getters);
+};
+
+StateResolver.prototype.resolveProperty_ = function(object, property) {
+  var name = String(property.name);
+  if (property.value) {
+    return this.resolveVariable_(name, property.value);
+  }
+  if (property.get || property.set) {
+    if (property.get && this.isSafeGetter_(object, property)) {
+      return this.resolveGetter_(object, name);
+    }
+    return {
+      name: name,
+      varTableIndex: state.GETTER_MESSAGE_INDEX
+    };
+  }
+  return {
+    name: name,
+    varTableIndex: state.NATIVE_PROPERTY_MESSAGE_INDEX
+  };
+};
+
+/**
+ * @return {number} the number of scopes holding the arguments and locals of
+ *     the frame: the local scope and the block scopes nested in it.
+ */
+function localScopeCount(frame) {
+  for (var i = 0; i < frame.scopeChain.length; i++) {
+    var type = frame.scopeChain[i].type;
+    if (type === 'local') {
+      return i + 1;
+    }
+    if (type !== 'block') {
+      return i;
+    }
+  }
+  return i;
+}
+
+/**
+ * Calls a safe getter on the object.
+ */
+StateResolver.prototype.resolveGetter_ = function(object, name) {
+  var that = this;
+  var result = state.callGetter(object.className, name,
+    that.config_.capture.getters, function() {
+      var response = that.post_('Runtime.callFunctionOn', {
+        objectId: object.objectId,
+        functionDeclaration: 'function(name) { return this[name]; }',
+        arguments: [{ value: name }],
+        objectGroup: module.exports.OBJECT_GROUP,
+        silent: true
+      });
+      if (response.error) {
+        return { error: response.error.message };
+      }
+      if (response.result.exceptionDetails) {
+        return { error: exceptionMessage(response.result.exceptionDetails) };
+      }
+      return { value: response.result.result };
+    });
+  if (result.status) {
+    return { name: name, status: result.status };
+  }
+  return that.resolveVariable_(name, result.value);
+};
+
+function isPrimitive(value) {
+  if (value.type === 'object') {
+    return value.subtype === 'null' || value.subtype === 'regexp';
+  }
+  return value.type !== 'function';
+}
+
+function primitiveText(value) {
+  if (value.type === 'undefined') {
+    return 'undefined';
+  }
+  if (value.unserializableValue) {
+    return value.unserializableValue;
+  }
+  if (value.hasOwnProperty('value')) {
+    return String(value.value);
+  }
+  // symbols and regular expressions.
+  return value.description;
+}
+
+function functionName(value) {
+  var match = /^(?:async\s+)?(?:function\s*\*?|class)\s*([^\s(){]+)/.exec(
+    value.description);
+  return match ? match[1] : '(anonymous function)';
+}
+
+/**
+ * @param {string} source source text starting at the parameter list of a
+ *     function, as pointed to by its functionLocation.
+ * @return {?Array<string>} the names, or null if the parameter list could not
+ *     be parsed
+ */
+function parseParameterNames(source) {
+  var acorn = require('acorn');
+  // The newest version that the acorn dependency supports.
+  var options = { ecmaVersion: 7 };
+  if (source[0] !== '(') {
+    // Arrow function with a single parameter.
+    var match = /^[A-Za-z_$][\w$]*/.exec(source);
+    return match ? [match[0]] : [];
+  }
+
+  try {
+    var depth = 0;
+    var end = -1;
+    var tokenizer = acorn.tokenizer(source, options);
+    var token;
+    do {
+      token = tokenizer.getToken();
+      if (token.type === acorn.tokTypes.parenL) {
+        depth++;
+      } else if (token.type === acorn.tokTypes.parenR && --depth === 0) {
+        end = token.end;
+      }
+    } while (end === -1 && token.type !== acorn.tokTypes.eof);
+    if (end === -1) {
+      return null;
+    }
+    var program = acorn.parse('(function' + source.substring(0, end) + '{})',
+      options);
+    return program.body[0].expression.params.map(function(param) {
+      switch (param.type) {
+        case 'Identifier':
+          return param.name;
+        case 'AssignmentPattern':
+          return param.left.name;
+        case 'RestElement':
+          return param.argument.name;
+      }
+      // Destructured parameters show up as locals.
+      return null;
+    }).filter(Boolean);
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var StatusMessage = require('./apiclasses.js').StatusMessage;
+
+/** @const {number} */
+var DEFAULT_SUMMARY_INTERVAL_SEC = 60;
+
+/**
+ * A token bucket: tokens are added at a fixed rate, up to the burst size.
+ * @param {Object=} limit { messagesPerSec, burst }. Without a rate, the
+ *     bucket never runs out.
+ * @constructor
+ */
+function TokenBucket(limit) {
+  /** @private {number} tokens per millisecond, 0 for no limit */
+  this.rate_ = ((limit && limit.messagesPerSec) || 0) / 1000;
+
+  /** @private {number} */
+  this.burst_ = Math.max((limit && limit.burst) || 0, 1);
+
+  /** @private {number} */
+  this.tokens_ = this.burst_;
+
+  /** @private {number} */
+  this.lastRefill_ = Date.now();
+}
+
+/**
+ * @param {number} now
+ * @return {boolean} whether a token is available
+ */
+TokenBucket.prototype.hasToken = function(now) {
+  if (!this.rate_) {
+    return true;
+  }
+  this.tokens_ = Math.min(this.burst_,
+    this.tokens_ + (now - this.lastRefill_) * this.rate_);
+  this.lastRefill_ = now;
+  return this.tokens_ >= 1;
+};
+
+/**
+ * Takes a token, which must be available.
+ */
+TokenBucket.prototype.take = function() {
+  if (this.rate_) {
+    this.tokens_--;
+  }
+};
+
+/**
+ * @param {number} n
+ * @return {string} n with thousands separators
+ */
+function formatCount(n) {
+  return String(n).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Limits the rate of logpoint messages, with a token bucket per logpoint
+ * and one for all logpoints. Suppressed messages are counted and reported
+ * once per summary interval. Logpoints that keep exceeding their quota get a
+ * status message, removed once they are back under quota for an interval.
+ *
+ * @param {Object} options the logpoint.rateLimit section of the
+ *     configuration
+ * @param {function(Breakpoint, string)} report called with a logpoint and a
+ *     summary of its suppressed messages, once per interval
+ * @param {function(Breakpoint)=} statusChanged called with a logpoint once
+ *     its quota status is set or removed
+ * @constructor
+ */
+function LogpointLimiter(options, report, statusChanged) {
+  /** @private {Object} */
+  this.options_ = options;
+
+  /** @private {number} */
+  this.summaryIntervalSec_ = options.summaryIntervalSec ||
+    DEFAULT_SUMMARY_INTERVAL_SEC;
+
+  /** @private {function(Breakpoint, string)} */
+  this.report_ = report;
+
+  /** @private {function(Breakpoint)} */
+  this.statusChanged_ = statusChanged || function() {};
+
+  /** @private {TokenBucket} */
+  this.global_ = new TokenBucket(options.global);
+
+  /**
+   * @private {Object.<string, Object>} by logpoint id: its bucket and the
+   *     messages suppressed in the current interval
+   */
+  this.logpoints_ = {};
+
+  /** @private {?Timer} summarizes the suppressed messages, while any are */
+  this.timer_ = null;
+}
+
+/**
+ * Takes a token for a message of the logpoint.
+ * @param {Breakpoint} breakpoint
+ * @return {boolean} whether the message may be written
+ */
+LogpointLimiter.prototype.allow = function(breakpoint) {
+  var state = this.logpoints_[breakpoint.id];
+  if (!state) {
+    state = this.logpoints_[breakpoint.id] = {
+      breakpoint: breakpoint,
+      bucket: new TokenBucket(this.options_.perLogpoint),
+      suppressed: 0,
+      intervals: 0,
+      exceeded: false
+    };
+  }
+
+  var now = Date.now();
+  if (state.bucket.hasToken(now) && this.global_.hasToken(now)) {
+    state.bucket.take();
+    this.global_.take();
+    return true;
+  }
+  state.suppressed++;
+  this.schedule_();
+  return false;
+};
+
+/**
+ * Forgets a logpoint, e.g. once cleared.
+ * @param {string} id
+ */
+LogpointLimiter.prototype.remove = function(id) {
+  delete this.logpoints_[id];
+};
+
+/**
+ * Forgets all logpoints and cancels the summary timer.
+ */
+LogpointLimiter.prototype.stop = function() {
+  clearInterval(this.timer_);
+  this.timer_ = null;
+  this.logpoints_ = {};
+};
+
+/**
+ * @private
+ */
+LogpointLimiter.prototype.schedule_ = function() {
+  var that = this;
+  if (that.timer_) {
+    return;
+  }
+  that.timer_ = setInterval(function() {
+    that.summarize_();
+  }, that.summaryIntervalSec_ * 1000);
+  that.timer_.unref();
+};
+
+/**
+ * Reports the suppressed messages of the last interval, and updates the
+ * quota status of the logpoints.
+ * @private
+ */
+LogpointLimiter.prototype.summarize_ = function() {
+  var that = this;
+  var pending = false;
+  Object.keys(that.logpoints_).forEach(function(id) {
+    var state = that.logpoints_[id];
+    if (!state.suppressed) {
+      state.intervals = 0;
+      if (state.exceeded) {
+        state.exceeded = false;
+        delete state.breakpoint.status;
+        that.statusChanged_(state.breakpoint);
+      }
+      return;
+    }
+
+    pending = true;
+    that.report_(state.breakpoint, 'suppressed ' +
+      formatCount(state.suppressed) + ' messages in last ' +
+      that.summaryIntervalSec_ + 's');
+    state.suppressed = 0;
+    state.intervals++;
+    var maxIntervals = that.options_.quotaExceededIntervals;
+    if (!state.exceeded && maxIntervals && state.intervals >= maxIntervals) {
+      state.exceeded = true;
+      state.breakpoint.status = new StatusMessage(StatusMessage.UNSPECIFIED,
+        'The logpoint is exceeding its quota, some of its messages are ' +
+        'dropped', false);
+      that.statusChanged_(state.breakpoint);
+    }
+  });
+
+  if (!pending) {
+    // All logpoints are back under quota.
+    clearInterval(that.timer_);
+    that.timer_ = null;
+  }
+};
+
+module.exports = LogpointLimiter;
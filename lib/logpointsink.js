@@ -0,0 +1,159 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var fs = require('fs');
+
+/** @const {Object.<string, string>} logger methods by breakpoint log level */
+var LOGGER_METHODS = {
+  INFO: 'info',
+  WARNING: 'warn',
+  ERROR: 'error'
+};
+
+/**
+ * The record written for a logpoint hit.
+ * @param {Breakpoint} breakpoint
+ * @param {string} message the formatted log message
+ * @return {Object} with the time, the breakpoint log level as severity, the
+ *     breakpoint id and location, and the message
+ */
+function createRecord(breakpoint, message) {
+  var severity = breakpoint.logLevel;
+  return {
+    timestamp: new Date().toISOString(),
+    severity: LOGGER_METHODS[severity] ? severity : 'INFO',
+    breakpointId: breakpoint.id,
+    location: breakpoint.location.path + ':' + breakpoint.location.line,
+    message: message
+  };
+}
+
+/**
+ * @param {Object} record
+ * @return {string} the record as a line of text
+ */
+function formatRecord(record) {
+  return record.timestamp + ' ' + record.severity + ' logpoint ' +
+    record.breakpointId + ' ' + record.location + ': ' + record.message + '\n';
+}
+
+/**
+ * @param {Object} record
+ * @return {Object} the record without its message
+ */
+function metadata(record) {
+  return {
+    timestamp: record.timestamp,
+    severity: record.severity,
+    breakpointId: record.breakpointId,
+    location: record.location
+  };
+}
+
+/**
+ * Creates the sink that logpoint records are written to.
+ *
+ * @param {Object} options the logpoint section of the configuration:
+ *   - sink: 'stdout' or 'stderr' for a line of text per record, 'file' to
+ *     append the records as JSON lines to options.file, a function called
+ *     with each record, or a logger object such as a winston or bunyan
+ *     logger. Loggers are called with the method matching the severity:
+ *     bunyan loggers as logger.info(metadata, message), other loggers as
+ *     logger.info(message, metadata).
+ *   - file: the file used by the 'file' sink
+ * @param {Logger} logger the agent logger, for errors of the sink itself
+ * @return {{write: function(Object), close: function()}}
+ * @throws {Error} if the options are invalid
+ */
+function create(options, logger) {
+  var sink = options.sink || 'stdout';
+
+  if (sink === 'stdout' || sink === 'stderr') {
+    return {
+      write: function(record) {
+        process[sink].write(formatRecord(record));
+      },
+      close: function() {}
+    };
+  }
+
+  if (sink === 'file') {
+    if (!options.file) {
+      throw new Error('The file logpoint sink requires logpoint.file');
+    }
+    var stream = fs.createWriteStream(options.file, { flags: 'a' });
+    stream.on('error', function(err) {
+      logger.error('Unable to write logpoints to ' + options.file, err);
+    });
+    return {
+      write: function(record) {
+        stream.write(JSON.stringify(record) + '\n');
+      },
+      close: function() {
+        stream.end();
+      }
+    };
+  }
+
+  if (typeof sink === 'function') {
+    return {
+      write: function(record) {
+        try {
+          sink(record);
+        } catch (e) {
+          logger.error('The logpoint sink failed', e);
+        }
+      },
+      close: function() {}
+    };
+  }
+
+  if (sink && typeof sink === 'object') {
+    var missing = Object.keys(LOGGER_METHODS).filter(function(level) {
+      return typeof sink[LOGGER_METHODS[level]] !== 'function';
+    });
+    if (missing.length) {
+      throw new Error('The logpoint logger is missing the ' +
+        LOGGER_METHODS[missing[0]] + ' method');
+    }
+    // Bunyan loggers take the fields first.
+    var fieldsFirst = typeof sink.fields === 'object';
+    return {
+      write: function(record) {
+        var method = LOGGER_METHODS[record.severity];
+        try {
+          if (fieldsFirst) {
+            sink[method](metadata(record), record.message);
+          } else {
+            sink[method](record.message, metadata(record));
+          }
+        } catch (e) {
+          logger.error('The logpoint logger failed', e);
+        }
+      },
+      close: function() {}
+    };
+  }
+
+  throw new Error('unknown logpoint sink: ' + sink);
+}
+
+module.exports = {
+  create: create,
+  createRecord: createRecord
+};
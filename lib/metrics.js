@@ -0,0 +1,331 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var http = require('http');
+
+/** @const {Array<number>} default histogram buckets, in seconds */
+var DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5];
+
+/**
+ * @param {Object=} labels
+ * @return {string} a key identifying the label values
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels || {}).sort().map(function(name) {
+    return [name, String(labels[name])];
+  }));
+}
+
+/**
+ * @param {Object=} labels
+ * @param {Object=} extra more labels, e.g. the bucket of a histogram
+ * @return {string} the labels in the Prometheus text format
+ */
+function formatLabels(labels, extra) {
+  var all = {};
+  [labels, extra].forEach(function(source) {
+    Object.keys(source || {}).forEach(function(name) {
+      all[name] = source[name];
+    });
+  });
+  var names = Object.keys(all).sort();
+  if (!names.length) {
+    return '';
+  }
+  return '{' + names.map(function(name) {
+    var value = String(all[name]).replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return name + '="' + value + '"';
+  }).join(',') + '}';
+}
+
+/**
+ * @param {number} value
+ * @return {string} the value in the Prometheus text format
+ */
+function formatValue(value) {
+  return value === Infinity ? '+Inf' : String(value);
+}
+
+/**
+ * A value that only goes up, e.g. the number of breakpoint hits. Labels
+ * distinguish the series, e.g. the status code of breakpoint fetches.
+ * @param {string} name
+ * @param {string} help
+ * @constructor
+ */
+function Counter(name, help) {
+  this.name = name;
+  this.help = help;
+  this.type = 'counter';
+
+  /** @private {Object.<string, Object>} series by label key */
+  this.series_ = {};
+}
+
+/**
+ * @param {Object=} labels
+ * @param {number=} value defaults to 1
+ */
+Counter.prototype.inc = function(labels, value) {
+  var key = labelKey(labels);
+  if (!this.series_[key]) {
+    this.series_[key] = { labels: labels || {}, value: 0 };
+  }
+  this.series_[key].value += value === undefined ? 1 : value;
+};
+
+/**
+ * @return {Array<Object>} the series, with their labels and value
+ */
+Counter.prototype.collect = function() {
+  var that = this;
+  return Object.keys(that.series_).map(function(key) {
+    return { labels: that.series_[key].labels, value: that.series_[key].value };
+  });
+};
+
+/**
+ * A value read when the metrics are collected, e.g. the number of active
+ * breakpoints.
+ * @param {string} name
+ * @param {string} help
+ * @param {function():number} read
+ * @constructor
+ */
+function Gauge(name, help, read) {
+  this.name = name;
+  this.help = help;
+  this.type = 'gauge';
+
+  /** @private {function():number} */
+  this.read_ = read;
+}
+
+/**
+ * @return {Array<Object>}
+ */
+Gauge.prototype.collect = function() {
+  return [{ labels: {}, value: this.read_() }];
+};
+
+/**
+ * The distribution of observed values, e.g. capture durations, counted in
+ * buckets of values less than or equal to their upper bound.
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<number>=} buckets upper bounds, ascending. Durations in
+ *     seconds by default.
+ * @constructor
+ */
+function Histogram(name, help, buckets) {
+  this.name = name;
+  this.help = help;
+  this.type = 'histogram';
+
+  /** @private {Array<number>} */
+  this.bounds_ = (buckets || DURATION_BUCKETS).concat([Infinity]);
+
+  /** @private {Object.<string, Object>} series by label key */
+  this.series_ = {};
+}
+
+/**
+ * @param {number} value
+ * @param {Object=} labels
+ */
+Histogram.prototype.observe = function(value, labels) {
+  var key = labelKey(labels);
+  var series = this.series_[key];
+  if (!series) {
+    series = this.series_[key] = {
+      labels: labels || {},
+      counts: this.bounds_.map(function() { return 0; }),
+      count: 0,
+      sum: 0
+    };
+  }
+  for (var i = 0; i < this.bounds_.length; i++) {
+    if (value <= this.bounds_[i]) {
+      series.counts[i]++;
+      break;
+    }
+  }
+  series.count++;
+  series.sum += value;
+};
+
+/**
+ * @return {Array<Object>} the series, with their labels, number and sum of
+ *     observations, and cumulative bucket counts
+ */
+Histogram.prototype.collect = function() {
+  var that = this;
+  return Object.keys(that.series_).map(function(key) {
+    var series = that.series_[key];
+    var cumulative = 0;
+    return {
+      labels: series.labels,
+      count: series.count,
+      sum: series.sum,
+      buckets: that.bounds_.map(function(bound, i) {
+        cumulative += series.counts[i];
+        return { le: bound, count: cumulative };
+      })
+    };
+  });
+};
+
+/**
+ * The metrics of an agent. Metrics are created on first use, and shared by
+ * name afterwards.
+ * @constructor
+ */
+function MetricsRegistry() {
+  /** @private {Object.<string, Counter|Gauge|Histogram>} */
+  this.metrics_ = {};
+}
+
+/**
+ * @param {string} name
+ * @param {function(new:Object, string, string, *)} Type
+ * @param {string} help
+ * @param {*} option
+ * @return {Counter|Gauge|Histogram}
+ * @private
+ */
+MetricsRegistry.prototype.get_ = function(name, Type, help, option) {
+  var metric = this.metrics_[name];
+  if (!metric) {
+    metric = this.metrics_[name] = new Type(name, help, option);
+  } else if (!(metric instanceof Type)) {
+    throw new Error('Metric ' + name + ' is a ' + metric.type);
+  }
+  return metric;
+};
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @return {Counter}
+ */
+MetricsRegistry.prototype.counter = function(name, help) {
+  return this.get_(name, Counter, help);
+};
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {function():number} read
+ * @return {Gauge}
+ */
+MetricsRegistry.prototype.gauge = function(name, help, read) {
+  return this.get_(name, Gauge, help, read);
+};
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<number>=} buckets
+ * @return {Histogram}
+ */
+MetricsRegistry.prototype.histogram = function(name, help, buckets) {
+  return this.get_(name, Histogram, help, buckets);
+};
+
+/**
+ * @return {Object.<string, Object>} the metrics by name, with their type,
+ *     help and series
+ */
+MetricsRegistry.prototype.snapshot = function() {
+  var that = this;
+  var snapshot = {};
+  Object.keys(that.metrics_).sort().forEach(function(name) {
+    var metric = that.metrics_[name];
+    snapshot[name] = {
+      type: metric.type,
+      help: metric.help,
+      series: metric.collect()
+    };
+  });
+  return snapshot;
+};
+
+/**
+ * @return {string} the metrics in the Prometheus text exposition format
+ */
+MetricsRegistry.prototype.toPrometheus = function() {
+  var snapshot = this.snapshot();
+  var lines = [];
+  Object.keys(snapshot).forEach(function(name) {
+    var metric = snapshot[name];
+    lines.push('# HELP ' + name + ' ' + metric.help.replace(/\n/g, ' '));
+    lines.push('# TYPE ' + name + ' ' + metric.type);
+    metric.series.forEach(function(series) {
+      if (metric.type !== 'histogram') {
+        lines.push(name + formatLabels(series.labels) + ' ' +
+          formatValue(series.value));
+        return;
+      }
+      series.buckets.forEach(function(bucket) {
+        lines.push(name + '_bucket' +
+          formatLabels(series.labels, { le: formatValue(bucket.le) }) + ' ' +
+          bucket.count);
+      });
+      lines.push(name + '_sum' + formatLabels(series.labels) + ' ' +
+        series.sum);
+      lines.push(name + '_count' + formatLabels(series.labels) + ' ' +
+        series.count);
+    });
+  });
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Serves the metrics of the registry in the Prometheus text format at
+ * /metrics. The server doesn't keep the process alive.
+ * @param {MetricsRegistry} registry
+ * @param {number} port
+ * @param {string} host
+ * @param {function(?Error)} callback called once listening
+ * @return {http.Server}
+ */
+function listen(registry, port, host, callback) {
+  var server = http.createServer(function(req, res) {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'
+    });
+    res.end(registry.toPrometheus());
+  });
+  server.once('error', callback);
+  server.listen(port, host, function() {
+    server.removeListener('error', callback);
+    callback(null);
+  });
+  server.unref();
+  return server;
+}
+
+module.exports = {
+  MetricsRegistry: MetricsRegistry,
+  listen: listen
+};
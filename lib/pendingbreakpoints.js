@@ -0,0 +1,219 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/** @const */ var fs = require('fs');
+/** @const */ var path = require('path');
+
+/** @const */ var StatusMessage = require('./apiclasses.js').StatusMessage;
+/** @const */ var utils = require('./debugapiutils.js');
+/** @const */ var messages = utils.messages;
+
+/**
+ * Breakpoints in scripts that aren't loaded yet: scripts that are required
+ * lazily, or created after the agent scanned the application. The debug api
+ * keeps them pending, with an informational status, until a matching script
+ * is compiled, and then sets them again. They are rejected if no matching
+ * script is loaded in time.
+ *
+ * @param {!Object} fileStats the file statistics produced by the scanner.
+ *     Scripts that the scanner didn't find are added once loaded.
+ * @param {number} timeoutSec how long breakpoints stay pending, 0 to reject
+ *     them right away
+ * @constructor
+ */
+function PendingBreakpoints(fileStats, timeoutSec) {
+  /** @private {!Object} */
+  this.fileStats_ = fileStats;
+
+  /** @private {number} */
+  this.timeoutSec_ = timeoutSec;
+
+  /**
+   * @private {Object.<string, Object>} by breakpoint id: the breakpoint, the
+   *     script path it waits for, its timer, and the wait callback or the
+   *     error it failed with
+   */
+  this.entries_ = {};
+}
+
+/**
+ * @param {!Breakpoint} breakpoint
+ * @param {?Error} err the error setting the breakpoint, if any
+ * @return {boolean} whether the breakpoint may wait for its script: it is
+ *     set in a JavaScript file that isn't known yet
+ */
+PendingBreakpoints.prototype.canDefer = function(breakpoint, err) {
+  return this.timeoutSec_ > 0 &&
+    (!err || (err.message === messages.SOURCE_FILE_NOT_FOUND &&
+      path.extname(breakpoint.location.path) === '.js'));
+};
+
+/**
+ * Keeps a breakpoint pending until a script matching the path is loaded. A
+ * breakpoint deferred again keeps its timer and its onSet callback.
+ *
+ * @param {!Breakpoint} breakpoint
+ * @param {string} scriptPath the path of the script, or the path of the
+ *     breakpoint if no script is known
+ * @param {function()=} onSet called once the breakpoint is set in a loaded
+ *     script
+ */
+PendingBreakpoints.prototype.add = function(breakpoint, scriptPath, onSet) {
+  var that = this;
+  var entry = that.entries_[breakpoint.id];
+  if (!entry) {
+    entry = that.entries_[breakpoint.id] = {
+      breakpoint: breakpoint,
+      timer: setTimeout(function() {
+        that.fail(breakpoint.id, new Error(messages.PENDING_BREAKPOINT_TIMEOUT +
+          that.timeoutSec_ + ' seconds'));
+      }, that.timeoutSec_ * 1000),
+      callback: null,
+      onSet: null,
+      error: null
+    };
+    entry.timer.unref();
+  }
+  entry.onSet = onSet || entry.onSet;
+  entry.regexp = utils.pathToRegExp(scriptPath);
+  breakpoint.status = new StatusMessage(
+    StatusMessage.BREAKPOINT_SOURCE_LOCATION, messages.BREAKPOINT_PENDING,
+    false);
+};
+
+/**
+ * @param {string} id
+ * @return {boolean}
+ */
+PendingBreakpoints.prototype.has = function(id) {
+  return this.entries_.hasOwnProperty(id);
+};
+
+/**
+ * Registers the callback of debugapi.wait for a pending breakpoint. It is
+ * called with the error if the breakpoint can't be set.
+ *
+ * @param {string} id
+ * @param {function(?Error)} callback
+ */
+PendingBreakpoints.prototype.wait = function(id, callback) {
+  var entry = this.entries_[id];
+  if (entry.error) {
+    delete this.entries_[id];
+    setImmediate(function() { callback(entry.error); });
+    return;
+  }
+  entry.callback = callback;
+};
+
+/**
+ * Looks up the pending breakpoints a newly loaded script may resolve, and
+ * records the statistics of the script if the scanner didn't find it.
+ *
+ * @param {string} scriptPath the absolute path of the script
+ * @return {Array<Breakpoint>}
+ */
+PendingBreakpoints.prototype.loaded = function(scriptPath) {
+  var that = this;
+  var matching = Object.keys(that.entries_).filter(function(id) {
+    var entry = that.entries_[id];
+    return !entry.error && entry.regexp.test(scriptPath);
+  }).map(function(id) {
+    return that.entries_[id].breakpoint;
+  });
+  if (matching.length && !that.fileStats_[scriptPath]) {
+    try {
+      // The line count of the scanner.
+      that.fileStats_[scriptPath] = {
+        lines: fs.readFileSync(scriptPath, 'utf8').split('\n').length
+      };
+    } catch (e) {
+      return [];
+    }
+  }
+  return matching;
+};
+
+/**
+ * Stops tracking a breakpoint that has been set, clearing its pending status,
+ * and calls its onSet callback.
+ *
+ * @param {string} id
+ * @return {?function(?Error)} the wait callback of the breakpoint, if any
+ */
+PendingBreakpoints.prototype.resolve = function(id) {
+  var entry = this.entries_[id];
+  if (!entry) {
+    return null;
+  }
+  this.remove(id);
+  var status = entry.breakpoint.status;
+  if (status && status.description.format === messages.BREAKPOINT_PENDING) {
+    delete entry.breakpoint.status;
+  }
+  if (entry.onSet) {
+    entry.onSet();
+  }
+  return entry.callback;
+};
+
+/**
+ * Rejects a pending breakpoint. The error is reported to its wait callback,
+ * now or once it is registered.
+ *
+ * @param {string} id
+ * @param {!Error} err
+ */
+PendingBreakpoints.prototype.fail = function(id, err) {
+  var entry = this.entries_[id];
+  if (!entry) {
+    return;
+  }
+  clearTimeout(entry.timer);
+  var status = entry.breakpoint.status;
+  if (!status || !status.isError) {
+    entry.breakpoint.status = new StatusMessage(
+      StatusMessage.BREAKPOINT_SOURCE_LOCATION, err.message, true);
+  }
+  if (entry.callback) {
+    delete this.entries_[id];
+    setImmediate(function() { entry.callback(err); });
+  } else {
+    entry.error = err;
+  }
+};
+
+/**
+ * @param {string} id
+ */
+PendingBreakpoints.prototype.remove = function(id) {
+  var entry = this.entries_[id];
+  if (entry) {
+    clearTimeout(entry.timer);
+    delete this.entries_[id];
+  }
+};
+
+/**
+ * Forgets all pending breakpoints.
+ */
+PendingBreakpoints.prototype.stop = function() {
+  Object.keys(this.entries_).forEach(this.remove, this);
+};
+
+module.exports = PendingBreakpoints;
@@ -0,0 +1,390 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/** @const */ var StatusMessage = require('./apiclasses.js').StatusMessage;
+
+/** @const {string} */
+var REDACTED_MESSAGE = 'The value was redacted';
+
+/** @const {string} what redacted values of logpoint messages are shown as */
+var REDACTED_TEXT = '[redacted]';
+
+/**
+ * The rules applied unless options.includeDefaults is unset.
+ * @const
+ */
+var DEFAULT_RULES = {
+  names: [/pass(word)?|secret|token|authorization/i],
+  values: ['creditCard', 'jwt', 'email'],
+  paths: ['req.headers.cookie']
+};
+
+/**
+ * Detectors of sensitive values that value rules may name.
+ * @const {Object.<string, function(string): boolean>}
+ */
+var BUILTIN_VALUE_RULES = {
+  creditCard: function(text) {
+    var candidates = text.match(/\d(?:[ -]?\d){12,18}/g) || [];
+    return candidates.some(function(candidate) {
+      return luhnValid(candidate.replace(/\D/g, ''));
+    });
+  },
+  jwt: function(text) {
+    return /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/.test(text);
+  },
+  email: function(text) {
+    return /[^\s@"'<>(),;:]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}/i.test(text);
+  }
+};
+
+/**
+ * @param {string} digits
+ * @return {boolean} whether the digits have a valid Luhn check digit, as
+ *     card numbers do
+ */
+function luhnValid(digits) {
+  var sum = 0;
+  for (var i = 0; i < digits.length; i++) {
+    var digit = +digits[digits.length - 1 - i];
+    if (i % 2 === 1) {
+      digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * @param {RegExp|string} pattern
+ * @return {function(string): boolean}
+ */
+function toMatcher(pattern) {
+  if (typeof pattern === 'string' && BUILTIN_VALUE_RULES[pattern]) {
+    return BUILTIN_VALUE_RULES[pattern];
+  }
+  var regexp = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+  return function(text) {
+    regexp.lastIndex = 0;
+    return regexp.test(text);
+  };
+}
+
+/**
+ * @param {Variable} variable
+ * @return {boolean} whether the variable is a redacted value
+ */
+function isRedacted(variable) {
+  return !!variable.status &&
+    variable.status.description.format === REDACTED_MESSAGE;
+}
+
+/**
+ * @param {Variable} variable a local of a stack frame
+ * @return {boolean} whether the local is the group of the variables of an
+ *     enclosing scope, e.g. '[closure]', whose members are named as locals
+ */
+function isScopeGroup(variable) {
+  return !!variable.members && variable.varTableIndex === undefined &&
+    /^\[/.test(variable.name);
+}
+
+/**
+ * Removes sensitive values from captured snapshots and logpoint messages
+ * before they leave the process. A value is redacted when the name of its
+ * variable or property matches one of the name rules, when its path from a
+ * local or a watch expression, e.g. 'req.headers.cookie', matches one of the
+ * path rules, or when its text matches one of the value rules.
+ *
+ * @param {Object} options the redaction section of the configuration:
+ *     enabled; names, the patterns of the names; values, the patterns of the
+ *     values, or the names of built-in rules ('creditCard', 'jwt' or
+ *     'email'); paths, the dotted paths, where '*' matches any name. Patterns
+ *     given as strings are case insensitive. The rules add to DEFAULT_RULES
+ *     unless includeDefaults is unset.
+ * @constructor
+ */
+function Redactor(options) {
+  var rules = function(kind) {
+    return (options.includeDefaults ? DEFAULT_RULES[kind] : []).concat(
+      options[kind] || []);
+  };
+
+  /** @private {boolean} */
+  this.enabled_ = !!options.enabled;
+
+  /** @private {Array<function(string): boolean>} */
+  this.names_ = rules('names').map(toMatcher);
+
+  /** @private {Array<function(string): boolean>} */
+  this.values_ = rules('values').map(toMatcher);
+
+  /** @private {Array<Array<string>>} */
+  this.paths_ = rules('paths').map(function(rule) {
+    return rule.split('.');
+  });
+}
+
+/**
+ * Redacts the arguments, locals and watch expressions of a snapshot, and
+ * the members of the objects they reference, and records the number of
+ * redacted values in its 'redactions' label. The stack and the variable
+ * table may be shared with other snapshots captured at the same hit, whose
+ * redacted values are counted for each of them.
+ *
+ * @param {!Breakpoint} breakpoint a captured snapshot
+ * @return {number} the number of redacted values
+ */
+Redactor.prototype.redactSnapshot = function(breakpoint) {
+  var that = this;
+  if (!that.enabled_) {
+    return 0;
+  }
+  var walk = {
+    table: breakpoint.variableTable || [],
+    references: countReferences(breakpoint),
+    visited: {},
+    redacted: {},
+    count: 0
+  };
+  (breakpoint.stackFrames || []).forEach(function(frame) {
+    (frame.arguments || []).forEach(function(variable) {
+      that.redactVariable_(variable, [variable.name], walk);
+    });
+    (frame.locals || []).forEach(function(variable) {
+      if (isScopeGroup(variable)) {
+        variable.members.forEach(function(member) {
+          that.redactVariable_(member, [member.name], walk);
+        });
+      } else {
+        that.redactVariable_(variable, [variable.name], walk);
+      }
+    });
+  });
+  (breakpoint.evaluatedExpressions || []).forEach(function(expression) {
+    if (expression) {
+      that.redactVariable_(expression, expression.name.split('.'), walk);
+    }
+  });
+  breakpoint.labels = breakpoint.labels || {};
+  breakpoint.labels.redactions = String(walk.count);
+  return walk.count;
+};
+
+/**
+ * Redacts the values of the expressions of a logpoint hit, replacing them
+ * with copies in which sensitive values read '[redacted]'.
+ *
+ * @param {!Breakpoint} breakpoint a logpoint, with the values of its
+ *     expressions in evaluatedExpressions
+ * @return {number} the number of redacted values
+ */
+Redactor.prototype.redactLogpoint = function(breakpoint) {
+  var that = this;
+  if (!that.enabled_ || !breakpoint.evaluatedExpressions) {
+    return 0;
+  }
+  var walk = { count: 0 };
+  breakpoint.evaluatedExpressions = breakpoint.evaluatedExpressions.map(
+    function(value, index) {
+      var expression = (breakpoint.expressions || [])[index];
+      if (typeof expression !== 'string' ||
+          (value && value.status instanceof StatusMessage)) {
+        // An error compiling or evaluating the expression.
+        return value;
+      }
+      return that.redactValue_(value, expression, expression.split('.'),
+        walk);
+    });
+  return walk.count;
+};
+
+/**
+ * @param {string} name
+ * @param {Array<string>} path
+ * @param {*} value
+ * @return {boolean} whether a value of the name and path is sensitive
+ * @private
+ */
+Redactor.prototype.isSensitive_ = function(name, path, value) {
+  var text = value === undefined || value === null ? '' : String(value);
+  return (name !== '' && this.names_.some(function(matches) {
+      return matches(name);
+    })) ||
+    this.paths_.some(function(rule) {
+      return rule.length === path.length && rule.every(function(part, i) {
+        return part === '*' || part === path[i];
+      });
+    }) ||
+    (text !== '' && this.values_.some(function(matches) {
+      return matches(text);
+    }));
+};
+
+/**
+ * @param {Variable} variable
+ * @param {Array<string>} path
+ * @param {{table: Array<Variable>, references: Object.<number, number>,
+ *     visited: Object, redacted: Object, count: number}} walk
+ * @private
+ */
+Redactor.prototype.redactVariable_ = function(variable, path, walk) {
+  var that = this;
+  if (isRedacted(variable)) {
+    walk.count++;
+    return;
+  }
+  if (variable.name !== undefined &&
+      that.isSensitive_(variable.name, path, variable.value)) {
+    that.redactAll_(variable, walk);
+    return;
+  }
+  var index = variable.varTableIndex;
+  if (index !== undefined && !walk.visited[index] && walk.table[index]) {
+    // The objects of the table are visited once, through the first path
+    // reaching them.
+    walk.visited[index] = true;
+    var entry = walk.table[index];
+    if (isRedacted(entry)) {
+      walk.count++;
+    } else if (entry.value !== undefined &&
+        that.isSensitive_('', [], entry.value)) {
+      redact(entry);
+      walk.count++;
+    } else {
+      that.redactMembers_(entry, path, walk);
+    }
+  }
+  that.redactMembers_(variable, path, walk);
+};
+
+/**
+ * Redacts a sensitive variable along with the object it references. An
+ * object that other variables reference as well keeps its entry in the
+ * variable table, with all of its members redacted.
+ *
+ * @param {Variable} variable
+ * @param {Object} walk
+ * @private
+ */
+Redactor.prototype.redactAll_ = function(variable, walk) {
+  var that = this;
+  if (isRedacted(variable)) {
+    return;
+  }
+  var index = variable.varTableIndex;
+  var entry = index === undefined ? null : walk.table[index];
+  // Entries without members or value are the shared status messages.
+  if (entry && !walk.redacted[index] && !isRedacted(entry) &&
+      (entry.members || entry.value !== undefined)) {
+    walk.visited[index] = walk.redacted[index] = true;
+    if (walk.references[index] > 1) {
+      (entry.members || []).forEach(function(member) {
+        that.redactAll_(member, walk);
+      });
+    } else {
+      redact(entry);
+    }
+  }
+  redact(variable);
+  walk.count++;
+};
+
+/**
+ * @param {Variable} variable
+ * @param {Array<string>} path
+ * @param {Object} walk
+ * @private
+ */
+Redactor.prototype.redactMembers_ = function(variable, path, walk) {
+  var that = this;
+  (variable.members || []).forEach(function(member) {
+    that.redactVariable_(member, path.concat(member.name), walk);
+  });
+};
+
+/**
+ * @param {*} value the JSON value of an expression or of a property
+ * @param {string} name
+ * @param {Array<string>} path
+ * @param {{count: number}} walk
+ * @return {*} the value, or a copy of it with the sensitive values replaced
+ * @private
+ */
+Redactor.prototype.redactValue_ = function(value, name, path, walk) {
+  var that = this;
+  if (that.isSensitive_(name, path,
+      value !== null && typeof value === 'object' ? undefined : value)) {
+    walk.count++;
+    return REDACTED_TEXT;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  var copy = Array.isArray(value) ? [] : {};
+  Object.keys(value).forEach(function(key) {
+    copy[key] = that.redactValue_(value[key], key, path.concat(key), walk);
+  });
+  return copy;
+};
+
+/**
+ * @param {!Breakpoint} breakpoint a captured snapshot
+ * @return {Object.<number, number>} the number of variables referencing each
+ *     entry of the variable table
+ */
+function countReferences(breakpoint) {
+  var references = {};
+  function count(variable) {
+    if (variable.varTableIndex !== undefined) {
+      references[variable.varTableIndex] =
+        (references[variable.varTableIndex] || 0) + 1;
+    }
+    (variable.members || []).forEach(count);
+  }
+  (breakpoint.stackFrames || []).forEach(function(frame) {
+    (frame.arguments || []).forEach(count);
+    (frame.locals || []).forEach(count);
+  });
+  (breakpoint.variableTable || []).forEach(function(entry) {
+    (entry.members || []).forEach(count);
+  });
+  (breakpoint.evaluatedExpressions || []).forEach(function(expression) {
+    if (expression) {
+      count(expression);
+    }
+  });
+  return references;
+}
+
+/**
+ * Replaces the value of a variable by the redaction status.
+ * @param {Variable} variable
+ */
+function redact(variable) {
+  delete variable.value;
+  delete variable.type;
+  delete variable.members;
+  delete variable.varTableIndex;
+  variable.status = new StatusMessage(StatusMessage.VARIABLE_VALUE,
+    REDACTED_MESSAGE, false);
+}
+
+module.exports = Redactor;
+module.exports.REDACTED_MESSAGE = REDACTED_MESSAGE;
+module.exports.REDACTED_TEXT = REDACTED_TEXT;
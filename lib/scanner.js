@@ -20,21 +20,235 @@ var path = require('path');
 var crypto = require('crypto');
 var findit = require('findit');
 var split = require('split');
+var sourcemaps = require('./sourcemaps.js');
 
 module.exports = {
-  scan: scan
+  scan: scan,
+  update: update
 };
 
+/**
+ * Computes the statistics of the JavaScript files under a directory, keyed by
+ * path, and a hash of their contents. The original sources named by the
+ * source maps found next to them get an entry too, listing the generated
+ * scripts containing them, see indexSourceMaps.
+ *
+ * @param {Boolean} shouldHash whether a hash should be computed
+ * @param {!string} baseDir top-level directory to scan
+ * @param {!function(?Error, Object, ?string)} callback error-back style
+ *    callback returning the file statistics and the hash-code
+ */
 function scan(shouldHash, baseDir, callback) {
-  findJSFiles(baseDir, function(err, fileList) {
+  findJSFiles(baseDir, function(err, fileList, mapList) {
     if (err) {
       callback(err);
       return;
     }
-    computeStats(fileList, shouldHash, callback);
+    computeStats(fileList, shouldHash, function(err, statistics, hash) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      indexSourceMaps(mapList, baseDir, statistics, function() {
+        callback(null, statistics, hash);
+      });
+    });
   });
 }
 
+/**
+ * Adds an entry for each source of the source maps to the statistics, with
+ * the generated scripts containing it and their source maps:
+ *   { sourceMaps: [{ script: path, map: path }] }
+ * The entries of the generated scripts get the path of their sourceMap.
+ * Sources are resolved against the sourceRoot and the directory of the map.
+ * Maps that can't be read, or whose generated script wasn't found, are
+ * ignored.
+ *
+ * @param {!Array<string>} mapList source map files
+ * @param {!string} baseDir top-level directory, which bundler urls such as
+ *    webpack:///./src/app.js are relative to
+ * @param {!Object} statistics the statistics of the JavaScript files
+ * @param {!function()} callback
+ */
+function indexSourceMaps(mapList, baseDir, statistics, callback) {
+  var pending = mapList.length;
+  if (pending === 0) {
+    callback();
+    return;
+  }
+
+  mapList.forEach(function(mapPath) {
+    fs.readFile(mapPath, 'utf8', function(err, content) {
+      var map = null;
+      if (!err) {
+        try {
+          map = JSON.parse(content);
+        } catch (e) {}
+      }
+      var script = map && sourcemaps.generatedScript(map, mapPath, statistics);
+      if (script) {
+        statistics[script].sourceMap = mapPath;
+        sourcemaps.resolveSources(map, mapPath, baseDir).forEach(
+          function(source) {
+            var entry = statistics[source] || (statistics[source] = {});
+            entry.sourceMaps = entry.sourceMaps || [];
+            entry.sourceMaps.push({ script: script, map: mapPath });
+          });
+      }
+      pending--;
+      if (pending === 0) {
+        callback();
+      }
+    });
+  });
+}
+
+/**
+ * Updates the statistics of changed files, as computed by scan: JavaScript
+ * files are hashed and counted again, or dropped if they were removed, and
+ * source maps are indexed again. Breakpoints may be resolved against the
+ * statistics meanwhile, so the changes are made to a copy, which replaces
+ * the entries of the statistics at once when done.
+ *
+ * @param {!Object} statistics the statistics produced by scan, updated in
+ *    place once done. Entries added in the meantime, e.g. for scripts loaded
+ *    since, are kept.
+ * @param {!Array<string>} files the changed JavaScript files and source maps
+ * @param {Boolean} shouldHash whether a hash should be computed
+ * @param {!string} baseDir top-level directory, see indexSourceMaps
+ * @param {!function(?Error, ?string)} callback error-back style callback
+ *    returning the hash-code of all the files. The statistics are left as
+ *    they were on error.
+ */
+function update(statistics, files, shouldHash, baseDir, callback) {
+  var scripts = files.filter(function(file) { return /\.js$/.test(file); });
+  var maps = files.filter(function(file) { return /\.map$/.test(file); });
+  var pending = scripts.length + 1;
+  var failed = false;
+  var next = copyStatistics(statistics);
+  var copied = Object.keys(next);
+
+  function done(err) {
+    if (failed) {
+      return;
+    }
+    if (err) {
+      failed = true;
+      callback(err);
+      return;
+    }
+    pending--;
+    if (pending === 0) {
+      // Maps are indexed last, as they refer to the scripts.
+      forgetSourceMaps(maps, next);
+      var existing = maps.filter(function(map) { return fs.existsSync(map); });
+      indexSourceMaps(existing, baseDir, next, function() {
+        copied.forEach(function(file) {
+          if (!next[file]) {
+            delete statistics[file];
+          }
+        });
+        Object.keys(next).forEach(function(file) {
+          statistics[file] = next[file];
+        });
+        callback(null, shouldHash ? hashStatistics(statistics) : undefined);
+      });
+    }
+  }
+
+  scripts.forEach(function(script) {
+    fs.stat(script, function(err) {
+      var entry = next[script];
+      if (err) {
+        if (entry && entry.sourceMaps) {
+          // Still named by a source map.
+          delete entry.hash;
+          delete entry.lines;
+        } else {
+          delete next[script];
+        }
+        return done();
+      }
+      stats(script, shouldHash, function(err, fileStats) {
+        if (err) {
+          return done(err);
+        }
+        entry = next[script] || (next[script] = {});
+        entry.hash = fileStats.hash;
+        entry.lines = fileStats.lines;
+        done();
+      });
+    });
+  });
+  done();
+}
+
+/**
+ * @param {!Object} statistics
+ * @return {!Object} a copy of the statistics that can be updated without
+ *    changing them
+ */
+function copyStatistics(statistics) {
+  var copy = {};
+  Object.keys(statistics).forEach(function(file) {
+    var entry = copy[file] = {};
+    Object.keys(statistics[file]).forEach(function(key) {
+      entry[key] = statistics[file][key];
+    });
+    if (entry.sourceMaps) {
+      entry.sourceMaps = entry.sourceMaps.slice();
+    }
+  });
+  return copy;
+}
+
+/**
+ * Removes the entries that indexSourceMaps added for the source maps.
+ *
+ * @param {!Array<string>} maps
+ * @param {!Object} statistics
+ */
+function forgetSourceMaps(maps, statistics) {
+  Object.keys(statistics).forEach(function(file) {
+    var entry = statistics[file];
+    if (entry.sourceMap && maps.indexOf(entry.sourceMap) !== -1) {
+      delete entry.sourceMap;
+    }
+    if (!entry.sourceMaps) {
+      return;
+    }
+    entry.sourceMaps = entry.sourceMaps.filter(function(found) {
+      return maps.indexOf(found.map) === -1;
+    });
+    if (entry.sourceMaps.length === 0) {
+      delete entry.sourceMaps;
+      if (entry.lines === undefined) {
+        delete statistics[file];
+      }
+    }
+  });
+}
+
+/**
+ * @param {!Object} statistics
+ * @return {string} a hash-code of the hashes of the JavaScript files
+ */
+function hashStatistics(statistics) {
+  var hashes = Object.keys(statistics).filter(function(file) {
+    return statistics[file].hash !== undefined;
+  }).map(function(file) {
+    return statistics[file].hash;
+  });
+  if (hashes.length === 0) {
+    return 'EMPTY-no-js-files';
+  }
+  // Sort the hashes to get a deterministic order as the files may not
+  // be in the same order each time we scan the disk.
+  var buffer = hashes.sort().join();
+  return 'SHA1-' + crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
 /**
  * This function accept an array of filenames and computes a unique hash-code
  * based on the contents.
@@ -52,7 +266,6 @@ function computeStats(fileList, shouldHash, callback) {
     return;
   }
 
-  var hashes = [];
   var statistics = {};
   fileList.forEach(function(filename) {
     stats(filename, shouldHash, function(err, fileStats) {
@@ -62,21 +275,11 @@ function computeStats(fileList, shouldHash, callback) {
       }
 
       pending--;
-      if (shouldHash) {
-        hashes.push(fileStats.hash);
-      }
       statistics[filename] = fileStats;
 
       if (pending === 0) {
-        var hash;
-        if (shouldHash) {
-          // Sort the hashes to get a deterministic order as the files may not
-          // be in the same order each time we scan the disk.
-          var buffer = hashes.sort().join();
-          var sha1 = crypto.createHash('sha1').update(buffer).digest('hex');
-          hash = 'SHA1-' + sha1;
-        }
-        callback(null, statistics, hash);
+        callback(null, statistics,
+          shouldHash ? hashStatistics(statistics) : undefined);
       }
     });
   });
@@ -85,9 +288,10 @@ function computeStats(fileList, shouldHash, callback) {
 
 /**
  * Given a base-directory, this function scans the subtree and finds all the js
- * files. .git and node_module subdirectories are ignored.
+ * files and source maps. .git and node_module subdirectories are ignored.
  * @param {!string} baseDir top-level directory to scan
- * @param {!function(?Error, Array<string>)} callback error-back callback
+ * @param {!function(?Error, Array<string>, Array<string>)} callback error-back
+ *    callback returning the js files and the source maps
  */
 function findJSFiles(baseDir, callback) {
   var errored = false;
@@ -99,6 +303,7 @@ function findJSFiles(baseDir, callback) {
 
   var find = findit(baseDir);
   var fileList = [];
+  var mapList = [];
 
   find.on('error', function(err) {
     errored = true;
@@ -116,6 +321,8 @@ function findJSFiles(baseDir, callback) {
   find.on('file', function(file) {
     if (/\.js$/.test(file)) {
       fileList.push(file);
+    } else if (/\.map$/.test(file)) {
+      mapList.push(file);
     }
   });
 
@@ -125,7 +332,7 @@ function findJSFiles(baseDir, callback) {
       // simply return because the on('error') has already called back
       return;
     }
-    callback(null, fileList);
+    callback(null, fileList, mapList);
   });
 }
 
@@ -0,0 +1,336 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Locates and loads the source map of a generated script, following the
+// sourceMappingURL comment of the script, see
+// https://sourcemaps.info/spec.html#h.lmz475t4mvbx
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Matches the sourceMappingURL comment of a script, in line or block comment
+ * form, including the deprecated //@ prefix.
+ * @const {RegExp}
+ */
+var SOURCE_MAPPING_URL =
+  /(?:\/\/[#@]\s*sourceMappingURL=\s*(\S+)\s*$)|(?:\/\*[#@]\s*sourceMappingURL=\s*(\S+?)\s*\*\/)/mg;
+
+/** @const {RegExp} */
+var DATA_URL = /^data:([^,;]*)((?:;[^,;]*)*),(.*)$/;
+
+/**
+ * @param {string} code the content of a generated script
+ * @return {?string} the url of its source map, from the last
+ *     sourceMappingURL comment, or null
+ */
+function findSourceMapUrl(code) {
+  var url = null;
+  var match;
+  SOURCE_MAPPING_URL.lastIndex = 0;
+  while ((match = SOURCE_MAPPING_URL.exec(code))) {
+    url = match[1] || match[2];
+  }
+  return url;
+}
+
+/**
+ * @param {string} url a data: url
+ * @return {string} its content
+ * @throws {Error} if the url isn't a valid data: url
+ */
+function decodeDataUrl(url) {
+  var match = DATA_URL.exec(url);
+  if (!match) {
+    throw new Error('Invalid data url');
+  }
+  if (/;base64$/.test(match[2])) {
+    // Buffer.from is missing or behaves differently before Node 4.5.
+    var buffer = typeof Buffer.alloc === 'function' ?
+      Buffer.from(match[3], 'base64') : new Buffer(match[3], 'base64');
+    return buffer.toString('utf8');
+  }
+  return decodeURIComponent(match[3]);
+}
+
+/**
+ * @param {string} url the url of a source map, relative to the script
+ * @param {string} scriptPath
+ * @return {string} the path of the source map
+ */
+function resolveUrl(url, scriptPath) {
+  url = url.split(/[?#]/)[0];
+  if (/^file:\/\//.test(url)) {
+    return decodeURIComponent(url.replace(/^file:\/\/[^\/]*/, ''));
+  }
+  return path.resolve(path.dirname(scriptPath), decodeURIComponent(url));
+}
+
+/**
+ * Loads the source map of a generated script: inline in a data: url, or in
+ * the file named by the sourceMappingURL comment, which may be in another
+ * directory. Scripts without the comment fall back to the conventional
+ * script.js.map file next to them.
+ *
+ * @param {string} scriptPath the path of the generated script
+ * @param {function(?Error, string=, string=)} callback called with the
+ *     content of the source map and where it was found, the script path for
+ *     inline maps. The error has a code of 'ENOURL' when the script has no
+ *     source map url and no map next to it.
+ */
+function load(scriptPath, callback) {
+  fs.readFile(scriptPath, 'utf8', function(err, code) {
+    if (err) {
+      return callback(err);
+    }
+    var url = findSourceMapUrl(code);
+    if (url && /^data:/.test(url)) {
+      var content;
+      try {
+        content = decodeDataUrl(url);
+      } catch (e) {
+        return callback(e);
+      }
+      return callback(null, content, scriptPath);
+    }
+
+    var mapPath = url ? resolveUrl(url, scriptPath) : scriptPath + '.map';
+    fs.readFile(mapPath, 'utf8', function(err, content) {
+      if (err && !url && err.code === 'ENOENT') {
+        err = new Error('No source map url in ' + scriptPath);
+        err.code = 'ENOURL';
+      }
+      callback(err, content, mapPath);
+    });
+  });
+}
+
+/**
+ * Finds the script a source map was generated for: the file the map names,
+ * or else the map path without its .map extension.
+ * @param {Object} map a parsed source map
+ * @param {string} mapPath
+ * @param {Object} scripts known scripts, by path
+ * @return {?string} the path of the script, or null if it isn't known
+ */
+function generatedScript(map, mapPath, scripts) {
+  var candidates = [mapPath.replace(/\.map$/, '')];
+  if (typeof map.file === 'string' && map.file) {
+    candidates.unshift(path.resolve(path.dirname(mapPath), map.file));
+  }
+  for (var i = 0; i < candidates.length; i++) {
+    if (scripts[candidates[i]] && scripts[candidates[i]].lines !== undefined) {
+      return candidates[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves the sources of a source map to file paths: against its
+ * sourceRoot and the directory of the map. Bundler urls such as
+ * webpack:///./src/app.js are taken as relative to the base directory.
+ * @param {Object} map a parsed source map
+ * @param {string} mapPath
+ * @param {string} baseDir
+ * @return {Array<string>} the paths of the sources
+ */
+function resolveSources(map, mapPath, baseDir) {
+  var sourceRoot = typeof map.sourceRoot === 'string' ? map.sourceRoot : '';
+  return (Array.isArray(map.sources) ? map.sources : []).filter(
+    function(source) {
+      return typeof source === 'string' && source;
+    }).map(function(source) {
+      var url = /^[a-z][a-z0-9+.\-]*:/i.test(source) ? source :
+        joinUrl(sourceRoot, source);
+      return resolveSource(url, mapPath, baseDir);
+    });
+}
+
+/**
+ * @param {string} url a source of a source map, prefixed with its sourceRoot
+ * @param {string} mapPath
+ * @param {string} baseDir
+ * @return {string} the path of the source
+ */
+function resolveSource(url, mapPath, baseDir) {
+  if (/^file:\/\//.test(url)) {
+    return path.normalize(
+      decodeURIComponent(url.replace(/^file:\/\/[^\/]*/, '')));
+  }
+  var scheme = /^[a-z][a-z0-9+.\-]*:\/\/[^\/]*\/?/i.exec(url);
+  if (scheme) {
+    return path.resolve(baseDir, url.slice(scheme[0].length));
+  }
+  return path.resolve(path.dirname(mapPath), url);
+}
+
+/**
+ * @param {string} root a sourceRoot, possibly empty
+ * @param {string} source
+ * @return {string} the source prefixed with the root
+ */
+function joinUrl(root, source) {
+  if (!root || /^\//.test(source)) {
+    return source;
+  }
+  return root.replace(/\/*$/, '/') + source;
+}
+
+/**
+ * Finds the entry of the sources of a source map that a path refers to,
+ * preferring the entry sharing the longest suffix of path components.
+ * @param {Array<string>} sources
+ * @param {string} sourcePath
+ * @return {?string} the entry, or null when none or several match
+ */
+function matchSource(sources, sourcePath) {
+  var components = path.normalize(sourcePath).split(path.sep);
+  var candidates = sources;
+  for (var i = components.length - 1; i >= 0; i--) {
+    candidates = candidates.filter(
+      hasSuffix.bind(null, components.slice(i).join('/')));
+    if (candidates.length <= 1) {
+      break;
+    }
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * @param {string} suffix path components joined with /
+ * @param {string} source
+ * @return {boolean} whether the source ends with the path components
+ */
+function hasSuffix(suffix, source) {
+  source = source.replace(/\\/g, '/');
+  return source === suffix ||
+    source.slice(-suffix.length - 1) === '/' + suffix;
+}
+
+/**
+ * Maps the locations of captured stack frames in generated scripts back to
+ * their sources. Source maps are added when breakpoints are set through
+ * them, or else loaded on first use from the maps found by the scanner.
+ *
+ * @param {!Object} fileStats file statistics produced by the scanner
+ * @param {string} baseDir the working directory, which the paths of the
+ *     sources are made relative to
+ * @constructor
+ */
+function SourceMapper(fileStats, baseDir) {
+  /** @private {Object} */
+  this.fileStats_ = fileStats || {};
+
+  /** @private {string} */
+  this.baseDir_ = baseDir;
+
+  /**
+   * @private {Object.<string, ?Object>} by script path: its consumer and
+   *     the path of the map, or null when it has none
+   */
+  this.maps_ = {};
+}
+
+/**
+ * @param {string} scriptPath
+ * @param {{consumer: SourceMapConsumer, path: string}} sourceMap
+ */
+SourceMapper.prototype.add = function(scriptPath, sourceMap) {
+  this.maps_[scriptPath] = sourceMap;
+};
+
+/**
+ * @param {string} scriptPath
+ * @return {?Object}
+ * @private
+ */
+SourceMapper.prototype.get_ = function(scriptPath) {
+  if (this.maps_.hasOwnProperty(scriptPath)) {
+    return this.maps_[scriptPath];
+  }
+  var sourceMap = null;
+  var stats = this.fileStats_[scriptPath];
+  if (stats && stats.sourceMap) {
+    try {
+      var sm = require('source-map');
+      sourceMap = {
+        consumer: new sm.SourceMapConsumer(
+          fs.readFileSync(stats.sourceMap, 'utf8')),
+        path: stats.sourceMap
+      };
+    } catch (e) {}
+  }
+  this.maps_[scriptPath] = sourceMap;
+  return sourceMap;
+};
+
+/**
+ * @param {string} scriptPath the full path of a generated script
+ * @param {number} line 1-based
+ * @param {number} column 0-based
+ * @param {Object=} functionLocation the 1-based line and 0-based column of
+ *     the function of the frame
+ * @return {?Object} the location of the frame in its source, relative to the
+ *     working directory, and the name of the function in the source if the
+ *     source map has it; or null if the script has no source map
+ */
+SourceMapper.prototype.mapFrame = function(scriptPath, line, column,
+    functionLocation) {
+  var sourceMap = this.get_(scriptPath);
+  if (!sourceMap) {
+    return null;
+  }
+  var sm = require('source-map');
+  var consumer = sourceMap.consumer;
+  var position = consumer.originalPositionFor({ line: line, column: column });
+  if (!position.source) {
+    // The frame may be at the start of the line, before the first mapping.
+    position = consumer.originalPositionFor({
+      line: line,
+      column: column,
+      bias: sm.SourceMapConsumer.LEAST_UPPER_BOUND
+    });
+  }
+  if (!position.source) {
+    return null;
+  }
+
+  var name = null;
+  if (functionLocation) {
+    // The function position is right after its name in the generated code.
+    name = consumer.originalPositionFor(functionLocation).name || null;
+  }
+  var source = resolveSource(position.source, sourceMap.path, this.baseDir_);
+  return {
+    location: {
+      path: path.relative(this.baseDir_, source),
+      line: position.line
+    },
+    name: name
+  };
+};
+
+module.exports = {
+  SourceMapper: SourceMapper,
+  findSourceMapUrl: findSourceMapUrl,
+  load: load,
+  generatedScript: generatedScript,
+  resolveSources: resolveSources,
+  matchSource: matchSource
+};
@@ -18,7 +18,8 @@
 
 module.exports = {
   capture: capture,
-  evaluate: evaluate
+  evaluate: evaluate,
+  checkExpression: checkExpression
 };
 
 var assert = require('assert');
@@ -61,14 +62,76 @@ MESSAGE_TABLE[STRING_LIMIT_MESSAGE_INDEX] =
                               ' were captured.',
                                 false) };
 
+// The sentinel messages are shared with the inspector based resolver.
+module.exports.MESSAGE_TABLE = MESSAGE_TABLE;
+module.exports.BUFFER_FULL_MESSAGE_INDEX = BUFFER_FULL_MESSAGE_INDEX;
+module.exports.NATIVE_PROPERTY_MESSAGE_INDEX = NATIVE_PROPERTY_MESSAGE_INDEX;
+module.exports.GETTER_MESSAGE_INDEX = GETTER_MESSAGE_INDEX;
+module.exports.ARG_LOCAL_LIMIT_MESSAGE_INDEX = ARG_LOCAL_LIMIT_MESSAGE_INDEX;
+module.exports.OBJECT_LIMIT_MESSAGE_INDEX = OBJECT_LIMIT_MESSAGE_INDEX;
+module.exports.STRING_LIMIT_MESSAGE_INDEX = STRING_LIMIT_MESSAGE_INDEX;
+
+// Statuses of the groups of variables of outer scopes, when the limits of
+// `config.capture.scopes` were reached.
+var SCOPE_VARIABLE_LIMIT_STATUS = new StatusMessage(
+  StatusMessage.VARIABLE_VALUE,
+  'Only first `config.capture.scopes.maxVariables` variables were captured.',
+  false);
+var SCOPE_DATA_LIMIT_STATUS = new StatusMessage(StatusMessage.VARIABLE_VALUE,
+  'Max data size of the scope reached', true);
+
+// Status of the arguments of frames whose parameter list could not be parsed,
+// e.g. because of syntax newer than the parser knows. Their variables are all
+// reported as locals.
+var UNKNOWN_PARAMETERS_STATUS = new StatusMessage(StatusMessage.VARIABLE_NAME,
+  'The arguments could not be told apart from the locals', true);
+
+// The names of the scope types of V8 mirrors, as used by the inspector.
+var SCOPE_TYPES = ['global', 'local', 'with', 'closure', 'catch', 'block',
+  'script', 'eval', 'module'];
+
+module.exports.UNKNOWN_PARAMETERS_STATUS = UNKNOWN_PARAMETERS_STATUS;
+module.exports.scopeName = scopeName;
+module.exports.scopeLimitStatus = scopeLimitStatus;
+module.exports.isBudgetUsedUp = isBudgetUsedUp;
+module.exports.trimVariableTable = trimVariableTable;
+module.exports.renumberVariables = renumberVariables;
+
+// Built-in getters that are free of side effects, by the class name of the
+// object and the name of the property.
+var NATIVE_GETTERS = ['Map.size', 'Set.size', 'ArrayBuffer.byteLength',
+  'DataView.byteLength', 'DataView.byteOffset'];
+['Buffer', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array',
+  'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array',
+  'Float64Array'].forEach(function(className) {
+    NATIVE_GETTERS.push(className + '.length', className + '.byteLength',
+      className + '.byteOffset');
+  });
+
+// Getters that took longer than `config.capture.getters.maxMsPerGetter`.
+// They are no longer called.
+var slowGetters = {};
+
+var SLOW_GETTER_STATUS = new StatusMessage(StatusMessage.VARIABLE_VALUE,
+  'The getter took longer than `config.capture.getters.maxMsPerGetter` and ' +
+  'is no longer called', true);
+
+module.exports.isSafeGetter = isSafeGetter;
+module.exports.callGetter = callGetter;
+
+module.exports.textVariable = textVariable;
+module.exports.bytesPreview = bytesPreview;
+module.exports.promiseState = promiseState;
+
 /**
  * Captures the stack and current execution state.
  *
  * @return an object with stackFrames, variableTable, and
  *         evaluatedExpressions fields
  */
-function capture(execState, expressions, config) {
-  return (new StateResolver(execState, expressions, config)).capture_();
+function capture(execState, expressions, config, sourceMapper) {
+  return (new StateResolver(execState, expressions, config, sourceMapper))
+    .capture_();
 }
 
 
@@ -80,15 +143,9 @@ function capture(execState, expressions, config) {
  */
 function evaluate(expression, frame) {
   // First validate the expression to make sure it doesn't mutate state
-  var acorn = require('acorn');
-  try {
-    var ast = acorn.parse(expression, { sourceType: 'script' });
-    var validator = require('./validator');
-    if (!validator.isValid(ast)) {
-      return { error: 'expression not allowed'};
-    }
-  } catch (err) {
-    return { error: err.message };
+  var error = checkExpression(expression);
+  if (error) {
+    return { error: error };
   }
 
   // Now actually ask V8 to evaluate the expression
@@ -106,22 +163,237 @@ function evaluate(expression, frame) {
 }
 
 
+/**
+ * Checks that the provided expression parses and will not have side effects.
+ *
+ * @return {?string} an error message, or null if the expression is allowed.
+ */
+function checkExpression(expression) {
+  var acorn = require('acorn');
+  try {
+    var ast = acorn.parse(expression, { sourceType: 'script' });
+    var validator = require('./validator');
+    if (!validator.isValid(ast)) {
+      return 'expression not allowed';
+    }
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+
+/**
+ * @param {string} type the type of a scope, e.g. 'closure'
+ * @param {string=} name the name of the function of the scope, if any
+ * @return {string} the name of the group of variables of the scope
+ */
+function scopeName(type, name) {
+  return '[' + type + (name ? ' ' + name : '') + ']';
+}
+
+
+/**
+ * @param {Array<Object>} members the variables of a scope captured so far
+ * @param {!Object} budget the data size budget of the scope
+ * @param {!Object} options `config.capture.scopes`
+ * @return {?StatusMessage} the status of the group of variables of the scope
+ *     if no more variables are captured, otherwise null
+ */
+function scopeLimitStatus(members, budget, options) {
+  if (options.maxVariables && members.length >= options.maxVariables) {
+    return SCOPE_VARIABLE_LIMIT_STATUS;
+  }
+  if (isBudgetUsedUp(budget)) {
+    return SCOPE_DATA_LIMIT_STATUS;
+  }
+  return null;
+}
+
+
+/**
+ * @param {!Object} budget the size of the data captured and the maximum, 0
+ *     for no limit
+ * @return {boolean}
+ */
+function isBudgetUsedUp(budget) {
+  return budget.max !== 0 && budget.size >= budget.max;
+}
+
+
+/**
+ * Removes entries from a resolved variable table.
+ *
+ * @param {Array<Object>} table the resolved variable table, without the
+ *     skipped entries
+ * @param {number} length the number of entries, including the skipped ones
+ * @param {Array<number>} skipped the indices of the entries to remove
+ * @return {Array<number>} the new index of each entry, where the removed
+ *     ones map to the sentinel 'buffer full' value
+ */
+function trimVariableTable(table, length, skipped) {
+  var indices = [];
+  var entries = [];
+  for (var i = 0; i < length; i++) {
+    if (skipped.indexOf(i) === -1) {
+      indices[i] = entries.length;
+      entries.push(table[i]);
+    } else {
+      indices[i] = BUFFER_FULL_MESSAGE_INDEX;
+    }
+  }
+  table.length = 0;
+  Array.prototype.push.apply(table, entries);
+  return indices;
+}
+
+
+/**
+ * Updates the variable table indices of all captured variables.
+ *
+ * @param {Array<Object>} frames The resolved stack frames.
+ * @param {Array<Object>} evaluatedExpressions
+ * @param {Array<Object>} table The resolved variable table.
+ * @param {Array<number>} indices The new index of each entry.
+ */
+function renumberVariables(frames, evaluatedExpressions, table, indices) {
+  var renumber = function(variables) {
+    variables.forEach(function (variable) {
+      if (variable.varTableIndex) {
+        variable.varTableIndex = indices[variable.varTableIndex];
+      }
+      if (variable.members) {
+        renumber(variable.members);
+      }
+    });
+  };
+
+  frames.forEach(function(frame) {
+    renumber(frame.arguments);
+    renumber(frame.locals);
+  });
+  renumber(evaluatedExpressions);
+  renumber(table);
+}
+
+
+/**
+ * @param {string} className the class name of the object
+ * @param {string} name the name of the property
+ * @param {boolean} isNative whether the getter is a built-in function
+ * @param {Object} options `config.capture.getters`
+ * @return {boolean} whether the getter may be called during a capture: it is
+ *     a built-in getter known to be free of side effects, or a getter marked
+ *     as such in the configuration
+ */
+function isSafeGetter(className, name, isNative, options) {
+  var key = className + '.' + name;
+  if (!options || !options.enabled || slowGetters[key]) {
+    return false;
+  }
+  return (isNative && NATIVE_GETTERS.indexOf(key) !== -1) ||
+    (options.safeGetters || []).indexOf(key) !== -1;
+}
+
+
+/**
+ * Calls a safe getter within its time budget.
+ *
+ * @param {string} className
+ * @param {string} name
+ * @param {!Object} options `config.capture.getters`
+ * @param {function(): {error: ?string, value}} call calls the getter
+ * @return an object with the value of the property, or the status explaining
+ *     why it isn't available
+ */
+function callGetter(className, name, options, call) {
+  var start = process.hrtime();
+  var result = call();
+  var elapsed = process.hrtime(start);
+  var slow = options.maxMsPerGetter &&
+    elapsed[0] * 1e3 + elapsed[1] / 1e6 > options.maxMsPerGetter;
+  if (slow) {
+    slowGetters[className + '.' + name] = true;
+  }
+  // Throwing may take long in itself, the error explains more.
+  if (result.error) {
+    return {
+      status: new StatusMessage(StatusMessage.VARIABLE_VALUE,
+        'Error calling the getter: ' + result.error, true)
+    };
+  }
+  return slow ? { status: SLOW_GETTER_STATUS } : { value: result.value };
+}
+
+
+/**
+ * @param {string} name
+ * @param {string} text
+ * @param {number} maxLength `config.capture.maxStringLength`
+ * @param {boolean=} truncated whether the text is already incomplete
+ * @return {!Object} a variable with the text as value, limited to maxLength
+ */
+function textVariable(name, text, maxLength, truncated) {
+  var data = { name: name, value: text };
+  if (maxLength && maxLength < text.length) {
+    data.value = text.substring(0, maxLength) + '...';
+    truncated = true;
+  }
+  if (truncated) {
+    data.status = MESSAGE_TABLE[STRING_LIMIT_MESSAGE_INDEX].status;
+  }
+  return data;
+}
+
+
+/**
+ * @param {Array<number>} bytes the first bytes of a Buffer or typed array
+ * @return the bytes as hex and as utf8 text
+ */
+function bytesPreview(bytes) {
+  // Buffer.from is missing or behaves differently before Node 4.5.
+  var buffer = typeof Buffer.alloc === 'function' ?
+    Buffer.from(bytes) : new Buffer(bytes);
+  return {
+    hex: buffer.toString('hex'),
+    utf8: buffer.toString('utf8')
+  };
+}
+
+
+/**
+ * @param {string} status the status of a promise, as reported by V8
+ * @return {string} 'pending', 'fulfilled' or 'rejected'
+ */
+function promiseState(status) {
+  // Older versions of V8 call it 'resolved'.
+  return status === 'resolved' ? 'fulfilled' : status;
+}
+
+
 /**
  * @param {!Object} execState
  * @param {Array<string>} expressions
  * @param {!Object} config
  * @constructor
  */
-function StateResolver(execState, expressions, config) {
+function StateResolver(execState, expressions, config, sourceMapper) {
   this.state_ = execState;
   this.expressions_ = expressions;
   this.config_ = config;
+  this.sourceMapper_ = sourceMapper;
 
   this.evaluatedExpressions_ = [];
-  this.totalSize_ = 0;
+
+  // The data size budget that variables are charged to. The frames and the
+  // watch expressions share `config.capture.maxDataSize`, while each outer
+  // scope has its own `config.capture.scopes.maxDataSize`. Objects are
+  // charged to the budget in use when they were first referenced.
+  this.budget_ = { size: 0, max: config.capture.maxDataSize };
 
   this.resolvedVariableTable_ = util._extend([], MESSAGE_TABLE);
   this.rawVariableTable_ = MESSAGE_TABLE.map(function() { return null; });
+  this.budgets_ = MESSAGE_TABLE.map(function() { return null; });
 }
 
 
@@ -155,20 +427,26 @@ StateResolver.prototype.capture_ = function() {
     });
   }
 
-  // Now resolve the variables
-  var index = MESSAGE_TABLE.length; // skip the sentinel values
-  var noLimit = that.config_.capture.maxDataSize === 0;
-  while (index < that.rawVariableTable_.length && // NOTE: length changes in loop
-         (that.totalSize_ < that.config_.capture.maxDataSize || noLimit)) {
+  // Now resolve the variables, skipping those whose budget is used up
+  var budget = that.budget_;
+  var skipped = [];
+  // NOTE: length changes in loop
+  for (var index = MESSAGE_TABLE.length; // skip the sentinel values
+       index < that.rawVariableTable_.length; index++) {
     assert(!that.resolvedVariableTable_[index]); // shouldn't have it resolved yet
-    that.resolvedVariableTable_[index] =
-      that.resolveMirror_(that.rawVariableTable_[index]);
-    index++;
+    that.budget_ = that.budgets_[index];
+    if (isBudgetUsedUp(that.budget_)) {
+      skipped.push(index);
+    } else {
+      that.resolvedVariableTable_[index] =
+        that.resolveMirror_(that.rawVariableTable_[index]);
+    }
   }
+  that.budget_ = budget;
 
-  // If we filled up the buffer already, we need to trim the remainder
-  if (index < that.rawVariableTable_.length) {
-    that.trimVariableTable_(index, frames);
+  // If we filled up a buffer, we need to remove the skipped entries
+  if (skipped.length) {
+    that.trimVariableTable_(skipped, frames);
   }
 
   return {
@@ -179,35 +457,19 @@ StateResolver.prototype.capture_ = function() {
 };
 
 /**
- * Limits the size of the variable table to `fromIndex` elements. It marks
- * all variables with entries beyond `fromIndex` with a message indicating
- * that the table filled.
+ * Removes the skipped entries from the variable table. It marks all
+ * variables referring to them with a message indicating that the table
+ * filled, and renumbers the references to the entries after them.
  *
- * @param {Number} fromIndex The desired size of the variable table.
+ * @param {Array<number>} skipped The indices of the entries to remove.
  * @param {Object} frames Frames associated with the current execution
  *                        environment.
  */
-StateResolver.prototype.trimVariableTable_ = function(fromIndex, frames) {
-  this.resolvedVariableTable_.splice(fromIndex); // remove the remaining entries
-
-  var processBufferFull = function(variables) {
-    variables.forEach(function (variable) {
-      if (variable.varTableIndex && variable.varTableIndex >= fromIndex) {
-        // make it point to the sentinel 'buffer full' value
-        variable.varTableIndex = BUFFER_FULL_MESSAGE_INDEX;
-      }
-      if (variable.members) {
-        processBufferFull(variable.members);
-      }
-    });
-  };
-
-  frames.forEach(function(frame) {
-    processBufferFull(frame.arguments);
-    processBufferFull(frame.locals);
-  });
-  processBufferFull(this.evaluatedExpressions_);
-  processBufferFull(this.resolvedVariableTable_);
+StateResolver.prototype.trimVariableTable_ = function(skipped, frames) {
+  var indices = trimVariableTable(this.resolvedVariableTable_,
+    this.rawVariableTable_.length, skipped);
+  renumberVariables(frames, this.evaluatedExpressions_,
+    this.resolvedVariableTable_, indices);
 };
 
 StateResolver.prototype.resolveFrames_ = function() {
@@ -285,14 +547,37 @@ StateResolver.prototype.resolveFrame_ = function(frame, resolveVars) {
     name: 'locals_not_available',
     varTableIndex: ARG_LOCAL_LIMIT_MESSAGE_INDEX
   }];
+  if (resolveVars) {
+    locals = locals.concat(this.resolveScopes_(frame, args.concat(locals)));
+  }
+  var original = this.resolveOriginal_(frame);
   return {
-    function: this.resolveFunctionName_(frame.func()),
-    location: this.resolveLocation_(frame),
+    function: (original && original.name) ||
+      this.resolveFunctionName_(frame.func()),
+    location: original ? original.location : this.resolveLocation_(frame),
     arguments: args,
     locals: locals
   };
 };
 
+/**
+ * @return {?Object} the location and function name of the frame in its
+ *     source, for generated scripts with a source map
+ */
+StateResolver.prototype.resolveOriginal_ = function(frame) {
+  if (!this.sourceMapper_) {
+    return null;
+  }
+  var func = frame.func();
+  var functionLocation = func.resolved() && func.sourceLocation &&
+    func.sourceLocation();
+  return this.sourceMapper_.mapFrame(this.resolveFullPath_(frame),
+    frame.sourceLine() + 1, frame.sourceColumn(), functionLocation ? {
+      line: functionLocation.line + 1,
+      column: functionLocation.column
+    } : undefined);
+};
+
 StateResolver.prototype.resolveFunctionName_ = function(func) {
   if (!func || !func.isFunction()) {
     return '';
@@ -340,6 +625,75 @@ StateResolver.prototype.resolveLocalsList_ = function(frame,
   return locals;
 };
 
+/**
+ * The scopes enclosing the function of the frame, e.g. closures and the
+ * module, are captured as groups of variables, see `config.capture.scopes`.
+ *
+ * @param {!FrameMirror} frame
+ * @param {Array<Object>} variables the arguments and locals of the frame,
+ *     which shadow the variables of the scopes
+ * @return {Array<Object>} a variable with the variables of the scope as
+ *     members, for each scope
+ */
+StateResolver.prototype.resolveScopes_ = function(frame, variables) {
+  var options = this.config_.capture.scopes;
+  var groups = [];
+  if (!options || !options.enabled) {
+    return groups;
+  }
+  var seen = {};
+  variables.forEach(function(variable) {
+    seen[variable.name] = true;
+  });
+  for (var i = 0; i < frame.scopeCount(); i++) {
+    var scope = frame.scope(i);
+    var type = SCOPE_TYPES[scope.scopeType()];
+    if (type !== 'local' && (type !== 'global' || options.includeGlobal)) {
+      groups.push(this.resolveScope_(type, scope.scopeObject(), seen,
+        options));
+    }
+  }
+  return groups;
+};
+
+/**
+ * Resolves the variables of a scope with its own limits.
+ *
+ * @param {string} type
+ * @param {!ObjectMirror} object the scope object
+ * @param {!Object.<string, boolean>} seen the names of the variables of inner
+ *     scopes, to which those of this scope are added
+ * @param {!Object} options `config.capture.scopes`
+ * @return {!Object} the group of variables
+ */
+StateResolver.prototype.resolveScope_ = function(type, object, seen,
+    options) {
+  var properties = object.properties().filter(function(property) {
+    // The global object has many non-enumerable built-ins.
+    return !seen.hasOwnProperty(property.name()) &&
+      (type !== 'global' || property.isEnum());
+  });
+
+  var group = { name: scopeName(type), members: [] };
+  var budget = this.budget_;
+  this.budget_ = { size: 0, max: options.maxDataSize };
+  for (var i = 0; i < properties.length; i++) {
+    var status = scopeLimitStatus(group.members, this.budget_, options);
+    if (status) {
+      group.status = status;
+      break;
+    }
+    group.members.push(this.resolveVariable_(String(properties[i].name()),
+      properties[i].value()));
+  }
+  this.budget_ = budget;
+
+  properties.forEach(function(property) {
+    seen[property.name()] = true;
+  });
+  return group;
+};
+
 /**
  * Computes a text representation of the provided value based on its type.
  * If the value is a recursive data type, it will be represented as an index
@@ -367,10 +721,13 @@ StateResolver.prototype.resolveVariable_ = function(name, value) {
   } else if (value.isFunction()) {
     data.value = 'function ' + this.resolveFunctionName_(value) + '()';
 
+  } else if (value.isDate()) {
+    data.value = dateText(value.value());
+
   } else if (value.isObject()) {
     data.varTableIndex = this.getVariableIndex_(value);
     var maxProps = this.config_.capture.maxProperties;
-    if (maxProps && maxProps < Object.keys(value.value()).length) {
+    if (maxProps && maxProps < propertyCount(value)) {
       data.status = MESSAGE_TABLE[OBJECT_LIMIT_MESSAGE_INDEX].status;
     }
 
@@ -385,7 +742,7 @@ StateResolver.prototype.resolveVariable_ = function(name, value) {
     size += 8; // fudge-it
   }
 
-  this.totalSize_ += size;
+  this.budget_.size += size;
 
   return data;
 };
@@ -401,6 +758,7 @@ StateResolver.prototype.getVariableIndex_ = function(value) {
 StateResolver.prototype.storeObjectToVariableTable_ = function(obj) {
   var idx = this.rawVariableTable_.length;
   this.rawVariableTable_[idx] = obj;
+  this.budgets_[idx] = this.budget_;
   return idx;
 };
 
@@ -413,6 +771,19 @@ StateResolver.prototype.storeObjectToVariableTable_ = function(obj) {
  * See https://github.com/iojs/io.js/issues/1190.
  */
 StateResolver.prototype.resolveMirror_ = function(mirror) {
+  // Objects of some built-in types are summarized instead.
+  if (isCollection(mirror)) {
+    return this.resolveEntries_(mirror);
+  }
+  if (mirror.isPromise && mirror.isPromise()) {
+    return this.resolvePromise_(mirror);
+  }
+  if (mirror.isError()) {
+    return this.resolveError_(mirror);
+  }
+  if (isTypedArray(mirror)) {
+    return this.resolveBytes_(mirror);
+  }
   if (semver.satisfies(process.version, '<1.6')) {
     return this.resolveMirrorSlow_(mirror);
   } else {
@@ -431,7 +802,7 @@ StateResolver.prototype.resolveMirrorSlow_ = function(mirror) {
     keys = keys.slice(0, that.config_.capture.maxProperties);
   }
   var members = keys.map(function(prop) {
-    return that.resolveMirrorProperty_(mirror.property(prop));
+    return that.resolveMirrorProperty_(mirror, mirror.property(prop));
   });
 
   return {
@@ -444,8 +815,10 @@ StateResolver.prototype.resolveMirrorSlow_ = function(mirror) {
 //
 // See https://github.com/iojs/io.js/issues/1190.
 StateResolver.prototype.resolveMirrorFast_ = function(mirror) {
-  var members = this.getMirrorProperties_(mirror).map(
-      this.resolveMirrorProperty_.bind(this));
+  var that = this;
+  var members = that.getMirrorProperties_(mirror).map(function(property) {
+    return that.resolveMirrorProperty_(mirror, property);
+  });
   return {
     value: mirror.toText(),
     members: members
@@ -454,11 +827,45 @@ StateResolver.prototype.resolveMirrorFast_ = function(mirror) {
 
 StateResolver.prototype.getMirrorProperties_ = function(mirror) {
   var numProperties = this.config_.capture.maxProperties;
-  var properties = mirror.properties();
+  var properties = mirror.properties().concat(
+    this.getInheritedGetters_(mirror));
   return numProperties ? properties.slice(0, numProperties) : properties;
 };
 
-StateResolver.prototype.resolveMirrorProperty_ = function(property) {
+/**
+ * @return {Array<PropertyMirror>} the safe getters of the prototypes of the
+ *     object, e.g. Map.prototype.size, see `config.capture.getters`
+ */
+StateResolver.prototype.getInheritedGetters_ = function(mirror) {
+  var that = this;
+  var getters = [];
+  if (!that.config_.capture.getters || !that.config_.capture.getters.enabled) {
+    return getters;
+  }
+  var names = mirror.propertyNames();
+  for (var proto = mirror.protoObject(); proto.isObject();
+       proto = proto.protoObject()) {
+    getters = getters.concat(proto.properties().filter(isNewSafeGetter));
+  }
+  return getters;
+
+  function isNewSafeGetter(property) {
+    var name = String(property.name());
+    if (names.indexOf(name) !== -1) {
+      return false;
+    }
+    names.push(name);
+    return property.hasGetter() && that.isSafeGetter_(mirror, property);
+  }
+};
+
+StateResolver.prototype.isSafeGetter_ = function(mirror, property) {
+  return isSafeGetter(mirror.className(), String(property.name()),
+    /\[native code\]/.test(property.getter().source()),
+    this.config_.capture.getters);
+};
+
+StateResolver.prototype.resolveMirrorProperty_ = function(mirror, property) {
   var name = String(property.name());
   if (property.isNative()) {
     return {
@@ -467,6 +874,9 @@ StateResolver.prototype.resolveMirrorProperty_ = function(property) {
     };
   }
   if (property.hasGetter()) {
+    if (this.isSafeGetter_(mirror, property)) {
+      return this.resolveGetter_(mirror, name);
+    }
     return {
       name: name,
       varTableIndex: GETTER_MESSAGE_INDEX
@@ -474,3 +884,194 @@ StateResolver.prototype.resolveMirrorProperty_ = function(property) {
   }
   return this.resolveVariable_(name, property.value());
 };
+
+/**
+ * Calls a safe getter on the object.
+ */
+StateResolver.prototype.resolveGetter_ = function(mirror, name) {
+  var result = callGetter(mirror.className(), name,
+    this.config_.capture.getters, function() {
+      try {
+        return { value: mirror.value()[name] };
+      } catch (e) {
+        return { error: String(e) };
+      }
+    });
+  if (result.status) {
+    return { name: name, status: result.status };
+  }
+  return this.resolveVariable_(name, makeMirror(result.value));
+};
+
+/**
+ * @return {Array<Object>} the safe getters of the prototypes of the object,
+ *     as they are captured with the summary of the object
+ */
+StateResolver.prototype.resolveInheritedGetters_ = function(mirror) {
+  var that = this;
+  return that.getInheritedGetters_(mirror).map(function(property) {
+    return that.resolveMirrorProperty_(mirror, property);
+  });
+};
+
+/**
+ * Summarizes a Map or a Set by its entries. Entries with primitive keys are
+ * named after their key, the others after their position.
+ */
+StateResolver.prototype.resolveEntries_ = function(mirror) {
+  var that = this;
+  var maxProps = that.config_.capture.maxProperties;
+  var entries = mirror.isMap() ? mirror.entries(maxProps) :
+    mirror.values(maxProps).map(function(value) {
+      return { value: value };
+    });
+  return {
+    value: mirror.toText(),
+    members: entries.map(function(entry, i) {
+      var name = '[' + i + ']';
+      var value = makeMirror(entry.value);
+      if (!entry.hasOwnProperty('key')) {
+        return that.resolveVariable_(name, value);
+      }
+      var key = makeMirror(entry.key);
+      if (key.isPrimitive()) {
+        return that.resolveVariable_(key.toText(), value);
+      }
+      return {
+        name: name,
+        members: [
+          that.resolveVariable_('key', key),
+          that.resolveVariable_('value', value)
+        ]
+      };
+    }).concat(that.resolveInheritedGetters_(mirror))
+  };
+};
+
+/**
+ * Summarizes a Promise by its state and its value or reason.
+ */
+StateResolver.prototype.resolvePromise_ = function(mirror) {
+  var state = promiseState(mirror.status());
+  var members = [this.resolveText_('state', state)];
+  if (state !== 'pending') {
+    members.push(this.resolveVariable_(
+      state === 'rejected' ? 'reason' : 'value', mirror.promiseValue()));
+  }
+  var maxProps = this.config_.capture.maxProperties;
+  return {
+    value: mirror.toText(),
+    members: maxProps ? members.slice(0, maxProps) : members
+  };
+};
+
+/**
+ * Summarizes a Buffer or typed array by its first bytes, as hex and as utf8
+ * text.
+ */
+StateResolver.prototype.resolveBytes_ = function(mirror) {
+  var array = mirror.value();
+  var max = this.config_.capture.maxStringLength;
+  var length = max ? Math.min(array.byteLength, max) : array.byteLength;
+  var bytes = Array.prototype.slice.call(
+    new Uint8Array(array.buffer, array.byteOffset, length));
+  var preview = bytesPreview(bytes);
+  return {
+    value: mirror.toText(),
+    members: [
+      this.resolveText_('hex', preview.hex, length < array.byteLength),
+      this.resolveText_('utf8', preview.utf8, length < array.byteLength)
+    ].concat(this.resolveInheritedGetters_(mirror))
+  };
+};
+
+/**
+ * Summarizes an Error by its message and stack, and its enumerable
+ * properties.
+ */
+StateResolver.prototype.resolveError_ = function(mirror) {
+  var that = this;
+  var error = mirror.value();
+  var members = [
+    that.resolveVariable_('message', makeMirror(error.message)),
+    that.resolveVariable_('stack', makeMirror(error.stack))
+  ].concat(that.getMirrorProperties_(mirror).filter(function(property) {
+    var name = property.name();
+    return name !== 'message' && name !== 'stack' &&
+      error.propertyIsEnumerable(name);
+  }).map(function(property) {
+    return that.resolveMirrorProperty_(mirror, property);
+  }));
+  var maxProps = that.config_.capture.maxProperties;
+  return {
+    value: mirror.toText(),
+    members: maxProps ? members.slice(0, maxProps) : members
+  };
+};
+
+/**
+ * @param {string} name
+ * @param {string} text
+ * @param {boolean=} truncated whether the text is already incomplete
+ * @return {!Object} a variable with the text as value, limited to
+ *     `config.capture.maxStringLength`
+ */
+StateResolver.prototype.resolveText_ = function(name, text, truncated) {
+  var data = textVariable(name, text, this.config_.capture.maxStringLength,
+    truncated);
+  this.budget_.size += name.length + data.value.length;
+  return data;
+};
+
+/**
+ * @param {*} value a value of the debuggee
+ * @return {!Mirror} the V8 debug mirror of the value
+ */
+function makeMirror(value) {
+  return require('vm').runInDebugContext('MakeMirror')(value);
+}
+
+/**
+ * @param {!Mirror} mirror
+ * @return {number} the number of members of the captured object
+ */
+function propertyCount(mirror) {
+  if (isCollection(mirror)) {
+    return mirror.value().size;
+  }
+  if (isTypedArray(mirror)) {
+    return 0; // summarized by its bytes
+  }
+  return Object.keys(mirror.value()).length;
+}
+
+/**
+ * @param {!Date} date
+ * @return {string} the date as an ISO string, unless it is invalid
+ */
+function dateText(date) {
+  try {
+    return Date.prototype.toISOString.call(date);
+  } catch (e) {
+    return String(date);
+  }
+}
+
+/**
+ * @param {!Mirror} mirror
+ * @return {boolean} whether the mirror is a Map or a Set
+ */
+function isCollection(mirror) {
+  return (!!mirror.isMap && mirror.isMap()) ||
+    (!!mirror.isSet && mirror.isSet());
+}
+
+/**
+ * @param {!Mirror} mirror
+ * @return {boolean} whether the mirror is a Buffer or a typed array
+ */
+function isTypedArray(mirror) {
+  var value = mirror.value();
+  return typeof ArrayBuffer !== 'undefined' && !!ArrayBuffer.isView &&
+    ArrayBuffer.isView(value) && !(value instanceof DataView);
+}
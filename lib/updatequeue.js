@@ -0,0 +1,371 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Outbound queue of breakpoint updates. Updates are sent one at a time, in
+ * order. Failed updates are retried with exponential backoff and jitter, and
+ * dropped after too many attempts. When the queue is full the oldest update
+ * is dropped.
+ *
+ * With a spill directory, queued updates are also written there until they
+ * are delivered, so that they survive a restart of the process. Spilled
+ * updates are picked up again the first time the queue is resumed.
+ *
+ * @param {Object} options the updateQueue section of the configuration
+ * @param {Logger} logger
+ * @param {function(Breakpoint, function(?Error))} send sends one update
+ * @constructor
+ */
+function UpdateQueue(options, logger, send) {
+  /** @private {Object} */
+  this.options_ = options;
+
+  /** @private {Logger} */
+  this.logger_ = logger;
+
+  /** @private {function(Breakpoint, function(?Error))} */
+  this.send_ = send;
+
+  /** @private {Array<Object>} queued updates with their attempt count */
+  this.items_ = [];
+
+  /** @private {?Object} the update being sent */
+  this.inFlight_ = null;
+
+  /** @private {boolean} */
+  this.running_ = false;
+
+  /** @private {boolean} whether the spill directory has been read */
+  this.loaded_ = false;
+
+  /** @private {?Timer} pending retry */
+  this.retryTimer_ = null;
+
+  /** @private {?function()} called once the update in flight is done */
+  this.onIdle_ = null;
+
+  /** @private {Object} */
+  this.stats_ = { delivered: 0, retries: 0, dropped: 0 };
+}
+
+/**
+ * Queues an update. It is sent once the queue is running.
+ * @param {Breakpoint} breakpoint
+ * @param {function(?Error)=} callback called once the update is delivered,
+ *     or with an error once it is dropped
+ */
+UpdateQueue.prototype.add = function(breakpoint, callback) {
+  var that = this;
+  var item = {
+    breakpoint: breakpoint,
+    attempts: 0,
+    callback: callback || function() {}
+  };
+  var maxSize = that.options_.maxSize;
+  while (maxSize && that.items_.length >= maxSize) {
+    // The update in flight may still succeed.
+    var index = that.items_[0] === that.inFlight_ ? 1 : 0;
+    if (index >= that.items_.length) {
+      break;
+    }
+    that.drop_(that.items_.splice(index, 1)[0], 'the update queue is full');
+  }
+  that.items_.push(item);
+  that.spill_(item);
+  that.next_();
+};
+
+/**
+ * Starts sending updates, e.g. once registered with the server.
+ */
+UpdateQueue.prototype.resume = function() {
+  var that = this;
+  if (that.running_) {
+    return;
+  }
+  that.running_ = true;
+  if (that.loaded_) {
+    return that.next_();
+  }
+  that.loaded_ = true;
+  that.load_(function() {
+    that.next_();
+  });
+};
+
+/**
+ * Stops sending updates. Waits for the update in flight, if any.
+ * @param {function(?Error)} callback with an error naming the updates still
+ *     queued that are lost, i.e. not kept in the spill directory
+ */
+UpdateQueue.prototype.stop = function(callback) {
+  var that = this;
+  that.running_ = false;
+  clearTimeout(that.retryTimer_);
+  that.retryTimer_ = null;
+
+  function done() {
+    that.onIdle_ = null;
+    if (!that.items_.length || that.options_.spillDirectory) {
+      return callback(null);
+    }
+    callback(new Error('Unable to update breakpoints on server: ' +
+      that.items_.map(function(item) {
+        return item.breakpoint.id;
+      }).join(', ')));
+  }
+
+  if (that.inFlight_) {
+    that.onIdle_ = done;
+  } else {
+    setImmediate(done);
+  }
+};
+
+/**
+ * @return {Object} the number of queued, delivered and dropped updates, and
+ *     of retries
+ */
+UpdateQueue.prototype.getStats = function() {
+  return {
+    queued: this.items_.length,
+    delivered: this.stats_.delivered,
+    retries: this.stats_.retries,
+    dropped: this.stats_.dropped
+  };
+};
+
+/**
+ * Sends the next update unless one is in flight or waiting for a retry.
+ * @private
+ */
+UpdateQueue.prototype.next_ = function() {
+  var that = this;
+  if (!that.running_ || that.inFlight_ || that.retryTimer_ ||
+      !that.items_.length) {
+    return;
+  }
+
+  var item = that.inFlight_ = that.items_[0];
+  item.attempts++;
+  that.send_(item.breakpoint, function(err) {
+    that.inFlight_ = null;
+    var index = that.items_.indexOf(item);
+    if (!err) {
+      that.stats_.delivered++;
+      that.remove_(index);
+      item.callback(null);
+    } else if (that.options_.maxAttempts &&
+        item.attempts >= that.options_.maxAttempts) {
+      that.remove_(index);
+      that.drop_(item, 'too many failed attempts: ' + err);
+    } else if (!that.running_) {
+      that.logger_.warn('Unable to update breakpoint ' + item.breakpoint.id +
+        ' on server', err);
+    } else if (index !== -1) {
+      var delay = that.retryDelay_(item.attempts);
+      that.logger_.warn('Unable to update breakpoint ' + item.breakpoint.id +
+        ' on server, retrying in ' + Math.round(delay) + 'ms', err);
+      that.stats_.retries++;
+      that.retryTimer_ = setTimeout(function() {
+        that.retryTimer_ = null;
+        that.next_();
+      }, delay);
+      that.retryTimer_.unref();
+    }
+
+    if (that.onIdle_) {
+      that.onIdle_();
+    } else {
+      that.next_();
+    }
+  });
+};
+
+/**
+ * Exponential backoff with jitter: between half and all of
+ * initialRetryDelaySec * 2^(attempts - 1), capped at maxRetryDelaySec.
+ * @param {number} attempts failed attempts so far
+ * @return {number} milliseconds
+ * @private
+ */
+UpdateQueue.prototype.retryDelay_ = function(attempts) {
+  var delay = Math.min(this.options_.maxRetryDelaySec,
+    this.options_.initialRetryDelaySec * Math.pow(2, attempts - 1));
+  return delay * 1000 * (0.5 + Math.random() / 2);
+};
+
+/**
+ * @param {number} index
+ * @private
+ */
+UpdateQueue.prototype.remove_ = function(index) {
+  if (index === -1) {
+    return;
+  }
+  var item = this.items_.splice(index, 1)[0];
+  this.unspill_(item);
+};
+
+/**
+ * @param {Object} item
+ * @param {string} reason
+ * @private
+ */
+UpdateQueue.prototype.drop_ = function(item, reason) {
+  var message = 'Dropping the update of breakpoint ' + item.breakpoint.id +
+    ', ' + reason;
+  this.stats_.dropped++;
+  this.logger_.error(message);
+  this.unspill_(item);
+  item.callback(new Error(message));
+};
+
+/**
+ * @param {Object} item
+ * @return {?string} the spill file of the item, if spilling
+ * @private
+ */
+UpdateQueue.prototype.spillFile_ = function(item) {
+  if (!this.options_.spillDirectory) {
+    return null;
+  }
+  return path.join(this.options_.spillDirectory,
+    encodeURIComponent(item.breakpoint.id) + '.json');
+};
+
+/**
+ * Writes the update to the spill directory. Updates that can't be written
+ * stay in memory only.
+ * @param {Object} item
+ * @private
+ */
+UpdateQueue.prototype.spill_ = function(item) {
+  var that = this;
+  var file = that.spillFile_(item);
+  if (!file) {
+    return;
+  }
+  var data;
+  try {
+    data = JSON.stringify(item.breakpoint);
+  } catch (e) {
+    that.logger_.warn('Unable to spill breakpoint update', e);
+    return;
+  }
+  // An update delivered in the meantime is removed once written.
+  item.spilling = true;
+  fs.writeFile(file + '.tmp', data, function(err) {
+    if (err) {
+      item.spilling = false;
+      that.logger_.warn('Unable to spill breakpoint update', err);
+    } else if (item.unspilled) {
+      item.spilling = false;
+      fs.unlink(file + '.tmp', function() {});
+    } else {
+      fs.rename(file + '.tmp', file, function() {
+        item.spilling = false;
+        if (item.unspilled) {
+          fs.unlink(file, function() {});
+        }
+      });
+    }
+  });
+};
+
+/**
+ * Removes the update from the spill directory, once it is written there if
+ * it is still being written.
+ * @param {Object} item
+ * @private
+ */
+UpdateQueue.prototype.unspill_ = function(item) {
+  var file = this.spillFile_(item);
+  item.unspilled = true;
+  if (file && !item.spilling) {
+    fs.unlink(file, function() {});
+  }
+};
+
+/**
+ * Queues the updates found in the spill directory, left there by an earlier
+ * process, up to the maximum size of the queue. The others are left in the
+ * directory.
+ * @param {function()} callback
+ * @private
+ */
+UpdateQueue.prototype.load_ = function(callback) {
+  var that = this;
+  var directory = that.options_.spillDirectory;
+  if (!directory) {
+    return setImmediate(callback);
+  }
+
+  fs.readdir(directory, function(err, files) {
+    if (err) {
+      that.logger_.warn('Unable to read the update spill directory', err);
+      return callback();
+    }
+    files = files.filter(function(file) {
+      return path.extname(file) === '.json';
+    }).sort();
+    var maxSize = that.options_.maxSize;
+    if (maxSize && files.length > maxSize) {
+      files = files.slice(0, maxSize);
+    }
+    var pending = files.length + 1;
+    function done() {
+      if (--pending === 0) {
+        callback();
+      }
+    }
+    files.forEach(function(file) {
+      fs.readFile(path.join(directory, file), 'utf8', function(err, data) {
+        var breakpoint = null;
+        try {
+          breakpoint = !err && JSON.parse(data);
+        } catch (e) {
+          that.logger_.warn('Ignoring malformed spilled update ' + file);
+        }
+        var queued = breakpoint && that.items_.some(function(item) {
+          return item.breakpoint.id === breakpoint.id;
+        });
+        if (breakpoint && !queued && maxSize &&
+            that.items_.length >= maxSize) {
+          that.logger_.warn('The update queue is full, leaving the spilled ' +
+            'update of breakpoint ' + breakpoint.id + ' for later');
+        } else if (breakpoint && !queued) {
+          that.logger_.info('Resending spilled update of breakpoint ' +
+            breakpoint.id);
+          that.items_.push({
+            breakpoint: breakpoint,
+            attempts: 0,
+            callback: function() {}
+          });
+        }
+        done();
+      });
+    });
+    done();
+  });
+};
+
+module.exports = UpdateQueue;
@@ -17,50 +17,54 @@
 'use strict';
 
 /** @const */ var vm = require('vm');
-/** @const */ var path = require('path');
 /** @const */ var semver = require('semver');
 
 /** @const */ var state = require('./state.js');
 /** @const */ var logModule = require('@google/cloud-diagnostics-common').logger;
 /** @const */ var apiclasses = require('./apiclasses.js');
 /** @const */ var StatusMessage = apiclasses.StatusMessage;
-
-/** @const */ var messages = {
-  INVALID_BREAKPOINT: 'invalid snapshot - id or location missing',
-  BREAKPOINT_ONLY_SUPPORTS_JAVASCRIPT:
-    'Only files with .js extensions or source maps are supported',
-  SOURCE_FILE_NOT_FOUND:
-    'A script matching the source file was not found loaded on the debuggee',
-  SOURCE_FILE_AMBIGUOUS: 'Multiple files match the path specified',
-  V8_BREAKPOINT_ERROR: 'Unable to set breakpoint in v8',
-  SYNTAX_ERROR_IN_CONDITION: 'Syntax error in condition: ',
-  ERROR_EVALUATING_CONDITION: 'Error evaluating condition: ',
-  ERROR_COMPILING_CONDITION: 'Error compiling condition.',
-  DISALLOWED_EXPRESSION: 'Expression not allowed',
-  SOURCE_MAP_URL_NOT_FOUND: 'The source map url could not be found in the compiled file',
-  SOURCE_MAP_READ_ERROR: 'The source map could not be read or was incorrectly formatted',
-  V8_BREAKPOINT_MISSING: 'Internal error: V8 breakpoint missing',
-  V8_BREAKPOINT_DISABLED: 'Internal error: V8 breakpoint externally disabled',
-  CAPTURE_BREAKPOINT_DATA: 'Error trying to capture snapshot data: ',
-  INVALID_LINE_NUMBER: 'Invalid snapshot position: '
-};
-
-/** @const */ var MODULE_WRAP_PREFIX_LENGTH = require('module').wrap('☃')
-                                                               .indexOf('☃');
+/** @const */ var utils = require('./debugapiutils.js');
+/** @const */ var messages = utils.messages;
+/** @const */ var setErrorStatusAndCallback = utils.setErrorStatusAndCallback;
+/** @const */ var CaptureBudget = require('./capturebudget.js');
+/** @const */ var PendingBreakpoints = require('./pendingbreakpoints.js');
+/** @const */ var MetricsRegistry = require('./metrics.js').MetricsRegistry;
+/** @const */ var SourceMapper = require('./sourcemaps.js').SourceMapper;
 
 var singleton;
-module.exports.create = function(logger_, config_, fileStats_) {
+module.exports.create = function(logger_, config_, fileStats_, metrics_) {
   if (singleton) {
     return singleton;
   }
 
+  // Node.js 8 deprecates the debug context, and later releases remove it
+  // altogether. Use the inspector protocol based implementation there.
+  if (useInspector()) {
+    singleton = require('./inspectordebugapi.js').create(logger_, config_,
+      fileStats_, metrics_);
+    return singleton;
+  }
+
   var v8 = null;
   var logger = null;
   var config = null;
   var fileStats = null;
+  // API breakpoint id -> BreakpointData
   var breakpoints = {};
+  // API breakpoint id -> callback of the breakpoint waiting for a hit
   var listeners = {};
+  // V8 breakpoints, keyed by location and by V8 breakpoint number. The API
+  // breakpoints set at the same location share a V8 breakpoint, so that V8
+  // pauses once for all of them and the data captured is shared.
+  var v8BreakpointsByLocation = {};
+  var v8BreakpointsByNumber = {};
   var numBreakpoints = 0;
+  var budget = null;
+  // Decides whether the hits of logpoints are captured, see setLogpointFilter.
+  var logpointFilter = function() { return true; };
+  var stats = null;
+  var sourceMapper = null;
+  var pending = null;
   // Before V8 4.5, having a debug listener active disables optimization. To
   // deal with this we only activate the listener when there is a breakpoint
   // active, and remote it as soon as the snapshot is taken. Furthermore, 4.5
@@ -81,7 +85,14 @@ module.exports.create = function(logger_, config_, fileStats_) {
   v8 = vm.runInDebugContext('Debug');
   logger = logger_;
   config = config_;
+  budget = new CaptureBudget(config.captureBudget || {});
+  stats = utils.createMetrics(metrics_ || new MetricsRegistry());
   fileStats = fileStats_;
+  sourceMapper = new SourceMapper(fileStats, config.workingDirectory);
+  // Without a permanent listener, the scripts compiled while no breakpoint is
+  // set aren't reported.
+  pending = new PendingBreakpoints(fileStats, usePermanentListener ?
+    config.pendingBreakpointTimeoutSec || 0 : 0);
 
   if (usePermanentListener) {
     logger.info('activating v8 breakpoint listener (permanent)');
@@ -92,86 +103,68 @@ module.exports.create = function(logger_, config_, fileStats_) {
 
   singleton = {
     /**
+     * Breakpoints in scripts that aren't loaded yet are kept pending, see
+     * PendingBreakpoints.
+     *
      * @param {!Breakpoint} breakpoint Debug API Breakpoint object
-     * @param {function(?Error)} cb callback with an options error string 1st
-     *            argument
+     * @param {function(?Error, boolean=)} cb callback with an options error
+     *            string 1st argument, and whether the breakpoint is pending
+     * @param {function()=} onSet called once a pending breakpoint is set in
+     *            its script
      */
-    set: function(breakpoint, cb) {
-      if (!v8 ||
-          !breakpoint ||
-          typeof breakpoint.id === 'undefined' || // 0 is a valid id
-          !breakpoint.location ||
-          !breakpoint.location.path ||
-          !breakpoint.location.line) {
+    set: function(breakpoint, cb, onSet) {
+      if (!v8) {
         return setErrorStatusAndCallback(cb, breakpoint,
           StatusMessage.UNSPECIFIED, messages.INVALID_BREAKPOINT);
       }
 
-      var scriptPath = path.normalize(breakpoint.location.path);
-      var compile = null;
-
-      if (endsWith(scriptPath, '.js')) {
-        setInternal(breakpoint, scriptPath, compile, cb);
-      } else {
-        var sm = require('source-map');
-        var fs = require('fs');
-        var sourcePos = {
-          source: scriptPath.indexOf(path.sep) === -1 ? scriptPath
-            : scriptPath.split(path.sep).pop(),
-          line: breakpoint.location.line,
-          column: 0 // unlike lines, columns are 0-indexed for source-map ಠ_ಠ.
-        };
-        compile = getBreakpointCompiler(breakpoint);
-        if (breakpoint.condition && compile) {
-          try {
-            breakpoint.condition = compile(breakpoint.condition);
-          } catch (e) {
-            logger.info('Unable to compile condition >> ' +
-              breakpoint.condition + ' <<');
-            return setErrorStatusAndCallback(cb, breakpoint,
-                StatusMessage.BREAKPOINT_CONDITION,
-                messages.ERROR_COMPILING_CONDITION);
+      utils.prepareBreakpoint(breakpoint, config, fileStats, logger,
+        function(err, resolved) {
+          var scriptPath = resolved ? resolved.scriptPath :
+            breakpoint && breakpoint.location && breakpoint.location.path;
+          if (pending.canDefer(breakpoint, err) &&
+              (err || !isLoaded(scriptPath))) {
+            // Set once a matching script is compiled, see handleDebugEvents.
+            pending.add(breakpoint, scriptPath, onSet);
+            return setImmediate(function() {
+              // Unless set in the meantime.
+              cb(null, pending.has(breakpoint.id));
+            });
           }
-        }
-        scriptPath = scriptPath.substr(0, scriptPath.lastIndexOf('.')) + '.js';
-        var mappingUrl = scriptPath + '.map';
-
-        fs.readFile(path.normalize(mappingUrl.trim()), 'utf8',
-          function(err, data) {
-            if (err) {
-              return setErrorStatusAndCallback(cb, breakpoint,
-                StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-                messages.BREAKPOINT_ONLY_SUPPORTS_JAVASCRIPT);
-            } else {
-              try {
-                var consumer = new sm.SourceMapConsumer(data);
-                var mappedPos = consumer.generatedPositionFor(sourcePos);
-                breakpoint.location.path = scriptPath;
-                breakpoint.location.line = mappedPos.line;
-              } catch (err) {
-                return setErrorStatusAndCallback(cb, breakpoint,
-                  StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-                  messages.SOURCE_MAP_READ_ERROR + err);
-              }
-              setInternal(breakpoint, scriptPath, compile, cb);
-            }
-          });
-      }
+          if (err) {
+            return cb(err);
+          }
+          if (resolved.sourceMap) {
+            sourceMapper.add(resolved.scriptPath, resolved.sourceMap);
+          }
+          setInternal(breakpoint, resolved, cb);
+        });
     },
 
     clear: function(breakpoint) {
       if (typeof breakpoint.id === 'undefined') {
         return false;
       }
+      if (pending.has(breakpoint.id)) {
+        pending.remove(breakpoint.id);
+        return true;
+      }
       var breakpointData = breakpoints[breakpoint.id];
       if (!breakpointData) {
         return false;
       }
       var v8bp = breakpointData.v8Breakpoint;
 
-      v8.clearBreakPoint(v8bp.number());
       delete breakpoints[breakpoint.id];
-      delete listeners[v8bp.number()];
+      delete listeners[breakpoint.id];
+      budget.remove(breakpoint.id);
+      v8bp.apiBreakpointIds.splice(
+        v8bp.apiBreakpointIds.indexOf(breakpoint.id), 1);
+      if (v8bp.apiBreakpointIds.length === 0) {
+        v8.clearBreakPoint(v8bp.number);
+        delete v8BreakpointsByLocation[v8bp.location];
+        delete v8BreakpointsByNumber[v8bp.number];
+      }
       numBreakpoints--;
       if (numBreakpoints === 0 && !usePermanentListener) {
         // removed last breakpoint
@@ -186,19 +179,53 @@ module.exports.create = function(logger_, config_, fileStats_) {
      * @param {Function} callback
      */
     wait: function(breakpoint, callback) {
-      var num = breakpoints[breakpoint.id].v8Breakpoint.number();
-      var listener = onBreakpointHit.bind(
-          null, breakpoint, function(err) {
-            delete listeners[num];
-            // This method is called from the debug event listener, which
-            // swallows all exception. We defer the callback to make sure the
-            // user errors aren't silenced.
-            setImmediate(function() {
-              callback(err);
-            });
-          });
+      var id = breakpoint.id;
+      if (pending.has(id)) {
+        pending.wait(id, callback);
+        return;
+      }
+      listeners[id] = function(err) {
+        delete listeners[id];
+        // This method is called from the debug event listener, which
+        // swallows all exception. We defer the callback to make sure the
+        // user errors aren't silenced.
+        setImmediate(function() {
+          callback(err);
+        });
+      };
+    },
+
+    /**
+     * Clears the remaining breakpoints and removes the debug listener. The
+     * instance can't be used afterwards.
+     */
+    detach: function() {
+      pending.stop();
+      Object.keys(breakpoints).forEach(function(id) {
+        singleton.clear(breakpoints[id].apiBreakpoint);
+      });
+      if (usePermanentListener) {
+        logger.info('deactivating v8 breakpoint listener (permanent)');
+        v8.setListener(null);
+      }
+      v8 = null;
+    },
 
-      listeners[num] = listener;
+    /**
+     * @return {Object} the state of the capture budget
+     */
+    getCaptureBudget: function() {
+      return budget.getStats();
+    },
+
+    /**
+     * @param {function(Breakpoint): boolean} filter called for the hits of
+     *     logpoints meeting their conditions, before their expressions are
+     *     evaluated. The hits it rejects, e.g. of logpoints over their rate
+     *     limit, are skipped.
+     */
+    setLogpointFilter: function(filter) {
+      logpointFilter = filter;
     },
 
     // The following are for testing:
@@ -210,83 +237,26 @@ module.exports.create = function(logger_, config_, fileStats_) {
   /* -- Private Functions -- */
 
   /**
-   * Internal breakpoint set function. At this point we have looked up source
-   * maps (if necessary), and scriptPath happens to be a JavaScript path.
+   * Internal breakpoint set function. At this point the breakpoint has been
+   * validated and resolved to a loaded script.
    *
    * @param {!Breakpoint} breakpoint Debug API Breakpoint object
-   * @param {!string} scriptPath path to JavaScript source file
-   * @param {function(string)=} compile optional compile function that can be
-   *    be used to compile source expressions to JavaScript
+   * @param {!Object} resolved the script path, position, parsed condition and
+   *    optional compile function produced by utils.prepareBreakpoint
    * @param {function(?Error)} cb error-back style callback
    */
-  function setInternal(breakpoint, scriptPath, compile, cb) {
-    // Parse and validate conditions and watch expressions for correctness and
-    // immutability
-    var ast = null;
-    if (breakpoint.condition) {
-      var acorn = require('acorn');
-      try {
-        ast = acorn.parse(breakpoint.condition, { sourceType: 'script'});
-        var validator = require('./validator.js');
-        if (!validator.isValid(ast)) {
-          return setErrorStatusAndCallback(cb, breakpoint,
-            StatusMessage.BREAKPOINT_CONDITION,
-            messages.DISALLOWED_EXPRESSION);
-        }
-      } catch (err) {
-        var message = messages.SYNTAX_ERROR_IN_CONDITION + err.message;
-        return setErrorStatusAndCallback(cb, breakpoint,
-          StatusMessage.BREAKPOINT_CONDITION, message);
-      }
-    }
-
-    // Presently it is not possible to precisely disambiguate the script
-    // path from the path provided by the debug server. The issue is that we
-    // don't know the repository root relative to the root filesystem or relative
-    // to the working-directory of the process. We want to make sure that we are
-    // setting the breakpoint that the user intended instead of a breakpoint
-    // in a file that happens to have the same name but is in a different
-    // directory. Until this is addressed between the server and the debuglet,
-    // we are going to assume that repository root === the starting working
-    // directory.
-    var matchingScript;
-    var scripts = findScripts(scriptPath);
-    if (scripts.length === 0) {
-      return setErrorStatusAndCallback(cb, breakpoint,
-        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-        messages.SOURCE_FILE_NOT_FOUND);
-    } else if (scripts.length === 1) {
-      // Found the script
-      matchingScript = scripts[0];
-    } else {
-      return setErrorStatusAndCallback(cb, breakpoint,
-        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-        messages.SOURCE_FILE_AMBIGUOUS);
-    }
-
-    if (breakpoint.location.line >= fileStats[matchingScript].lines) {
-      return setErrorStatusAndCallback(cb, breakpoint,
-        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-        messages.INVALID_LINE_NUMBER + matchingScript + ':' +
-          breakpoint.location.line + '. Loaded script contained ' +
-          fileStats[matchingScript].lines + ' lines. Please ensure' +
-          ' that the snapshot was set in the same code version as the' +
-          ' deployed source.');
-    }
-
-    // The breakpoint protobuf message presently doesn't have a column property
-    // but it may have one in the future.
-    var column = breakpoint.location.column || 1;
-    var line = breakpoint.location.line;
+  function setInternal(breakpoint, resolved, cb) {
+    var column = resolved.column;
+    var line = resolved.line;
 
     // We need to special case breakpoints on the first line. Since Node.js
     // wraps modules with a function expression, we adjust
     // to deal with that.
     if (line === 1) {
-      column += MODULE_WRAP_PREFIX_LENGTH - 1;
+      column += utils.MODULE_WRAP_PREFIX_LENGTH - 1;
     }
 
-    var v8bp = setByRegExp(matchingScript, line, column);
+    var v8bp = setByRegExp(resolved.scriptPath, line, column);
     if (!v8bp) {
       return setErrorStatusAndCallback(cb, breakpoint,
         StatusMessage.BREAKPOINT_SOURCE_LOCATION,
@@ -299,73 +269,49 @@ module.exports.create = function(logger_, config_, fileStats_) {
       v8.setListener(handleDebugEvents);
     }
 
-    breakpoints[breakpoint.id] = new BreakpointData(breakpoint, v8bp, ast, compile);
+    v8bp.apiBreakpointIds.push(breakpoint.id);
+    breakpoints[breakpoint.id] = new BreakpointData(breakpoint, v8bp,
+      resolved.ast, resolved.condition, resolved.compile,
+      resolved.hitCondition, resolved.captureLimits);
     numBreakpoints++;
+    // A pending breakpoint already waits for hits.
+    var waiting = pending.resolve(breakpoint.id);
+    if (waiting) {
+      singleton.wait(breakpoint, waiting);
+    }
 
     setImmediate(function() { cb(null); }); // success.
   }
 
-  function endsWith(str, suffix) {
-    if (typeof String.prototype.endsWith === 'function') {
-      return str.endsWith(suffix);
-    } else {
-      return str.indexOf(suffix, str.length - suffix.length) !== -1;
-    }
-  }
-
   /**
-   * Produces a compilation function based on the file extension of the
-   * script path in which the breakpoint is set.
-   *
-   * @param {Breakpoint} breakpoint
+   * @param {string} scriptPath
+   * @return {boolean} whether a script with the path has been compiled
    */
-  function getBreakpointCompiler(breakpoint) {
-    switch(path.normalize(breakpoint.location.path).split('.').pop()) {
-      case 'coffee':
-        return function(uncompiled) {
-          var comp = require('coffee-script');
-          var compiled = comp.compile('0 || (' + uncompiled + ')');
-          // Strip out coffeescript scoping wrapper to get translated condition
-          var re = /\(function\(\) {\s*0 \|\| \((.*)\);\n\n\}\)\.call\(this\);/;
-          var match = re.exec(compiled);
-          if (match && match.length > 1) {
-            return match[1].trim();
-          } else {
-            throw new Error('Compilation Error for: ' + uncompiled);
-          }
-        };
-      case 'es6':
-      case 'es':
-      case 'jsx':
-        return function(uncompiled) {
-          // If we want to support es6 watch expressions we can compile them here.
-          // Babel is a large dependency to have if we don't need it in all cases.
-          return uncompiled;
-        };
-    }
-    return null;
+  function isLoaded(scriptPath) {
+    return v8.scripts().some(function(script) {
+      return script.name === scriptPath;
+    });
   }
 
   /**
-   * @param {!string} scriptPath path of a script
+   * @return {?V8Breakpoint} the V8 breakpoint at the given location
    */
-  function pathToRegExp(scriptPath) {
-    // make sure the script path starts with a slash. This makes sure our
-    // regexp doesn't match monkey.js when the user asks to set a breakpoint
-    // in key.js
-    if (path.sep === '/' || scriptPath.indexOf(':') === -1) {
-      scriptPath = path.join(path.sep, scriptPath);
-    }
-    if (path.sep !== '/') {
-      scriptPath = scriptPath.replace(new RegExp('\\\\', 'g'), '\\\\');
+  function setByRegExp(scriptPath, line, column) {
+    var regexp = utils.pathToRegExp(scriptPath);
+    var location = [regexp.source, line, column].join(':');
+    if (v8BreakpointsByLocation[location]) {
+      return v8BreakpointsByLocation[location];
     }
-    return new RegExp(scriptPath + '$');
-  }
 
-  function setByRegExp(scriptPath, line, column) {
-    var regexp = pathToRegExp(scriptPath);
     var num = v8.setScriptBreakPointByRegExp(regexp, line - 1, column - 1);
-    var v8bp = v8.findBreakPoint(num);
+    var scriptBreakPoint = v8.findBreakPoint(num);
+    if (!scriptBreakPoint) {
+      return null;
+    }
+
+    var v8bp = new V8Breakpoint(scriptBreakPoint, num, location);
+    v8BreakpointsByLocation[location] = v8bp;
+    v8BreakpointsByNumber[num] = v8bp;
     return v8bp;
   }
 
@@ -391,65 +337,152 @@ module.exports.create = function(logger_, config_, fileStats_) {
   //   return v8bp;
   // }
 
-  function findScripts(scriptPath) {
-    // Use repository relative mapping if present.
-    if (config.appPathRelativeToRepository) {
-      var candidate = scriptPath.replace(config.appPathRelativeToRepository,
-        config.workingDirectory);
-      // There should be no ambiguity resolution if project root is provided.
-      return fileStats[candidate] ? [ candidate ] : [];
-    }
-    var regexp = pathToRegExp(scriptPath);
-    // Next try to match path.
-    var matches = Object.keys(fileStats).filter(regexp.test.bind(regexp));
-    // Finally look for files with the same name regardless of path.
-    if (matches.length !== 1) {
-      matches = Object.keys(fileStats);
-      var components = scriptPath.split(path.sep);
-      for (var i = components.length - 1;
-           i >= 0 && matches.length > 1; i--) {
-        regexp = pathToRegExp(components.slice(i).join(path.sep));
-        matches = matches.filter(regexp.test.bind(regexp));
-      }
-    }
-    return matches;
-  }
-
-  function onBreakpointHit(breakpoint, callback, execState) {
-    var v8bp = breakpoints[breakpoint.id].v8Breakpoint;
+  /**
+   * Checks the conditions of the API breakpoints waiting at the location of
+   * a V8 breakpoint, and captures the data of those that are met.
+   *
+   * @param {!V8Breakpoint} v8bp
+   * @param {Debug#ExecutionState} execState
+   */
+  function onV8BreakpointHit(v8bp, execState) {
+    var waiting = v8bp.apiBreakpointIds.filter(function(id) {
+      return listeners[id];
+    });
 
-    if (!v8bp.active()) {
+    if (!v8bp.scriptBreakPoint.active()) {
       // Breakpoint exists, but not active. We never disable breakpoints, so
       // this is theoretically not possible. Perhaps this is possible if there
       // is a second debugger present? Regardless, report the error.
-      return setErrorStatusAndCallback(callback, breakpoint,
-        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-        messages.V8_BREAKPOINT_DISABLED);
+      waiting.forEach(function(id) {
+        setErrorStatusAndCallback(listeners[id], breakpoints[id].apiBreakpoint,
+          StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+          messages.V8_BREAKPOINT_DISABLED);
+      });
+      return;
     }
 
+    var hits = waiting.filter(function(id) {
+      return shouldCapture(breakpoints[id].apiBreakpoint, listeners[id],
+        execState);
+    }).map(function(id) {
+      return { breakpoint: breakpoints[id].apiBreakpoint,
+               callback: listeners[id] };
+    });
+
+    // Logpoints only evaluate their expressions in the top frame, snapshots
+    // share a single capture of the stack.
+    hits.forEach(function(hit) {
+      if (hit.breakpoint.action === 'LOG') {
+        capture([hit], function() {
+          evaluateLogExpressions(hit.breakpoint, execState);
+        });
+      }
+    });
+    var snapshots = hits.filter(function(hit) {
+      return hit.breakpoint.action !== 'LOG';
+    });
+    if (snapshots.length) {
+      capture(snapshots, function() {
+        captureSnapshots(snapshots.map(function(hit) {
+          return hit.breakpoint;
+        }), execState);
+      });
+    }
+  }
+
+  /**
+   * Evaluates the condition of a breakpoint and checks the capture budget.
+   * The callback is called with the error if either fails.
+   *
+   * @param {!Breakpoint} breakpoint
+   * @param {function(?Error)} callback
+   * @param {Debug#ExecutionState} execState
+   * @return {boolean} whether the data of the breakpoint should be captured
+   */
+  function shouldCapture(breakpoint, callback, execState) {
+    var data = breakpoints[breakpoint.id];
+    stats.hits.inc();
+    var conditionStart = process.hrtime();
     var result = checkCondition(breakpoint, execState);
+    if (data.condition) {
+      stats.conditionDuration.observe(
+        utils.toSeconds(process.hrtime(conditionStart)));
+      stats.conditionEvaluations.inc({
+        result: result.error ? 'error' : String(!!result.value)
+      });
+    }
     if (result.error) {
-      return setErrorStatusAndCallback(callback, breakpoint,
+      setErrorStatusAndCallback(callback, breakpoint,
         StatusMessage.BREAKPOINT_CONDITION,
         messages.ERROR_EVALUATING_CONDITION + result.error);
+      return false;
     } else if (!result.value) {
       // Check again next time
       logger.info('\tthe breakpoint condition wasn\'t met');
-      return;
+      return false;
+    }
+    data.hitCount++;
+    if (!utils.hitConditionMet(data.hitCondition, data.hitCount)) {
+      logger.info('\tthe hit count condition wasn\'t met');
+      return false;
+    }
+    if (breakpoint.action === 'LOG' && !logpointFilter(breakpoint)) {
+      logger.info('\tthe logpoint hit was filtered out');
+      return false;
     }
 
     // Breakpoint Hit
+    var verdict = budget.check(breakpoint.id);
+    if (verdict === CaptureBudget.DEFER) {
+      // Check again next time
+      logger.info('\tthe capture budget is used up, deferring the capture');
+      return false;
+    } else if (verdict === CaptureBudget.EXHAUSTED) {
+      setErrorStatusAndCallback(callback, breakpoint,
+        StatusMessage.UNSPECIFIED, messages.CAPTURE_BUDGET_EXHAUSTED);
+      return false;
+    }
+    // The hit count is reported with the captured data.
+    breakpoint.labels = breakpoint.labels || {};
+    breakpoint.labels.hitCount = String(data.hitCount);
+    if (data.captureLimits) {
+      breakpoint.labels.captureLimits =
+        utils.captureLimitsText(data.captureLimits);
+    }
+    return true;
+  }
+
+  /**
+   * Runs a capture shared by breakpoints hits, charging each breakpoint an
+   * equal part of its time, and calls back the breakpoints.
+   *
+   * @param {Array<{breakpoint: Breakpoint, callback: function(?Error)}>} hits
+   * @param {function()} fn captures the data of the breakpoints
+   */
+  function capture(hits, fn) {
     var start = process.hrtime();
     try {
-      captureBreakpointData(breakpoint, execState);
+      fn();
     } catch (err) {
-      return setErrorStatusAndCallback(callback, breakpoint,
-        StatusMessage.BREAKPOINT_SOURCE_LOCATION,
-        messages.CAPTURE_BREAKPOINT_DATA + err);
+      hits.forEach(function(hit) {
+        stats.captureErrors.inc();
+        setErrorStatusAndCallback(hit.callback, hit.breakpoint,
+          StatusMessage.BREAKPOINT_SOURCE_LOCATION,
+          messages.CAPTURE_BREAKPOINT_DATA + err);
+      });
+      return;
     }
     var end = process.hrtime(start);
     logger.interval(logModule.INFO, 'capture time', end);
-    callback(null);
+    stats.captureDuration.observe(utils.toSeconds(end));
+    hits.forEach(function(hit) {
+      budget.record(hit.breakpoint.id,
+        utils.toSeconds(end) * 1e3 / hits.length);
+      if (hit.breakpoint.variableTable) {
+        stats.variableTableSize.observe(hit.breakpoint.variableTable.length);
+      }
+      hit.callback(null);
+    });
   }
 
   /**
@@ -462,52 +495,99 @@ module.exports.create = function(logger_, config_, fileStats_) {
       case v8.DebugEvent.Break:
         eventData.breakPointsHit().forEach(function(hit) {
           var num = hit.script_break_point().number();
+          var v8bp = v8BreakpointsByNumber[num];
+          if (!v8bp) {
+            return;
+          }
           logger.info('>>>V8 breakpoint hit<<< number: ' + num);
-          listeners[num](execState, eventData);
+          onV8BreakpointHit(v8bp, execState);
         });
         break;
+      case v8.DebugEvent.AfterCompile:
+        var scriptPath = eventData.script().name();
+        if (scriptPath) {
+          pending.loaded(scriptPath).forEach(function(breakpoint) {
+            singleton.set(breakpoint, function(err) {
+              if (err) {
+                pending.fail(breakpoint.id, err);
+              }
+            });
+          });
+        }
+        break;
     }
   }
 
-  function captureBreakpointData(breakpoint, execState) {
-    var expressionErrors = [];
-    if (breakpoint.expressions && breakpoints[breakpoint.id].compile) {
-      for (var i = 0; i < breakpoint.expressions.length; i++) {
-        try {
-          breakpoint.expressions[i] =
-            breakpoints[breakpoint.id].compile(breakpoint.expressions[i]);
-        } catch (e) {
-          logger.info('Unable to compile watch expression >> ' +
-              breakpoint.expressions[i] + ' <<');
-          expressionErrors.push({
-            name: breakpoint.expressions[i],
-            status: new StatusMessage(StatusMessage.VARIABLE_VALUE,
-                                      'Error Compiling Expression', true)
-          });
-          breakpoint.expressions.splice(i, 1);
+  function evaluateLogExpressions(breakpoint, execState) {
+    var frame = execState.frame(0);
+    breakpoint.evaluatedExpressions =
+      breakpoints[breakpoint.id].logExpressions.map(function(exp) {
+        if (typeof exp !== 'string') {
+          return exp; // The error compiling the expression.
         }
-      }
-    }
-    if (breakpoint.action === 'LOG') {
-      // TODO: This doesn't work with compiled languages if there is an error
-      // compiling one of the expressions in the loop above.
-      if (!breakpoint.expressions) {
-        breakpoint.evaluatedExpressions = [];
-      } else {
-        var frame = execState.frame(0);
-        var evaluatedExpressions = breakpoint.expressions.map(function(exp) {
-          var result = state.evaluate(exp, frame);
-          return result.error ? result.error : result.mirror.value();
-        });
-        breakpoint.evaluatedExpressions = evaluatedExpressions;
-      }
-    } else {
-      var captured = state.capture(execState, breakpoint.expressions, config);
+        var result = state.evaluate(exp, frame);
+        return result.error ? result.error : result.mirror.value();
+      });
+  }
+
+
+  /**
+   * Captures the stack and the variables once for snapshots hit together
+   * with the same capture limits.
+   *
+   * @param {Array<Breakpoint>} snapshots
+   * @param {Debug#ExecutionState} execState
+   */
+  function captureSnapshots(snapshots, execState) {
+    var groups = {};
+    snapshots.forEach(function(breakpoint) {
+      var limits = breakpoints[breakpoint.id].captureLimits;
+      var key = limits ? utils.captureLimitsText(limits) : '';
+      groups[key] = (groups[key] || []).concat(breakpoint);
+    });
+    Object.keys(groups).forEach(function(key) {
+      captureWithLimits(groups[key], execState);
+    });
+  }
+
+  /**
+   * Captures the data of snapshots with the same capture limits. Their watch
+   * expressions are evaluated in the same capture, and share its variable
+   * table. `$capture` directives evaluate to the limits.
+   *
+   * @param {Array<Breakpoint>} snapshots
+   * @param {Debug#ExecutionState} execState
+   */
+  function captureWithLimits(snapshots, execState) {
+    var captureConfig = utils.captureConfig(config,
+      breakpoints[snapshots[0].id].captureLimits);
+    var limitsText = utils.captureLimitsText(captureConfig.capture);
+    var expressions = [];
+    var expressionErrors = snapshots.map(function(breakpoint) {
+      var errors = utils.compileExpressions(breakpoint,
+        breakpoints[breakpoint.id].compile, logger);
+      (breakpoint.expressions || []).forEach(function(expression) {
+        if (!utils.isCaptureDirective(expression) &&
+            expressions.indexOf(expression) === -1) {
+          expressions.push(expression);
+        }
+      });
+      return errors;
+    });
+    var captured = state.capture(execState,
+      expressions.length ? expressions : null, captureConfig, sourceMapper);
+    snapshots.forEach(function(breakpoint, index) {
       breakpoint.stackFrames = captured.stackFrames;
       breakpoint.variableTable = captured.variableTable;
-      breakpoint.evaluatedExpressions =
-        expressionErrors.concat(captured.evaluatedExpressions);
-    }
+      breakpoint.evaluatedExpressions = expressionErrors[index].concat(
+        (breakpoint.expressions || []).map(function(expression) {
+          if (utils.isCaptureDirective(expression)) {
+            return { name: expression, value: limitsText };
+          }
+          return captured.evaluatedExpressions[
+            expressions.indexOf(expression)];
+        }));
+    });
   }
 
   /**
@@ -515,11 +595,12 @@ module.exports.create = function(logger_, config_, fileStats_) {
    * @return object with either a boolean value or an error property
    */
   function checkCondition(breakpoint, execState) {
-    if (!breakpoint.condition) {
+    var condition = breakpoints[breakpoint.id].condition;
+    if (!condition) {
       return { value: true };
     }
 
-    var result = state.evaluate(breakpoint.condition, execState.frame(0));
+    var result = state.evaluate(condition, execState.frame(0));
 
     if (result.error) {
       return { error: result.error };
@@ -530,24 +611,62 @@ module.exports.create = function(logger_, config_, fileStats_) {
   /**
    * @constructor
    */
-  function BreakpointData(apiBreakpoint, v8Breakpoint, parsedCondition, compile) {
+  function BreakpointData(apiBreakpoint, v8Breakpoint, parsedCondition,
+      condition, compile, hitCondition, captureLimits) {
     this.apiBreakpoint = apiBreakpoint;
     this.v8Breakpoint = v8Breakpoint;
     this.parsedCondition = parsedCondition;
+    this.condition = condition;
     this.compile = compile;
+    this.hitCondition = hitCondition;
+    // The limits overriding config.capture, if any.
+    this.captureLimits = captureLimits;
+    // The hits meeting the condition so far.
+    this.hitCount = 0;
+    // The compiled expressions of a logpoint, evaluated at each hit.
+    this.logExpressions = apiBreakpoint.action === 'LOG' ?
+      utils.compileLogExpressions(apiBreakpoint, compile, logger) : null;
   }
 
-  function setErrorStatusAndCallback(fn, breakpoint, refersTo, message) {
-    return setImmediate(function() {
-      if (breakpoint && !breakpoint.status) {
-        breakpoint.status = new StatusMessage(refersTo, message, true);
-      }
-      fn(new Error(message));
-    });
+  /**
+   * A V8 script breakpoint and the API breakpoints set at its location.
+   * @constructor
+   */
+  function V8Breakpoint(scriptBreakPoint, number, location) {
+    this.scriptBreakPoint = scriptBreakPoint;
+    this.number = number;
+    this.location = location;
+    this.apiBreakpointIds = [];
   }
 
   return singleton;
 };
 
+/**
+ * Detaches the debug API instance, if any, from the debugger. The next call
+ * to create sets up a new instance.
+ */
+module.exports.destroy = function() {
+  if (singleton) {
+    singleton.detach();
+    singleton = null;
+  }
+};
 
+/**
+ * The legacy debug context is only used where the inspector isn't available.
+ * @return {boolean}
+ */
+function useInspector() {
+  if (!semver.satisfies(process.version, '>=8')) {
+    return false;
+  }
+  try {
+    require('inspector');
+    return true;
+  } catch (e) {
+    // Node.js may have been built without the inspector.
+    return false;
+  }
+}
 
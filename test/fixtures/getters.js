@@ -0,0 +1,13 @@
+/*1* KEEP THIS CODE AT THE TOP TO AVOID LINE NUMBER CHANGES */
+/*2*/'use strict';
+/*3*/function User(first, last) { this.first = first; this.last = last; }
+/*4*/Object.defineProperty(User.prototype, 'fullName', {
+/*5*/  get: function() { return this.first + ' ' + this.last; } });
+/*6*/Object.defineProperty(User.prototype, 'broken', {
+/*7*/  get: function() { throw new Error('not loaded'); } });
+/*8*/Object.defineProperty(User.prototype, 'slow', { get: function() {
+/*9*/  var end = Date.now() + 20; while (Date.now() < end) {} return 1; } });
+/*10*/function inspect(user, map, buffer) {
+/*11*/  return [user, map, buffer];
+/*12*/}
+/*13*/module.exports = { User: User, inspect: inspect };
@@ -0,0 +1,3 @@
+'use strict';
+var answer = 42;
+module.exports = answer;
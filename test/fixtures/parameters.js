@@ -0,0 +1,6 @@
+/*1* KEEP THIS CODE AT THE TOP TO AVOID LINE NUMBER CHANGES */
+/*2*/'use strict';
+/*3*/module.exports = function(a, b,) {
+/*4*/  var sum = a + b;
+/*5*/  return sum;
+/*6*/};
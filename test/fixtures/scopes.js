@@ -0,0 +1,10 @@
+/*1* KEEP THIS CODE AT THE TOP TO AVOID LINE NUMBER CHANGES */
+/*2*/'use strict';
+/*3*/var settings = { retries: 3, name: 'scopes' };
+/*4*/function makeHandler(prefix, suffix) {
+/*5*/  return function handler(n) {
+/*6*/    var total = n + settings.retries;
+/*7*/    return prefix + total + suffix;
+/*8*/  };
+/*9*/}
+/*10*/module.exports = makeHandler;
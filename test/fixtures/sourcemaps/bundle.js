@@ -0,0 +1,12 @@
+'use strict';
+// ./fixtures/sourcemaps/bundled/a/util.js
+module.exports.a = function(x) {
+  var doubled = x * 2;
+  return doubled;
+};
+// ./fixtures/sourcemaps/bundled/b/util.js
+module.exports.b = function(x) {
+  var tripled = x * 3;
+  return tripled;
+};
+//# sourceMappingURL=bundle.js.map
@@ -0,0 +1,8 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+function square(x) {
+    var result = x * x;
+    return result;
+}
+exports.square = square;
+//# sourceMappingURL=math.js.map
@@ -0,0 +1,7 @@
+'use strict';
+// Generated from inline.es6
+module.exports.add = function(a, b) {
+  var sum = a + b;
+  return sum;
+};
+//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozLCJzb3VyY2VzIjpbImlubGluZS5lczYiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7O0FBQ0E7RUFDRTtFQUNBO0FBQ0YiLCJmaWxlIjoiaW5saW5lLmpzIn0=
@@ -0,0 +1,7 @@
+'use strict';
+function a(b) {
+  var c = b + 1;
+  return c;
+}
+module.exports.increment = a;
+//# sourceMappingURL=names.js.map
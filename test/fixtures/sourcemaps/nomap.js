@@ -0,0 +1,6 @@
+'use strict';
+// Generated from nomap.es6
+module.exports.add = function(a, b) {
+  var sum = a + b;
+  return sum;
+};
@@ -0,0 +1,7 @@
+'use strict';
+// Generated from outdir.es6
+module.exports.add = function(a, b) {
+  var sum = a + b;
+  return sum;
+};
+//# sourceMappingURL=maps/outdir.js.map
@@ -0,0 +1,4 @@
+export function square(x: number): number {
+  const result = x * x;
+  return result;
+}
@@ -0,0 +1,6 @@
+/*1* KEEP THIS CODE AT THE TOP TO AVOID LINE NUMBER CHANGES */
+/*2*/'use strict';
+/*3*/function inspect(values) {
+/*4*/  return values;
+/*5*/}
+/*6*/module.exports = inspect;
@@ -0,0 +1,82 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+process.env.GCLOUD_DEBUG_NO_AUTOSTART = 1;
+process.env.GCLOUD_PROJECT = 0;
+
+var assert = require('assert');
+var rec = require('../fixtures/expensive-capture.js').rec;
+
+describe('capture budget', function() {
+  var agent = require('../..');
+  var location = { path: 'fixtures/expensive-capture.js', line: 4 };
+
+  before(function(done) {
+    agent.start({
+      transport: 'inprocess',
+      // Any capture uses up the budgets.
+      captureBudget: { maxMs: 0.001, maxMsPerBreakpoint: 0.001 },
+      logpoint: { sink: function() {} }
+    });
+    agent.once('started', function() { done(); });
+  });
+
+  after(function() {
+    agent.stop();
+  });
+
+  it('should cancel breakpoints using up their budget', function(done) {
+    agent.once('breakpointHit', function() {
+      agent.once('breakpointError', function(bp) {
+        assert.ok(bp.status.isError);
+        assert.ok(/time budget/.test(bp.status.description.format));
+        assert.equal(agent.getStatus().captureBudget.exhausted, 1);
+        setImmediate(function() {
+          assert.deepEqual(agent.listBreakpoints(), []);
+          done();
+        });
+      });
+      setImmediate(rec, 1);
+    });
+    agent.setBreakpoint({
+      action: 'LOG',
+      logMessageFormat: 'hit',
+      location: location
+    }, function(err) {
+      assert.ifError(err);
+      rec(1);
+    });
+  });
+
+  it('should defer captures once the budget is used up', function(done) {
+    agent.once('breakpointHit', function() {
+      assert.fail('the capture should have been deferred');
+    });
+    agent.setBreakpoint({ location: location }, function(err, bp) {
+      assert.ifError(err);
+      rec(1);
+      setTimeout(function() {
+        var status = agent.getStatus();
+        assert.ok(status.captureBudget.deferred > 0);
+        assert.ok(status.captureBudget.usedMs >= 0);
+        assert.deepEqual(agent.listBreakpoints(), [bp]);
+        agent.removeAllListeners('breakpointHit');
+        done();
+      }, 50);
+    });
+  });
+});
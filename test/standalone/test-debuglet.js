@@ -16,10 +16,15 @@
 'use strict';
 
 var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
 var request = require('request');
 var logger = require('@google/cloud-diagnostics-common').logger;
 var config = require('../../config.js').debug;
 var Debuglet = require('../../lib/debuglet.js');
+// The breakpoints below are set in a loaded script. Breakpoints in scripts
+// that aren't loaded stay pending, see the 'lazy' breakpoint.
+require('../fixtures/foo.js');
 
 var DEBUGGEE_ID = 'bar';
 var API = 'https://clouddebugger.googleapis.com';
@@ -41,13 +46,19 @@ var errorBp = {
   location: { path: 'fixtures/foo.js', line: 2 }
 };
 
+// The breakpoint with the given id, if it is active.
+function activeBreakpoint(debuglet, id) {
+  var record = debuglet.lifecycle_.get(id);
+  return record && record.isActive() ? record.breakpoint : undefined;
+}
+
 describe(__filename, function(){
   beforeEach(function() {
     process.env.GCLOUD_PROJECT = 0;
     debuglet = new Debuglet(
       config, logger.create(config.logLevel, '@google/cloud-debug'));
     debuglet.once('started', function() {
-      debuglet.debugletApi_.request_ = request; // Avoid authing.
+      debuglet.debugletApi_.transport_.request_ = request; // Avoid authing.
     });
   });
 
@@ -219,8 +230,8 @@ describe(__filename, function(){
     debuglet.once('registered', function reg(id) {
       assert(id === DEBUGGEE_ID);
       setTimeout(function() {
-        assert.deepEqual(debuglet.activeBreakpointMap_.test, bp);
-        assert(!debuglet.activeBreakpointMap_.testLog);
+        assert.deepEqual(activeBreakpoint(debuglet, 'test'), bp);
+        assert(!activeBreakpoint(debuglet, 'testLog'));
         scope.done();
         done();
       }, 1000);
@@ -259,7 +270,7 @@ describe(__filename, function(){
     debuglet.once('registered', function(id) {
       assert(id === DEBUGGEE_ID);
       setTimeout(function() {
-        assert(!debuglet.activeBreakpointMap_.test);
+        assert(!activeBreakpoint(debuglet, 'test'));
         scope.done();
         done();
       }, 200);
@@ -268,6 +279,70 @@ describe(__filename, function(){
     debuglet.start();
   });
 
+  it('should report pending breakpoints until their script loads',
+    function(done) {
+      var lazyBp = {
+        id: 'lazy',
+        action: 'CAPTURE',
+        location: { path: 'fixtures/lazy.js', line: 3 }
+      };
+      var updates = [];
+      var scope = nock(API)
+        .post(REGISTER_PATH)
+        .reply(200, {
+          debuggee: {
+            id: DEBUGGEE_ID
+          }
+        })
+        .get(BPS_PATH + '?success_on_timeout=true')
+        .reply(200, {
+          breakpoints: [lazyBp]
+        })
+        .put(BPS_PATH + '/lazy', function(body) {
+          updates.push(body.breakpoint);
+          return true;
+        })
+        .times(3)
+        .reply(200);
+
+      debuglet.once('breakpointSet', function() {
+        done(new Error('The breakpoint was set before its script loaded'));
+      });
+      debuglet.once('breakpointPending', function(breakpoint) {
+        debuglet.removeAllListeners('breakpointSet');
+        assert.equal(breakpoint.id, 'lazy');
+        assert(!activeBreakpoint(debuglet, 'lazy'));
+        assert.equal(debuglet.inspectBreakpoints()[0].state, 'pending');
+        debuglet.once('breakpointSet', function() {
+          assert(activeBreakpoint(debuglet, 'lazy'));
+        });
+        setTimeout(function() {
+          assert.equal(updates.length, 1);
+          assert.strictEqual(updates[0].isFinalState, false);
+          assert.ok(!updates[0].status.isError);
+          assert.equal(updates[0].status.description.format,
+            'Waiting for a script matching the source file to be loaded');
+          // Hit by the top-level code of the module.
+          require('../fixtures/lazy.js');
+        }, 200);
+      });
+      debuglet.on('snapshotCaptured', function() {
+        setTimeout(function() {
+          // The pending status is cleared once set, then the snapshot is
+          // final.
+          assert.equal(updates.length, 3);
+          assert.strictEqual(updates[1].isFinalState, false);
+          assert.ok(!updates[1].status);
+          assert.ok(updates[2].isFinalState);
+          assert.ok(updates[2].stackFrames.length > 0);
+          scope.done();
+          done();
+        }, 200);
+      });
+
+      debuglet.start();
+    });
+
   it('should expire stale breakpoints', function(done) {
     var oldTimeout = config.breakpointExpirationSec;
     config.breakpointExpirationSec = 1;
@@ -293,16 +368,17 @@ describe(__filename, function(){
       .reply(200);
 
     debuglet.once('started', function() {
-      debuglet.debugletApi_.request_ = request; // Avoid authing.
+      debuglet.debugletApi_.transport_.request_ = request; // Avoid authing.
     });
     debuglet.once('registered', function(id) {
       assert(id === DEBUGGEE_ID);
       setTimeout(function() {
-        assert.deepEqual(debuglet.activeBreakpointMap_.test, bp);
+        assert.deepEqual(activeBreakpoint(debuglet, 'test'), bp);
         setTimeout(function() {
-          assert(!debuglet.activeBreakpointMap_.test);
+          assert(!activeBreakpoint(debuglet, 'test'));
           scope.done();
           config.breakpointExpirationSec = oldTimeout;
+          debuglet.stop();
           done();
         }, 1100);
       }, 500);
@@ -311,6 +387,70 @@ describe(__filename, function(){
     debuglet.start();
   });
 
+  it('should re-register and revalidate breakpoints when code changes',
+    function(done) {
+      this.timeout(10000);
+      var file = path.join(__dirname, '..', 'fixtures',
+        'watched-' + process.pid + '.js');
+      // The exported function keeps the script loaded, otherwise the
+      // breakpoint would wait for it to be loaded again.
+      fs.writeFileSync(file,
+        '\n\n\nvar answer = 42;\nmodule.exports = function() {};\n');
+      require(file);
+      var oldWatch = config.watch;
+      config.watch = { enabled: true, delayMs: 100 };
+      var debuglet = new Debuglet(
+        config, logger.create(config.logLevel, '@google/cloud-debug'));
+
+      var uniquifiers = [];
+      var scope = nock(API)
+        .post(REGISTER_PATH, function(body) {
+          uniquifiers.push(body.debuggee.uniquifier);
+          return true;
+        })
+        .twice()
+        .reply(200, {
+          debuggee: {
+            id: DEBUGGEE_ID
+          }
+        });
+
+      var local = {
+        location: { path: path.basename(file), line: 4 }
+      };
+      debuglet.once('started', function() {
+        debuglet.debugletApi_.transport_.request_ = request; // Avoid authing.
+      });
+      debuglet.once('registered', function() {
+        debuglet.setBreakpoint(local, function(err) {
+          assert.ifError(err);
+          // The directories are watched asynchronously.
+          var timer = setInterval(function() {
+            if (debuglet.codeWatcher_.watchers_[path.dirname(file)]) {
+              clearInterval(timer);
+              fs.writeFileSync(file, 'var answer = 43;\n');
+            }
+          }, 10);
+        });
+      });
+      debuglet.once('breakpointError', function(breakpoint) {
+        assert.strictEqual(breakpoint, local);
+        assert.ok(breakpoint.status.isError);
+        debuglet.once('registered', function() {
+          assert.ok(!activeBreakpoint(debuglet, local.id));
+          assert.equal(uniquifiers.length, 2);
+          assert.notEqual(uniquifiers[0], uniquifiers[1]);
+          scope.done();
+          debuglet.stop();
+          config.watch = oldWatch;
+          fs.unlinkSync(file);
+          done();
+        });
+      });
+
+      debuglet.start();
+    });
+
   describe('map subtract', function() {
     it('should be correct', function() {
       var a = { a: 1, b: 2 };
@@ -62,9 +62,12 @@ describe('v8debugapi', function() {
   afterEach(function() { assert(stateIsClean(api)); });
 
   it('should not duplicate expressions', function(done) {
+    // The groups of the enclosing scopes are checked on their own below.
+    config.capture.scopes.enabled = false;
     api.set(breakpointInFoo, function(err) {
       assert.ifError(err);
       api.wait(breakpointInFoo, function(err) {
+        config.capture.scopes.enabled = true;
         assert.ifError(err);
         var frames = breakpointInFoo.stackFrames[0];
         var exprs = frames.arguments.concat(frames.locals);
@@ -79,4 +82,34 @@ describe('v8debugapi', function() {
       process.nextTick(foo);
     });
   });
+
+  it('should not duplicate the variables of enclosing scopes', function(done) {
+    var bp = {id: breakpointInFoo.id, location: breakpointInFoo.location};
+    api.set(bp, function(err) {
+      assert.ifError(err);
+      api.wait(bp, function(err) {
+        assert.ifError(err);
+        var frames = bp.stackFrames[0];
+        var groups = frames.locals.filter(function(local) {
+          return /^\[closure.*\]$/.test(local.name);
+        });
+        assert.equal(groups.length, 1);
+        assert.strictEqual(groups[0].varTableIndex, undefined);
+        var objects = groups[0].members.filter(function(member) {
+          return member.varTableIndex !== undefined;
+        });
+        assert.ok(objects.some(function(member) {
+          return member.name === 'breakpointInFoo';
+        }));
+        var varTableIndicesSeen = [];
+        objects.forEach(function(member) {
+          assert.equal(varTableIndicesSeen.indexOf(member.varTableIndex), -1);
+          varTableIndicesSeen.push(member.varTableIndex);
+        });
+        api.clear(bp);
+        done();
+      });
+      process.nextTick(foo);
+    });
+  });
 });
@@ -29,11 +29,14 @@ var h = require('../fixtures/a/hello.js');
 describe('repository relative paths', function() {
 
   before(function(done) {
-    setTimeout(function() {
-      // Wait for v8deub api to initialize.
+    // Wait for v8debug api to initialize.
+    (function waitForApi() {
       api = agent.private_.v8debug_;
+      if (!api) {
+        return setTimeout(waitForApi, 20);
+      }
       done();
-    }, 100);
+    })();
   });
 
   after(function() {
@@ -0,0 +1,69 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var logger = require('@google/cloud-diagnostics-common').logger;
+var Debuglet = require('../../lib/debuglet.js');
+var InProcessTransport = require('../../lib/inprocesstransport.js');
+var rec = require('../fixtures/expensive-capture.js').rec;
+
+describe(__filename, function() {
+  it('should run the capture loop through the transport', function(done) {
+    this.timeout(10000);
+    process.env.GCLOUD_PROJECT = 0;
+    var transport = new InProcessTransport();
+    var config = _.defaults({ transport: transport },
+      require('../../config.js').debug);
+    var debuglet = new Debuglet(config,
+      logger.create(config.logLevel, '@google/cloud-debug'));
+
+    transport.once('registered', function() {
+      transport.addBreakpoint({
+        id: 'test',
+        location: { path: 'fixtures/expensive-capture.js', line: 4 },
+        expressions: ['"jane@example.com"']
+      });
+      (function waitForSet() {
+        if (!debuglet.listBreakpoints().length) {
+          return setTimeout(waitForSet, 20);
+        }
+        rec(1);
+      })();
+    });
+
+    transport.once('breakpointUpdated', function(bp) {
+      assert.equal(bp.id, 'test');
+      assert.ok(bp.isFinalState);
+      assert.ok(bp.stackFrames.length > 0);
+      assert.equal(bp.stackFrames[0].function, 'rec');
+      assert.equal(bp.evaluatedExpressions[0].status.description.format,
+        'The value was redacted');
+      assert.ok(Number(bp.labels.redactions) >= 1);
+      setImmediate(function() {
+        // Completed once the update is delivered, without pending timers.
+        var state = debuglet.inspectBreakpoints()[0];
+        assert.equal(state.state, 'completed');
+        assert.deepEqual(state.timers, []);
+        debuglet.stop();
+        done();
+      });
+    });
+
+    debuglet.start();
+  });
+});
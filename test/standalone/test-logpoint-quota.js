@@ -0,0 +1,84 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var logger = require('@google/cloud-diagnostics-common').logger;
+var Debuglet = require('../../lib/debuglet.js');
+var InProcessTransport = require('../../lib/inprocesstransport.js');
+var rec = require('../fixtures/expensive-capture.js').rec;
+
+describe(__filename, function() {
+  it('should report logpoints exceeding their quota', function(done) {
+    this.timeout(10000);
+    process.env.GCLOUD_PROJECT = 0;
+    var transport = new InProcessTransport();
+    var messages = [];
+    var config = _.defaultsDeep({
+      transport: transport,
+      logpoint: {
+        sink: function(record) { messages.push(record.message); },
+        rateLimit: {
+          perLogpoint: { messagesPerSec: 0.001, burst: 1 },
+          summaryIntervalSec: 0.1,
+          quotaExceededIntervals: 1
+        }
+      }
+    }, require('../../config.js').debug);
+    var debuglet = new Debuglet(config,
+      logger.create(config.logLevel, '@google/cloud-debug'));
+    var hits = 0;
+
+    transport.once('registered', function() {
+      transport.addBreakpoint({
+        id: 'log',
+        action: 'LOG',
+        logMessageFormat: 'n is $0',
+        expressions: ['n'],
+        location: { path: 'fixtures/expensive-capture.js', line: 4 }
+      });
+      (function waitForSet() {
+        if (!debuglet.listBreakpoints().length) {
+          return setTimeout(waitForSet, 20);
+        }
+        (function next() {
+          if (hits++ < 5) {
+            rec(1);
+            setImmediate(next);
+          }
+        })();
+      })();
+    });
+
+    transport.once('breakpointStatus', function(bp) {
+      assert.equal(bp.id, 'log');
+      assert.ok(!bp.isFinalState);
+      assert.ok(/quota/.test(bp.status.description.format));
+      // Both later calls hit the line twice. The hits over quota were
+      // dropped, only the summary followed.
+      assert.deepEqual(messages, ['n is 1',
+        'suppressed 8 messages in last 0.1s']);
+      var state = debuglet.inspectBreakpoints()[0];
+      assert.equal(state.state, 'set');
+      assert.ok(transport.removeBreakpoint('log'));
+      debuglet.stop();
+      done();
+    });
+
+    debuglet.start();
+  });
+});
@@ -47,6 +47,11 @@ describe('maxDataSize', function() {
     }
   });
 
+  // The groups of the enclosing scopes have limits of their own, checked on
+  // their own below.
+  beforeEach(function() { config.capture.scopes.enabled = false; });
+  afterEach(function() { config.capture.scopes.enabled = true; });
+
   it('should limit data reported', function(done) {
     config.capture.maxDataSize = 5;
     // clone a clean breakpointInFoo
@@ -82,4 +87,32 @@ describe('maxDataSize', function() {
       process.nextTick(function() {foo(2);});
     });
   });
-});
\ No newline at end of file
+
+  it('should not limit the enclosing scopes if 0', function(done) {
+    config.capture.maxDataSize = 0;
+    config.capture.scopes.enabled = true;
+    var bp  = {id: breakpointInFoo.id, location: breakpointInFoo.location};
+    api.set(bp, function(err) {
+      assert.ifError(err);
+      api.wait(bp, function(err) {
+        assert.ifError(err);
+        var groups = bp.stackFrames[0].locals.filter(function(local) {
+          return /^\[closure.*\]$/.test(local.name);
+        });
+        assert.equal(groups.length, 1);
+        assert.ok(!groups[0].status);
+        groups[0].members.forEach(function(member) {
+          if (member.varTableIndex !== undefined) {
+            var entry = bp.variableTable[member.varTableIndex];
+            assert.ok(entry.members);
+            assert.ok(!entry.status || entry.status.description.format !==
+              'Max data size reached');
+          }
+        });
+        api.clear(bp);
+        done();
+      });
+      process.nextTick(function() {foo(2);});
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+process.env.GCLOUD_DEBUG_NO_AUTOSTART = 1;
+process.env.GCLOUD_PROJECT = 0;
+
+var assert = require('assert');
+var http = require('http');
+var rec = require('../fixtures/expensive-capture.js').rec;
+
+function total(metric, labels) {
+  return metric.series.filter(function(series) {
+    return Object.keys(labels || {}).every(function(name) {
+      return series.labels[name] === labels[name];
+    });
+  }).reduce(function(sum, series) {
+    return sum + (metric.type === 'histogram' ? series.count : series.value);
+  }, 0);
+}
+
+describe('agent metrics', function() {
+  var agent = require('../..');
+  var port = 20000 + process.pid % 10000;
+
+  before(function(done) {
+    assert.deepEqual(agent.getMetrics(), {});
+    agent.start({
+      transport: 'inprocess',
+      metrics: { port: port }
+    });
+    agent.once('registered', function() { done(); });
+  });
+
+  after(function() {
+    agent.stop();
+  });
+
+  it('should count registrations', function() {
+    var metrics = agent.getMetrics();
+    assert.equal(total(metrics.cloud_debug_registrations_total,
+      { result: 'success' }), 1);
+  });
+
+  it('should record hits, conditions and captures', function(done) {
+    agent.once('snapshotCaptured', function() {
+      setImmediate(function() {
+        var metrics = agent.getMetrics();
+        assert.equal(total(metrics.cloud_debug_breakpoints_set_total,
+          { result: 'success' }), 1);
+        assert.equal(total(metrics.cloud_debug_breakpoint_hits_total), 2);
+        var conditions = metrics.cloud_debug_condition_evaluations_total;
+        assert.equal(total(conditions, { result: 'false' }), 1);
+        assert.equal(total(conditions, { result: 'true' }), 1);
+        assert.equal(total(metrics.cloud_debug_condition_duration_seconds), 2);
+        assert.equal(total(metrics.cloud_debug_capture_duration_seconds), 1);
+        assert.equal(total(metrics.cloud_debug_variable_table_size), 1);
+        assert.equal(total(metrics.cloud_debug_active_breakpoints), 0);
+        done();
+      });
+    });
+    agent.setBreakpoint({
+      location: { path: 'fixtures/expensive-capture.js', line: 4 },
+      condition: 'n === 0'
+    }, function(err) {
+      assert.ifError(err);
+      rec(1);
+    });
+  });
+
+  it('should serve the metrics in the Prometheus format', function(done) {
+    http.get({ host: '127.0.0.1', port: port, path: '/metrics' },
+        function(res) {
+      assert.equal(res.statusCode, 200);
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) { text += chunk; });
+      res.on('end', function() {
+        assert.equal(text, agent.getMetrics('prometheus'));
+        assert.ok(/^cloud_debug_breakpoint_hits_total 2$/m.test(text));
+        assert.ok(/^# TYPE cloud_debug_capture_duration_seconds histogram$/m
+          .test(text));
+        done();
+      });
+    });
+  });
+});
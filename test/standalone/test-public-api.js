@@ -0,0 +1,174 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+process.env.GCLOUD_DEBUG_NO_AUTOSTART = 1;
+process.env.GCLOUD_PROJECT = 0;
+
+var assert = require('assert');
+var rec = require('../fixtures/expensive-capture.js').rec;
+
+describe('public api', function() {
+  var agent = require('../..');
+  var logpoints = [];
+
+  it('should respect GCLOUD_DEBUG_NO_AUTOSTART', function() {
+    assert(!agent.private_, 'Agent should not have started');
+    assert.equal(agent.getStatus().running, false);
+    assert.deepEqual(agent.listBreakpoints(), []);
+  });
+
+  it('should not set breakpoints before starting', function(done) {
+    agent.setBreakpoint({ location: { path: 'foo.js', line: 1 } },
+      function(err) {
+        assert.ok(err);
+        done();
+      });
+  });
+
+  it('should start with the given config', function(done) {
+    agent.start({
+      transport: 'inprocess',
+      description: 'api test',
+      logpoint: {
+        sink: function(record) { logpoints.push(record); }
+      }
+    });
+    assert.equal(agent.private_.config_.description, 'api test');
+    // Starting again while the agent is starting up keeps the debuglet.
+    var debuglet = agent.private_;
+    agent.start({ transport: 'inprocess' });
+    assert.strictEqual(agent.private_, debuglet);
+    agent.once('started', function() {
+      assert.equal(agent.getStatus().running, true);
+      done();
+    });
+  });
+
+  it('should capture snapshots of local breakpoints', function(done) {
+    var events = [];
+    ['breakpointSet', 'breakpointHit', 'snapshotCaptured'].forEach(
+      function(event) {
+        agent.once(event, function(bp) {
+          assert.equal(bp.id, 'local-1');
+          events.push(event);
+        });
+      });
+    agent.once('snapshotCaptured', function(bp) {
+      assert.deepEqual(events,
+        ['breakpointSet', 'breakpointHit', 'snapshotCaptured']);
+      assert.equal(bp.stackFrames[0].function, 'rec');
+      setImmediate(function() {
+        assert.equal(agent.listBreakpoints().length, 0);
+        done();
+      });
+    });
+    agent.setBreakpoint({
+      location: { path: 'fixtures/expensive-capture.js', line: 4 }
+    }, function(err, bp) {
+      assert.ifError(err);
+      assert.deepEqual(agent.listBreakpoints(), [bp]);
+      assert.equal(agent.getStatus().activeBreakpoints, 1);
+      rec(1);
+    });
+  });
+
+  it('should keep logpoints until cleared', function(done) {
+    agent.setBreakpoint({
+      id: 'log',
+      action: 'LOG',
+      logMessageFormat: 'n is $0',
+      expressions: ['n'],
+      location: { path: 'fixtures/expensive-capture.js', line: 4 }
+    }, function(err) {
+      assert.ifError(err);
+      agent.once('breakpointHit', function(bp) {
+        assert.equal(bp.id, 'log');
+        assert.deepEqual(bp.evaluatedExpressions, [3]);
+        assert.equal(agent.listBreakpoints().length, 1);
+        assert.ok(agent.clearBreakpoint('log'));
+        assert.ok(!agent.clearBreakpoint('log'));
+        assert.equal(agent.listBreakpoints().length, 0);
+        var log = agent.inspectBreakpoints().filter(function(state) {
+          return state.id === 'log';
+        })[0];
+        assert.equal(log.state, 'cleared');
+        setImmediate(function() {
+          assert.equal(logpoints.length, 1);
+          assert.equal(logpoints[0].breakpointId, 'log');
+          assert.equal(logpoints[0].location,
+            'fixtures/expensive-capture.js:4');
+          assert.equal(logpoints[0].message, 'n is 3');
+          assert.deepEqual(agent.inspectBreakpoints().filter(function(state) {
+            return state.id === 'log';
+          })[0].timers, []);
+          done();
+        });
+      });
+      rec(3);
+    });
+  });
+
+  it('should rate limit logpoints', function(done) {
+    logpoints = [];
+    var hits = 0;
+    var bp = {
+      action: 'LOG',
+      logMessageFormat: 'hit',
+      location: { path: 'fixtures/expensive-capture.js', line: 4 }
+    };
+    // Hits over the limit are dropped before capturing, without a
+    // breakpointHit event.
+    function next() {
+      if (hits++ < 15) {
+        rec(1);
+        return setImmediate(next);
+      }
+      assert.ok(agent.clearBreakpoint(bp.id));
+      setImmediate(function() {
+        // The default burst size, plus what was refilled in the meantime.
+        assert.ok(logpoints.length >= 10 && logpoints.length < 15);
+        done();
+      });
+    }
+    agent.setBreakpoint(bp, function(err) {
+      assert.ifError(err);
+      next();
+    });
+  });
+
+  it('should report breakpoint errors', function(done) {
+    var bp = {
+      location: { path: 'fixtures/expensive-capture.js', line: 4 },
+      condition: 'n +'
+    };
+    agent.once('breakpointError', function(errored, err) {
+      assert.strictEqual(errored, bp);
+      assert.ok(err);
+      assert.ok(bp.status.isError);
+    });
+    agent.setBreakpoint(bp, function(err) {
+      assert.ok(err);
+      assert.equal(agent.listBreakpoints().length, 0);
+      done();
+    });
+  });
+
+  it('should stop', function() {
+    agent.stop();
+    assert.equal(agent.getStatus().running, false);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var logger = require('@google/cloud-diagnostics-common').logger;
+var Debuglet = require('../../lib/debuglet.js');
+var InProcessTransport = require('../../lib/inprocesstransport.js');
+var rec = require('../fixtures/expensive-capture.js').rec;
+
+var bp = { location: { path: 'fixtures/expensive-capture.js', line: 4 } };
+
+describe('Debuglet.stop', function() {
+  var transport;
+  var debuglet;
+
+  // Starts a debuglet with a breakpoint set through the transport.
+  function start(done) {
+    process.env.GCLOUD_PROJECT = 0;
+    transport = new InProcessTransport();
+    var config = _.defaults({ transport: transport },
+      require('../../config.js').debug);
+    debuglet = new Debuglet(config,
+      logger.create(config.logLevel, '@google/cloud-debug'));
+    debuglet.once('registered', function() {
+      transport.addBreakpoint(_.cloneDeep(bp));
+    });
+    debuglet.once('breakpointSet', function() {
+      done();
+    });
+    debuglet.start();
+  }
+
+  beforeEach(start);
+
+  it('should clear breakpoints and stop fetching', function(done) {
+    var lists = 0;
+    var listBreakpoints = transport.listBreakpoints;
+    transport.listBreakpoints = function() {
+      lists++;
+      listBreakpoints.apply(transport, arguments);
+    };
+    var v8debug = debuglet.v8debug_;
+    assert.equal(v8debug.numBreakpoints_(), 1);
+
+    debuglet.stop(function(err) {
+      assert.ifError(err);
+      assert.equal(v8debug.numBreakpoints_(), 0);
+      assert.deepEqual(debuglet.getStatus().running, false);
+      assert.equal(debuglet.listBreakpoints().length, 0);
+      assert.equal(debuglet.inspectBreakpoints().length, 0);
+      var updated = false;
+      transport.on('breakpointUpdated', function() { updated = true; });
+      rec(1);
+      // A change would answer a held list request, and trigger a new one.
+      transport.addBreakpoint(_.cloneDeep(bp));
+      setTimeout(function() {
+        assert.ok(!updated);
+        assert.equal(lists, 0);
+        done();
+      }, 100);
+    });
+  });
+
+  it('should wait for pending updates', function(done) {
+    var answered = false;
+    var updateBreakpoint = transport.updateBreakpoint;
+    transport.updateBreakpoint = function() {
+      var args = arguments;
+      setTimeout(function() {
+        answered = true;
+        updateBreakpoint.apply(transport, args);
+      }, 100);
+    };
+    debuglet.once('snapshotCaptured', function() {
+      // The update is sent right after the event.
+      setImmediate(function() {
+        debuglet.stop(function(err) {
+          assert.ifError(err);
+          assert.ok(answered);
+          done();
+        });
+      });
+    });
+    rec(1);
+  });
+
+  it('should report failed updates', function(done) {
+    transport.updateBreakpoint = function(debuggeeId, breakpoint, callback) {
+      setImmediate(function() { callback(new Error('nope')); });
+    };
+    debuglet.once('snapshotCaptured', function(breakpoint) {
+      setImmediate(function() {
+        debuglet.stop().then(function() {
+          assert.fail('should have been rejected');
+        }, function(err) {
+          assert.ok(err.message.indexOf(breakpoint.id) !== -1);
+          done();
+        });
+      });
+    });
+    rec(1);
+  });
+
+  it('should allow a new debuglet after stopping', function(done) {
+    debuglet.stop(function() {
+      start(function() {
+        debuglet.once('snapshotCaptured', function(breakpoint) {
+          assert.equal(breakpoint.stackFrames[0].function, 'rec');
+          debuglet.stop(done);
+        });
+        rec(1);
+      });
+    });
+  });
+});
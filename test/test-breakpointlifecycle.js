@@ -0,0 +1,134 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var logger = require('@google/cloud-diagnostics-common').logger;
+var BreakpointLifecycle = require('../lib/breakpointlifecycle.js');
+var State = BreakpointLifecycle.State;
+
+describe('BreakpointLifecycle', function() {
+  var lifecycle;
+
+  beforeEach(function() {
+    lifecycle = new BreakpointLifecycle(logger.create(logger.ERROR, 'test'),
+      3);
+  });
+
+  it('should walk a snapshot through its states', function() {
+    var bp = { id: 'a' };
+    var record = lifecycle.add(bp, false);
+    assert.equal(record.state, State.PENDING);
+    [State.SET, State.HIT, State.CAPTURING].forEach(function(state) {
+      assert.ok(lifecycle.transition(record, state));
+      assert.ok(record.isActive());
+    });
+    assert.ok(lifecycle.complete(record, State.COMPLETED));
+    assert.equal(record.state, State.COMPLETING);
+    assert.strictEqual(record.breakpoint, bp);
+    assert.ok(lifecycle.finish(record));
+    assert.equal(record.state, State.COMPLETED);
+    assert.ok(record.isFinished());
+    assert.strictEqual(record.breakpoint, null);
+    assert.deepEqual(_.map(record.history, 'state'), ['pending', 'set', 'hit',
+      'capturing', 'completing', 'completed']);
+  });
+
+  it('should ignore invalid transitions', function() {
+    var record = lifecycle.add({ id: 'a' }, false);
+    assert.ok(!lifecycle.transition(record, State.HIT));
+    assert.ok(lifecycle.transition(record, State.CLEARED));
+    assert.ok(!lifecycle.transition(record, State.SET));
+    assert.ok(!lifecycle.complete(record, State.EXPIRED));
+    assert.equal(record.state, State.CLEARED);
+  });
+
+  it('should ignore records that were replaced', function() {
+    var record = lifecycle.add({ id: 'a' }, true);
+    assert.throws(function() { lifecycle.add({ id: 'a' }, true); });
+    lifecycle.transition(record, State.CLEARED);
+    var replacement = lifecycle.add({ id: 'a' }, true);
+    assert.strictEqual(lifecycle.get('a'), replacement);
+    assert.ok(!lifecycle.isCurrent(record));
+    lifecycle.forget('a');
+    assert.ok(!lifecycle.transition(replacement, State.SET));
+    assert.equal(lifecycle.get('a'), undefined);
+  });
+
+  it('should cancel timers when completing', function(done) {
+    var record = lifecycle.add({ id: 'a' }, false);
+    lifecycle.setTimer(record, 'expiry', function() {
+      assert.fail('should have been cancelled');
+    }, 10);
+    // Replaced rather than added.
+    lifecycle.setTimer(record, 'expiry', function() {
+      assert.fail('should have been cancelled');
+    }, 10);
+    assert.deepEqual(lifecycle.inspect()[0].timers, ['expiry']);
+    lifecycle.complete(record, State.EXPIRED);
+    assert.ok(!lifecycle.hasTimer(record, 'expiry'));
+    setTimeout(done, 20);
+  });
+
+  it('should cancel timers on reset', function(done) {
+    var record = lifecycle.add({ id: 'a' }, false);
+    lifecycle.setTimer(record, 'expiry', function() {
+      assert.fail('should have been cancelled');
+    }, 10);
+    lifecycle.reset();
+    assert.deepEqual(lifecycle.inspect(), []);
+    setTimeout(done, 20);
+  });
+
+  it('should keep a bounded number of finished breakpoints', function() {
+    for (var i = 0; i < 5; i++) {
+      var record = lifecycle.add({ id: String(i) }, true);
+      lifecycle.transition(record, State.CLEARED);
+    }
+    var active = lifecycle.add({ id: 'active' }, true);
+    lifecycle.transition(active, State.SET);
+    assert.deepEqual(_.map(lifecycle.inspect(), 'id'),
+      ['2', '3', '4', 'active']);
+  });
+
+  it('should keep the finished breakpoints of the controller', function() {
+    var first = lifecycle.add({ id: 'server' }, false);
+    lifecycle.complete(first, State.COMPLETED);
+    lifecycle.finish(first);
+    for (var i = 0; i < 5; i++) {
+      var record = lifecycle.add({ id: String(i) }, true);
+      lifecycle.transition(record, State.CLEARED);
+    }
+    assert.equal(lifecycle.get('server'), first);
+    assert.deepEqual(_.map(lifecycle.inspect(), 'id').sort(),
+      ['2', '3', '4', 'server']);
+    lifecycle.forget('server');
+    assert.equal(lifecycle.get('server'), undefined);
+  });
+
+  it('should keep a bounded history', function() {
+    var record = lifecycle.add({ id: 'log' }, false);
+    lifecycle.transition(record, State.SET);
+    for (var i = 0; i < 10; i++) {
+      lifecycle.transition(record, State.HIT);
+      lifecycle.transition(record, State.CAPTURING);
+      lifecycle.transition(record, State.SET);
+    }
+    assert.equal(record.history.length, 10);
+    assert.equal(_.last(record.history).state, State.SET);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var CaptureBudget = require('../lib/capturebudget.js');
+
+describe('CaptureBudget', function() {
+  it('should allow captures within the budget', function() {
+    var budget = new CaptureBudget({ maxMs: 100, maxMsPerBreakpoint: 50 });
+    assert.equal(budget.check('a'), CaptureBudget.OK);
+    budget.record('a', 40);
+    assert.equal(budget.check('a'), CaptureBudget.OK);
+    assert.deepEqual(budget.getStats(), {
+      windowSec: 60,
+      maxMs: 100,
+      maxMsPerBreakpoint: 50,
+      usedMs: 40,
+      deferred: 0,
+      exhausted: 0
+    });
+  });
+
+  it('should exhaust breakpoints over their budget', function() {
+    var budget = new CaptureBudget({ maxMs: 100, maxMsPerBreakpoint: 50 });
+    budget.record('a', 30);
+    budget.record('a', 30);
+    assert.equal(budget.check('a'), CaptureBudget.EXHAUSTED);
+    assert.equal(budget.check('b'), CaptureBudget.OK);
+    budget.remove('a');
+    assert.equal(budget.check('a'), CaptureBudget.OK);
+    assert.equal(budget.getStats().exhausted, 1);
+  });
+
+  it('should defer captures over the overall budget', function() {
+    var budget = new CaptureBudget({ maxMs: 100, maxMsPerBreakpoint: 80 });
+    budget.record('a', 60);
+    budget.record('b', 60);
+    assert.equal(budget.check('c'), CaptureBudget.DEFER);
+    assert.equal(budget.getStats().deferred, 1);
+  });
+
+  it('should not limit without a budget', function() {
+    var budget = new CaptureBudget({});
+    budget.record('a', 1e6);
+    assert.equal(budget.check('a'), CaptureBudget.OK);
+  });
+
+  it('should forget captures older than the window', function(done) {
+    this.timeout(4000);
+    var budget = new CaptureBudget({ windowSec: 1, maxMs: 10 });
+    budget.record('a', 20);
+    assert.equal(budget.check('b'), CaptureBudget.DEFER);
+    setTimeout(function() {
+      assert.equal(budget.check('b'), CaptureBudget.OK);
+      assert.equal(budget.getStats().usedMs, 0);
+      done();
+    }, 2100);
+  });
+});
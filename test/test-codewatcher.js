@@ -0,0 +1,86 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var CodeWatcher = require('../lib/codewatcher.js');
+var scanner = require('../lib/scanner.js');
+
+describe('code watcher', function() {
+  var dir = path.join(os.tmpdir(), 'codewatcher-' + process.pid);
+  var file = function(name) {
+    return path.join(dir, name);
+  };
+  var watcher;
+
+  beforeEach(function() {
+    fs.mkdirSync(dir);
+    fs.writeFileSync(file('a.js'), 'var a = 1;\n');
+  });
+
+  afterEach(function() {
+    watcher.stop();
+    fs.readdirSync(dir).forEach(function(name) {
+      var entry = file(name);
+      if (fs.statSync(entry).isDirectory()) {
+        fs.readdirSync(entry).forEach(function(child) {
+          fs.unlinkSync(path.join(entry, child));
+        });
+        fs.rmdirSync(entry);
+      } else {
+        fs.unlinkSync(entry);
+      }
+    });
+    fs.rmdirSync(dir);
+  });
+
+  it('should update the statistics of changed files', function(done) {
+    scanner.scan(true, dir, function(err, fileStats, hash) {
+      assert.ifError(err);
+      watcher = new CodeWatcher(dir, fileStats, { delayMs: 50 }, true,
+        function(err, files, newHash) {
+          assert.ifError(err);
+          assert.deepEqual(files, [file('a.js')]);
+          assert.strictEqual(fileStats[file('a.js')].lines, 3);
+          assert.notStrictEqual(newHash, hash);
+          done();
+        });
+      watcher.start();
+      fs.writeFileSync(file('a.js'), 'var a = 1;\nvar b = 2;\n');
+      fs.writeFileSync(file('notes.txt'), 'ignored');
+    });
+  });
+
+  it('should find files in new directories', function(done) {
+    scanner.scan(true, dir, function(err, fileStats) {
+      assert.ifError(err);
+      watcher = new CodeWatcher(dir, fileStats, { delayMs: 50 }, false,
+        function(err, files, hash) {
+          assert.ifError(err);
+          assert.deepEqual(files, [file(path.join('lib', 'b.js'))]);
+          assert.strictEqual(hash, undefined);
+          assert.ok(fileStats[file(path.join('lib', 'b.js'))]);
+          done();
+        });
+      watcher.start();
+      fs.mkdirSync(file('lib'));
+      fs.writeFileSync(file(path.join('lib', 'b.js')), 'var b = 1;\n');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var compilers = require('../lib/compilers.js');
+
+/**
+ * Installs a stand-in typescript module in an application directory, which
+ * compiles every expression to the given code.
+ */
+function installTypeScript(dir, code) {
+  var moduleDir = path.join(dir, 'node_modules', 'typescript');
+  fs.mkdirSync(path.join(dir, 'node_modules'));
+  fs.mkdirSync(moduleDir);
+  fs.writeFileSync(path.join(moduleDir, 'index.js'),
+    'exports.ScriptTarget = { ES5: 1 };\n' +
+    'exports.transpileModule = function() {\n' +
+    '  return { outputText: ' + JSON.stringify(code + ';') + ' };\n' +
+    '};\n');
+}
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(function(name) {
+    var file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDir(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(dir);
+}
+
+describe('compilers', function() {
+  it('should not compile JavaScript', function() {
+    assert.strictEqual(compilers.forPath('app.js', {}), null);
+    assert.strictEqual(compilers.forPath('app.es6', {}), null);
+    assert.strictEqual(compilers.forPath('Makefile', {}), null);
+  });
+
+  it('should compile CoffeeScript expressions', function() {
+    var compile = compilers.forPath('lib/app.coffee', {});
+    assert.equal(compile('n == 3'), 'n === 3');
+    assert.equal(compile('if n == 3 then true else false'),
+      'n === 3 ? true : false');
+    assert.equal(compile('a?.b'),
+      'typeof a !== "undefined" && a !== null ? a.b : void 0');
+  });
+
+  it('should report CoffeeScript errors', function() {
+    var compile = compilers.forPath('app.coffee', {});
+    assert.throws(function() { compile('n + * 2'); },
+      /^Error: unexpected \* at column 5$/);
+    assert.throws(function() { compile('return'); },
+      /pure statement/);
+    assert.throws(function() { compile('x = 1'); },
+      /must not declare variables/);
+  });
+
+  it('should use registered compilers', function() {
+    var options;
+    var compile = compilers.forPath('app.ls', {
+      workingDirectory: '/app',
+      compilers: {
+        ls: function(expression, opts) {
+          options = opts;
+          return expression.replace(/ is /, ' === ') + ';';
+        }
+      }
+    });
+    assert.equal(compile('n is 3'), 'n === 3');
+    assert.deepEqual(options, { extension: 'ls', workingDirectory: '/app' });
+  });
+
+  it('should let registered compilers replace built-in ones', function() {
+    var config = { compilers: { coffee: null } };
+    assert.strictEqual(compilers.forPath('app.coffee', config), null);
+    config.compilers.coffee = function() { return 'replaced'; };
+    assert.equal(compilers.forPath('app.coffee', config)('n'), 'replaced');
+  });
+
+  it('should report errors of registered compilers', function() {
+    var compile = compilers.forPath('app.ls', {
+      compilers: {
+        ls: function() { throw new Error('unexpected keyword'); }
+      }
+    });
+    assert.throws(function() { compile('n is'); }, /^Error: unexpected keyword$/);
+    assert.throws(function() {
+      compilers.forPath('app.ls', { compilers: { ls: 'lsc' } });
+    }, /not a function/);
+  });
+
+  it('should reject code that is not an expression', function() {
+    var compile = compilers.forPath('app.ls', {
+      compilers: { ls: function(expression) { return expression; } }
+    });
+    assert.throws(function() { compile('var x = 1'); }, /compiles to statements/);
+    assert.throws(function() { compile('a; b'); }, /compiles to statements/);
+    assert.throws(function() { compile('a +'); },
+      /^Error: Unexpected token in the compiled expression: a \+$/);
+  });
+
+  it('should locate syntax errors through source maps', function() {
+    var compile = compilers.forPath('app.ls', {
+      compilers: {
+        ls: function() {
+          // `a b` compiled to `(a) (b) +`, with a map from `(b)` to `b`.
+          return {
+            code: '(a) (b) +',
+            map: {
+              version: 3,
+              sources: ['expression'],
+              names: [],
+              mappings: 'AAAA,IAAE'
+            }
+          };
+        }
+      }
+    });
+    assert.throws(function() { compile('a b'); },
+      /^Error: Unexpected token at column 3$/);
+  });
+
+  describe('typescript', function() {
+    var dirs = [];
+
+    function appDir() {
+      var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compilers-'));
+      dirs.push(dir);
+      return dir;
+    }
+
+    after(function() {
+      dirs.forEach(removeDir);
+    });
+
+    it('should use the typescript module of each application', function() {
+      var first = appDir();
+      var second = appDir();
+      installTypeScript(first, 'first');
+      installTypeScript(second, 'second');
+      assert.equal(compilers.forPath('app.ts',
+        { workingDirectory: first })('x!'), 'first');
+      assert.equal(compilers.forPath('app.ts',
+        { workingDirectory: second })('x!'), 'second');
+      assert.equal(compilers.forPath('app.ts',
+        { workingDirectory: first })('x!'), 'first');
+    });
+
+    it('should pick up a typescript module installed later', function() {
+      var dir = appDir();
+      var compile = compilers.forPath('app.ts', { workingDirectory: dir });
+      // The typescript module next to the agent.
+      assert.equal(compile('x!'), '(x)');
+      installTypeScript(dir, 'installed');
+      assert.equal(compile('x!'), 'installed');
+    });
+  });
+});
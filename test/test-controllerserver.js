@@ -0,0 +1,391 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var nock = require('nock');
+var request = require('request');
+var proxyquire = require('proxyquire');
+var ControllerServer = require('../lib/controllerserver.js');
+var HttpTransport = require('../lib/httptransport.js');
+
+// require DebugletAPI while stubbing auth and the project number lookup
+var DebugletApi = proxyquire('../lib/debugletapi.js', {
+  '@google/cloud-diagnostics-common': {
+    logger: null,
+    utils: {
+      authorizedRequestFactory: function(/*scopes*/) { return request; },
+      getProjectNumber: function(callback) { callback(null, 'project123'); }
+    }
+  }
+});
+
+var logger = { warn: function() {} };
+
+describe('controller server', function() {
+  var server;
+  var base;
+
+  function call(method, urlPath, body, callback) {
+    request({
+      method: method,
+      url: base + urlPath,
+      json: true,
+      body: body
+    }, function(err, response, body) {
+      assert.ifError(err);
+      callback(response.statusCode, body);
+    });
+  }
+
+  // Sends the data as the request body as it is.
+  function callRaw(method, urlPath, data, callback) {
+    request({
+      method: method,
+      url: base + urlPath,
+      headers: { 'Content-Type': 'application/json' },
+      body: data
+    }, function(err, response, body) {
+      assert.ifError(err);
+      callback(response.statusCode, JSON.parse(body));
+    });
+  }
+
+  function register(uniquifier, callback) {
+    call('POST', '/v2/controller/debuggees/register',
+      { debuggee: { project: 'project123', uniquifier: uniquifier } },
+      function(status, body) {
+        assert.equal(status, 200);
+        callback(body.debuggee.id);
+      });
+  }
+
+  function start(options, done) {
+    server = new ControllerServer(options);
+    server.listen(0, function() {
+      base = 'http://localhost:' + server.server_.address().port;
+      done();
+    });
+  }
+
+  before(function() {
+    nock.enableNetConnect('localhost');
+  });
+
+  after(function() {
+    nock.disableNetConnect();
+  });
+
+  describe('in memory', function() {
+    beforeEach(function(done) {
+      start({ waitTimeoutSec: 0.2 }, done);
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    it('should assign stable debuggee ids', function(done) {
+      register('abc', function(id1) {
+        register('abc', function(id2) {
+          register('def', function(id3) {
+            assert.equal(id1, id2);
+            assert.notEqual(id1, id3);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should reject registrations without a uniquifier', function(done) {
+      call('POST', '/v2/controller/debuggees/register', { debuggee: {} },
+        function(status) {
+          assert.equal(status, 400);
+          done();
+        });
+    });
+
+    it('should reject bodies that are not objects', function(done) {
+      var bodies = ['null', '[]', '5', '"debuggee"', '{ "debuggee": "x" }'];
+      (function next(i) {
+        if (i === bodies.length) {
+          return register('abc', function(id) {
+            callRaw('POST', '/admin/debuggees/' + id + '/breakpoints', 'null',
+              function(status) {
+                assert.equal(status, 400);
+                callRaw('PUT', '/v2/controller/debuggees/' + id +
+                  '/breakpoints/bp1', '{ "breakpoint": null }',
+                  function(status) {
+                    // Not active.
+                    assert.equal(status, 404);
+                    done();
+                  });
+              });
+          });
+        }
+        callRaw('POST', '/v2/controller/debuggees/register', bodies[i],
+          function(status, body) {
+            assert.equal(status, 400);
+            assert.equal(body.error.code, 400);
+            next(i + 1);
+          });
+      })(0);
+    });
+
+    it('should 404 for unregistered debuggees', function(done) {
+      call('GET', '/v2/controller/debuggees/nope/breakpoints', null,
+        function(status) {
+          assert.equal(status, 404);
+          done();
+        });
+    });
+
+    it('should list breakpoints added through the admin api', function(done) {
+      register('abc', function(id) {
+        call('POST', '/admin/debuggees/' + id + '/breakpoints',
+          { location: { path: 'foo.js', line: 2 } },
+          function(status, body) {
+            assert.equal(status, 200);
+            assert.equal(body.breakpoint.action, 'CAPTURE');
+            assert.ok(body.breakpoint.createdTime.seconds);
+            var bpId = body.breakpoint.id;
+            call('GET', '/v2/controller/debuggees/' + id + '/breakpoints', null,
+              function(status, body) {
+                assert.equal(status, 200);
+                assert.equal(body.breakpoints.length, 1);
+                assert.equal(body.breakpoints[0].id, bpId);
+                assert.ok(body.nextWaitToken);
+                done();
+              });
+          });
+      });
+    });
+
+    it('should reject breakpoints without a location', function(done) {
+      register('abc', function(id) {
+        call('POST', '/admin/debuggees/' + id + '/breakpoints', {},
+          function(status) {
+            assert.equal(status, 400);
+            done();
+          });
+      });
+    });
+
+    it('should hold list requests with the current wait token',
+        function(done) {
+      register('abc', function(id) {
+        var bpsPath = '/v2/controller/debuggees/' + id + '/breakpoints';
+        call('GET', bpsPath, null, function(status, body) {
+          var held = false;
+          call('GET', bpsPath + '?waitToken=' + body.nextWaitToken, null,
+            function(status, body) {
+              assert.ok(held);
+              assert.equal(status, 200);
+              assert.equal(body.breakpoints.length, 1);
+              done();
+            });
+          setTimeout(function() {
+            held = true;
+            call('POST', '/admin/debuggees/' + id + '/breakpoints',
+              { location: { path: 'foo.js', line: 2 } }, function() {});
+          }, 50);
+        });
+      });
+    });
+
+    it('should expire held list requests', function(done) {
+      register('abc', function(id) {
+        var bpsPath = '/v2/controller/debuggees/' + id + '/breakpoints';
+        call('GET', bpsPath, null, function(status, body) {
+          var token = body.nextWaitToken;
+          call('GET', bpsPath + '?success_on_timeout=true&waitToken=' + token,
+            null, function(status, body) {
+              assert.equal(status, 200);
+              assert.ok(body.waitExpired);
+              call('GET', bpsPath + '?waitToken=' + token, null,
+                function(status) {
+                  assert.equal(status, 409);
+                  done();
+                });
+            });
+        });
+      });
+    });
+
+    it('should complete updated breakpoints', function(done) {
+      register('abc', function(id) {
+        call('POST', '/admin/debuggees/' + id + '/breakpoints',
+          { id: 'bp1', location: { path: 'foo.js', line: 2 } },
+          function() {
+            call('PUT', '/v2/controller/debuggees/' + id + '/breakpoints/bp1',
+              { debuggeeId: id,
+                breakpoint: { id: 'bp1', stackFrames: [] } },
+              function(status) {
+                assert.equal(status, 200);
+                call('GET', '/admin/debuggees/' + id + '/snapshots', null,
+                  function(status, body) {
+                    assert.equal(body.breakpoints.length, 1);
+                    assert.ok(body.breakpoints[0].isFinalState);
+                    assert.ok(body.breakpoints[0].finalTime);
+                    call('GET', '/admin/debuggees/' + id + '/breakpoints',
+                      null, function(status, body) {
+                        assert.equal(body.breakpoints.length, 0);
+                        done();
+                      });
+                  });
+              });
+          });
+      });
+    });
+
+    it('should keep breakpoints active on status updates', function(done) {
+      register('abc', function(id) {
+        var bpPath = '/admin/debuggees/' + id + '/breakpoints/bp1';
+        call('POST', '/admin/debuggees/' + id + '/breakpoints',
+          { id: 'bp1', location: { path: 'foo.js', line: 2 } },
+          function() {
+            call('PUT', '/v2/controller/debuggees/' + id + '/breakpoints/bp1',
+              { debuggeeId: id, breakpoint: { id: 'bp1', isFinalState: false,
+                status: { description: { format: 'over quota' } } } },
+              function(status) {
+                assert.equal(status, 200);
+                call('GET', bpPath, null, function(status, body) {
+                  assert.equal(status, 200);
+                  assert.equal(body.breakpoint.status.description.format,
+                    'over quota');
+                  assert.equal(body.breakpoint.location.line, 2);
+                  done();
+                });
+              });
+          });
+      });
+    });
+
+    it('should not update breakpoints that are not active', function(done) {
+      register('abc', function(id) {
+        call('PUT', '/v2/controller/debuggees/' + id + '/breakpoints/bp1',
+          { debuggeeId: id, breakpoint: { id: 'bp1' } },
+          function(status) {
+            assert.equal(status, 404);
+            done();
+          });
+      });
+    });
+
+    it('should delete breakpoints', function(done) {
+      register('abc', function(id) {
+        var bpPath = '/admin/debuggees/' + id + '/breakpoints/bp1';
+        call('POST', '/admin/debuggees/' + id + '/breakpoints',
+          { id: 'bp1', location: { path: 'foo.js', line: 2 } },
+          function() {
+            call('DELETE', bpPath, null, function(status) {
+              assert.equal(status, 200);
+              call('GET', bpPath, null, function(status) {
+                assert.equal(status, 404);
+                done();
+              });
+            });
+          });
+      });
+    });
+
+    it('should serve the agent', function(done) {
+      var api = new DebugletApi('test',
+        new HttpTransport(server.controllerUrl(), request));
+      api.init('uid123', logger, function(err) {
+        assert.ifError(err);
+        api.register(function(err, body) {
+          assert.ifError(err);
+          var id = body.debuggee.id;
+          call('POST', '/admin/debuggees/' + id + '/breakpoints',
+            { location: { path: 'foo.js', line: 2 } },
+            function() {
+              api.listBreakpoints(function(err, response, body) {
+                assert.ifError(err);
+                assert.equal(body.breakpoints.length, 1);
+                var bp = body.breakpoints[0];
+                // The next list request is held until the update.
+                api.listBreakpoints(function(err, response, body) {
+                  assert.ifError(err);
+                  assert.equal(body.breakpoints.length, 0);
+                  done();
+                });
+                api.updateBreakpoint(bp, function(err) {
+                  assert.ifError(err);
+                });
+              });
+            });
+        });
+      });
+    });
+  });
+
+  describe('with a state directory', function() {
+    var dir;
+
+    before(function() {
+      dir = path.join(os.tmpdir(), 'controller-' + process.pid);
+      fs.mkdirSync(dir);
+    });
+
+    after(function() {
+      fs.readdirSync(dir).forEach(function(file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('should answer 500 when the state cannot be saved', function(done) {
+      start({ stateDirectory: path.join(dir, 'missing') }, function() {
+        call('POST', '/v2/controller/debuggees/register',
+          { debuggee: { project: 'project123', uniquifier: 'abc' } },
+          function(status, body) {
+            assert.equal(status, 500);
+            assert.ok(/ENOENT/.test(body.error.message));
+            // The server keeps running.
+            call('GET', '/admin/debuggees', null, function(status) {
+              assert.equal(status, 200);
+              server.close(done);
+            });
+          });
+      });
+    });
+
+    it('should restore state', function(done) {
+      start({ stateDirectory: dir }, function() {
+        register('abc', function(id) {
+          call('POST', '/admin/debuggees/' + id + '/breakpoints',
+            { id: 'bp1', location: { path: 'foo.js', line: 2 } },
+            function() {
+              server.close(function() {
+                start({ stateDirectory: dir }, function() {
+                  call('GET', '/admin/debuggees/' + id + '/breakpoints/bp1',
+                    null, function(status, body) {
+                      assert.equal(status, 200);
+                      assert.equal(body.breakpoint.location.line, 2);
+                      server.close(done);
+                    });
+                });
+              });
+            });
+        });
+      });
+    });
+  });
+});
@@ -125,6 +125,32 @@ describe('Debuglet API', function() {
       });
     });
 
+    it('should register with a new uniquifier once the uid changed',
+      function(done) {
+        var uniquifiers = [];
+        var scope = nock(url)
+          .post(api + '/debuggees/register', function(body) {
+            uniquifiers.push(body.debuggee.uniquifier);
+            return true;
+          })
+          .twice()
+          .reply(200, {
+            debuggee: { id: 'fake-debuggee' },
+            activePeriodSec: 600
+          });
+        assert.ok(!debugletapi.setUid('uid123'));
+        debugletapi.register(function(err) {
+          assert.ifError(err);
+          assert.ok(debugletapi.setUid('uid456'));
+          debugletapi.register(function(err) {
+            assert.ifError(err);
+            assert.notEqual(uniquifiers[0], uniquifiers[1]);
+            assert.ok(debugletapi.setUid('uid123'));
+            scope.done();
+            done();
+          });
+        });
+      });
   });
 
   describe('listBreakpoints', function() {
@@ -242,6 +268,39 @@ describe('Debuglet API', function() {
           done();
         });
     });
+
+    it('should report unsuccessful updates', function(done) {
+      var breakpoint = {id: 'breakpoint-0', location: {path: 'foo.js', line: 99}};
+      var scope = nock(url)
+        .put(api + '/debuggees/fake-debuggee/breakpoints/breakpoint-0')
+        .reply(500);
+      debugletapi.updateBreakpoint(breakpoint, function(err) {
+        assert.ok(err);
+        assert.ok(err.message.indexOf('500') !== -1);
+        scope.done();
+        done();
+      });
+    });
+  });
+
+  describe('reportStatus', function() {
+    it('should PUT a breakpoint that is not final', function(done) {
+      var breakpoint = {id: 'breakpoint-0', action: 'LOG',
+        location: {path: 'foo.js', line: 99}};
+      var scope = nock(url)
+        .put(api + '/debuggees/fake-debuggee/breakpoints/breakpoint-0',
+          function(body) {
+            return body.breakpoint.isFinalState === false &&
+              body.breakpoint.action === 'LOG';
+          })
+        .reply(200, {});
+      debugletapi.reportStatus(breakpoint, function(err) {
+        assert.ifError(err);
+        assert.ok(!('isFinalState' in breakpoint));
+        scope.done();
+        done();
+      });
+    });
   });
 
 
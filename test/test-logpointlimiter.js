@@ -0,0 +1,123 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var LogpointLimiter = require('../lib/logpointlimiter.js');
+
+describe('LogpointLimiter', function() {
+  var limiter;
+  var reports;
+  var statuses;
+
+  function create(options) {
+    reports = [];
+    statuses = [];
+    limiter = new LogpointLimiter(options, function(breakpoint, summary) {
+      reports.push([breakpoint.id, summary]);
+    }, function(breakpoint) {
+      statuses.push([breakpoint.id, !!breakpoint.status]);
+    });
+  }
+
+  // The number of allowed messages out of n for the logpoint.
+  function allowed(breakpoint, n) {
+    var count = 0;
+    for (var i = 0; i < n; i++) {
+      count += limiter.allow(breakpoint) ? 1 : 0;
+    }
+    return count;
+  }
+
+  afterEach(function() {
+    limiter.stop();
+  });
+
+  it('should allow bursts per logpoint', function() {
+    create({ perLogpoint: { messagesPerSec: 1, burst: 3 } });
+    assert.equal(allowed({ id: 'a' }, 5), 3);
+    assert.equal(allowed({ id: 'b' }, 5), 3);
+  });
+
+  it('should refill over time', function(done) {
+    create({ perLogpoint: { messagesPerSec: 100, burst: 1 } });
+    var bp = { id: 'a' };
+    assert.equal(allowed(bp, 2), 1);
+    setTimeout(function() {
+      assert.equal(allowed(bp, 1), 1);
+      done();
+    }, 30);
+  });
+
+  it('should limit all logpoints together', function() {
+    create({
+      perLogpoint: { messagesPerSec: 1, burst: 3 },
+      global: { messagesPerSec: 1, burst: 4 }
+    });
+    assert.equal(allowed({ id: 'a' }, 5), 3);
+    assert.equal(allowed({ id: 'b' }, 5), 1);
+  });
+
+  it('should not limit without a rate', function() {
+    create({});
+    assert.equal(allowed({ id: 'a' }, 1000), 1000);
+  });
+
+  it('should summarize suppressed messages', function(done) {
+    create({
+      perLogpoint: { messagesPerSec: 1, burst: 1 },
+      summaryIntervalSec: 0.02
+    });
+    allowed({ id: 'a' }, 1235);
+    setTimeout(function() {
+      assert.deepEqual(reports,
+        [['a', 'suppressed 1,234 messages in last 0.02s']]);
+      // Nothing more to report.
+      assert.equal(limiter.timer_, null);
+      done();
+    }, 50);
+  });
+
+  it('should flag logpoints that keep exceeding their quota', function() {
+    create({
+      perLogpoint: { messagesPerSec: 1, burst: 1 },
+      quotaExceededIntervals: 2
+    });
+    var bp = { id: 'a' };
+    allowed(bp, 10);
+    limiter.summarize_();
+    assert.ok(!bp.status);
+    assert.deepEqual(statuses, []);
+    allowed(bp, 10);
+    limiter.summarize_();
+    assert.ok(bp.status);
+    assert.ok(!bp.status.isError);
+    assert.ok(/quota/.test(bp.status.description.format));
+    assert.deepEqual(statuses, [['a', true]]);
+    // Back under quota.
+    limiter.summarize_();
+    assert.ok(!bp.status);
+    assert.equal(reports.length, 2);
+    assert.deepEqual(statuses, [['a', true], ['a', false]]);
+  });
+
+  it('should forget removed logpoints', function() {
+    create({ perLogpoint: { messagesPerSec: 1, burst: 1 } });
+    assert.equal(allowed({ id: 'a' }, 2), 1);
+    limiter.remove('a');
+    assert.equal(allowed({ id: 'a' }, 1), 1);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var logger = require('@google/cloud-diagnostics-common').logger;
+var logpointSink = require('../lib/logpointsink.js');
+
+var breakpoint = {
+  id: 'bp1',
+  action: 'LOG',
+  logLevel: 'WARNING',
+  location: { path: 'app.js', line: 10 }
+};
+
+describe('logpoint sinks', function() {
+  var log = logger.create(logger.ERROR, 'test');
+  var record = logpointSink.createRecord(breakpoint, 'x is 1');
+
+  it('should describe the hit', function() {
+    assert.ok(!isNaN(Date.parse(record.timestamp)));
+    assert.equal(record.severity, 'WARNING');
+    assert.equal(record.breakpointId, 'bp1');
+    assert.equal(record.location, 'app.js:10');
+    assert.equal(record.message, 'x is 1');
+    var info = logpointSink.createRecord(
+      { id: 'bp2', location: { path: 'app.js', line: 1 } }, '');
+    assert.equal(info.severity, 'INFO');
+  });
+
+  it('should write lines of text to stdout', function() {
+    var sink = logpointSink.create({}, log);
+    var write = process.stdout.write;
+    var written = [];
+    process.stdout.write = function(text) { written.push(text); };
+    try {
+      sink.write(record);
+    } finally {
+      process.stdout.write = write;
+    }
+    assert.deepEqual(written, [record.timestamp +
+      ' WARNING logpoint bp1 app.js:10: x is 1\n']);
+  });
+
+  it('should append JSON lines to a file', function(done) {
+    var file = path.join(os.tmpdir(), 'logpoints-' + process.pid + '.json');
+    fs.writeFileSync(file, '');
+    var sink = logpointSink.create({ sink: 'file', file: file }, log);
+    sink.write(record);
+    sink.write(record);
+    sink.close();
+    setTimeout(function() {
+      var lines = fs.readFileSync(file, 'utf8').split('\n');
+      fs.unlinkSync(file);
+      assert.equal(lines.length, 3);
+      assert.deepEqual(JSON.parse(lines[1]), record);
+      assert.equal(lines[2], '');
+      done();
+    }, 50);
+  });
+
+  it('should require a file for the file sink', function() {
+    assert.throws(function() {
+      logpointSink.create({ sink: 'file' }, log);
+    }, /logpoint\.file/);
+  });
+
+  it('should call functions', function() {
+    var records = [];
+    var sink = logpointSink.create({
+      sink: function(record) {
+        records.push(record);
+        throw new Error('ignored');
+      }
+    }, log);
+    sink.write(record);
+    assert.deepEqual(records, [record]);
+  });
+
+  it('should call winston-style loggers', function() {
+    var calls = [];
+    var appLogger = {
+      info: function() {},
+      warn: function(message, meta) { calls.push([message, meta]); },
+      error: function() {}
+    };
+    logpointSink.create({ sink: appLogger }, log).write(record);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][0], 'x is 1');
+    assert.equal(calls[0][1].breakpointId, 'bp1');
+    assert.equal(calls[0][1].location, 'app.js:10');
+  });
+
+  it('should call bunyan-style loggers', function() {
+    var calls = [];
+    var appLogger = {
+      fields: {},
+      info: function() {},
+      warn: function(fields, message) { calls.push([fields, message]); },
+      error: function() {}
+    };
+    logpointSink.create({ sink: appLogger }, log).write(record);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][0].breakpointId, 'bp1');
+    assert.equal(calls[0][1], 'x is 1');
+  });
+
+  it('should reject invalid sinks', function() {
+    assert.throws(function() {
+      logpointSink.create({ sink: { info: function() {} } }, log);
+    }, /warn/);
+    assert.throws(function() {
+      logpointSink.create({ sink: 'syslog' }, log);
+    }, /unknown logpoint sink/);
+  });
+});
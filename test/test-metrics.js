@@ -0,0 +1,131 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var metrics = require('../lib/metrics.js');
+
+describe('metrics', function() {
+  it('should count by labels', function() {
+    var registry = new metrics.MetricsRegistry();
+    var counter = registry.counter('fetches_total', 'Fetches');
+    counter.inc({ status: 200 });
+    counter.inc({ status: 200 }, 2);
+    counter.inc({ status: 'error' });
+    assert.strictEqual(registry.counter('fetches_total'), counter);
+    assert.deepEqual(registry.snapshot(), {
+      fetches_total: {
+        type: 'counter',
+        help: 'Fetches',
+        series: [
+          { labels: { status: 200 }, value: 3 },
+          { labels: { status: 'error' }, value: 1 }
+        ]
+      }
+    });
+  });
+
+  it('should read gauges when collected', function() {
+    var registry = new metrics.MetricsRegistry();
+    var value = 1;
+    registry.gauge('active', 'Active', function() { return value; });
+    value = 2;
+    assert.deepEqual(registry.snapshot().active.series,
+      [{ labels: {}, value: 2 }]);
+  });
+
+  it('should count observations in cumulative buckets', function() {
+    var registry = new metrics.MetricsRegistry();
+    var histogram = registry.histogram('size', 'Size', [10, 100]);
+    [5, 10, 50, 1000].forEach(function(value) {
+      histogram.observe(value);
+    });
+    assert.deepEqual(registry.snapshot().size.series, [{
+      labels: {},
+      count: 4,
+      sum: 1065,
+      buckets: [
+        { le: 10, count: 2 },
+        { le: 100, count: 3 },
+        { le: Infinity, count: 4 }
+      ]
+    }]);
+  });
+
+  it('should not reuse a name for another type', function() {
+    var registry = new metrics.MetricsRegistry();
+    registry.counter('hits', 'Hits');
+    assert.throws(function() {
+      registry.histogram('hits', 'Hits');
+    }, /hits is a counter/);
+  });
+
+  it('should format the Prometheus text format', function() {
+    var registry = new metrics.MetricsRegistry();
+    registry.counter('hits_total', 'Breakpoint\nhits').inc({ id: 'a"b' });
+    registry.histogram('duration_seconds', 'Duration', [0.1]).observe(0.05);
+    assert.equal(registry.toPrometheus(), [
+      '# HELP duration_seconds Duration',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{le="0.1"} 1',
+      'duration_seconds_bucket{le="+Inf"} 1',
+      'duration_seconds_sum 0.05',
+      'duration_seconds_count 1',
+      '# HELP hits_total Breakpoint hits',
+      '# TYPE hits_total counter',
+      'hits_total{id="a\\"b"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('should serve the metrics', function(done) {
+    var registry = new metrics.MetricsRegistry();
+    registry.counter('hits_total', 'Hits').inc();
+    var server = metrics.listen(registry, 0, '127.0.0.1', function(err) {
+      assert.ifError(err);
+      var port = server.address().port;
+      http.get({ host: '127.0.0.1', port: port, path: '/other' },
+          function(res) {
+        assert.equal(res.statusCode, 404);
+        res.resume();
+        http.get({ host: '127.0.0.1', port: port, path: '/metrics' },
+            function(res) {
+          assert.equal(res.statusCode, 200);
+          assert.ok(/text\/plain/.test(res.headers['content-type']));
+          var text = '';
+          res.on('data', function(chunk) { text += chunk; });
+          res.on('end', function() {
+            assert.equal(text, registry.toPrometheus());
+            server.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it('should report listen errors', function(done) {
+    var first = metrics.listen(new metrics.MetricsRegistry(), 0, '127.0.0.1',
+      function(err) {
+        assert.ifError(err);
+        metrics.listen(new metrics.MetricsRegistry(), first.address().port,
+          '127.0.0.1', function(err) {
+            assert.equal(err.code, 'EADDRINUSE');
+            first.close(done);
+          });
+      });
+  });
+});
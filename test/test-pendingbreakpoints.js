@@ -0,0 +1,83 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var messages = require('../lib/debugapiutils.js').messages;
+var PendingBreakpoints = require('../lib/pendingbreakpoints.js');
+
+function breakpoint(id, path) {
+  return { id: id, location: { path: path, line: 1 } };
+}
+
+describe('pending breakpoints', function() {
+  var notFound = new Error(messages.SOURCE_FILE_NOT_FOUND);
+
+  it('should only defer breakpoints in JavaScript files', function() {
+    var pending = new PendingBreakpoints({}, 60);
+    assert.ok(pending.canDefer(breakpoint('a', 'app.js'), null));
+    assert.ok(pending.canDefer(breakpoint('a', 'app.js'), notFound));
+    assert.ok(!pending.canDefer(breakpoint('a', 'app.coffee'), notFound));
+    assert.ok(!pending.canDefer(breakpoint('a', 'app.js'),
+      new Error(messages.SOURCE_FILE_AMBIGUOUS)));
+    assert.ok(!new PendingBreakpoints({}, 0).canDefer(
+      breakpoint('a', 'app.js'), notFound));
+  });
+
+  it('should find the breakpoints of loaded scripts', function() {
+    var fileStats = {};
+    var pending = new PendingBreakpoints(fileStats, 60);
+    var bp = breakpoint('a', 'test-pendingbreakpoints.js');
+    pending.add(bp, bp.location.path);
+    assert.ok(!bp.status.isError);
+    assert.deepEqual(pending.loaded('/app/other.js'), []);
+    assert.deepEqual(pending.loaded(__filename), [bp]);
+    assert.ok(fileStats[__filename].lines > 1);
+
+    var callback = function() {};
+    pending.wait('a', callback);
+    assert.strictEqual(pending.resolve('a'), callback);
+    assert.ok(!bp.status);
+    assert.ok(!pending.has('a'));
+    pending.stop();
+  });
+
+  it('should reject breakpoints after the timeout', function(done) {
+    var pending = new PendingBreakpoints({}, 0.05);
+    var bp = breakpoint('a', 'app.js');
+    pending.add(bp, 'app.js');
+    pending.wait('a', function(err) {
+      assert.equal(err.message,
+        messages.PENDING_BREAKPOINT_TIMEOUT + '0.05 seconds');
+      assert.ok(bp.status.isError);
+      assert.ok(!pending.has('a'));
+      done();
+    });
+  });
+
+  it('should report errors to callbacks registered later', function(done) {
+    var pending = new PendingBreakpoints({}, 60);
+    var bp = breakpoint('a', 'app.js');
+    pending.add(bp, 'app.js');
+    pending.fail('a', new Error('failed'));
+    assert.equal(bp.status.description.format, 'failed');
+    pending.wait('a', function(err) {
+      assert.equal(err.message, 'failed');
+      assert.ok(!pending.has('a'));
+      done();
+    });
+  });
+});
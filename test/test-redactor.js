@@ -0,0 +1,185 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var Redactor = require('../lib/redactor.js');
+var StatusMessage = require('../lib/apiclasses.js').StatusMessage;
+
+function isRedacted(variable) {
+  return !!variable.status && variable.value === undefined &&
+    variable.status.description.format === Redactor.REDACTED_MESSAGE;
+}
+
+function snapshot() {
+  return {
+    id: 'a',
+    stackFrames: [{
+      function: 'handle',
+      arguments: [{ name: 'req', varTableIndex: 1 }],
+      locals: [
+        { name: 'password', value: 'hunter2' },
+        { name: 'card', value: '4111 1111 1111 1111' },
+        { name: 'order', value: '4111 1111 1111 1112' },
+        { name: '[closure]', members: [{ name: 'apiToken', value: 'x' }] }
+      ]
+    }, {
+      function: 'next',
+      arguments: [{ name: 'request', varTableIndex: 1 }],
+      locals: []
+    }],
+    variableTable: [
+      { status: { description: { format: 'Buffer full' } } },
+      { members: [
+        { name: 'url', value: '/login' },
+        { name: 'headers', varTableIndex: 2 }
+      ] },
+      { members: [
+        { name: 'cookie', value: 'session=1' },
+        { name: 'from', value: 'jane@example.com' },
+        { name: 'Authorization', value: 'Basic abc' }
+      ] }
+    ],
+    evaluatedExpressions: [
+      { name: 'req.headers', varTableIndex: 2 },
+      { name: 'jwt', value: 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.sig' }
+    ]
+  };
+}
+
+describe('Redactor', function() {
+  it('should redact by name, value and path', function() {
+    var redactor = new Redactor({ enabled: true, includeDefaults: true });
+    var bp = snapshot();
+    assert.equal(redactor.redactSnapshot(bp), 7);
+    assert.equal(bp.labels.redactions, '7');
+    var locals = bp.stackFrames[0].locals;
+    assert.ok(isRedacted(locals[0]));
+    assert.ok(isRedacted(locals[1]));
+    assert.equal(locals[2].value, '4111 1111 1111 1112');
+    assert.ok(isRedacted(locals[3].members[0]));
+    var headers = bp.variableTable[2].members;
+    assert.ok(isRedacted(headers[0]));
+    assert.ok(isRedacted(headers[1]));
+    assert.ok(isRedacted(headers[2]));
+    assert.equal(bp.variableTable[1].members[0].value, '/login');
+    assert.ok(isRedacted(bp.evaluatedExpressions[1]));
+  });
+
+  it('should redact the objects of sensitive variables', function() {
+    var redactor = new Redactor({ enabled: true, includeDefaults: true });
+    var bp = {
+      id: 'a',
+      stackFrames: [{
+        function: 'handle',
+        arguments: [],
+        locals: [
+          { name: 'secret', varTableIndex: 1 },
+          { name: 'token', varTableIndex: 2 },
+          { name: 'copy', varTableIndex: 2 },
+          { name: '[closure]', members: [
+            { name: 'dbPassword', varTableIndex: 3 }
+          ] }
+        ]
+      }],
+      variableTable: [
+        { status: { description: { format: 'Buffer full' } } },
+        { members: [{ name: 'key', value: 'abc123' }] },
+        { members: [{ name: 'value', value: 'xyz' }, { name: 'self',
+          varTableIndex: 2 }] },
+        { members: [{ name: 'text', value: 'hunter2' }] }
+      ]
+    };
+    assert.equal(redactor.redactSnapshot(bp), 5);
+    var locals = bp.stackFrames[0].locals;
+    assert.ok(isRedacted(locals[0]));
+    assert.ok(locals[0].varTableIndex === undefined);
+    // Only the local referenced the object.
+    assert.ok(isRedacted(bp.variableTable[1]));
+    assert.ok(!bp.variableTable[1].members);
+    // Another local references the object, which keeps redacted members.
+    assert.ok(isRedacted(locals[1]));
+    assert.equal(locals[2].varTableIndex, 2);
+    assert.ok(bp.variableTable[2].members.every(isRedacted));
+    // A sensitive variable of an enclosing scope.
+    assert.ok(isRedacted(locals[3].members[0]));
+    assert.ok(isRedacted(bp.variableTable[3]));
+    assert.ok(!bp.variableTable[3].members);
+    assert.equal(bp.variableTable[0].status.description.format,
+      'Buffer full');
+  });
+
+  it('should count the values redacted in a shared capture', function() {
+    var redactor = new Redactor({ enabled: true, includeDefaults: true });
+    var bp1 = snapshot();
+    var bp2 = {
+      id: 'b',
+      stackFrames: bp1.stackFrames,
+      variableTable: bp1.variableTable,
+      evaluatedExpressions: []
+    };
+    redactor.redactSnapshot(bp1);
+    assert.equal(redactor.redactSnapshot(bp2), 6);
+    assert.equal(bp2.labels.redactions, '6');
+  });
+
+  it('should apply the configured rules', function() {
+    var redactor = new Redactor({
+      enabled: true,
+      names: ['^url$'],
+      values: [/session=/],
+      paths: ['*.headers.from']
+    });
+    var bp = snapshot();
+    assert.equal(redactor.redactSnapshot(bp), 3);
+    assert.ok(isRedacted(bp.variableTable[1].members[0]));
+    var headers = bp.variableTable[2].members;
+    assert.ok(isRedacted(headers[0]));
+    assert.ok(isRedacted(headers[1]));
+    assert.equal(headers[2].value, 'Basic abc');
+    assert.equal(bp.stackFrames[0].locals[0].value, 'hunter2');
+  });
+
+  it('should not redact when disabled', function() {
+    var redactor = new Redactor({ enabled: false, includeDefaults: true });
+    var bp = snapshot();
+    assert.equal(redactor.redactSnapshot(bp), 0);
+    assert.deepEqual(bp, snapshot());
+  });
+
+  it('should redact the values of logpoint messages', function() {
+    var redactor = new Redactor({ enabled: true, includeDefaults: true });
+    var error = {
+      name: 'x.y',
+      status: new StatusMessage(StatusMessage.VARIABLE_VALUE, 'x.y@a.com', true)
+    };
+    var user = { name: 'jane', email: 'jane@example.com', secret: 1 };
+    var bp = {
+      id: 'a',
+      action: 'LOG',
+      expressions: ['user', 'req.headers', 'token', 'x.y'],
+      evaluatedExpressions: [user, { cookie: 'a', host: 'b' }, 'abc', error]
+    };
+    assert.equal(redactor.redactLogpoint(bp), 4);
+    assert.deepEqual(bp.evaluatedExpressions, [
+      { name: 'jane', email: '[redacted]', secret: '[redacted]' },
+      { cookie: '[redacted]', host: 'b' },
+      '[redacted]',
+      error
+    ]);
+    assert.equal(user.email, 'jane@example.com');
+  });
+});
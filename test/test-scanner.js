@@ -16,6 +16,7 @@
  'use strict';
 
 var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var assert = require('assert');
 
@@ -25,6 +26,9 @@ var fixture = function(file) {
 };
 
 var scanner = require('../lib/scanner.js');
+var utils = require('../lib/debugapiutils.js');
+
+var logger = { info: function() {} };
 
 describe('scanner', function() {
 
@@ -89,6 +93,31 @@ describe('scanner', function() {
         });
       });
 
+    it('should index the sources of source maps', function(done) {
+      scanner.scan(true, path.dirname(fixtureDir), function(err, fileStats) {
+        assert.ifError(err);
+        var dir = fixture('sourcemaps');
+        assert.deepEqual(
+          fileStats[path.join(dir, 'src', 'lib', 'math.ts')].sourceMaps,
+          [{
+            script: path.join(dir, 'dist', 'lib', 'math.js'),
+            map: path.join(dir, 'dist', 'lib', 'math.js.map')
+          }]);
+        // webpack urls are relative to the scanned directory.
+        assert.deepEqual(
+          fileStats[path.join(dir, 'bundled', 'a', 'util.js')].sourceMaps,
+          [{
+            script: path.join(dir, 'bundle.js'),
+            map: path.join(dir, 'bundle.js.map')
+          }]);
+        assert.ok(fileStats[path.join(dir, 'bundled', 'b', 'util.js')]);
+        // Scripts are not indexed by maps that don't name them.
+        assert.strictEqual(fileStats[path.join(dir, 'inline.js')].sourceMaps,
+          undefined);
+        done();
+      });
+    });
+
     it('should return a different hash if the files contents change',
       function(done) {
         fs.writeFileSync(fixture('tmp.js'), '1 + 1');
@@ -135,4 +164,112 @@ describe('scanner', function() {
         });
       });
   });
+
+  describe('update', function() {
+    var dir = path.join(os.tmpdir(), 'scanner-update-' + process.pid);
+    var file = function(name) {
+      return path.join(dir, name);
+    };
+
+    beforeEach(function() {
+      fs.mkdirSync(dir);
+      fs.writeFileSync(file('a.js'), 'var a = 1;\n');
+      fs.writeFileSync(file('b.js'), 'var b = 1;\n');
+      ['names.js', 'names.js.map', 'names.es6'].forEach(function(name) {
+        fs.writeFileSync(file(name),
+          fs.readFileSync(path.join(fixtureDir, 'sourcemaps', name)));
+      });
+    });
+
+    afterEach(function() {
+      fs.readdirSync(dir).forEach(function(name) {
+        fs.unlinkSync(file(name));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('should update the statistics of changed files', function(done) {
+      scanner.scan(true, dir, function(err, fileStats, hash1) {
+        assert.ifError(err);
+        fs.writeFileSync(file('a.js'), 'var a = 1;\nvar b = 2;\nvar c = 3;\n');
+        fs.unlinkSync(file('b.js'));
+        fs.writeFileSync(file('c.js'), '');
+        var changed = [file('a.js'), file('b.js'), file('c.js')];
+        scanner.update(fileStats, changed, true, dir, function(err, hash2) {
+          assert.ifError(err);
+          assert.notStrictEqual(hash1, hash2);
+          assert.strictEqual(fileStats[file('a.js')].lines, 4);
+          assert.ok(!fileStats[file('b.js')]);
+          assert.ok(fileStats[file('c.js')]);
+          scanner.scan(true, dir, function(err, scanned, hash3) {
+            assert.ifError(err);
+            assert.deepEqual(fileStats, scanned);
+            assert.strictEqual(hash2, hash3);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should set breakpoints while an update is in progress',
+      function(done) {
+        scanner.scan(true, dir, function(err, fileStats) {
+          assert.ifError(err);
+          var before = JSON.stringify(fileStats);
+          var updated = false;
+          var attempts = 0;
+          fs.writeFileSync(file('a.js'), 'var a = 2;\n');
+          scanner.update(fileStats, [file('a.js'), file('names.js.map')],
+            true, dir, function(err) {
+              assert.ifError(err);
+              updated = true;
+            });
+          // Until the update is done, breakpoints are resolved against the
+          // previous statistics, with the source of the source map.
+          (function setBreakpoint() {
+            if (updated) {
+              assert.ok(attempts > 0);
+              assert.ok(fileStats[file('names.es6')].sourceMaps);
+              return done();
+            }
+            attempts++;
+            assert.strictEqual(JSON.stringify(fileStats), before);
+            var bp = { id: attempts,
+              location: { path: file('names.es6'), line: 2 } };
+            utils.prepareBreakpoint(bp, {}, fileStats, logger,
+              function(err, resolved) {
+                assert.ifError(err);
+                assert.equal(resolved.scriptPath, file('names.js'));
+                setImmediate(setBreakpoint);
+              });
+          })();
+        });
+      });
+
+    it('should index changed source maps again', function(done) {
+      scanner.scan(true, dir, function(err, fileStats) {
+        assert.ifError(err);
+        assert.ok(fileStats[file('names.es6')].sourceMaps);
+        fs.unlinkSync(file('names.js.map'));
+        scanner.update(fileStats, [file('names.js.map')], false, dir,
+          function(err, hash) {
+            assert.ifError(err);
+            assert.strictEqual(hash, undefined);
+            assert.ok(!fileStats[file('names.es6')]);
+            assert.ok(!fileStats[file('names.js')].sourceMap);
+            fs.writeFileSync(file('names.js.map'), fs.readFileSync(
+              path.join(fixtureDir, 'sourcemaps', 'names.js.map')));
+            scanner.update(fileStats, [file('names.js.map')], true, dir,
+              function(err) {
+                assert.ifError(err);
+                scanner.scan(true, dir, function(err, scanned) {
+                  assert.ifError(err);
+                  assert.deepEqual(fileStats, scanned);
+                  done();
+                });
+              });
+          });
+      });
+    });
+  });
 });
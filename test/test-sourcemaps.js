@@ -0,0 +1,170 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var sourcemaps = require('../lib/sourcemaps.js');
+
+var fixtures = path.join(__dirname, 'fixtures');
+
+describe('source maps', function() {
+  describe('findSourceMapUrl', function() {
+    it('should find the last url comment', function() {
+      assert.equal(sourcemaps.findSourceMapUrl(
+        'a();\n//# sourceMappingURL=a.js.map\n' +
+        'b();\n//# sourceMappingURL=b.js.map\n'), 'b.js.map');
+    });
+
+    it('should accept the deprecated and block forms', function() {
+      assert.equal(sourcemaps.findSourceMapUrl(
+        'a();\n//@ sourceMappingURL=a.js.map'), 'a.js.map');
+      assert.equal(sourcemaps.findSourceMapUrl(
+        'a {}\n/*# sourceMappingURL=a.css.map */\n'), 'a.css.map');
+    });
+
+    it('should ignore scripts without url', function() {
+      assert.strictEqual(sourcemaps.findSourceMapUrl(
+        'var x = "sourceMappingURL=a.js.map";'), null);
+    });
+  });
+
+  describe('load', function() {
+    it('should decode inline maps', function(done) {
+      var script = path.join(fixtures, 'sourcemaps', 'inline.js');
+      sourcemaps.load(script, function(err, data, from) {
+        assert.ifError(err);
+        assert.deepEqual(JSON.parse(data).sources, ['inline.es6']);
+        assert.equal(from, script);
+        done();
+      });
+    });
+
+    it('should resolve urls against the script directory', function(done) {
+      var script = path.join(fixtures, 'sourcemaps', 'outdir.js');
+      sourcemaps.load(script, function(err, data, from) {
+        assert.ifError(err);
+        assert.equal(from,
+          path.join(fixtures, 'sourcemaps', 'maps', 'outdir.js.map'));
+        assert.deepEqual(JSON.parse(data).sources, ['../outdir.es6']);
+        done();
+      });
+    });
+
+    it('should fall back to the map next to the script', function(done) {
+      var script = path.join(fixtures, 'es6', 'transpile.js');
+      sourcemaps.load(script, function(err, data, from) {
+        assert.ifError(err);
+        assert.equal(from, script + '.map');
+        assert.equal(data, fs.readFileSync(script + '.map', 'utf8'));
+        done();
+      });
+    });
+
+    it('should report scripts without source map', function(done) {
+      sourcemaps.load(path.join(fixtures, 'sourcemaps', 'nomap.js'),
+        function(err) {
+          assert.equal(err.code, 'ENOURL');
+          done();
+        });
+    });
+  });
+
+  describe('resolveSources', function() {
+    var mapPath = path.join('/app', 'dist', 'app.js.map');
+
+    it('should resolve against the sourceRoot and the map', function() {
+      assert.deepEqual(sourcemaps.resolveSources({
+        sources: ['../src/a.ts', 'b.ts']
+      }, mapPath, '/app'), [
+        path.resolve('/app/src/a.ts'),
+        path.resolve('/app/dist/b.ts')
+      ]);
+      assert.deepEqual(sourcemaps.resolveSources({
+        sourceRoot: '../lib',
+        sources: ['a.ts']
+      }, mapPath, '/app'), [path.resolve('/app/lib/a.ts')]);
+    });
+
+    it('should resolve urls', function() {
+      assert.deepEqual(sourcemaps.resolveSources({
+        sources: ['file:///src/a.ts', 'webpack:///./src/b.js',
+          'webpack://app/src/c.js', null]
+      }, mapPath, '/app'), [
+        path.normalize('/src/a.ts'),
+        path.resolve('/app/src/b.js'),
+        path.resolve('/app/src/c.js')
+      ]);
+    });
+  });
+
+  describe('generatedScript', function() {
+    var scripts = {};
+    scripts[path.join('/app', 'dist', 'app.js')] = { lines: 10 };
+
+    it('should use the file of the map or its name', function() {
+      var mapPath = path.join('/app', 'dist', 'app.js.map');
+      assert.equal(sourcemaps.generatedScript({ file: 'app.js' }, mapPath,
+        scripts), path.join('/app', 'dist', 'app.js'));
+      assert.equal(sourcemaps.generatedScript({}, mapPath, scripts),
+        path.join('/app', 'dist', 'app.js'));
+      assert.equal(sourcemaps.generatedScript({ file: 'app.js' },
+        path.join('/app', 'maps', 'app.js.map'), scripts), null);
+    });
+  });
+
+  describe('SourceMapper', function() {
+    var script = path.join(fixtures, 'sourcemaps', 'names.js');
+    var fileStats = {};
+    fileStats[script] = { lines: 8, sourceMap: script + '.map' };
+
+    it('should map frames back to their source', function() {
+      var mapper = new sourcemaps.SourceMapper(fileStats, fixtures);
+      assert.deepEqual(mapper.mapFrame(script, 4, 2, { line: 2, column: 10 }),
+        {
+          location: { path: path.join('sourcemaps', 'names.es6'), line: 3 },
+          name: 'increment'
+        });
+      // Before the first mapping of the line.
+      assert.equal(mapper.mapFrame(script, 3, 0).location.line, 2);
+      assert.strictEqual(mapper.mapFrame(script, 3, 0).name, null);
+    });
+
+    it('should leave scripts without source map', function() {
+      var mapper = new sourcemaps.SourceMapper(fileStats, fixtures);
+      assert.strictEqual(mapper.mapFrame(path.join(fixtures, 'foo.js'), 1, 0),
+        null);
+    });
+  });
+
+  describe('matchSource', function() {
+    var sources = ['webpack:///src/a/index.ts', 'webpack:///src/b/index.ts',
+      '../lib/util.ts'];
+
+    it('should match the longest path suffix', function() {
+      assert.equal(sourcemaps.matchSource(sources, 'lib/util.ts'),
+        '../lib/util.ts');
+      assert.equal(sourcemaps.matchSource(sources, 'src/b/index.ts'),
+        'webpack:///src/b/index.ts');
+    });
+
+    it('should not match ambiguous or unknown paths', function() {
+      assert.strictEqual(sourcemaps.matchSource(sources, 'index.ts'), null);
+      assert.strictEqual(sourcemaps.matchSource(sources, 'til.ts'), null);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var DebugletApi = require('../lib/debugletapi.js');
+var HttpTransport = require('../lib/httptransport.js');
+var FileSystemTransport = require('../lib/filesystemtransport.js');
+var InProcessTransport = require('../lib/inprocesstransport.js');
+
+var debuggee = { project: 'project123', uniquifier: 'abc' };
+
+describe('transports', function() {
+
+  describe('createTransport', function() {
+    it('should default to http', function() {
+      assert.ok(DebugletApi.createTransport({}) instanceof HttpTransport);
+    });
+
+    it('should use the controller url', function() {
+      var transport = DebugletApi.createTransport({
+        transport: 'http',
+        controllerUrl: 'http://localhost:8080/v2/controller/'
+      });
+      assert.equal(transport.api_, 'http://localhost:8080/v2/controller');
+    });
+
+    it('should create the filesystem transport', function() {
+      var transport = DebugletApi.createTransport({
+        transport: 'filesystem',
+        transportDirectory: '/tmp'
+      });
+      assert.ok(transport instanceof FileSystemTransport);
+      assert.throws(function() {
+        DebugletApi.createTransport({ transport: 'filesystem' });
+      });
+    });
+
+    it('should create the in-process transport', function() {
+      var transport = DebugletApi.createTransport({ transport: 'inprocess' });
+      assert.ok(transport instanceof InProcessTransport);
+    });
+
+    it('should accept transport objects', function() {
+      var transport = new InProcessTransport();
+      assert.strictEqual(
+        DebugletApi.createTransport({ transport: transport }), transport);
+      assert.throws(function() {
+        DebugletApi.createTransport({ transport: { register: function() {} } });
+      }, /listBreakpoints/);
+    });
+
+    it('should reject unknown transports', function() {
+      assert.throws(function() {
+        DebugletApi.createTransport({ transport: 'carrier-pigeon' });
+      }, /unknown transport/);
+    });
+  });
+
+  describe('in-process', function() {
+    var transport;
+
+    beforeEach(function() {
+      transport = new InProcessTransport({ waitTimeoutSec: 0.1 });
+    });
+
+    it('should 404 before registration', function(done) {
+      transport.listBreakpoints('abc', null, function(err, response) {
+        assert.ifError(err);
+        assert.equal(response.statusCode, 404);
+        done();
+      });
+    });
+
+    it('should list added breakpoints', function(done) {
+      transport.register(debuggee, function(err, response, body) {
+        assert.ifError(err);
+        assert.equal(body.debuggee.id, 'abc');
+        var bp = transport.addBreakpoint({ location: { line: 1 } });
+        assert.equal(bp.id, '1');
+        transport.listBreakpoints('abc', null, function(err, response, body) {
+          assert.equal(response.statusCode, 200);
+          assert.deepEqual(body.breakpoints, [bp]);
+          assert.ok(transport.removeBreakpoint('1'));
+          assert.ok(!transport.removeBreakpoint('1'));
+          done();
+        });
+      });
+    });
+
+    it('should hold list requests until breakpoints change', function(done) {
+      transport.register(debuggee, function() {
+        transport.listBreakpoints('abc', null, function(err, response, body) {
+          var changed = false;
+          transport.listBreakpoints('abc', body.nextWaitToken,
+            function(err, response, body) {
+              assert.ok(changed);
+              assert.equal(body.breakpoints.length, 1);
+              done();
+            });
+          setTimeout(function() {
+            changed = true;
+            transport.addBreakpoint({ id: 'bp', location: { line: 1 } });
+          }, 20);
+        });
+      });
+    });
+
+    it('should expire held list requests', function(done) {
+      transport.register(debuggee, function() {
+        transport.listBreakpoints('abc', null, function(err, response, body) {
+          transport.listBreakpoints('abc', body.nextWaitToken,
+            function(err, response, body) {
+              assert.equal(response.statusCode, 200);
+              assert.ok(body.waitExpired);
+              done();
+            });
+        });
+      });
+    });
+
+    it('should emit updated breakpoints', function(done) {
+      transport.register(debuggee, function() {
+        transport.addBreakpoint({ id: 'bp', location: { line: 1 } });
+        transport.on('breakpointUpdated', function(bp) {
+          assert.equal(bp.id, 'bp');
+          assert.ok(!transport.removeBreakpoint('bp'));
+          done();
+        });
+        transport.updateBreakpoint('abc', { id: 'bp', isFinalState: true },
+          function(err, response) {
+            assert.ifError(err);
+            assert.equal(response.statusCode, 200);
+          });
+      });
+    });
+
+    it('should keep breakpoints active on status updates', function(done) {
+      transport.register(debuggee, function() {
+        var bp = { id: 'bp2', location: { line: 1 } };
+        transport.addBreakpoint(bp);
+        var status = { description: { format: 'over quota' } };
+        transport.once('breakpointStatus', function(update) {
+          assert.equal(update.id, 'bp2');
+          assert.deepEqual(bp.status, status);
+          assert.ok(transport.removeBreakpoint('bp2'));
+          done();
+        });
+        transport.updateBreakpoint('abc',
+          { id: 'bp2', isFinalState: false, status: status },
+          function(err, response) {
+            assert.ifError(err);
+            assert.equal(response.statusCode, 200);
+          });
+      });
+    });
+  });
+
+  describe('filesystem', function() {
+    var dir = path.join(os.tmpdir(), 'debug-transport-' + process.pid);
+    var transport = new FileSystemTransport(dir);
+
+    function removeDirectory(directory) {
+      fs.readdirSync(directory).forEach(function(file) {
+        var child = path.join(directory, file);
+        if (fs.statSync(child).isDirectory()) {
+          removeDirectory(child);
+        } else {
+          fs.unlinkSync(child);
+        }
+      });
+      fs.rmdirSync(directory);
+    }
+
+    after(function() {
+      removeDirectory(dir);
+    });
+
+    it('should 404 before registration', function(done) {
+      transport.listBreakpoints('abc', null, function(err, response) {
+        assert.ifError(err);
+        assert.equal(response.statusCode, 404);
+        done();
+      });
+    });
+
+    it('should write the debuggee', function(done) {
+      transport.register(debuggee, function(err, response, body) {
+        assert.ifError(err);
+        assert.equal(body.debuggee.id, 'abc');
+        var saved = JSON.parse(
+          fs.readFileSync(path.join(dir, 'debuggees', 'abc.json'), 'utf8'));
+        assert.equal(saved.uniquifier, 'abc');
+        done();
+      });
+    });
+
+    it('should list breakpoint files', function(done) {
+      var breakpoints = path.join(dir, 'breakpoints');
+      fs.writeFileSync(path.join(breakpoints, 'bp1.json'),
+        JSON.stringify({ location: { path: 'foo.js', line: 2 } }));
+      fs.writeFileSync(path.join(breakpoints, 'bp2.json'), '{ "locat');
+      fs.writeFileSync(path.join(breakpoints, 'README'), 'ignored');
+      transport.listBreakpoints('abc', null, function(err, response, body) {
+        assert.ifError(err);
+        assert.equal(response.statusCode, 200);
+        assert.equal(body.breakpoints.length, 1);
+        assert.equal(body.breakpoints[0].id, 'bp1');
+        assert.equal(body.breakpoints[0].location.line, 2);
+        done();
+      });
+    });
+
+    it('should write the status of active breakpoints', function(done) {
+      transport.updateBreakpoint('abc', { id: 'bp1', isFinalState: false,
+          status: { description: { format: 'over quota' } } },
+        function(err, response) {
+          assert.ifError(err);
+          assert.equal(response.statusCode, 200);
+          assert.ok(fs.existsSync(path.join(dir, 'breakpoints', 'bp1.json')));
+          var status = JSON.parse(fs.readFileSync(
+            path.join(dir, 'status', 'bp1.json'), 'utf8'));
+          assert.equal(status.status.description.format, 'over quota');
+          done();
+        });
+    });
+
+    it('should move updated breakpoints to snapshots', function(done) {
+      transport.updateBreakpoint('abc', { id: 'bp1', isFinalState: true },
+        function(err, response) {
+          assert.ifError(err);
+          assert.equal(response.statusCode, 200);
+          assert.ok(!fs.existsSync(path.join(dir, 'breakpoints', 'bp1.json')));
+          assert.ok(!fs.existsSync(path.join(dir, 'status', 'bp1.json')));
+          var snapshot = JSON.parse(fs.readFileSync(
+            path.join(dir, 'snapshots', 'bp1.json'), 'utf8'));
+          assert.ok(snapshot.isFinalState);
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var logger = require('@google/cloud-diagnostics-common').logger;
+var UpdateQueue = require('../lib/updatequeue.js');
+
+var defaults = {
+  maxSize: 100,
+  maxAttempts: 10,
+  initialRetryDelaySec: 0.01,
+  maxRetryDelaySec: 0.04
+};
+
+describe('UpdateQueue', function() {
+  var log = logger.create(logger.ERROR, 'test');
+
+  function create(options, send) {
+    return new UpdateQueue(_.defaults(options, defaults), log, send);
+  }
+
+  it('should send updates in order once resumed', function(done) {
+    var sent = [];
+    var queue = create({}, function(bp, callback) {
+      sent.push(bp.id);
+      setImmediate(callback);
+      if (sent.length === 2) {
+        assert.deepEqual(sent, ['a', 'b']);
+        done();
+      }
+    });
+    queue.add({ id: 'a' });
+    queue.add({ id: 'b' });
+    setImmediate(function() {
+      assert.equal(sent.length, 0);
+      queue.resume();
+    });
+  });
+
+  it('should retry with backoff', function(done) {
+    var times = [];
+    var queue = create({}, function(bp, callback) {
+      times.push(Date.now());
+      if (times.length < 4) {
+        return setImmediate(function() { callback(new Error('nope')); });
+      }
+      callback(null);
+      setImmediate(function() {
+        assert.ok(times[3] - times[2] >= times[1] - times[0]);
+        assert.deepEqual(queue.getStats(),
+          { queued: 0, delivered: 1, retries: 3, dropped: 0 });
+        done();
+      });
+    });
+    queue.resume();
+    queue.add({ id: 'a' });
+  });
+
+  it('should cap the retry delay', function() {
+    var queue = create({ initialRetryDelaySec: 1, maxRetryDelaySec: 4 },
+      function() {});
+    assert.ok(queue.retryDelay_(1) <= 1000);
+    assert.ok(queue.retryDelay_(1) >= 500);
+    assert.ok(queue.retryDelay_(10) <= 4000);
+    assert.ok(queue.retryDelay_(10) >= 2000);
+  });
+
+  it('should drop updates after too many attempts', function(done) {
+    var attempts = 0;
+    var queue = create({ maxAttempts: 3 }, function(bp, callback) {
+      attempts++;
+      setImmediate(function() {
+        callback(new Error('nope'));
+        if (attempts === 3) {
+          assert.deepEqual(queue.getStats(),
+            { queued: 0, delivered: 0, retries: 2, dropped: 1 });
+          done();
+        }
+      });
+    });
+    queue.resume();
+    queue.add({ id: 'a' });
+  });
+
+  it('should retry indefinitely without maxAttempts', function(done) {
+    var attempts = 0;
+    var queue = create({ maxAttempts: 0 }, function(bp, callback) {
+      if (++attempts < 3) {
+        return setImmediate(function() { callback(new Error('nope')); });
+      }
+      callback(null);
+      assert.equal(queue.getStats().dropped, 0);
+      done();
+    });
+    queue.resume();
+    queue.add({ id: 'a' });
+  });
+
+  it('should drop the oldest update when full', function(done) {
+    var queue = create({ maxSize: 2 }, function(bp) {
+      assert.equal(bp.id, 'b');
+      // The update in flight may still succeed, so it is kept.
+      queue.add({ id: 'd' });
+      assert.deepEqual(_.map(queue.items_, 'breakpoint.id'), ['b', 'd']);
+      done();
+    });
+    queue.add({ id: 'a' });
+    queue.add({ id: 'b' });
+    queue.add({ id: 'c' });
+    assert.deepEqual(queue.getStats(),
+      { queued: 2, delivered: 0, retries: 0, dropped: 1 });
+    queue.resume();
+  });
+
+  it('should report queued updates on stop', function(done) {
+    var queue = create({}, function(bp, callback) {
+      setImmediate(function() { callback(new Error('nope')); });
+    });
+    queue.resume();
+    queue.add({ id: 'a' });
+    queue.add({ id: 'b' });
+    queue.stop(function(err) {
+      assert.ok(err);
+      assert.ok(err.message.indexOf('a, b') !== -1);
+      assert.equal(queue.retryTimer_, null);
+      done();
+    });
+  });
+
+  describe('spill directory', function() {
+    var dir = path.join(os.tmpdir(), 'debug-updates-' + process.pid);
+
+    before(function() {
+      fs.mkdirSync(dir);
+    });
+
+    after(function() {
+      fs.readdirSync(dir).forEach(function(file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('should keep undelivered updates for the next process',
+        function(done) {
+      var queue = create({ spillDirectory: dir }, function() {
+        assert.fail('should not send before resuming');
+      });
+      queue.add({ id: 'a/1', isFinalState: true });
+      queue.stop(function(err) {
+        assert.ifError(err);
+        // Give the spill a chance to complete.
+        setTimeout(function() {
+          assert.deepEqual(fs.readdirSync(dir), ['a%2F1.json']);
+          var next = create({ spillDirectory: dir }, function(bp, callback) {
+            assert.deepEqual(bp, { id: 'a/1', isFinalState: true });
+            callback(null);
+            setTimeout(function() {
+              assert.deepEqual(fs.readdirSync(dir), []);
+              done();
+            }, 20);
+          });
+          next.resume();
+        }, 20);
+      });
+    });
+
+    it('should not leave updates delivered right away', function(done) {
+      var queue = create({ spillDirectory: dir }, function(bp, callback) {
+        callback(null);
+      });
+      queue.resume();
+      setTimeout(function() {
+        queue.add({ id: 'b', isFinalState: true }, function(err) {
+          assert.ifError(err);
+          setTimeout(function() {
+            assert.deepEqual(fs.readdirSync(dir), []);
+            done();
+          }, 50);
+        });
+      }, 20);
+    });
+
+    it('should reload spilled updates up to the maximum size',
+        function(done) {
+      ['c', 'd', 'e'].forEach(function(id) {
+        fs.writeFileSync(path.join(dir, id + '.json'),
+          JSON.stringify({ id: id, isFinalState: true }));
+      });
+      var sent = [];
+      var queue = create({ spillDirectory: dir, maxSize: 2 },
+        function(bp) {
+          // Never delivered.
+          sent.push(bp.id);
+        });
+      queue.resume();
+      setTimeout(function() {
+        assert.equal(queue.getStats().queued, 2);
+        assert.deepEqual(sent, ['c']);
+        assert.deepEqual(fs.readdirSync(dir).sort(),
+          ['c.json', 'd.json', 'e.json']);
+        ['c', 'd', 'e'].forEach(function(id) {
+          fs.unlinkSync(path.join(dir, id + '.json'));
+        });
+        done();
+      }, 20);
+    });
+
+    it('should ignore malformed spill files', function(done) {
+      fs.writeFileSync(path.join(dir, 'bad.json'), '{ "id');
+      var queue = create({ spillDirectory: dir }, function() {
+        assert.fail('should not send malformed updates');
+      });
+      queue.resume();
+      setTimeout(function() {
+        assert.equal(queue.getStats().queued, 0);
+        fs.unlinkSync(path.join(dir, 'bad.json'));
+        done();
+      }, 20);
+    });
+  });
+});
@@ -33,11 +33,18 @@ var MAX_INT = 2147483647; // Max signed int32.
 
 var assert = require('assert');
 var v8debugapi = require('../lib/v8debugapi.js');
+var state = require('../lib/state.js');
 var logModule = require('@google/cloud-diagnostics-common').logger;
 var config = require('../config.js').debug;
 var StatusMessage = require('../lib/apiclasses.js').StatusMessage;
 var scanner = require('../lib/scanner.js');
+var fs = require('fs');
+var os = require('os');
 var path = require('path');
+var semver = require('semver');
+
+// The inspector backend is used from Node.js 8 onwards.
+var usesInspector = semver.satisfies(process.version, '>=8');
 
 function stateIsClean(api) {
   assert.equal(api.numBreakpoints_(), 0,
@@ -110,6 +117,10 @@ function validateBreakpoint(breakpoint) {
 
 describe('v8debugapi', function() {
   config.workingDirectory = path.join(process.cwd(), 'test');
+  // The captures of the whole suite may take longer than the capture budget
+  // on slower versions of Node.js. The budget is tested on its own.
+  config.captureBudget.maxMs = 0;
+  config.captureBudget.maxMsPerBreakpoint = 0;
   var logger = logModule.create(config.logLevel);
   var api = null;
 
@@ -205,7 +216,6 @@ describe('v8debugapi', function() {
       { id: 'with bad location', location: {}},
       { id: 'with no path', location: {line: 4}},
       { id: 'with no line', location: {path: 'foo.js'}},
-      { id: 'with incomplete path', location: {path: 'st-v8debugapi.js', line: 4}}
     ];
 
     badBreakpoints.forEach(function(bp) {
@@ -321,6 +331,88 @@ describe('v8debugapi', function() {
     '[1, 2, 3, 4, x == 1, x === 1, null, undefined]'
   ]);
 
+  describe('pending breakpoints', function() {
+    it('should wait for scripts that are not loaded yet', function(done) {
+      var bp = {id: 'lazy', location: {path: path.join('fixtures', 'lazy.js'),
+        line: 3}};
+      var isSet = false;
+      api.set(bp, function(err, pending) {
+        assert.ifError(err);
+        assert.ok(pending);
+        assert.equal(bp.status.description.format,
+          api.messages.BREAKPOINT_PENDING);
+        assert.ok(!bp.status.isError);
+        assert.equal(api.numBreakpoints_(), 0);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          assert.ok(isSet);
+          assert.ok(!bp.status);
+          assert.equal(bp.stackFrames[0].location.line, 3);
+          api.clear(bp);
+          done();
+        });
+        // Breakpoints in the top-level code of the module are hit.
+        require('./fixtures/lazy.js');
+      }, function() {
+        assert.ok(!bp.status);
+        isSet = true;
+      });
+    });
+
+    it('should wait for scripts created after startup', function(done) {
+      var file = path.join(__dirname, 'fixtures',
+        'generated-' + process.pid + '.js');
+      fs.writeFileSync(file,
+        'module.exports = function(n) {\n  return n + 1;\n};\n');
+      var bp = {id: 'generated', location: {path: file, line: 2}};
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        assert.ok(!bp.status.isError);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          assert.ok(!bp.status);
+          assert.equal(bp.stackFrames[0].location.line, 2);
+          assert.equal(bp.stackFrames[0].arguments[0].value, '2');
+          api.clear(bp);
+          fs.unlinkSync(file);
+          done();
+        });
+        require(file)(2);
+      });
+    });
+
+    it('should reject breakpoints on invalid lines once loaded',
+      function(done) {
+        var file = path.join(os.tmpdir(), 'short-' + process.pid + '.js');
+        fs.writeFileSync(file, 'module.exports = 1;\n');
+        var bp = {id: 'short', location: {path: file, line: 10}};
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ok(err);
+            assert.ok(bp.status.isError);
+            assert.equal(bp.status.description.format.indexOf(
+              api.messages.INVALID_LINE_NUMBER), 0);
+            fs.unlinkSync(file);
+            done();
+          });
+          require(file);
+        });
+      });
+
+    it('should clear pending breakpoints', function(done) {
+      var bp = {id: 'incomplete', location: {path: 'st-v8debugapi.js',
+        line: 4}};
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        assert.ok(!bp.status.isError);
+        assert.ok(api.clear(bp));
+        assert.ok(!api.clear(bp));
+        done();
+      });
+    });
+  });
+
   describe('path normalization', function() {
     var breakpoints = [
       { id: 'path0', location: {line: 4, path: path.join(path.sep, 'test',
@@ -524,7 +616,12 @@ describe('v8debugapi', function() {
           assert.equal(procEnv.name, 'process.env');
           var envVal = bp.variableTable[procEnv.varTableIndex];
           envVal.members.forEach(function(member) {
-            assert(bp.variableTable[member.varTableIndex].status.isError);
+            if (usesInspector) {
+              // The inspector reports intercepted properties as plain values.
+              assert.equal(typeof member.value, 'string');
+            } else {
+              assert(bp.variableTable[member.varTableIndex].status.isError);
+            }
           });
           var hasGetter = bp.evaluatedExpressions[1];
           var getterVal = bp.variableTable[hasGetter.varTableIndex];
@@ -543,6 +640,183 @@ describe('v8debugapi', function() {
       });
     });
 
+    it('should report the error of a slow getter that throws', function() {
+      var options = { enabled: true, safeGetters: [], maxMsPerGetter: 1 };
+      var result = state.callGetter('User', 'slowAndBroken', options,
+        function() {
+          var end = Date.now() + 5;
+          while (Date.now() < end) {}
+          return { error: 'Error: not loaded' };
+        });
+      assert.equal(result.status.description.format,
+        'Error calling the getter: Error: not loaded');
+      assert.ok(result.status.isError);
+    });
+
+    it('should call safe getters when enabled', function(done) {
+      var bp = {
+        id: 'getters',
+        location: { path: path.join('fixtures', 'getters.js'), line: 11 }
+      };
+      var getters = require('./fixtures/getters.js');
+      var oldGetters = config.capture.getters;
+      config.capture.getters = {
+        enabled: true,
+        safeGetters: ['User.fullName', 'User.broken', 'User.slow'],
+        maxMsPerGetter: 5
+      };
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          config.capture.getters = oldGetters;
+          assert.ifError(err);
+          var members = bp.stackFrames[0].arguments.map(function(arg) {
+            var members = {};
+            bp.variableTable[arg.varTableIndex].members.forEach(function(m) {
+              members[m.name] = m;
+            });
+            return members;
+          });
+
+          var user = members[0];
+          assert.equal(user.first.value, 'Ada');
+          assert.equal(user.fullName.value, 'Ada Lovelace');
+          assert.equal(user.broken.status.description.format,
+            'Error calling the getter: Error: not loaded');
+          assert.ok(user.broken.status.isError);
+          assert.ok(/took longer/.test(user.slow.status.description.format));
+          assert.equal(members[1].size.value, '1');
+          assert.equal(members[2].length.value, '3');
+          api.clear(bp);
+          done();
+        });
+        process.nextTick(function() {
+          getters.inspect(new getters.User('Ada', 'Lovelace'),
+            new Map([['a', 1]]), Buffer.from('abc'));
+        });
+      });
+    });
+
+    describe('built-in types', function() {
+      var bp = {
+        id: 'values',
+        location: { path: path.join('fixtures', 'values.js'), line: 4 }
+      };
+      var inspect = require('./fixtures/values.js');
+
+      // Captures the values and returns the captured members by name.
+      function capture(values, callback) {
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            var members = {};
+            var args = bp.stackFrames[0].arguments;
+            bp.variableTable[args[0].varTableIndex].members.forEach(
+              function(member) {
+                members[member.name] = member;
+              });
+            api.clear(bp);
+            callback(members);
+          });
+          process.nextTick(function() { inspect(values); });
+        });
+      }
+
+      function resolved(variable) {
+        return bp.variableTable[variable.varTableIndex];
+      }
+
+      it('should summarize maps, sets and promises', function(done) {
+        var rejected = Promise.reject(new Error('no'));
+        rejected.catch(function() {});
+        capture({
+          map: new Map([['k', 1], [{ a: 1 }, 'object key']]),
+          set: new Set(['x']),
+          pending: new Promise(function() {}),
+          fulfilled: Promise.resolve(5),
+          rejected: rejected
+        }, function(members) {
+          var map = resolved(members.map);
+          assert.equal(map.value, 'Map(2)');
+          assert.deepEqual(map.members[0], { name: 'k', value: '1' });
+          assert.equal(map.members[1].name, '[1]');
+          assert.deepEqual(resolved(map.members[1].members[0]).members,
+            [{ name: 'a', value: '1' }]);
+          assert.deepEqual(map.members[1].members[1],
+            { name: 'value', value: 'object key' });
+          assert.deepEqual(resolved(members.set).members,
+            [{ name: '[0]', value: 'x' }]);
+          assert.deepEqual(resolved(members.pending).members,
+            [{ name: 'state', value: 'pending' }]);
+          assert.deepEqual(resolved(members.fulfilled).members, [
+            { name: 'state', value: 'fulfilled' },
+            { name: 'value', value: '5' }
+          ]);
+          var reason = resolved(members.rejected).members[1];
+          assert.equal(reason.name, 'reason');
+          assert.equal(resolved(reason).value, 'Error: no');
+          done();
+        });
+      });
+
+      it('should summarize buffers, dates and errors', function(done) {
+        var error = new TypeError('boom');
+        error.code = 'E_BOOM';
+        capture({
+          buffer: new Buffer('hello'),
+          typed: new Uint16Array([1, 258]),
+          date: new Date(Date.UTC(2016, 9, 19, 12)),
+          invalid: new Date(NaN),
+          error: error
+        }, function(members) {
+          assert.deepEqual(resolved(members.buffer), {
+            value: 'Buffer(5)',
+            members: [
+              { name: 'hex', value: '68656c6c6f' },
+              { name: 'utf8', value: 'hello' }
+            ]
+          });
+          assert.equal(resolved(members.typed).members[0].value, '01000201');
+          assert.deepEqual(members.date,
+            { name: 'date', value: '2016-10-19T12:00:00.000Z' });
+          assert.deepEqual(members.invalid,
+            { name: 'invalid', value: 'Invalid Date' });
+          var err = resolved(members.error);
+          assert.equal(err.value, 'TypeError: boom');
+          assert.deepEqual(err.members.map(function(m) { return m.name; }),
+            ['message', 'stack', 'code']);
+          assert.equal(err.members[0].value, 'boom');
+          assert.equal(err.members[1].value.indexOf('TypeError: boom\n'), 0);
+          done();
+        });
+      });
+
+      it('should respect the capture limits', function(done) {
+        var oldMaxProps = config.capture.maxProperties;
+        var oldMaxLength = config.capture.maxStringLength;
+        config.capture.maxProperties = 2;
+        config.capture.maxStringLength = 4;
+        capture({
+          map: new Map([['a', 1], ['b', 2], ['c', 3]]),
+          buffer: new Buffer('hello')
+        }, function(members) {
+          config.capture.maxProperties = oldMaxProps;
+          config.capture.maxStringLength = oldMaxLength;
+          assert.equal(resolved(members.map).members.length, 2);
+          assert.ok(/maxProperties/.test(
+            members.map.status.description.format));
+          var hex = resolved(members.buffer).members[0];
+          assert.equal(hex.value, '6865...');
+          assert.ok(/maxStringLength/.test(hex.status.description.format));
+          var utf8 = resolved(members.buffer).members[1];
+          assert.equal(utf8.value, 'hell');
+          assert.ok(/maxStringLength/.test(utf8.status.description.format));
+          done();
+        });
+      });
+    });
+
     it('should limit string length', function(done) {
       var bp = {
         id: 'fake-id-124',
@@ -623,6 +897,106 @@ describe('v8debugapi', function() {
       });
     });
 
+    it('should capture the variables of enclosing scopes', function(done) {
+      var bp = {
+        id: 'scopes',
+        location: { path: path.join('fixtures', 'scopes.js'), line: 7 }
+      };
+      var handler = require('./fixtures/scopes.js')('a', 'b');
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          var topFrame = bp.stackFrames[0];
+          assert.deepEqual(topFrame.arguments, [{ name: 'n', value: '1' }]);
+          assert.deepEqual(topFrame.locals[0], { name: 'total', value: '4' });
+          var scopes = topFrame.locals.slice(1);
+          assert.equal(scopes.length, 2);
+          assert.ok(scopes.every(function(scope) {
+            return /^\[closure.*\]$/.test(scope.name) && !scope.status;
+          }));
+          assert.deepEqual(scopes[0].members.map(function(m) {
+            return m.name + '=' + m.value;
+          }).sort(), ['prefix=a', 'suffix=b']);
+          assert.equal(scopes[1].members.length, 1);
+          var settings = scopes[1].members[0];
+          assert.equal(settings.name, 'settings');
+          assert.deepEqual(bp.variableTable[settings.varTableIndex].members, [
+            { name: 'retries', value: '3' },
+            { name: 'name', value: 'scopes' }
+          ]);
+          api.clear(bp);
+          done();
+        });
+        process.nextTick(function() { handler(1); });
+      });
+    });
+
+    it('should report the arguments it cannot tell apart from the locals',
+      function(done) {
+        var bp = {
+          id: 'parameters',
+          location: { path: path.join('fixtures', 'parameters.js'), line: 5 }
+        };
+        // The trailing comma of the parameter list is newer than the parser.
+        var add = require('./fixtures/parameters.js');
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            var topFrame = bp.stackFrames[0];
+            assert.equal(topFrame.arguments.length, 1);
+            assert.equal(topFrame.arguments[0].status.refersTo,
+              'VARIABLE_NAME');
+            assert.ok(topFrame.arguments[0].status.isError);
+            assert.deepEqual(topFrame.locals.slice(0, 3), [
+              { name: 'a', value: '1' },
+              { name: 'b', value: '2' },
+              { name: 'sum', value: '3' }
+            ]);
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() { add(1, 2); });
+        });
+      });
+
+    it('should limit each scope on its own', function(done) {
+      var bp = {
+        id: 'scopes',
+        location: { path: path.join('fixtures', 'scopes.js'), line: 7 },
+        expressions: ['[total]']
+      };
+      var handler = require('./fixtures/scopes.js')('a', 'b');
+      var oldMaxVariables = config.capture.scopes.maxVariables;
+      var oldMaxDataSize = config.capture.maxDataSize;
+      config.capture.scopes.maxVariables = 1;
+      config.capture.maxDataSize = 1;
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          config.capture.scopes.maxVariables = oldMaxVariables;
+          config.capture.maxDataSize = oldMaxDataSize;
+          assert.ifError(err);
+          var scopes = bp.stackFrames[0].locals.slice(1);
+          assert.equal(scopes[0].members.length, 1);
+          assert.equal(scopes[0].status.description.format,
+            'Only first `config.capture.scopes.maxVariables` variables were ' +
+            'captured.');
+          assert.ok(!scopes[0].status.isError);
+
+          // The objects of the frames and the watch expressions no longer
+          // fit, but those first referenced from a scope are charged to it.
+          assert.strictEqual(bp.evaluatedExpressions[0].varTableIndex, 0);
+          var settings = scopes[1].members[0];
+          assert.ok(bp.variableTable[settings.varTableIndex].members);
+          api.clear(bp);
+          done();
+        });
+        process.nextTick(function() { handler(1); });
+      });
+    });
+
     it('should capture without values for invalid watch expressions', function(done) {
       // clone a clean breakpointInFoo
       var bp  = {
@@ -676,6 +1050,72 @@ describe('v8debugapi', function() {
 
     });
 
+    it('should skip hits until the hit count condition is met',
+      function(done) {
+        var bp = {
+          id: breakpointInFoo.id,
+          location: breakpointInFoo.location,
+          condition: '$hits >= 3 && n > 0'
+        };
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            assert.equal(bp.stackFrames[0].arguments[0].value, '3');
+            assert.equal(bp.labels.hitCount, '3');
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() {foo(0); foo(1); foo(2); foo(3);});
+        });
+      });
+
+    it('should take hit count conditions from labels', function(done) {
+      var bp = {
+        id: breakpointInFoo.id,
+        location: breakpointInFoo.location,
+        condition: 'n > 10',
+        labels: { hitCondition: '%2' }
+      };
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          assert.equal(bp.stackFrames[0].arguments[0].value, '12');
+          assert.equal(bp.labels.hitCount, '2');
+          api.clear(bp);
+          done();
+        });
+        process.nextTick(function() {foo(1); foo(11); foo(12);});
+      });
+    });
+
+    it('should reject invalid hit count conditions', function(done) {
+      var bps = [
+        { condition: '$hits >= n' },
+        { condition: '$hits > 3' },
+        { condition: 'n > 3 && $hits == 2' },
+        { condition: '$hits == 2', labels: { hitCondition: '2' } },
+        { labels: { hitCondition: '>= 0' } }
+      ];
+      var next = function(i) {
+        if (i === bps.length) {
+          return done();
+        }
+        var bp = bps[i];
+        bp.id = 'hits-' + i;
+        bp.location = breakpointInFoo.location;
+        api.set(bp, function(err) {
+          assert.ok(err, 'should reject ' + JSON.stringify(bp));
+          assert.equal(err.message.indexOf(
+            api.messages.INVALID_HIT_CONDITION), 0);
+          assert.equal(bp.status.refersTo, 'BREAKPOINT_CONDITION');
+          next(i + 1);
+        });
+      };
+      next(0);
+    });
+
     it('should be possible to set conditional breakpoints in coffeescript',
       function (done) {
         var bp = {
@@ -712,7 +1152,9 @@ describe('v8debugapi', function() {
         };
         api.set(bp, function(err) {
           assert(err);
-          assert.equal(err.message, 'Error compiling condition.');
+          assert.equal(err.message, 'Error compiling condition: ' +
+            'The expression must not declare variables');
+          assert.equal(bp.status.refersTo, 'BREAKPOINT_CONDITION');
           done();
         });
     });
@@ -743,6 +1185,223 @@ describe('v8debugapi', function() {
         });
     });
 
+    it('should move breakpoints on closing braces after a return',
+      function(done) {
+        var bp = {
+          id: 'closing-brace',
+          location: { path: path.join('fixtures', 'es6', 'transpile.js'),
+            line: 5 }
+        };
+        var tt = require('./fixtures/es6/transpile.js');
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            var topFrame = bp.stackFrames[0];
+            assert.equal(topFrame['function'], 'foo');
+            assert.equal(topFrame.arguments[0].value, '1');
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() { tt.foo(1); });
+        });
+      });
+
+    it('should find inline source maps', function(done) {
+      var bp = {
+        id: 'inline-map',
+        location: { path: path.join('.', 'test', 'fixtures', 'sourcemaps',
+          'inline.es6'), line: 4 },
+        expressions: ['sum']
+      };
+      var add = require('./fixtures/sourcemaps/inline.js').add;
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          assert.equal(bp.evaluatedExpressions[0].value, '3');
+          assert.deepEqual(bp.stackFrames[0].location, {
+            path: path.join('fixtures', 'sourcemaps', 'inline.es6'),
+            line: 4
+          });
+          api.clear(bp);
+          done();
+        });
+        process.nextTick(function() { add(1, 2); });
+      });
+    });
+
+    it('should follow the source map url to another directory',
+      function(done) {
+        var bp = {
+          id: 'outdir-map',
+          location: { path: path.join('.', 'test', 'fixtures', 'sourcemaps',
+            'outdir.es6'), line: 3 },
+          expressions: ['a']
+        };
+        var add = require('./fixtures/sourcemaps/outdir.js').add;
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            assert.equal(bp.evaluatedExpressions[0].value, '5');
+            assert.deepEqual(bp.stackFrames[0].location, {
+              path: path.join('fixtures', 'sourcemaps', 'outdir.es6'),
+              line: 3
+            });
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() { add(5, 6); });
+        });
+    });
+
+    it('should find generated scripts in an output directory',
+      function(done) {
+        var bp = {
+          id: 'outdir-index',
+          location: { path: path.join('.', 'test', 'fixtures', 'sourcemaps',
+            'src', 'lib', 'math.ts'), line: 3 },
+          expressions: ['result']
+        };
+        var square = require('./fixtures/sourcemaps/dist/lib/math.js').square;
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          // The breakpoint keeps its location in the source.
+          assert.deepEqual(bp.location, { path: path.join('.', 'test',
+            'fixtures', 'sourcemaps', 'src', 'lib', 'math.ts'), line: 3 });
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            assert.equal(bp.evaluatedExpressions[0].value, '9');
+            assert.deepEqual(bp.stackFrames[0].location, {
+              path: path.join('fixtures', 'sourcemaps', 'src', 'lib',
+                'math.ts'),
+              line: 3
+            });
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() { square(3); });
+        });
+    });
+
+    it('should evaluate JavaScript expressions in TypeScript files',
+      function(done) {
+        var bp = {
+          id: 'ts-js-condition',
+          location: { path: path.join('fixtures', 'sourcemaps', 'src', 'lib',
+            'math.ts'), line: 3 },
+          condition: 'x > 2',
+          expressions: ['result + 1']
+        };
+        var square = require('./fixtures/sourcemaps/dist/lib/math.js').square;
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            assert.equal(bp.evaluatedExpressions[0].value, '17');
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() { square(2); square(4); });
+        });
+    });
+
+    it('should transpile TypeScript expressions',
+      function(done) {
+        var bp = {
+          id: 'ts-condition',
+          location: { path: path.join('fixtures', 'sourcemaps', 'src', 'lib',
+            'math.ts'), line: 3 },
+          condition: '(x as number) > 2',
+          expressions: ['result!', '(<any>x)?.toFixed', 'x:']
+        };
+        var square = require('./fixtures/sourcemaps/dist/lib/math.js').square;
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            assert.equal(bp.evaluatedExpressions[0].name, 'x:');
+            assert.ok(bp.evaluatedExpressions[0].status.isError);
+            assert.equal(bp.evaluatedExpressions[1].value, '16');
+            assert.ok(!bp.evaluatedExpressions[2].status);
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(function() { square(2); square(4); });
+        });
+    });
+
+    it('should find sources in bundles', function(done) {
+      var bp = {
+        id: 'bundle-index',
+        location: { path: path.join('fixtures', 'sourcemaps', 'bundled', 'b',
+          'util.js'), line: 3 },
+        expressions: ['tripled']
+      };
+      var bundle = require('./fixtures/sourcemaps/bundle.js');
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          assert.equal(bp.evaluatedExpressions[0].value, '6');
+          assert.deepEqual(bp.stackFrames[0].location, {
+            path: path.join('fixtures', 'sourcemaps', 'bundled', 'b',
+              'util.js'),
+            line: 3
+          });
+          api.clear(bp);
+          done();
+        });
+        process.nextTick(function() { bundle.a(2); bundle.b(2); });
+      });
+    });
+
+    it('should report frames with the names of their source',
+      function(done) {
+        var bp = {
+          id: 'names-map',
+          location: { path: path.join('fixtures', 'sourcemaps', 'names.es6'),
+            line: 3 }
+        };
+        var increment = require('./fixtures/sourcemaps/names.js').increment;
+        function caller() {
+          return increment(1);
+        }
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            var frames = bp.stackFrames;
+            assert.equal(frames[0]['function'], 'increment');
+            assert.deepEqual(frames[0].location, {
+              path: path.join('fixtures', 'sourcemaps', 'names.es6'),
+              line: 3
+            });
+            // Frames in scripts without a source map are left as they are.
+            assert.equal(frames[1]['function'], 'caller');
+            assert.equal(frames[1].location.path, 'test-v8debugapi.js');
+            api.clear(bp);
+            done();
+          });
+          process.nextTick(caller);
+        });
+    });
+
+    it('should report scripts without a source map url', function(done) {
+      var bp = {
+        id: 'no-map',
+        location: { path: path.join('.', 'test', 'fixtures', 'sourcemaps',
+          'nomap.es6'), line: 3 }
+      };
+      api.set(bp, function(err) {
+        assert.ok(err);
+        assert.equal(bp.status.description.format,
+          api.messages.SOURCE_MAP_URL_NOT_FOUND);
+        done();
+      });
+    });
+
     it('should be possible to view watch expressions in coffeescript',
       function(done) {
         var bp = {
@@ -796,12 +1455,13 @@ describe('v8debugapi', function() {
               if (expr.name === ':)' ||
                   expr.name === 'process=this' ||
                   expr.name === 'return') {
-                assert.equal(expr.status.description.format,
-                  'Error Compiling Expression');
+                assert.equal(expr.status.refersTo, 'BREAKPOINT_EXPRESSION');
+                assert.equal(expr.status.description.format.indexOf(
+                  'Error compiling expression: '), 0);
               } else {
-                assert.notEqual(
-                  expr.status.description.format.indexOf('Unexpected token'),
-                  -1);
+                // Calls compile, but aren't allowed.
+                assert.equal(expr.status.description.format,
+                  'expression not allowed');
               }
             }
 
@@ -812,6 +1472,42 @@ describe('v8debugapi', function() {
         });
       });
 
+    it('should evaluate the compiled expressions of coffeescript logpoints',
+      function(done) {
+        var bp = {
+          id: 'coffee-log',
+          action: 'LOG',
+          logMessageFormat: '$0 $1',
+          location: { path: path.join('.', 'test', 'fixtures', 'coffee',
+            'transpile.coffee'), line: 3 },
+          expressions: ['if n == 3 then n * 2 else n', ':)']
+        };
+        var tt = require('./fixtures/coffee/transpile');
+        function checkHit(n, next) {
+          api.wait(bp, function(err) {
+            assert.ifError(err);
+            assert.deepEqual(bp.expressions,
+              ['if n == 3 then n * 2 else n', ':)']);
+            assert.equal(bp.evaluatedExpressions.length, 2);
+            assert.equal(bp.evaluatedExpressions[0], n === 3 ? 6 : n);
+            var error = bp.evaluatedExpressions[1];
+            assert.equal(error.name, ':)');
+            assert.equal(error.status.refersTo, 'BREAKPOINT_EXPRESSION');
+            next();
+          });
+          process.nextTick(function() {tt.foo(n);});
+        }
+        api.set(bp, function(err) {
+          assert.ifError(err);
+          checkHit(3, function() {
+            checkHit(4, function() {
+              api.clear(bp);
+              done();
+            });
+          });
+        });
+      });
+
     it('should remove listener when breakpoint is cleared before hitting',
       function(done) {
         var bp  = {
@@ -854,6 +1550,199 @@ describe('v8debugapi', function() {
       });
 
 
+    it('should be possible to set multiple breakpoints at the same location',
+      function(done) {
+        var bp1 = { id: 'bp1', location: { path: __filename, line: 4 }};
+        var bp2 = { id: 'bp2', location: { path: __filename, line: 4 }};
+        api.set(bp1, function(err) {
+          assert.ifError(err);
+          api.set(bp2, function(err) {
+            assert.ifError(err);
+            assert.equal(api.numBreakpoints_(), 2);
+            api.wait(bp1, function(err) {
+              assert.ifError(err);
+              assert.equal(bp1.stackFrames[0].arguments[0].value, '8');
+              api.clear(bp1);
+              api.wait(bp2, function(err) {
+                assert.ifError(err);
+                assert.equal(bp2.stackFrames[0].arguments[0].value, '9');
+                api.clear(bp2);
+                done();
+              });
+              process.nextTick(function() {foo(9);});
+            });
+            process.nextTick(function() {foo(8);});
+          });
+        });
+      });
+
+    it('should share the capture of breakpoints hit at the same location',
+      function(done) {
+        var bp1 = {
+          id: 'bp1',
+          location: { path: __filename, line: 4 },
+          expressions: ['n', 'A']
+        };
+        var bp2 = {
+          id: 'bp2',
+          location: { path: __filename, line: 4 },
+          condition: 'n > 4',
+          expressions: ['A', 'B']
+        };
+        var bp3 = {
+          id: 'bp3',
+          location: { path: __filename, line: 4 },
+          condition: 'n === 4'
+        };
+        var names = function(breakpoint) {
+          return breakpoint.evaluatedExpressions.map(function(expression) {
+            return expression.name;
+          });
+        };
+        api.set(bp1, function(err) {
+          assert.ifError(err);
+          api.set(bp2, function(err) {
+            assert.ifError(err);
+            api.set(bp3, function(err) {
+              assert.ifError(err);
+              var waiting = 2;
+              var onHit = function(err) {
+                assert.ifError(err);
+                if (--waiting > 0) {
+                  return;
+                }
+                assert.strictEqual(bp1.stackFrames, bp2.stackFrames);
+                assert.strictEqual(bp1.variableTable, bp2.variableTable);
+                assert.deepEqual(names(bp1), ['n', 'A']);
+                assert.deepEqual(names(bp2), ['A', 'B']);
+                assert.strictEqual(bp1.evaluatedExpressions[1],
+                  bp2.evaluatedExpressions[0]);
+                assert.equal(bp1.evaluatedExpressions[0].value, '5');
+                assert.ok(!bp3.stackFrames);
+                api.clear(bp1);
+                api.clear(bp2);
+                api.clear(bp3);
+                done();
+              };
+              api.wait(bp1, onHit);
+              api.wait(bp2, onHit);
+              api.wait(bp3, function() {
+                assert.fail('the condition is not met');
+              });
+              process.nextTick(function() {foo(5);});
+            });
+          });
+        });
+      });
+
+    it('should capture breakpoints with their own capture limits',
+      function(done) {
+        var bp1 = {
+          id: 'bp1',
+          location: { path: __filename, line: 4 },
+          expressions: ['n', '$capture maxFrames=1 maxDataSize=999999999']
+        };
+        var bp2 = {
+          id: 'bp2',
+          location: { path: __filename, line: 4 },
+          labels: { 'capture.maxFrames': '1' }
+        };
+        var bp3 = { id: 'bp3', location: { path: __filename, line: 4 } };
+        var limits = 'maxFrames=1 maxExpandFrames=5 maxProperties=10 ' +
+          'maxDataSize=200000 maxStringLength=100';
+        api.set(bp1, function(err) {
+          assert.ifError(err);
+          api.set(bp2, function(err) {
+            assert.ifError(err);
+            api.set(bp3, function(err) {
+              assert.ifError(err);
+              var waiting = 3;
+              var onHit = function(err) {
+                assert.ifError(err);
+                if (--waiting > 0) {
+                  return;
+                }
+                assert.equal(bp1.stackFrames.length, 1);
+                assert.equal(bp1.labels.captureLimits, limits);
+                assert.equal(bp1.evaluatedExpressions[0].value, '6');
+                assert.deepEqual(bp1.evaluatedExpressions[1], {
+                  name: '$capture maxFrames=1 maxDataSize=999999999',
+                  value: limits
+                });
+                assert.equal(bp2.stackFrames.length, 1);
+                assert.equal(bp2.labels.captureLimits,
+                  'maxFrames=1 maxExpandFrames=5 maxProperties=10 ' +
+                  'maxDataSize=20000 maxStringLength=100');
+                assert.ok(bp3.stackFrames.length > 1);
+                assert.ok(!bp3.labels.captureLimits);
+                api.clear(bp1);
+                api.clear(bp2);
+                api.clear(bp3);
+                done();
+              };
+              api.wait(bp1, onHit);
+              api.wait(bp2, onHit);
+              api.wait(bp3, onHit);
+              process.nextTick(function() {foo(6);});
+            });
+          });
+        });
+      });
+
+    it('should reject invalid capture limits', function(done) {
+      var bps = [
+        { labels: { 'capture.maxFrames': '0' } },
+        { labels: { 'capture.maxDepth': '3' } },
+        { expressions: ['$capture maxFrames'] },
+        { labels: { 'capture.maxFrames': '3' },
+          expressions: ['$capture maxFrames=3'] },
+        { action: 'LOG', logMessageFormat: 'n',
+          labels: { 'capture.maxFrames': '3' } }
+      ];
+      var next = function(i) {
+        if (i === bps.length) {
+          return done();
+        }
+        var bp = bps[i];
+        bp.id = 'limits-' + i;
+        bp.location = { path: __filename, line: 4 };
+        api.set(bp, function(err) {
+          assert.ok(err, 'should reject ' + JSON.stringify(bp));
+          assert.equal(err.message.indexOf(
+            api.messages.INVALID_CAPTURE_LIMITS), 0);
+          assert.equal(bp.status.refersTo, 'BREAKPOINT_EXPRESSION');
+          next(i + 1);
+        });
+      };
+      next(0);
+    });
+
+    it('should capture cyclic objects', function(done) {
+      var bp = {
+        id: 'fake-id-125',
+        location: { path: 'test-v8debugapi.js', line: 5 },
+        expressions: ['global']
+      };
+      var oldMaxData = config.capture.maxDataSize;
+      config.capture.maxDataSize = 0;
+      api.set(bp, function(err) {
+        assert.ifError(err);
+        api.wait(bp, function(err) {
+          assert.ifError(err);
+          var g = bp.evaluatedExpressions[0];
+          var gVal = bp.variableTable[g.varTableIndex];
+          assert(gVal.members.some(function(m) {
+            return m.name === 'global' && m.varTableIndex === g.varTableIndex;
+          }));
+
+          api.clear(bp);
+          config.capture.maxDataSize = oldMaxData;
+          done();
+        });
+        process.nextTick(function() {foo(2);});
+      });
+    });
+
     it('should correctly stop on line-1 breakpoints', function(done) {
       var foo = require('./fixtures/foo.js');
       var bp = { id: 'bp-line-1', location: {